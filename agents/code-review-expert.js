@@ -1,67 +1,297 @@
 const fs = require('fs-extra');
 const path = require('path');
+const os = require('os');
 const { execSync } = require('child_process');
 const chalk = require('chalk');
+const { createLLMClient } = require('../src/utils/llm-client');
+const { loadConfig } = require('../src/config');
+const { readDocumentationRules } = require('../src/utils/documentation-rules');
+const { git, getRepositoryRoot } = require('../src/utils/git');
+const {
+    getChangedLines,
+    getUntrackedFiles,
+    resolveDiffScope,
+    formatLineRanges
+} = require('../src/utils/diff');
+const { discoverFiles, filterFiles, isBinaryContent, formatFileSize } = require('../src/utils/file-discovery');
+const { ProgressBar } = require('../src/utils/progress');
+const { WorkerPool } = require('../src/utils/worker-pool');
+const { isJavaScriptFile } = require('../src/review/ast');
+const { runRules, runLanguageRules, runTextRules, runProjectRules } = require('../src/review/engine');
+const { loadRules } = require('../src/review/registry');
+const { applySuppressions } = require('../src/review/suppressions');
+const { fingerprint, readBaseline, writeBaseline, appendBaseline, filterBaseline } = require('../src/review/baseline');
+const { isSecretScanFile } = require('../src/review/secrets');
+const { HISTORY_RULE, scanHistory } = require('../src/review/history');
+const { collectImports } = require('../src/review/imports');
+const { loadProject } = require('../src/review/project');
+const { getLanguage, supportsLanguage } = require('../src/review/languages');
+const { applyEdits } = require('../src/review/fixer');
+const { openCache, blobHash, hash } = require('../src/review/cache');
+const { ContextBuilder } = require('../src/context');
+const { findRelatedFiles } = require('../src/context/related');
+const {
+    SEVERITIES,
+    SEVERITY_ICONS,
+    SEVERITY_LABELS,
+    createIssue,
+    countBySeverity,
+    sortIssues
+} = require('../src/review/issue');
+const { REVIEW_FORMATS, renderReviewReport } = require('../src/reporters');
+
+const SYSTEM_PROMPT = `You are an expert code reviewer specializing in identifying bugs, security issues,
+code quality problems, and maintainability concerns. You analyze code for best practices,
+performance issues, and suggest improvements. You provide detailed, actionable feedback
+with specific examples and solutions.`;
+
+// Shares of the prompt budget: each set of project rules and the static findings, and the
+// related files sent for context next to the reviewed ones
+const RULES_SHARE = 0.1;
+const RELATED_SHARE = 0.2;
+const MAX_RELATED_FILES = 10;
+const AI_REVIEW_CONFIDENCE = 0.5;
+// Starting a worker costs about as much as analyzing this many files
+const MIN_FILES_PER_WORKER = 20;
+const MAX_SKIPPED_LISTED = 20;
+const ANALYSIS_WORKER = path.join(__dirname, '../src/review/analysis-worker.js');
+// Tokens of code around a finding sent with an explanation request
+const EXPLAIN_MAX_TOKENS = 2000;
 
 class CodeReviewExpert {
-    constructor() {
-        this.openrouterAgent = null;
-        this.initializeAgent();
+    constructor(options = {}) {
+        this.options = options;
+        // Configuration, model client and context builder, see getSettings()
+        this.settings = null;
+        this.root = process.cwd();
+        this.secretsOnly = new Set();
+        // Packages imported by each JavaScript/TypeScript file, for the dependency rules
+        this.imports = new Map();
+        // Called with (done, total, file) as files are analyzed, instead of drawing a progress bar
+        this.onProgress = options.onProgress || null;
+        this.ci = Boolean(options.ci);
+        // Worker threads of analyzeFiles(), overriding review.concurrency
+        this.concurrency = options.concurrency || null;
+        // Files analyzeFiles() left out: too large, binary or unreadable
+        this.skippedFiles = [];
+        // Findings of unchanged files from earlier reviews, see src/review/cache.js
+        this.cache = null;
     }
 
-    async initializeAgent() {
+    initializeAgent(options = {}) {
+        const config = options.config || loadConfig().config;
+        const llmClient = createLLMClient('code-review-expert', options, config);
+        this.settings = { config, llmClient, context: new ContextBuilder(llmClient, config.context) };
+    }
+
+    // Resolved on first use rather than in the constructor: the shared instance exported
+    // below is created when the module is required, before the CLI can report an invalid
+    // configuration file
+    getSettings() {
+        if (!this.settings) {
+            this.initializeAgent(this.options);
+        }
+        return this.settings;
+    }
+
+    get config() {
+        return this.getSettings().config;
+    }
+
+    get llmClient() {
+        return this.getSettings().llmClient;
+    }
+
+    get context() {
+        return this.getSettings().context;
+    }
+
+    async performReview(options = {}) {
         try {
-            const { createAgent } = require('openrouter-agents');
-            this.openrouterAgent = createAgent({
-                name: 'code-review-expert',
-                model: 'anthropic/claude-3.5-sonnet',
-                systemPrompt: `You are an expert code reviewer specializing in identifying bugs, security issues, 
-                code quality problems, and maintainability concerns. You analyze code for best practices, 
-                performance issues, and suggest improvements. You provide detailed, actionable feedback 
-                with specific examples and solutions.`
-            });
+            const rules = options.rules || readDocumentationRules();
+            const result = await this.reviewCode(rules, options);
+            const format = options.format || 'markdown';
+            const report = renderReviewReport(format, result);
+            const reportPath = options.output || REVIEW_FORMATS[format].file;
+
+            await fs.outputFile(reportPath, report, 'utf8');
+
+            return {
+                success: true,
+                filesReviewed: result.filesReviewed,
+                issuesFound: result.stats.total,
+                summary: {
+                    criticalIssues: result.stats.critical,
+                    highIssues: result.stats.high,
+                    mediumIssues: result.stats.medium,
+                    lowIssues: result.stats.low,
+                    infoIssues: result.stats.info
+                },
+                issues: result.issues,
+                sources: result.sources,
+                suppressedIssues: result.suppressedIssues,
+                baselineIssues: result.baselineIssues,
+                baselinePath: result.baselinePath,
+                skippedFiles: result.skipped,
+                reportPath
+            };
         } catch (error) {
-            console.warn('OpenRouter agent not available, using fallback mode');
+            return {
+                success: false,
+                error: error.message
+            };
         }
     }
 
-    async reviewCode(rules) {
+    async reviewCode(rules, options = {}) {
         try {
-            const codeFiles = await this.getCodeFiles();
-            const analysis = await this.analyzeFiles(codeFiles);
-            const issues = await this.identifyIssues(analysis, rules);
+            const reviewRules = this.loadRules();
+            this.cache = options.cache === false || this.config.review.cache === false
+                ? null
+                : openCache(reviewRules, this.config.review);
+            const scope = resolveDiffScope(options);
+            if (options.updateBaseline && (scope || options.path)) {
+                // A partial review would drop the accepted findings of every other file
+                throw new Error('--update-baseline records the whole repository, run it without a diff scope or --path');
+            }
+            const changes = scope ? await this.getChanges(scope, options) : null;
+            const codeFiles = await this.getCodeFiles(options, changes);
+            const analysis = await this.analyzeFiles(codeFiles, scope, reviewRules);
+            const projectIssues = this.checkProject(reviewRules, { complete: !scope && !options.path, path: options.path });
+            const historyIssues = options.history ? await this.scanHistory(options) : [];
+            const { issues, suppressed, known, baselinePath } =
+                await this.identifyIssues(analysis, rules, { ...options, changes, projectIssues, historyIssues });
             const report = this.generateReport(issues);
+            if (this.cache) {
+                this.cache.saveStats();
+            }
 
             return {
                 fixes: report,
                 summary: this.generateSummary(issues),
-                stats: this.getStats(issues)
+                stats: this.getStats(issues),
+                filesReviewed: analysis.length,
+                files: analysis.map(fileAnalysis => fileAnalysis.file),
+                skipped: this.skippedFiles,
+                // Reviewed content of each file, which autofix edits refer to
+                sources: new Map(analysis.map(fileAnalysis => [fileAnalysis.file, fileAnalysis.content])),
+                scope,
+                root: this.root,
+                issues,
+                rules: reviewRules,
+                suppressedIssues: suppressed.length,
+                baselineIssues: known.length,
+                baselinePath
             };
         } catch (error) {
             throw new Error(`Code review failed: ${error.message}`);
         }
     }
 
-    async getCodeFiles() {
-        const codeExtensions = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.cpp', '.c', '.go', '.rs'];
-        const codeFiles = [];
-        const excludeDirs = ['node_modules', '.git', 'dist', 'build', '.next'];
+    // Lines added or modified in the review scope by file; untracked files count as entirely new
+    async getChanges(scope, options = {}) {
+        const paths = options.path ? [options.path] : [];
+        const changes = getChangedLines(scope.diffArgs, paths);
+
+        if (scope.includeUntracked) {
+            for (const file of getUntrackedFiles(paths)) {
+                const content = await fs.readFile(file, 'utf8').catch(() => '');
+                changes[file] = new Set(content.split('\n').map((line, index) => index + 1));
+            }
+        }
+
+        return changes;
+    }
+
+    // Project rules: vulnerable, unlicensed, missing and unused dependencies of package.json
+    checkProject(rules, options = {}) {
+        const projectRules = rules.filter(rule => rule.enabled && rule.project);
+        const project = projectRules.length > 0 && loadProject({
+            root: this.root,
+            config: this.config.review.dependencies,
+            imports: this.imports,
+            complete: options.complete
+        });
+        if (!project) {
+            return [];
+        }
+
+        console.log(chalk.blue('📦 Controllo delle dipendenze...'));
+        if (!project.lockfile) {
+            console.log(chalk.yellow('   ⚠️  Nessun lockfile: vulnerabilità e licenze non controllate'));
+        } else if (!project.advisories) {
+            console.log(chalk.yellow(`   ⚠️  Database delle vulnerabilità assente (${path.relative(process.cwd(), project.advisoriesFile)}), ` +
+                'crealo con git-copilot update-advisories'));
+        }
+
+        // With --path, only findings on the files under it
+        const issues = runProjectRules(projectRules, project, this.root).filter(issue =>
+            !options.path || !path.relative(options.path, issue.file).startsWith('..'));
+        console.log(`   ${issues.length > 0 ? chalk.red('⚠️') : chalk.green('✅')} ${issues.length} problemi nelle dipendenze`);
+        console.log('');
+        return issues;
+    }
+
+    // Secrets deleted from files the review covers but still in past commits
+    async scanHistory(options = {}) {
+        console.log(chalk.blue('🕰️  Cercando segreti nella cronologia git...'));
+
+        const issues = await scanHistory({
+            paths: options.path ? [options.path] : [],
+            filter: files => filterFiles(files, {
+                ...this.config.files,
+                excludeDirs: this.config.review.excludeDirs
+            }).filter(file =>
+                this.config.review.extensions.some(ext => file.endsWith(ext)) ||
+                isSecretScanFile(file, this.config.review.secrets.files))
+        });
+
+        console.log(chalk.green(`🔑 ${issues.length} segreti trovati nei commit passati`));
+        console.log('');
+        return issues;
+    }
+
+    // Built-in, local (review.rulesDir) and plugin rules with the review.rules overrides applied
+    loadRules() {
+        this.root = getRepositoryRoot();
+        return loadRules(this.config.review, this.root);
+    }
+
+    async getCandidateFiles(options = {}, changes = null) {
+        if (changes) {
+            return Object.keys(changes);
+        }
+
+        return await discoverFiles({ paths: options.path ? [options.path] : [] });
+    }
+
+    async getCodeFiles(options = {}, changes = null) {
+        let codeFiles = [];
 
         console.log(chalk.blue('🔍 Cercando file di codice...'));
 
         try {
-            const files = await this.walkDirectory('.', excludeDirs);
-            for (const file of files) {
-                if (codeExtensions.some(ext => file.endsWith(ext))) {
-                    codeFiles.push(file);
-                }
-            }
+            const files = await this.getCandidateFiles(options, changes);
+            codeFiles = filterFiles(files, {
+                ...this.config.files,
+                extensions: this.config.review.extensions,
+                excludeDirs: this.config.review.excludeDirs
+            });
+
+            // Configuration files (.env, YAML, JSON...) are only scanned for secrets
+            const codeFileSet = new Set(codeFiles);
+            const secretFiles = filterFiles(files, {
+                ...this.config.files,
+                excludeDirs: this.config.review.excludeDirs
+            }).filter(file => !codeFileSet.has(file) && isSecretScanFile(file, this.config.review.secrets.files));
+            secretFiles.forEach(file => this.secretsOnly.add(file));
+            codeFiles.push(...secretFiles);
         } catch (error) {
             console.warn('Error reading code files:', error.message);
         }
 
-        console.log(chalk.green(`📁 Trovati ${codeFiles.length} file di codice:`));
-        codeFiles.forEach(file => {
+        console.log(chalk.green(`📁 Trovati ${codeFiles.length} file di codice${this.onProgress ? '' : ':'}`));
+        (this.onProgress ? [] : codeFiles).forEach(file => {
             const ext = path.extname(file);
             const icon = this.getFileIcon(ext);
             console.log(`   ${icon} ${chalk.gray(file)}`);
@@ -87,269 +317,290 @@ class CodeReviewExpert {
         return icons[extension] || '📄';
     }
 
-    async walkDirectory(dir, exclude = []) {
-        const files = [];
-        
-        try {
-            const entries = await fs.readdir(dir, { withFileTypes: true });
-            
-            for (const entry of entries) {
-                const fullPath = path.join(dir, entry.name);
-                
-                if (entry.isDirectory() && !exclude.includes(entry.name) && !entry.name.startsWith('.')) {
-                    files.push(...await this.walkDirectory(fullPath, exclude));
-                } else if (entry.isFile()) {
-                    files.push(fullPath);
-                }
-            }
-        } catch (error) {
-            // Skip directories that can't be read
+    // Read a file as it is in the review scope: the index for staged reviews,
+    // the head commit for ranges, the working tree otherwise
+    async readSource(file, scope) {
+        if (scope && scope.contentRef !== null) {
+            return git(['show', `${scope.contentRef}:./${file}`]);
         }
-        
-        return files;
+        return await fs.readFile(file, 'utf8');
     }
 
-    async analyzeFiles(codeFiles) {
-        const analysis = [];
+    // Read the files of the review (skipping those over review.maxFileSize and binary ones),
+    // take the findings of unchanged files from the cache and run the static checks of the
+    // others, on a pool of worker threads when there are enough of them
+    async analyzeFiles(codeFiles, scope = null, rules = this.loadRules()) {
+        const analysis = new Map();
+        const pending = [];
+        const skipped = [];
+        const maxSize = this.config.review.maxFileSize;
+        const sizes = this.getFileSizes(codeFiles, scope);
 
         console.log(chalk.blue('📊 Iniziando analisi dei file...'));
 
-        for (let i = 0; i < codeFiles.length; i++) {
-            const file = codeFiles[i];
-            const progress = `(${i + 1}/${codeFiles.length})`;
-            const ext = path.extname(file);
-            const icon = this.getFileIcon(ext);
-            
-            console.log(`   ${icon} ${chalk.cyan(progress)} Analizzando ${chalk.yellow(path.basename(file))}...`);
-            
-            try {
-                const content = await fs.readFile(file, 'utf8');
-                const fileAnalysis = {
-                    file,
-                    content,
-                    lines: content.split('\n'),
-                    size: content.length,
-                    issues: []
-                };
-
-                // Basic static analysis
-                fileAnalysis.issues.push(...this.checkCommonIssues(content, file));
-                fileAnalysis.issues.push(...this.checkSecurity(content, file));
-                fileAnalysis.issues.push(...this.checkPerformance(content, file));
-                fileAnalysis.issues.push(...this.checkMaintainability(content, file));
-
-                const issueCount = fileAnalysis.issues.length;
-                if (issueCount > 0) {
-                    console.log(`     ${chalk.red('⚠️')} ${issueCount} problemi trovati`);
-                } else {
-                    console.log(`     ${chalk.green('✅')} Nessun problema rilevato`);
-                }
+        const bar = this.onProgress ? null : new ProgressBar({ total: codeFiles.length, label: 'Analisi', enabled: !this.ci });
+        let done = 0;
+        const tick = file => {
+            done++;
+            if (this.onProgress) {
+                this.onProgress(done, codeFiles.length, file);
+            } else {
+                bar.update(done, file);
+            }
+        };
+        const skip = (file, reason, details = {}) => {
+            skipped.push({ file, reason, ...details });
+            tick(file);
+        };
+
+        for (const file of codeFiles) {
+            // Large files are skipped before they are read
+            if (sizes.get(file) > maxSize) {
+                skip(file, 'size', { size: sizes.get(file) });
+                continue;
+            }
 
-                analysis.push(fileAnalysis);
+            let content;
+            try {
+                content = await this.readSource(file, scope);
             } catch (error) {
-                console.log(`     ${chalk.red('❌')} Errore durante la lettura: ${error.message}`);
+                skip(file, 'error', { message: error.message });
+                continue;
+            }
+            const size = Buffer.byteLength(content, 'utf8');
+            if (size > maxSize) {
+                skip(file, 'size', { size });
+                continue;
+            }
+            if (isBinaryContent(content)) {
+                skip(file, 'binary', { size });
+                continue;
+            }
+
+            const fileAnalysis = {
+                file,
+                content,
+                lines: content.split('\n'),
+                size: content.length,
+                issues: []
+            };
+            if (this.secretsOnly.has(file)) {
+                fileAnalysis.secretsOnly = true;
+            }
+            analysis.set(file, fileAnalysis);
+
+            const cached = this.cache ? this.cache.get('findings', this.getFindingsKey(file, content)) : undefined;
+            if (cached) {
+                fileAnalysis.issues = cached.issues;
+                if (cached.imports) {
+                    this.imports.set(file, cached.imports);
+                }
+                tick(file);
+            } else {
+                pending.push(fileAnalysis);
             }
         }
 
+        const failed = await this.checkFiles(pending, rules, tick);
+        failed.forEach(({ file, message }) => {
+            analysis.delete(file);
+            skipped.push({ file, reason: 'error', message });
+        });
+
+        if (bar) {
+            bar.stop();
+        }
+        if (this.cache && this.cache.hits.findings > 0) {
+            console.log(chalk.gray(`   ♻️  ${this.cache.hits.findings} file invariati, risultati dalla cache`));
+        }
+        this.reportSkippedFiles(skipped, maxSize);
         console.log('');
-        return analysis;
-    }
 
-    checkCommonIssues(content, file) {
-        const issues = [];
-        const lines = content.split('\n');
+        this.skippedFiles = skipped;
+        // In the order the files were found, whichever finished first
+        return codeFiles.filter(file => analysis.has(file)).map(file => analysis.get(file));
+    }
 
-        // Check for console.log statements
-        lines.forEach((line, index) => {
-            if (line.includes('console.log') && !line.trim().startsWith('//')) {
-                issues.push({
-                    type: 'warning',
-                    category: 'Debug Code',
-                    line: index + 1,
-                    message: 'Console.log statement found - consider removing for production',
-                    severity: 'low'
-                });
+    // Run checkFile() on files not found in the cache, on worker threads when the files are
+    // enough to pay for starting them, and cache the results. Returns the files that failed.
+    async checkFiles(pending, rules, tick) {
+        const failed = [];
+        const record = (fileAnalysis, issues, imports) => {
+            fileAnalysis.issues = issues;
+            if (imports) {
+                this.imports.set(fileAnalysis.file, imports);
             }
-        });
+            if (this.cache) {
+                this.cache.set('findings', this.getFindingsKey(fileAnalysis.file, fileAnalysis.content), { issues, imports: imports || null });
+            }
+            tick(fileAnalysis.file);
+        };
 
-        // Check for TODO comments
-        lines.forEach((line, index) => {
-            if (line.includes('TODO') || line.includes('FIXME')) {
-                issues.push({
-                    type: 'info',
-                    category: 'TODO/FIXME',
-                    line: index + 1,
-                    message: 'TODO or FIXME comment found',
-                    severity: 'info'
-                });
+        const workers = this.getWorkerCount(pending.length);
+        let pool = null;
+        if (workers > 1) {
+            try {
+                pool = new WorkerPool(ANALYSIS_WORKER, workers, { config: this.config, secretsOnly: [...this.secretsOnly] });
+            } catch (error) {
+                // A JavaScript config file exporting functions can't be sent to the workers
+                console.warn(chalk.yellow(`   ⚠️  Analisi parallela non disponibile (${error.message}), analisi in sequenza`));
             }
-        });
+        }
 
-        // Check for long functions (> 50 lines)
-        const functionRegex = /function\s+\w+|const\s+\w+\s*=\s*\(|^\s*\w+\s*:\s*function|class\s+\w+/g;
-        let currentFunction = null;
-        let functionStartLine = 0;
-        let braceCount = 0;
-
-        lines.forEach((line, index) => {
-            if (functionRegex.test(line)) {
-                currentFunction = line.trim();
-                functionStartLine = index + 1;
-                braceCount = 0;
+        if (pool) {
+            try {
+                await Promise.all(pending.map(async fileAnalysis => {
+                    try {
+                        const { issues, imports } = await pool.run({ file: fileAnalysis.file, content: fileAnalysis.content });
+                        record(fileAnalysis, issues, imports);
+                    } catch (error) {
+                        failed.push({ file: fileAnalysis.file, message: error.message });
+                        tick(fileAnalysis.file);
+                    }
+                }));
+            } finally {
+                await pool.close();
             }
+            return failed;
+        }
 
-            if (currentFunction) {
-                braceCount += (line.match(/\{/g) || []).length;
-                braceCount -= (line.match(/\}/g) || []).length;
-
-                if (braceCount === 0 && (index - functionStartLine + 1) > 50) {
-                    issues.push({
-                        type: 'warning',
-                        category: 'Code Complexity',
-                        line: functionStartLine,
-                        message: `Function is too long (${index - functionStartLine + 1} lines). Consider breaking it down.`,
-                        severity: 'medium'
-                    });
-                    currentFunction = null;
-                }
+        for (const fileAnalysis of pending) {
+            try {
+                const issues = this.checkFile(fileAnalysis.content, fileAnalysis.file, rules);
+                record(fileAnalysis, issues, this.imports.get(fileAnalysis.file));
+            } catch (error) {
+                failed.push({ file: fileAnalysis.file, message: error.message });
+                tick(fileAnalysis.file);
             }
-        });
+        }
+        return failed;
+    }
 
-        return issues;
+    // Unchanged content under the same rules gives the same findings, see src/review/cache.js
+    getFindingsKey(file, content) {
+        return [file, blobHash(content), this.secretsOnly.has(file)];
     }
 
-    checkSecurity(content, file) {
-        const issues = [];
-        const lines = content.split('\n');
+    // Workers for the files to analyze: --concurrency or review.concurrency, "auto" leaving a
+    // core to the main thread, and never more than one per MIN_FILES_PER_WORKER files
+    getWorkerCount(files) {
+        const configured = this.concurrency || this.config.review.concurrency;
+        const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+        const concurrency = configured === 'auto' ? cores - 1 : Number(configured);
+        if (!Number.isInteger(concurrency) || concurrency < 0) {
+            throw new Error(`--concurrency expects a number of workers or "auto", got "${configured}"`);
+        }
+        return Math.min(concurrency, Math.floor(files / MIN_FILES_PER_WORKER));
+    }
 
-        // Check for hardcoded secrets
-        const secretPatterns = [
-            /password\s*[=:]\s*["'][^"']+["']/i,
-            /api[_-]?key\s*[=:]\s*["'][^"']+["']/i,
-            /secret\s*[=:]\s*["'][^"']+["']/i,
-            /token\s*[=:]\s*["'][^"']+["']/i
-        ];
+    // Size of each file without reading it: from the file system, or from the objects git
+    // stores for staged and range reviews. Files missing from the map are measured once read.
+    getFileSizes(files, scope) {
+        const sizes = new Map();
+        if (files.length === 0) {
+            return sizes;
+        }
 
-        lines.forEach((line, index) => {
-            secretPatterns.forEach(pattern => {
-                if (pattern.test(line) && !line.includes('process.env')) {
-                    issues.push({
-                        type: 'error',
-                        category: 'Security',
-                        line: index + 1,
-                        message: 'Possible hardcoded secret detected. Use environment variables instead.',
-                        severity: 'high'
-                    });
+        if (scope && scope.contentRef !== null) {
+            const input = files.map(file => `${scope.contentRef}:./${file}`).join('\n');
+            let output = '';
+            try {
+                output = git(['cat-file', '--batch-check'], { input, stdio: ['pipe', 'pipe', 'pipe'] });
+            } catch (error) {
+                // Sizes are checked once the files are read
+            }
+            output.split('\n').forEach((line, index) => {
+                const match = line.match(/ blob (\d+)$/);
+                if (match) {
+                    sizes.set(files[index], Number(match[1]));
                 }
             });
-        });
-
-        // Check for eval usage
-        if (content.includes('eval(')) {
-            issues.push({
-                type: 'error',
-                category: 'Security',
-                line: content.split('\n').findIndex(line => line.includes('eval(')) + 1,
-                message: 'Use of eval() is dangerous and should be avoided',
-                severity: 'high'
-            });
+            return sizes;
         }
 
-        return issues;
+        files.forEach(file => {
+            try {
+                sizes.set(file, fs.statSync(file).size);
+            } catch (error) {
+                // Reading it reports the error
+            }
+        });
+        return sizes;
     }
 
-    checkPerformance(content, file) {
-        const issues = [];
-        const lines = content.split('\n');
+    reportSkippedFiles(skipped, maxSize) {
+        if (skipped.length === 0) {
+            return;
+        }
 
-        // Check for synchronous file operations
-        const syncMethods = ['readFileSync', 'writeFileSync', 'existsSync'];
-        lines.forEach((line, index) => {
-            syncMethods.forEach(method => {
-                if (line.includes(method) && !line.trim().startsWith('//')) {
-                    issues.push({
-                        type: 'warning',
-                        category: 'Performance',
-                        line: index + 1,
-                        message: `Synchronous ${method} call may block the event loop. Consider using async version.`,
-                        severity: 'medium'
-                    });
-                }
-            });
+        const reasons = {
+            size: entry => `${formatFileSize(entry.size)}, oltre il limite di ${formatFileSize(maxSize)}`,
+            binary: () => 'file binario',
+            error: entry => `errore: ${entry.message}`
+        };
+        console.log(chalk.yellow(`⏭️  ${skipped.length} file non analizzati:`));
+        skipped.slice(0, MAX_SKIPPED_LISTED).forEach(entry => {
+            console.log(`   ${chalk.gray(entry.file)} (${reasons[entry.reason](entry)})`);
         });
+        if (skipped.length > MAX_SKIPPED_LISTED) {
+            console.log(chalk.gray(`   ... e altri ${skipped.length - MAX_SKIPPED_LISTED}`));
+        }
+    }
 
-        // Check for nested loops
-        let loopDepth = 0;
-        lines.forEach((line, index) => {
-            if (line.includes('for ') || line.includes('while ') || line.includes('forEach')) {
-                loopDepth++;
-                if (loopDepth > 2) {
-                    issues.push({
-                        type: 'warning',
-                        category: 'Performance',
-                        line: index + 1,
-                        message: 'Deeply nested loops detected. Consider optimizing algorithm complexity.',
-                        severity: 'medium'
-                    });
-                }
-            }
-            if (line.includes('}')) {
-                loopDepth = Math.max(0, loopDepth - 1);
-            }
-        });
+    // Text rules (secret scanning) run on every file. JavaScript and TypeScript go
+    // through the AST rules; Python, Go, Java, Rust and C/C++ through the rules
+    // supporting their language. Other files and configuration files get text rules only,
+    // and a source the parser can't recover from gets a single parse-error finding.
+    checkFile(content, file, rules) {
+        const enabled = rules.filter(rule => rule.enabled);
+        const textIssues = runTextRules(enabled.filter(rule => rule.text), file, content, this.root);
 
-        return issues;
-    }
+        if (this.secretsOnly.has(file)) {
+            return textIssues;
+        }
 
-    checkMaintainability(content, file) {
-        const issues = [];
-        const lines = content.split('\n');
+        const language = getLanguage(file);
+        if (language) {
+            const languageRules = enabled.filter(rule => !rule.text && !rule.project && supportsLanguage(rule, language.id));
+            return [...runLanguageRules(languageRules, file, content, this.root, language), ...textIssues]
+                .sort((a, b) => a.line - b.line);
+        }
 
-        // Check for magic numbers
-        lines.forEach((line, index) => {
-            const numbers = line.match(/\b(\d{2,})\b/g);
-            if (numbers && !line.trim().startsWith('//')) {
-                numbers.forEach(num => {
-                    if (parseInt(num) > 1 && parseInt(num) !== 100 && parseInt(num) !== 1000) {
-                        issues.push({
-                            type: 'info',
-                            category: 'Maintainability',
-                            line: index + 1,
-                            message: `Magic number ${num} found. Consider using a named constant.`,
-                            severity: 'low'
-                        });
-                    }
-                });
+        if (isJavaScriptFile(file)) {
+            try {
+                const astRules = enabled.filter(rule => !rule.text && !rule.project && supportsLanguage(rule, 'javascript'));
+                const { issues, ast } = runRules(astRules, file, content, this.root);
+                this.imports.set(file, collectImports(ast));
+                return [...issues, ...textIssues].sort((a, b) => a.line - b.line);
+            } catch (error) {
+                console.log(`     ${chalk.yellow('⚠️')} Parsing non riuscito: ${error.message}`);
+                return [this.createParseErrorIssue(error, content, file), ...textIssues].sort((a, b) => a.line - b.line);
             }
-        });
+        }
 
-        // Check for long parameter lists
-        const functionRegex = /function\s*\([^)]+\)|\([^)]+\)\s*=>/g;
-        lines.forEach((line, index) => {
-            const matches = line.match(functionRegex);
-            if (matches) {
-                matches.forEach(match => {
-                    const params = match.split(',').length;
-                    if (params > 4) {
-                        issues.push({
-                            type: 'warning',
-                            category: 'Maintainability',
-                            line: index + 1,
-                            message: `Function has ${params} parameters. Consider using an options object.`,
-                            severity: 'low'
-                        });
-                    }
-                });
-            }
-        });
+        return textIssues;
+    }
 
-        return issues;
+    // A file the parser gives up on is not reviewed at all, which the report must say
+    createParseErrorIssue(error, content, file) {
+        const loc = error.loc || { line: 1, column: 0 };
+        return createIssue({
+            ruleId: 'parse-error',
+            severity: 'medium',
+            category: 'Review Engine',
+            message: `File could not be parsed and was not reviewed: ${error.message}`,
+            file,
+            line: loc.line,
+            column: loc.column + 1
+        }, content.split('\n'));
     }
 
-    async identifyIssues(analysis, rules) {
+    async identifyIssues(analysis, rules, options = {}) {
         const allIssues = [];
 
         analysis.forEach(fileAnalysis => {
+            // Diff-scoped reviews only report what the change touched
+            fileAnalysis.issues = this.filterChangedLines(fileAnalysis.issues, fileAnalysis.file, options.changes);
             fileAnalysis.issues.forEach(issue => {
                 allIssues.push({
                     ...issue,
@@ -357,27 +608,319 @@ class CodeReviewExpert {
                 });
             });
         });
+        (options.projectIssues || []).forEach(issue => {
+            if (this.filterChangedLines([issue], issue.file, options.changes).length > 0) {
+                allIssues.push(issue);
+            }
+        });
+        // History findings are about past commits, whatever the diff scope
+        allIssues.push(...(options.historyIssues || []));
+
+        const aiIssues = await this.requestReview(analysis, rules, allIssues, options);
+        aiIssues.forEach(issue => {
+            if (this.filterChangedLines([issue], issue.file, options.changes).length === 0) {
+                return;
+            }
+            const duplicate = allIssues.some(existing =>
+                existing.file === issue.file &&
+                existing.line === issue.line &&
+                existing.category === issue.category
+            );
+            if (!duplicate) {
+                allIssues.push(issue);
+            }
+        });
 
-        // Sort by severity
-        const severityOrder = { high: 0, medium: 1, low: 2, info: 3 };
-        allIssues.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+        const { issues: reported, suppressed, known, baselinePath } = this.applyIgnores(allIssues, analysis, options);
+
+        sortIssues(reported);
 
         // Show summary
         const totalFiles = analysis.length;
-        const filesWithIssues = analysis.filter(f => f.issues.length > 0).length;
-        const stats = this.getStats(allIssues);
+        const filesWithIssues = new Set(reported.map(issue => issue.file)).size;
+        const stats = this.getStats(reported);
         
         console.log(chalk.blue('📋 Riepilogo analisi:'));
         console.log(`   📁 File analizzati: ${chalk.cyan(totalFiles)}`);
         console.log(`   ⚠️  File con problemi: ${chalk.yellow(filesWithIssues)}`);
-        console.log(`   🔴 Problemi critici: ${chalk.red(stats.high)}`);
-        console.log(`   🟡 Problemi medi: ${chalk.yellow(stats.medium)}`);
-        console.log(`   🟢 Problemi minori: ${chalk.green(stats.low)}`);
-        console.log(`   ℹ️  Note informative: ${chalk.blue(stats.info)}`);
+        console.log(`   ${SEVERITY_ICONS.critical} Problemi critici: ${chalk.red(stats.critical)}`);
+        console.log(`   ${SEVERITY_ICONS.high} Problemi gravi: ${chalk.red(stats.high)}`);
+        console.log(`   ${SEVERITY_ICONS.medium} Problemi medi: ${chalk.yellow(stats.medium)}`);
+        console.log(`   ${SEVERITY_ICONS.low} Problemi minori: ${chalk.green(stats.low)}`);
+        console.log(`   ${SEVERITY_ICONS.info} Note informative: ${chalk.blue(stats.info)}`);
         console.log(`   📊 Totale problemi: ${chalk.magenta(stats.total)}`);
         console.log('');
 
-        return allIssues;
+        return { issues: reported, suppressed, known, baselinePath };
+    }
+
+    // Drop findings silenced by git-copilot-disable comments, then those recorded in the
+    // baseline; with --update-baseline the remaining findings become the new baseline
+    applyIgnores(issues, analysis, options = {}) {
+        const linesByFile = new Map(analysis.map(fileAnalysis => [fileAnalysis.file, fileAnalysis.lines]));
+        // History findings point at past commits and lockfiles are not analyzed: there are
+        // no comments to silence them, and their fingerprint uses the line they were found on
+        const unsilenced = issue => issue.ruleId === HISTORY_RULE.id || !linesByFile.has(issue.file);
+        const reported = issues.filter(unsilenced);
+        const suppressed = [];
+
+        for (const [file, lines] of linesByFile) {
+            const result = applySuppressions(issues.filter(issue => issue.file === file && !unsilenced(issue)), lines);
+            reported.push(...result.issues);
+            suppressed.push(...result.suppressed);
+        }
+
+        const baselinePath = path.resolve(this.root, this.config.review.baseline);
+        const entries = reported.map(issue => this.baselineEntry(issue, linesByFile.get(issue.file)));
+
+        if (options.updateBaseline) {
+            writeBaseline(baselinePath, entries);
+            return { issues: reported, suppressed, known: [], baselinePath };
+        }
+
+        const baseline = options.baseline === false ? null : readBaseline(baselinePath);
+        if (!baseline) {
+            return { issues: reported, suppressed, known: [], baselinePath: null };
+        }
+
+        const { issues: fresh, known } = filterBaseline(entries, baseline);
+        return { issues: fresh, suppressed, known, baselinePath: null };
+    }
+
+    // Baseline fingerprint of a finding: its file, rule and flagged line. Findings outside the
+    // analyzed files (history, lockfiles) have no lines and use their snippet instead.
+    baselineEntry(issue, lines) {
+        const file = path.relative(this.root, path.resolve(issue.file)).split(path.sep).join('/');
+        const line = lines && issue.ruleId !== HISTORY_RULE.id ? lines[issue.line - 1] : issue.snippet;
+        return { issue, file, fingerprint: fingerprint(issue, file, line) };
+    }
+
+    // Accept findings from the triage UI: they join the baseline and later reviews skip them
+    acceptInBaseline(issues, sources) {
+        const baselinePath = path.resolve(this.root, this.config.review.baseline);
+        appendBaseline(baselinePath, issues.map(issue => {
+            const content = sources.get(issue.file);
+            return this.baselineEntry(issue, content !== undefined ? content.split('\n') : null);
+        }));
+        return baselinePath;
+    }
+
+    // Explanation of a finding for the triage UI: why it matters and how to fix it here
+    async explainIssue(issue, content) {
+        // The function holding the finding, and what is around it as far as the budget goes
+        const { text: excerpt } = this.context.files([{ file: issue.file, content, focus: this.getIssueLines(issue) }],
+            Math.min(EXPLAIN_MAX_TOKENS, this.context.remaining(SYSTEM_PROMPT)), { numbered: true });
+
+        const prompt = `Explain this code review finding to the developer who has to fix it:
+why it is a problem in this code, and how to fix it, with a short code example.
+Answer in a few short paragraphs of plain text.
+
+Finding: ${issue.file}:${issue.line} [${issue.severity}] ${issue.ruleId} (${issue.category}): ${issue.message}
+${issue.fix ? `Suggested fix: ${issue.fix}\n` : ''}
+Code (each line is prefixed with its line number):
+${excerpt}`;
+
+        return (await this.llmClient.ask(SYSTEM_PROMPT, prompt)).trim();
+    }
+
+    getIssueLines(issue) {
+        return Array.from({ length: Math.max(1, issue.endLine - issue.line + 1) }, (_, index) => issue.line + index);
+    }
+
+    filterChangedLines(issues, file, changes) {
+        if (!changes) {
+            return issues;
+        }
+        const changedLines = changes[file] || new Set();
+        return issues.filter(issue => changedLines.has(issue.line));
+    }
+
+    async requestReview(analysis, rules = {}, staticIssues, options = {}) {
+        // Configuration files are never sent to the model: they are where secrets live
+        const reviewed = analysis.filter(fileAnalysis => !fileAnalysis.secretsOnly);
+        if (!this.llmClient || options.ai === false || reviewed.length === 0) {
+            return [];
+        }
+
+        // Files the model already reviewed with the same content, rules and prompt reuse its findings
+        const cacheKey = fileAnalysis => [
+            fileAnalysis.file,
+            blobHash(fileAnalysis.content),
+            `${this.llmClient.name}:${this.llmClient.model}`,
+            hash(rules.readme || '', rules.kb || ''),
+            options.changes ? formatLineRanges(options.changes[fileAnalysis.file] || []) : null
+        ];
+        const cachedIssues = [];
+        const pending = reviewed.filter(fileAnalysis => {
+            const cached = this.cache ? this.cache.get('ai', cacheKey(fileAnalysis)) : undefined;
+            if (cached) {
+                cachedIssues.push(...cached);
+            }
+            return !cached;
+        });
+        if (pending.length === 0) {
+            console.log(chalk.gray('♻️  Revisione AI invariata, risultati dalla cache'));
+            return cachedIssues;
+        }
+
+        const reused = reviewed.length - pending.length;
+        console.log(chalk.blue(`🤖 Richiesta revisione AI${reused > 0 ? ` (${reused} file dalla cache)` : ''}...`));
+
+        const scopeNote = options.changes
+            ? '\nOnly report issues on the changed lines listed for each file; the rest is context.\n'
+            : '';
+        const rulesRoom = Math.floor(this.context.budget * RULES_SHARE);
+        const readme = this.context.text(rules.readme, rulesRoom) || '(none)';
+        const kb = this.context.text(rules.kb, rulesRoom) || '(none)';
+
+        const buildPrompt = (findings, sources, related) => `Review the following source files.
+
+Project rules from README.md:
+${readme}
+
+Project rules from KB.md:
+${kb}
+
+Findings already reported by static analysis (do not repeat them):
+${findings || '(none)'}
+
+Files (each line is prefixed with its line number, "... (lines a-b omitted)" marks parts left out):${scopeNote}
+${sources}
+${related ? `\nRelated files, for context only (do not report issues in them):\n${related}\n` : ''}
+Reply with a single JSON object of the form
+{"issues": [{"file": "<path as given>", "line": <number>, "endLine": <number>,
+"severity": "${SEVERITIES.join('|')}", "category": "<short category>", "message": "<actionable explanation>",
+"fix": "<suggested change>", "confidence": <0 to 1>}]}.`;
+
+        // Files with the most changed lines first; their chunks around the changes come first
+        const changedCount = fileAnalysis => (options.changes ? (options.changes[fileAnalysis.file] || new Set()).size : 0);
+        const entries = [...pending]
+            .sort((a, b) => changedCount(b) - changedCount(a))
+            .map(fileAnalysis => ({
+                file: fileAnalysis.file,
+                content: fileAnalysis.content,
+                focus: options.changes ? options.changes[fileAnalysis.file] : undefined,
+                header: options.changes ? `Changed lines: ${formatLineRanges(options.changes[fileAnalysis.file] || [])}` : ''
+            }));
+        const related = this.readRelatedFiles(entries, reviewed);
+
+        const filesRoom = this.context.remaining(SYSTEM_PROMPT, buildPrompt('', '', '')) - rulesRoom;
+        const packed = this.context.files(entries, related.length > 0 ? Math.floor(filesRoom * (1 - RELATED_SHARE)) : filesRoom, { numbered: true });
+        const relatedPacked = this.context.files(related, filesRoom - this.context.count(packed.text));
+        if (packed.omitted.length > 0) {
+            console.log(chalk.yellow(`⚠️  ${packed.omitted.length} file esclusi dalla revisione AI per il limite di contesto (context.maxTokens)`));
+        }
+
+        const sent = pending.filter(fileAnalysis => packed.included.some(entry => entry.file === fileAnalysis.file));
+        const sentFiles = new Set(sent.map(fileAnalysis => fileAnalysis.file));
+        const findings = staticIssues
+            .filter(issue => sentFiles.has(issue.file))
+            .map(issue => `${issue.file}:${issue.line} [${issue.severity}] ${issue.category}: ${issue.message}`)
+            .join('\n');
+        const prompt = buildPrompt(this.context.text(findings, rulesRoom), packed.text, relatedPacked.text);
+
+        try {
+            const response = await this.llmClient.askJson(SYSTEM_PROMPT, prompt);
+            const issues = this.normalizeAIIssues(response.issues, sent);
+            if (this.cache) {
+                sent.forEach(fileAnalysis => this.cache.set('ai', cacheKey(fileAnalysis),
+                    issues.filter(issue => issue.file === fileAnalysis.file)));
+            }
+            return [...cachedIssues, ...issues];
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  Revisione AI non disponibile (${error.message}), uso modalità base`));
+            return cachedIssues;
+        }
+    }
+
+    // Local modules the reviewed files import and their tests, sent to the model as context.
+    // Only JavaScript and TypeScript modules are followed, never configuration files.
+    readRelatedFiles(entries, reviewed) {
+        const reviewedFiles = new Set(reviewed.map(fileAnalysis => path.normalize(fileAnalysis.file)));
+        return findRelatedFiles(entries, reviewedFiles)
+            .slice(0, MAX_RELATED_FILES)
+            .flatMap(file => {
+                try {
+                    const content = fs.readFileSync(file, 'utf8');
+                    return isBinaryContent(content) ? [] : [{ file, content }];
+                } catch (error) {
+                    return [];
+                }
+            });
+    }
+
+    // Ask the model for a patch of one file fixing the given findings. The model replaces
+    // line ranges; the patched content is returned for the user to accept or reject.
+    async proposePatch(file, content, issues) {
+        if (!this.llmClient) {
+            return null;
+        }
+
+        const lines = content.split('\n');
+        const findings = issues
+            .map(issue => `${issue.line}-${issue.endLine} [${issue.severity}] ${issue.ruleId}: ${issue.message}${issue.fix ? ` (fix: ${issue.fix})` : ''}`)
+            .join('\n');
+
+        const buildPrompt = code => `Fix these findings in ${file}, changing as little code as possible:
+${findings}
+
+File (each line is prefixed with its line number, "... (lines a-b omitted)" marks parts left out):
+${code}
+
+Reply with a single JSON object of the form
+{"patches": [{"line": <first line replaced>, "endLine": <last line replaced>,
+"replacement": "<new source for those lines, without line numbers>"}]}.
+Patches must not overlap and may only change lines shown. Leave out findings you can't fix safely.`;
+
+        const packed = this.context.files([{ file, content, focus: issues.flatMap(issue => this.getIssueLines(issue)) }],
+            this.context.remaining(SYSTEM_PROMPT, buildPrompt('')), { numbered: true });
+        const shown = packed.shown.get(file);
+        if (!shown) {
+            return null;
+        }
+
+        const response = await this.llmClient.askJson(SYSTEM_PROMPT, buildPrompt(packed.text));
+        const patches = (Array.isArray(response.patches) ? response.patches : []).filter(patch =>
+            Number.isInteger(patch.line) && Number.isInteger(patch.endLine) && typeof patch.replacement === 'string' &&
+            patch.line >= 1 && patch.endLine >= patch.line - 1 && patch.endLine <= lines.length &&
+            // The model can't safely rewrite lines it hasn't seen
+            shown.some(([from, to]) => patch.line >= from && patch.endLine <= to));
+        if (patches.length === 0) {
+            return null;
+        }
+
+        // Line ranges become character ranges; endLine = line - 1 inserts before the line
+        const offsets = [0];
+        lines.forEach(line => offsets.push(offsets[offsets.length - 1] + line.length + 1));
+        const edits = patches.map(patch => [{
+            range: [offsets[patch.line - 1], Math.min(offsets[patch.endLine], content.length)],
+            text: patch.replacement.replace(/\n?$/, patch.endLine === lines.length && !content.endsWith('\n') ? '' : '\n')
+        }]);
+        const result = applyEdits(content, edits);
+        return result.content === content ? null : result.content;
+    }
+
+    normalizeAIIssues(issues, analysis) {
+        if (!Array.isArray(issues)) {
+            return [];
+        }
+
+        const linesByFile = new Map(analysis.map(fileAnalysis => [fileAnalysis.file, fileAnalysis.lines]));
+
+        return issues
+            .filter(issue => issue && linesByFile.has(issue.file) && issue.message)
+            .map(issue => createIssue({
+                ruleId: 'ai-review',
+                severity: issue.severity,
+                category: issue.category || 'AI Review',
+                message: issue.message,
+                file: issue.file,
+                line: issue.line,
+                endLine: issue.endLine,
+                fix: issue.fix,
+                confidence: issue.confidence !== undefined ? issue.confidence : AI_REVIEW_CONFIDENCE,
+                source: 'ai'
+            }, linesByFile.get(issue.file)));
     }
 
     generateReport(issues) {
@@ -390,17 +933,10 @@ Total issues found: ${issues.length}
 
 `;
 
-        // Group by severity
-        const bySeverity = issues.reduce((acc, issue) => {
-            acc[issue.severity] = (acc[issue.severity] || 0) + 1;
-            return acc;
-        }, {});
+        const bySeverity = countBySeverity(issues);
 
         report += `### Issues by Severity
-- 🔴 High: ${bySeverity.high || 0}
-- 🟡 Medium: ${bySeverity.medium || 0}
-- 🟢 Low: ${bySeverity.low || 0}
-- ℹ️ Info: ${bySeverity.info || 0}
+${SEVERITIES.map(severity => `- ${SEVERITY_ICONS[severity]} ${SEVERITY_LABELS[severity]}: ${bySeverity[severity]}`).join('\n')}
 
 `;
 
@@ -420,27 +956,31 @@ Total issues found: ${issues.length}
 
 `;
             categoryIssues.forEach(issue => {
-                const severityIcon = {
-                    high: '🔴',
-                    medium: '🟡', 
-                    low: '🟢',
-                    info: 'ℹ️'
-                }[issue.severity];
-
-                report += `${severityIcon} **${path.basename(issue.file)}:${issue.line}**
+                report += `${SEVERITY_ICONS[issue.severity]} **${path.basename(issue.file)}:${issue.line}** \`${issue.ruleId}\`
 ${issue.message}
-
+${issue.fix ? `Fix: ${issue.fix}\n` : ''}
 `;
             });
             report += `
 `;
         });
 
+        if (this.skippedFiles.length > 0) {
+            const reasons = { size: 'too large', binary: 'binary', error: 'unreadable' };
+            report += `## Skipped Files
+
+Not reviewed: larger than ${formatFileSize(this.config.review.maxFileSize)} (\`review.maxFileSize\`), binary or unreadable.
+
+${this.skippedFiles.map(entry => `- \`${entry.file}\` - ${reasons[entry.reason]}${entry.size !== undefined ? ` (${formatFileSize(entry.size)})` : ''}`).join('\n')}
+
+`;
+        }
+
         report += `## Recommendations
 
 ### High Priority Fixes
 `;
-        issues.filter(i => i.severity === 'high').slice(0, 5).forEach(issue => {
+        issues.filter(i => i.severity === 'critical' || i.severity === 'high').slice(0, 5).forEach(issue => {
             report += `1. **${path.basename(issue.file)}:${issue.line}** - ${issue.message}
 `;
         });
@@ -465,22 +1005,15 @@ ${issue.message}
     }
 
     generateSummary(issues) {
-        const total = issues.length;
-        const high = issues.filter(i => i.severity === 'high').length;
-        const medium = issues.filter(i => i.severity === 'medium').length;
+        const { total, critical, high, medium } = countBySeverity(issues);
 
-        return `Found ${total} issues: ${high} high, ${medium} medium priority`;
+        return `Found ${total} issues: ${critical} critical, ${high} high, ${medium} medium priority`;
     }
 
     getStats(issues) {
-        return {
-            total: issues.length,
-            high: issues.filter(i => i.severity === 'high').length,
-            medium: issues.filter(i => i.severity === 'medium').length,
-            low: issues.filter(i => i.severity === 'low').length,
-            info: issues.filter(i => i.severity === 'info').length
-        };
+        return countBySeverity(issues);
     }
 }
 
-module.exports = new CodeReviewExpert();
\ No newline at end of file
+module.exports = new CodeReviewExpert();
+module.exports.CodeReviewExpert = CodeReviewExpert;
\ No newline at end of file
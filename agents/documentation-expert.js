@@ -1,32 +1,69 @@
 const fs = require('fs-extra');
 const path = require('path');
+const chalk = require('chalk');
+const { createLLMClient } = require('../src/utils/llm-client');
+const { loadConfig } = require('../src/config');
+const { readDocumentationRules } = require('../src/utils/documentation-rules');
+const { discoverFiles } = require('../src/utils/file-discovery');
+const { ContextBuilder } = require('../src/context');
+
+const SYSTEM_PROMPT = `You are an expert technical writer and documentation specialist.
+You create comprehensive, clear, and well-structured documentation for software projects.
+You understand README files, API documentation, code comments, and knowledge bases.
+You follow documentation best practices and create user-friendly guides.`;
+
+// Shares of the prompt budget: each set of documentation rules, and the existing documentation
+const RULES_SHARE = 0.1;
+const DOCS_SHARE = 0.3;
+// Source files read for the prompt at most; the budget usually holds fewer
+const MAX_SOURCE_FILES = 200;
+
+const DOC_TYPES = {
+    readme: ['README.md'],
+    api: ['API.md'],
+    changelog: ['CHANGELOG.md'],
+    all: null
+};
 
 class DocumentationExpert {
-    constructor() {
-        this.openrouterAgent = null;
-        this.initializeAgent();
+    constructor(options = {}) {
+        this.options = options;
+        // Configuration, model client and context builder, see getSettings()
+        this.settings = null;
     }
 
-    async initializeAgent() {
-        try {
-            const { createAgent } = require('openrouter-agents');
-            this.openrouterAgent = createAgent({
-                name: 'documentation-expert',
-                model: 'anthropic/claude-3.5-sonnet',
-                systemPrompt: `You are an expert technical writer and documentation specialist. 
-                You create comprehensive, clear, and well-structured documentation for software projects.
-                You understand README files, API documentation, code comments, and knowledge bases.
-                You follow documentation best practices and create user-friendly guides.`
-            });
-        } catch (error) {
-            console.warn('OpenRouter agent not available, using fallback mode');
+    initializeAgent(options = {}) {
+        const config = options.config || loadConfig().config;
+        const llmClient = createLLMClient('documentation-expert', options, config);
+        this.settings = { config, llmClient, context: new ContextBuilder(llmClient, config.context) };
+    }
+
+    // Resolved on first use rather than in the constructor: the shared instance exported
+    // below is created when the module is required, before the CLI can report an invalid
+    // configuration file
+    getSettings() {
+        if (!this.settings) {
+            this.initializeAgent(this.options);
         }
+        return this.settings;
+    }
+
+    get config() {
+        return this.getSettings().config;
+    }
+
+    get llmClient() {
+        return this.getSettings().llmClient;
+    }
+
+    get context() {
+        return this.getSettings().context;
     }
 
-    async generateDocumentation(rules) {
+    async generateDocumentation(rules, options = {}) {
         try {
             const projectInfo = await this.analyzeProject();
-            const documentation = await this.createDocumentation(projectInfo, rules);
+            const documentation = await this.buildDocumentation(projectInfo, rules, options);
             
             // Save documentation files
             await this.saveDocumentation(documentation);
@@ -37,6 +74,50 @@ class DocumentationExpert {
         }
     }
 
+    async createDocumentation(options = {}) {
+        const type = options.type || 'all';
+
+        if (!Object.prototype.hasOwnProperty.call(DOC_TYPES, type)) {
+            return {
+                success: false,
+                error: `Unknown documentation type "${type}". Use one of: ${Object.keys(DOC_TYPES).join(', ')}`
+            };
+        }
+
+        try {
+            const projectInfo = await this.analyzeProject();
+            const rules = options.rules || readDocumentationRules();
+            const documentation = await this.buildDocumentation(projectInfo, rules, {
+                ...options,
+                targets: DOC_TYPES[type]
+            });
+            const files = Object.keys(documentation);
+
+            let existing = 0;
+            for (const file of files) {
+                if (await fs.pathExists(file)) {
+                    existing++;
+                }
+            }
+
+            await this.saveDocumentation(documentation);
+
+            return {
+                success: true,
+                type,
+                action: existing > 0 ? 'updated' : 'created',
+                files,
+                filePath: files.join(', '),
+                content: files.length === 1 ? documentation[files[0]] : null
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: `Documentation generation failed: ${error.message}`
+            };
+        }
+    }
+
     async analyzeProject() {
         const projectInfo = {
             packageJson: await this.readPackageJson(),
@@ -58,63 +139,50 @@ class DocumentationExpert {
         }
     }
 
+    // Top-level entries with the direct children of each directory, as git sees them
     async getFileStructure() {
         try {
+            const files = await discoverFiles({ ...this.config.files });
+            const directories = new Map();
             const structure = [];
-            const files = await fs.readdir('.', { withFileTypes: true });
-            
+
             for (const file of files) {
-                if (file.isDirectory() && !file.name.startsWith('.')) {
-                    structure.push({
-                        name: file.name,
-                        type: 'directory',
-                        files: await this.getDirectoryFiles(file.name)
-                    });
-                } else if (file.isFile()) {
-                    structure.push({
-                        name: file.name,
-                        type: 'file'
-                    });
+                const [name, child] = file.split('/');
+                if (!child) {
+                    structure.push({ name, type: 'file' });
+                    continue;
+                }
+                if (!directories.has(name)) {
+                    const directory = { name, type: 'directory', files: [] };
+                    directories.set(name, directory);
+                    structure.push(directory);
+                }
+                const directory = directories.get(name);
+                if (!directory.files.includes(child)) {
+                    directory.files.push(child);
                 }
             }
-            
-            return structure;
-        } catch (error) {
-            return [];
-        }
-    }
 
-    async getDirectoryFiles(dirPath) {
-        try {
-            const files = await fs.readdir(dirPath);
-            return files.filter(file => !file.startsWith('.'));
+            return structure;
         } catch (error) {
             return [];
         }
     }
 
     async getCodeFiles() {
-        const codeExtensions = ['.js', '.ts', '.py', '.java', '.cpp', '.c', '.go', '.rs'];
-        const codeFiles = [];
-
         try {
-            const files = await fs.readdir('.', { recursive: true });
-            for (const file of files) {
-                if (codeExtensions.some(ext => file.endsWith(ext))) {
-                    codeFiles.push(file);
-                }
-            }
+            return await discoverFiles({
+                ...this.config.files,
+                extensions: this.config.documentation.extensions
+            });
         } catch (error) {
-            // Fallback for older Node.js versions
             return [];
         }
-
-        return codeFiles;
     }
 
     async getExistingDocumentation() {
         const docs = {};
-        const docFiles = ['README.md', 'KB.md', 'CHANGELOG.md', 'API.md'];
+        const docFiles = this.config.documentation.files;
 
         for (const docFile of docFiles) {
             try {
@@ -129,25 +197,117 @@ class DocumentationExpert {
         return docs;
     }
 
-    async createDocumentation(projectInfo, rules) {
+    async buildDocumentation(projectInfo, rules, options = {}) {
         const documentation = {};
+        const generators = {
+            'README.md': () => this.generateReadme(projectInfo),
+            'API.md': () => this.generateApiDoc(projectInfo),
+            'CHANGELOG.md': () => this.generateChangelog(projectInfo)
+        };
 
-        // Generate README.md if it doesn't exist or needs updating
-        if (!projectInfo.existingDocs['README.md']) {
-            documentation['README.md'] = this.generateReadme(projectInfo);
-        }
+        if (options.targets) {
+            // Explicitly requested files are always (re)generated
+            for (const target of options.targets) {
+                documentation[target] = generators[target]();
+            }
+        } else {
+            // Generate README.md if it doesn't exist or needs updating
+            if (!projectInfo.existingDocs['README.md']) {
+                documentation['README.md'] = generators['README.md']();
+            }
 
-        // Generate API documentation if code files exist
-        if (projectInfo.codeFiles.length > 0) {
-            documentation['API.md'] = this.generateApiDoc(projectInfo);
+            // Generate API documentation if code files exist
+            if (projectInfo.codeFiles.length > 0) {
+                documentation['API.md'] = generators['API.md']();
+            }
+
+            // Generate CHANGELOG.md
+            documentation['CHANGELOG.md'] = generators['CHANGELOG.md']();
         }
 
-        // Generate CHANGELOG.md
-        documentation['CHANGELOG.md'] = this.generateChangelog(projectInfo);
+        const aiDocumentation = await this.requestDocumentation(projectInfo, rules, Object.keys(documentation), options);
+        if (aiDocumentation) {
+            for (const filename of Object.keys(documentation)) {
+                if (typeof aiDocumentation[filename] === 'string' && aiDocumentation[filename].trim()) {
+                    documentation[filename] = aiDocumentation[filename];
+                }
+            }
+        }
 
         return documentation;
     }
 
+    async requestDocumentation(projectInfo, rules = {}, targetFiles, options = {}) {
+        if (!this.llmClient || options.ai === false || targetFiles.length === 0) {
+            return null;
+        }
+
+        const rulesRoom = Math.floor(this.context.budget * RULES_SHARE);
+        const readme = this.context.text(rules.readme, rulesRoom) || '(none)';
+        const kb = this.context.text(rules.kb, rulesRoom) || '(none)';
+        const existingDocs = this.context.files(
+            Object.entries(projectInfo.existingDocs).map(([file, content]) => ({ file, content })),
+            Math.floor(this.context.budget * DOCS_SHARE)
+        ).text;
+
+        const buildPrompt = sources => `Write the following documentation files for this project: ${targetFiles.join(', ')}.
+
+package.json:
+${JSON.stringify(projectInfo.packageJson || {}, null, 2)}
+
+Project structure:
+${this.formatFileStructure(projectInfo.fileStructure)}
+
+Documentation rules from README.md:
+${readme}
+
+Documentation rules from KB.md:
+${kb}
+
+Existing documentation:
+${existingDocs || '(none)'}
+
+Source files ("... (lines a-b omitted)" marks parts left out):
+${sources || '(none)'}
+
+Reply with a single JSON object of the form {"files": {"<file name>": "<markdown content>"}}
+containing only the requested files.`;
+
+        const sources = [];
+        for (const file of this.rankSourceFiles(projectInfo).slice(0, MAX_SOURCE_FILES)) {
+            try {
+                sources.push({ file, content: await fs.readFile(file, 'utf8') });
+            } catch (error) {
+                // Skip files that disappeared or can't be read
+            }
+        }
+        const prompt = buildPrompt(this.context.files(sources, this.context.remaining(SYSTEM_PROMPT, buildPrompt(''))).text);
+
+        try {
+            const response = await this.llmClient.askJson(SYSTEM_PROMPT, prompt);
+            return response.files || null;
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  AI documentation unavailable (${error.message}), using fallback mode`));
+            return null;
+        }
+    }
+
+    // Source files in the order they explain the project: the entry points package.json
+    // declares, then index files, then the files nearest to the root
+    rankSourceFiles(projectInfo) {
+        const pkg = projectInfo.packageJson || {};
+        const bin = typeof pkg.bin === 'string' ? [pkg.bin] : Object.values(pkg.bin || {});
+        const entryPoints = new Set([pkg.main, pkg.module, ...bin].filter(Boolean).map(file => path.normalize(file)));
+        const rank = file => {
+            if (entryPoints.has(path.normalize(file))) return 0;
+            if (/^index\.[a-z]+$/.test(path.basename(file))) return 1;
+            return 2;
+        };
+        const depth = file => file.split('/').length;
+
+        return [...projectInfo.codeFiles].sort((a, b) => rank(a) - rank(b) || depth(a) - depth(b));
+    }
+
     generateReadme(projectInfo) {
         const pkg = projectInfo.packageJson;
         const projectName = pkg?.name || 'Project';
@@ -273,12 +433,12 @@ ${this.formatFileStructure(projectInfo.fileStructure)}
         let output = '';
         for (const item of structure) {
             if (item.type === 'directory') {
-                output += `${item.name}/\\n`;
+                output += `${item.name}/\n`;
                 for (const file of item.files) {
-                    output += `  ${file}\\n`;
+                    output += `  ${file}\n`;
                 }
             } else {
-                output += `${item.name}\\n`;
+                output += `${item.name}\n`;
             }
         }
         return output;
@@ -350,4 +510,5 @@ ${files.map(file => `• ${file}`).join('\\n')}
     }
 }
 
-module.exports = new DocumentationExpert();
\ No newline at end of file
+module.exports = new DocumentationExpert();
+module.exports.DocumentationExpert = DocumentationExpert;
\ No newline at end of file
@@ -1,48 +1,238 @@
 const { execSync } = require('child_process');
 const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { createLLMClient } = require('../src/utils/llm-client');
+const { loadConfig } = require('../src/config');
+const {
+    tryGit,
+    refExists,
+    detectBaseBranch,
+    getMergeBase,
+    getAheadBehind,
+    getCommits,
+    getNumstat,
+    getNameStatus,
+    getRepositoryRoot,
+    getStagedFiles
+} = require('../src/utils/git');
+const { findPullRequestTemplate, fillPullRequestTemplate } = require('../src/utils/pr-template');
+const { ContextBuilder } = require('../src/context');
+
+const SYSTEM_PROMPT = `You are an expert in Git workflows, pull requests, and code analysis.
+You analyze git changes, provide insights on commit quality, suggest improvements for PRs,
+and help with branching strategies. You understand git history, diff analysis, and best practices
+for collaborative development.`;
+
+const LARGE_CHANGE_LINES = 500;
+const MIN_SUBJECT_LENGTH = 12;
+const MAX_SUBJECT_LENGTH = 72;
+const GENERIC_SUBJECTS = /^(wip|fix|fixes|update|updates|changes|misc|stuff|tmp|test)\.?$/i;
+const CONVENTIONAL_SUBJECT = /^(\w+)(\([^)]+\))?!?: \S/;
+
+const BRANCH_TYPES = {
+    feature: 'feat',
+    feat: 'feat',
+    fix: 'fix',
+    bugfix: 'fix',
+    hotfix: 'fix',
+    chore: 'chore',
+    docs: 'docs',
+    refactor: 'refactor',
+    perf: 'perf',
+    test: 'test'
+};
+
+// Deterministic checks reported as findings by the json and junit formats
+const BRANCH_CHECKS = ['behind-base', 'commit-message'];
+
+const STATUS_LABELS = {
+    A: 'added',
+    M: 'modified',
+    D: 'deleted',
+    R: 'renamed',
+    C: 'copied',
+    T: 'type changed'
+};
 
 class PRGitExpert {
-    constructor() {
-        this.openrouterAgent = null;
-        this.initializeAgent();
+    constructor(options = {}) {
+        this.options = options;
+        // Configuration, model client and context builder, see getSettings()
+        this.settings = null;
     }
 
-    async initializeAgent() {
-        try {
-            // This will integrate with the openrouter-agents package
-            const { createAgent } = require('openrouter-agents');
-            this.openrouterAgent = createAgent({
-                name: 'pr-git-expert',
-                model: 'anthropic/claude-3.5-sonnet',
-                systemPrompt: `You are an expert in Git workflows, pull requests, and code analysis. 
-                You analyze git changes, provide insights on commit quality, suggest improvements for PRs, 
-                and help with branching strategies. You understand git history, diff analysis, and best practices 
-                for collaborative development.`
-            });
-        } catch (error) {
-            console.warn('OpenRouter agent not available, using fallback mode');
+    initializeAgent(options = {}) {
+        const config = options.config || loadConfig().config;
+        const llmClient = createLLMClient('pr-git-expert', options, config);
+        this.settings = { config, llmClient, context: new ContextBuilder(llmClient, config.context) };
+    }
+
+    // Resolved on first use rather than in the constructor: the shared instance exported
+    // below is created when the module is required, before the CLI can report an invalid
+    // configuration file
+    getSettings() {
+        if (!this.settings) {
+            this.initializeAgent(this.options);
         }
+        return this.settings;
+    }
+
+    get config() {
+        return this.getSettings().config;
+    }
+
+    get llmClient() {
+        return this.getSettings().llmClient;
     }
 
-    async analyzeBranch() {
+    get context() {
+        return this.getSettings().context;
+    }
+
+    async analyzeBranch(branch, options = {}) {
         try {
             const currentBranch = this.getCurrentBranch();
+            const targetBranch = branch || currentBranch;
+            if (branch && !refExists(branch)) {
+                throw new Error(`Branch "${branch}" does not exist`);
+            }
+
             const changes = this.getChanges();
-            const commits = this.getRecentCommits();
-            const diffStats = this.getDiffStats();
+            const comparison = this.compareWithBase(targetBranch, options.base || this.config.baseBranch);
+            const commits = comparison
+                ? comparison.commits.map(commit => `${commit.hash} ${commit.subject}`)
+                : this.getRecentCommits(targetBranch);
+            const diffStats = comparison ? comparison.stats : this.getDiffStats();
 
             const analysis = {
-                branch: currentBranch,
+                branch: targetBranch,
+                base: comparison,
                 changes: changes,
                 commits: commits,
                 stats: diffStats,
-                recommendations: await this.generateRecommendations(changes, commits)
+                recommendations: await this.generateRecommendations(changes, commits, comparison)
             };
 
-            return this.formatAnalysis(analysis);
+            analysis.ai = await this.requestAnalysis(analysis, options);
+
+            return {
+                success: true,
+                analysis: this.buildStructuredAnalysis(analysis),
+                metadata: this.buildMetadata(analysis),
+                changes,
+                checks: BRANCH_CHECKS,
+                findings: this.buildFindings(analysis),
+                report: this.formatAnalysis(analysis)
+            };
         } catch (error) {
-            throw new Error(`Branch analysis failed: ${error.message}`);
+            return {
+                success: false,
+                error: `Branch analysis failed: ${error.message}`
+            };
+        }
+    }
+
+    compareWithBase(head, explicitBase) {
+        const baseBranch = detectBaseBranch(explicitBase, head);
+        if (!baseBranch) {
+            return null;
+        }
+
+        const mergeBase = getMergeBase(baseBranch, head);
+        if (!mergeBase) {
+            return null;
+        }
+
+        const { ahead, behind } = getAheadBehind(baseBranch, head);
+        const files = getNumstat([mergeBase, head]);
+        const stats = (tryGit(['diff', '--stat', mergeBase, head]) || '').trim();
+
+        return {
+            baseBranch,
+            mergeBase,
+            ahead,
+            behind,
+            commits: getCommits(`${mergeBase}..${head}`),
+            files,
+            insertions: files.reduce((sum, entry) => sum + entry.insertions, 0),
+            deletions: files.reduce((sum, entry) => sum + entry.deletions, 0),
+            stats: stats || 'No changes detected'
+        };
+    }
+
+    buildStructuredAnalysis(analysis) {
+        const baseSummary = analysis.base
+            ? `${analysis.branch} is ${analysis.base.ahead} commits ahead and ${analysis.base.behind} behind ` +
+              `${analysis.base.baseBranch}, changing ${analysis.base.files.length} files. `
+            : '';
+        const changeSummary = `${baseSummary}${analysis.changes.staged.length} staged, ` +
+            `${analysis.changes.unstaged.length} unstaged and ` +
+            `${analysis.changes.untracked.length} untracked files on ${analysis.branch}`;
+
+        if (!analysis.ai) {
+            return {
+                summary: changeSummary,
+                'PR Recommendations': analysis.recommendations,
+                fallback: true
+            };
         }
+
+        const aiRecommendations = Array.isArray(analysis.ai['PR Recommendations'])
+            ? analysis.ai['PR Recommendations']
+            : [];
+
+        return {
+            ...analysis.ai,
+            summary: analysis.ai.summary || changeSummary,
+            'PR Recommendations': [...analysis.recommendations, ...aiRecommendations]
+        };
+    }
+
+    buildMetadata(analysis) {
+        const base = analysis.base;
+        const files = base ? base.files : getNumstat(['HEAD']);
+
+        return {
+            currentBranch: analysis.branch,
+            baseBranch: base ? base.baseBranch : 'none',
+            mergeBase: base ? base.mergeBase : null,
+            commitCount: base ? base.ahead : analysis.commits.length,
+            ahead: base ? base.ahead : 0,
+            behind: base ? base.behind : 0,
+            filesChanged: files.length,
+            insertions: files.reduce((sum, entry) => sum + entry.insertions, 0),
+            deletions: files.reduce((sum, entry) => sum + entry.deletions, 0),
+            commitDetails: base ? base.commits.slice(0, 10) : getCommits(analysis.branch, 10)
+        };
+    }
+
+    buildFindings(analysis) {
+        const findings = [];
+
+        if (analysis.base && analysis.base.behind > 0) {
+            findings.push({
+                check: 'behind-base',
+                severity: 'low',
+                message: `${analysis.branch} is ${analysis.base.behind} commits behind ${analysis.base.baseBranch}, rebase or merge it before opening a PR`
+            });
+        }
+
+        // Commits are "<hash> <subject>" lines
+        analysis.commits.forEach(commit => {
+            const hash = commit.slice(0, commit.indexOf(' '));
+            const subject = commit.slice(commit.indexOf(' ') + 1);
+            this.assessCommitMessage(subject).forEach(warning => {
+                findings.push({
+                    check: 'commit-message',
+                    severity: 'low',
+                    commit: hash,
+                    message: `${hash} "${subject}": ${warning}`
+                });
+            });
+        });
+
+        return findings;
     }
 
     getCurrentBranch() {
@@ -60,21 +250,82 @@ class PRGitExpert {
             const untracked = execSync('git ls-files --others --exclude-standard', { encoding: 'utf8' }).trim();
 
             return {
-                staged: staged ? staged.split('\\n') : [],
-                unstaged: unstaged ? unstaged.split('\\n') : [],
-                untracked: untracked ? untracked.split('\\n') : []
+                staged: staged ? staged.split('\n') : [],
+                unstaged: unstaged ? unstaged.split('\n') : [],
+                untracked: untracked ? untracked.split('\n') : []
             };
         } catch (error) {
             return { staged: [], unstaged: [], untracked: [] };
         }
     }
 
-    getRecentCommits() {
+    getRecentCommits(branch = 'HEAD') {
+        const commits = (tryGit(['log', '--oneline', '-10', branch]) || '').trim();
+        return commits ? commits.split('\n') : [];
+    }
+
+    getDiff(analysis) {
+        const args = analysis.base ? ['diff', analysis.base.mergeBase, analysis.branch] : ['diff', 'HEAD'];
+        return tryGit(args) || '';
+    }
+
+    // Fit a diff into the room the rest of the prompt leaves, summarizing it when it is too
+    // large. Notes go to stderr: reports may be printed to stdout.
+    async fitDiff(diff, promptWithoutDiff) {
+        const packed = await this.context.diff(diff, this.context.remaining(SYSTEM_PROMPT, promptWithoutDiff), {
+            onSummarize: parts => console.warn(chalk.gray(`📝 Diff too large for the prompt, summarizing it in ${parts} parts...`))
+        });
+        if (packed.error) {
+            console.warn(chalk.yellow(`⚠️  Diff summary unavailable (${packed.error}), sending the most relevant hunks only`));
+        } else if (packed.omitted > 0 && !packed.summarized) {
+            console.warn(chalk.gray(`ℹ️  ${packed.omitted} diff hunks left out of the prompt to fit context.maxTokens`));
+        }
+        return packed.text;
+    }
+
+    async requestAnalysis(analysis, options = {}) {
+        if (!this.llmClient || options.ai === false) {
+            return null;
+        }
+
+        const baseInfo = analysis.base
+            ? `Base branch: ${analysis.base.baseBranch} (merge-base ${analysis.base.mergeBase.slice(0, 8)}, ` +
+              `${analysis.base.ahead} commits ahead, ${analysis.base.behind} behind)`
+            : 'Base branch: none detected';
+
+        const buildPrompt = diff => `Analyze the current state of branch "${analysis.branch}".
+
+${baseInfo}
+
+Diff statistics:
+${analysis.stats || 'No changes detected'}
+
+Staged files:
+${analysis.changes.staged.join('\n') || '(none)'}
+
+Unstaged files:
+${analysis.changes.unstaged.join('\n') || '(none)'}
+
+Untracked files:
+${analysis.changes.untracked.join('\n') || '(none)'}
+
+Branch commits:
+${analysis.commits.join('\n') || '(none)'}
+
+Diff:
+${diff || '(empty)'}
+
+Reply with a single JSON object with these keys:
+"summary" (string), "Code Quality" (string), "Commit Quality" (string),
+"Potential Issues" (array of strings), "Suggestions" (array of strings),
+"PR Recommendations" (array of strings).`;
+
         try {
-            const commits = execSync('git log --oneline -10', { encoding: 'utf8' }).trim();
-            return commits ? commits.split('\\n') : [];
+            const prompt = buildPrompt(await this.fitDiff(this.getDiff(analysis), buildPrompt('')));
+            return await this.llmClient.askJson(SYSTEM_PROMPT, prompt);
         } catch (error) {
-            return [];
+            console.warn(chalk.yellow(`⚠️  AI analysis unavailable (${error.message}), using fallback mode`));
+            return null;
         }
     }
 
@@ -87,9 +338,22 @@ class PRGitExpert {
         }
     }
 
-    async generateRecommendations(changes, commits) {
+    async generateRecommendations(changes, commits, comparison = null) {
         const recommendations = [];
 
+        if (comparison) {
+            if (comparison.ahead === 0) {
+                recommendations.push(`🌿 No commits ahead of ${comparison.baseBranch}`);
+            } else {
+                recommendations.push(`🌿 ${comparison.ahead} commits ahead of ${comparison.baseBranch} ` +
+                    `(${comparison.files.length} files, +${comparison.insertions}/-${comparison.deletions})`);
+            }
+
+            if (comparison.behind > 0) {
+                recommendations.push(`🔄 ${comparison.behind} commits behind ${comparison.baseBranch} - consider rebasing before opening a PR`);
+            }
+        }
+
         // Basic recommendations based on analysis
         if (changes.staged.length === 0 && changes.unstaged.length === 0) {
             recommendations.push('✅ No pending changes detected');
@@ -107,10 +371,13 @@ class PRGitExpert {
             recommendations.push(`📁 ${changes.untracked.length} untracked files`);
         }
 
-        // Commit message analysis
+        // Commit message analysis (commits are "<hash> <subject>" lines)
         if (commits.length > 0) {
-            const shortCommits = commits.filter(commit => commit.length < 20);
-            if (shortCommits.length > 0) {
+            const weakCommits = commits.filter(commit => {
+                const subject = commit.slice(commit.indexOf(' ') + 1);
+                return this.assessCommitMessage(subject).length > 0;
+            });
+            if (weakCommits.length > 0) {
                 recommendations.push(`💬 Consider more descriptive commit messages for recent commits`);
             }
         }
@@ -124,6 +391,7 @@ class PRGitExpert {
 ========================
 
 📊 Current Branch: ${analysis.branch}
+🌿 Base Branch: ${analysis.base ? `${analysis.base.baseBranch} (${analysis.base.ahead} ahead, ${analysis.base.behind} behind)` : 'none detected'}
 
 📈 Statistics:
 ${analysis.stats}
@@ -133,13 +401,417 @@ ${analysis.stats}
 • Unstaged: ${analysis.changes.unstaged.length} files  
 • Untracked: ${analysis.changes.untracked.length} files
 
-🎯 Recent Commits (last 10):
-${analysis.commits.map(commit => `  ${commit}`).join('\\n')}
+🎯 Commits:
+${analysis.commits.map(commit => `  ${commit}`).join('\n')}
 
 💡 Recommendations:
-${analysis.recommendations.map(rec => `• ${rec}`).join('\\n')}
-`;
+${analysis.recommendations.map(rec => `• ${rec}`).join('\n')}
+${analysis.ai ? this.formatAIAnalysis(analysis.ai) : ''}`;
+    }
+
+    formatAIAnalysis(ai) {
+        const sections = [
+            ['🧠 AI Summary', ai.summary],
+            ['🎯 Code Quality', ai['Code Quality']],
+            ['📝 Commit Quality', ai['Commit Quality']],
+            ['⚠️  Potential Issues', ai['Potential Issues']],
+            ['💡 Suggestions', ai.Suggestions]
+        ];
+
+        return sections
+            .filter(([, value]) => value && value.length > 0)
+            .map(([title, value]) => {
+                const body = Array.isArray(value) ? value.map(item => `• ${item}`).join('\n') : value;
+                return `\n${title}:\n${body}\n`;
+            })
+            .join('');
+    }
+
+    async generatePullRequest(options = {}) {
+        try {
+            const head = options.branch || this.getCurrentBranch();
+            if (options.branch && !refExists(options.branch)) {
+                throw new Error(`Branch "${options.branch}" does not exist`);
+            }
+
+            const comparison = this.compareWithBase(head, options.base || this.config.baseBranch);
+            if (!comparison) {
+                throw new Error('No base branch detected. Use --base to choose one.');
+            }
+            if (comparison.ahead === 0) {
+                throw new Error(`${head} has no commits ahead of ${comparison.baseBranch}`);
+            }
+
+            const statuses = getNameStatus([comparison.mergeBase, head]);
+            const pullRequest = await this.buildPullRequest(head, comparison, statuses);
+            const templatePath = findPullRequestTemplate(getRepositoryRoot());
+            const template = templatePath ? await fs.readFile(templatePath, 'utf8') : null;
+
+            const ai = await this.requestPullRequest(head, comparison, pullRequest, template, options);
+            if (ai) {
+                this.mergePullRequest(pullRequest, ai);
+            }
+
+            return {
+                success: true,
+                pullRequest,
+                templatePath,
+                markdown: this.formatPullRequest(pullRequest, template),
+                metadata: {
+                    currentBranch: head,
+                    baseBranch: comparison.baseBranch,
+                    commitCount: comparison.ahead,
+                    filesChanged: comparison.files.length,
+                    insertions: comparison.insertions,
+                    deletions: comparison.deletions,
+                    fallback: !ai
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: `Pull request generation failed: ${error.message}`
+            };
+        }
+    }
+
+    async buildPullRequest(head, comparison, statuses) {
+        const files = comparison.files;
+        const commitList = comparison.commits.map(commit => `- ${commit.subject} (${commit.hash})`).join('\n');
+
+        return {
+            title: this.suggestTitle(head, comparison.commits),
+            summary: `This branch adds ${comparison.ahead} commits on top of \`${comparison.baseBranch}\`, ` +
+                `changing ${files.length} files (+${comparison.insertions}/-${comparison.deletions}).\n\n${commitList}`,
+            changes: this.groupChangesByArea(files, statuses),
+            testing: await this.suggestTestingNotes(files),
+            risks: this.assessRisks(comparison, statuses)
+        };
+    }
+
+    suggestTitle(head, commits) {
+        if (commits.length === 1) {
+            return commits[0].subject;
+        }
+
+        const [prefix, ...rest] = head.split('/');
+        const type = rest.length > 0 ? BRANCH_TYPES[prefix.toLowerCase()] : null;
+        const words = (rest.length > 0 ? rest.join(' ') : head).replace(/[-_]+/g, ' ').trim();
+
+        if (type) {
+            return `${type}: ${words}`;
+        }
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    getChangeArea(file) {
+        const parts = file.split('/');
+        if (parts.length === 1) {
+            return 'Root';
+        }
+        // Group monorepo-style source folders one level deeper
+        if (['src', 'lib', 'packages', 'apps', 'app'].includes(parts[0]) && parts.length > 2) {
+            return `${parts[0]}/${parts[1]}`;
+        }
+        return parts[0];
+    }
+
+    groupChangesByArea(files, statuses) {
+        return files.reduce((areas, entry) => {
+            const area = this.getChangeArea(entry.file);
+            const status = STATUS_LABELS[statuses[entry.file]] || 'modified';
+            if (!areas[area]) areas[area] = [];
+            areas[area].push(`\`${entry.file}\` (${status}, +${entry.insertions}/-${entry.deletions})`);
+            return areas;
+        }, {});
+    }
+
+    isTestFile(file) {
+        return /(^|\/)(test|tests|__tests__|spec)\//.test(file) || /\.(test|spec)\.[a-z]+$/.test(file);
+    }
+
+    async suggestTestingNotes(files) {
+        const notes = [];
+        const testFiles = files.filter(entry => this.isTestFile(entry.file)).map(entry => entry.file);
+
+        if (testFiles.length > 0) {
+            notes.push(`Updated tests: ${testFiles.map(file => `\`${file}\``).join(', ')}`);
+        } else {
+            notes.push('No test files changed - consider adding tests for the new behaviour');
+        }
+
+        try {
+            const pkg = await fs.readJson('package.json');
+            const testScript = pkg.scripts && pkg.scripts.test;
+            if (testScript && !testScript.includes('no test specified')) {
+                notes.push('Run `npm test` to verify the change');
+            }
+        } catch (error) {
+            // No package.json: nothing to suggest
+        }
+
+        return notes;
+    }
+
+    assessRisks(comparison, statuses) {
+        const risks = [];
+        const files = comparison.files.map(entry => entry.file);
+        const changedLines = comparison.insertions + comparison.deletions;
+        const deleted = files.filter(file => statuses[file] === 'D');
+        const matching = pattern => files.filter(file => pattern.test(file));
+
+        if (changedLines > LARGE_CHANGE_LINES) {
+            risks.push(`Large change (${changedLines} lines) - consider splitting it into smaller PRs`);
+        }
+        if (deleted.length > 0) {
+            risks.push(`${deleted.length} files deleted: ${deleted.join(', ')}`);
+        }
+
+        const dependencies = matching(/(^|\/)(package\.json|package-lock\.json|yarn\.lock|pnpm-lock\.yaml|requirements\.txt|go\.mod|Cargo\.toml)$/);
+        if (dependencies.length > 0) {
+            risks.push(`Dependency changes in ${dependencies.join(', ')}`);
+        }
+
+        const ci = matching(/^\.github\/workflows\/|\.gitlab-ci\.yml$|Jenkinsfile$/);
+        if (ci.length > 0) {
+            risks.push(`CI configuration changed: ${ci.join(', ')}`);
+        }
+
+        const migrations = matching(/(^|\/)migrations?\//);
+        if (migrations.length > 0) {
+            risks.push(`Database migrations included: ${migrations.join(', ')}`);
+        }
+
+        const config = matching(/(^|\/)(\.env[^/]*|config\/[^/]+)$/);
+        if (config.length > 0) {
+            risks.push(`Configuration changed: ${config.join(', ')}`);
+        }
+
+        if (comparison.behind > 0) {
+            risks.push(`Branch is ${comparison.behind} commits behind ${comparison.baseBranch} - rebase to catch conflicts early`);
+        }
+
+        if (risks.length === 0) {
+            risks.push('No specific risks detected from the diff');
+        }
+
+        return risks;
+    }
+
+    async requestPullRequest(head, comparison, pullRequest, template, options = {}) {
+        if (!this.llmClient || options.ai === false) {
+            return null;
+        }
+
+        const buildPrompt = diff => `Write a pull request for branch "${head}" targeting "${comparison.baseBranch}".
+
+Commits:
+${comparison.commits.map(commit => `${commit.hash} ${commit.subject}`).join('\n')}
+
+Diff statistics:
+${comparison.stats}
+
+Draft produced by static analysis (improve it, keep facts accurate):
+${JSON.stringify(pullRequest, null, 2)}
+
+${template ? `The repository pull request template is:\n${template}\n` : ''}
+Diff:
+${diff || '(empty)'}
+
+Reply with a single JSON object with these keys:
+"title" (string, imperative, under 72 characters), "summary" (string),
+"changes" (object mapping an area name to an array of strings),
+"testing" (array of strings), "risks" (array of strings).`;
+
+        try {
+            const diff = tryGit(['diff', comparison.mergeBase, head]) || '';
+            const prompt = buildPrompt(await this.fitDiff(diff, buildPrompt('')));
+            return await this.llmClient.askJson(SYSTEM_PROMPT, prompt);
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  AI pull request unavailable (${error.message}), using fallback mode`));
+            return null;
+        }
+    }
+
+    mergePullRequest(pullRequest, ai) {
+        if (typeof ai.title === 'string' && ai.title.trim()) {
+            pullRequest.title = ai.title.trim();
+        }
+        if (typeof ai.summary === 'string' && ai.summary.trim()) {
+            pullRequest.summary = ai.summary.trim();
+        }
+        if (ai.changes && typeof ai.changes === 'object' && !Array.isArray(ai.changes)) {
+            pullRequest.changes = ai.changes;
+        }
+        ['testing', 'risks'].forEach(key => {
+            if (Array.isArray(ai[key]) && ai[key].length > 0) {
+                pullRequest[key] = ai[key];
+            }
+        });
+        return pullRequest;
+    }
+
+    formatPullRequest(pullRequest, template = null) {
+        const bullets = items => items.map(item => `- ${item}`).join('\n');
+        const changes = Object.entries(pullRequest.changes)
+            .map(([area, items]) => `### ${area}\n${bullets([].concat(items))}`)
+            .join('\n\n');
+
+        const sections = {
+            summary: { title: 'Summary', body: pullRequest.summary },
+            changes: { title: 'Changes', body: changes },
+            testing: { title: 'Testing', body: bullets(pullRequest.testing) },
+            risks: { title: 'Risks', body: bullets(pullRequest.risks) }
+        };
+
+        if (template) {
+            return fillPullRequestTemplate(template, sections);
+        }
+
+        return `${Object.values(sections).map(section => `## ${section.title}\n\n${section.body}`).join('\n\n')}\n`;
+    }
+
+    assessCommitMessage(message, options = {}) {
+        const warnings = [];
+        const subject = (message || '').split('\n')[0].trim();
+
+        if (subject.length < MIN_SUBJECT_LENGTH || GENERIC_SUBJECTS.test(subject)) {
+            warnings.push('Subject is too short or generic to describe the change');
+        }
+        if (subject.length > MAX_SUBJECT_LENGTH) {
+            warnings.push(`Subject is longer than ${MAX_SUBJECT_LENGTH} characters`);
+        }
+        if (subject.endsWith('.')) {
+            warnings.push('Subject should not end with a period');
+        }
+        if (options.conventional && !CONVENTIONAL_SUBJECT.test(subject)) {
+            warnings.push('Subject does not follow the Conventional Commits format "type(scope): description"');
+        }
+
+        return warnings;
+    }
+
+    async generateCommitMessage(options = {}) {
+        try {
+            const files = getStagedFiles();
+            if (files.length === 0) {
+                throw new Error('No staged changes. Stage files with git add first.');
+            }
+
+            const statuses = getNameStatus(['--cached']);
+            const numstat = getNumstat(['--cached']);
+            const conventional = options.conventional ?? this.config.commit.conventional;
+
+            let message = this.buildCommitMessage(files, statuses, numstat, conventional);
+            const ai = await this.requestCommitMessage(message, conventional, options);
+            let fallback = true;
+
+            if (ai && typeof ai.subject === 'string' && ai.subject.trim()) {
+                const body = typeof ai.body === 'string' ? ai.body.trim() : '';
+                message = body ? `${ai.subject.trim()}\n\n${body}` : ai.subject.trim();
+                fallback = false;
+            }
+
+            return {
+                success: true,
+                message,
+                files,
+                warnings: this.assessCommitMessage(message, { conventional }),
+                conventional,
+                fallback
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: `Commit message generation failed: ${error.message}`
+            };
+        }
+    }
+
+    inferCommitType(files, statuses) {
+        const every = pattern => files.every(file => pattern.test(file));
+
+        if (every(/\.(md|mdx|rst|txt)$|(^|\/)docs\//i)) return 'docs';
+        if (files.every(file => this.isTestFile(file))) return 'test';
+        if (every(/^\.github\/workflows\/|\.gitlab-ci\.yml$|Jenkinsfile$/)) return 'ci';
+        if (every(/(^|\/)(package\.json|package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$/)) return 'build';
+        if (files.some(file => statuses[file] === 'A')) return 'feat';
+        if (files.every(file => statuses[file] === 'D')) return 'chore';
+        return 'refactor';
+    }
+
+    inferCommitScope(files) {
+        const areas = [...new Set(files.map(file => this.getChangeArea(file)))];
+        if (areas.length !== 1 || areas[0] === 'Root') {
+            return null;
+        }
+        return areas[0].split('/').pop().replace(/^\./, '');
+    }
+
+    buildCommitMessage(files, statuses, numstat, conventional) {
+        const verbs = { A: 'add', D: 'remove', R: 'rename' };
+        const fileStatuses = [...new Set(files.map(file => statuses[file] || 'M'))];
+        const verb = fileStatuses.length === 1 ? (verbs[fileStatuses[0]] || 'update') : 'update';
+        const scope = this.inferCommitScope(files);
+
+        const target = files.length === 1
+            ? path.basename(files[0])
+            : `${files.length} files${scope ? ` in ${scope}` : ''}`;
+
+        let subject;
+        if (conventional) {
+            const type = this.inferCommitType(files, statuses);
+            subject = `${type}${scope ? `(${scope})` : ''}: ${verb} ${target}`;
+        } else {
+            subject = `${verb.charAt(0).toUpperCase()}${verb.slice(1)} ${target}`;
+        }
+
+        if (files.length === 1) {
+            return subject;
+        }
+
+        const body = numstat.map(entry => {
+            const status = STATUS_LABELS[statuses[entry.file]] || 'modified';
+            return `- ${entry.file} (${status}, +${entry.insertions}/-${entry.deletions})`;
+        }).join('\n');
+
+        return `${subject}\n\n${body}`;
+    }
+
+    async requestCommitMessage(draft, conventional, options = {}) {
+        if (!this.llmClient || options.ai === false) {
+            return null;
+        }
+
+        const style = conventional
+            ? 'Use the Conventional Commits format "type(scope): description" with a lowercase imperative description.'
+            : 'Use a capitalized imperative subject line.';
+
+        const buildPrompt = diff => `Write a git commit message for the staged changes below.
+${style}
+Keep the subject under ${MAX_SUBJECT_LENGTH} characters without a trailing period.
+Add a short body only when the change needs explaining.
+${options.previous ? `\nThe user rejected this proposal, write a different one:\n${options.previous}\n` : ''}
+Draft from static analysis:
+${draft}
+
+Staged diff:
+${diff || '(empty)'}
+
+Reply with a single JSON object with the keys "subject" (string) and "body" (string, may be empty).`;
+
+        try {
+            const diff = tryGit(['diff', '--cached']) || '';
+            const prompt = buildPrompt(await this.fitDiff(diff, buildPrompt('')));
+            return await this.llmClient.askJson(SYSTEM_PROMPT, prompt, {
+                temperature: options.previous ? 0.7 : 0.2
+            });
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  AI commit message unavailable (${error.message}), using fallback mode`));
+            return null;
+        }
     }
 }
 
-module.exports = new PRGitExpert();
\ No newline at end of file
+module.exports = new PRGitExpert();
+module.exports.PRGitExpert = PRGitExpert;
\ No newline at end of file
@@ -1,13 +1,28 @@
 #!/usr/bin/env node
 
-require('dotenv').config();
+// quiet: dotenv 17 logs to stdout, which would corrupt reports printed there
+require('dotenv').config({ quiet: true });
 
-const { Command } = require('commander');
+const { Command, Option, CommanderError } = require('commander');
 const chalk = require('chalk');
 const { execSync } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
 const inquirer = require('inquirer');
+const { PROVIDERS, resolveProviderOptions } = require('../src/providers');
+const { loadConfig } = require('../src/config');
+const { GitChecker } = require('../src/utils/git-checker');
+const { AnalyzeBranchCommand } = require('../src/commands/analyze-branch');
+const { DocumentationCommand } = require('../src/commands/documentation');
+const { ReviewCommand } = require('../src/commands/review');
+const { PRCommand } = require('../src/commands/pr');
+const { CommitCommand } = require('../src/commands/commit');
+const { InstallHooksCommand, UninstallHooksCommand } = require('../src/commands/hooks');
+const { UpdateAdvisoriesCommand } = require('../src/commands/advisories');
+const { CacheStatsCommand, ClearCacheCommand } = require('../src/commands/cache');
+const { REVIEW_FORMATS, BRANCH_FORMATS } = require('../src/reporters');
+const { SEVERITIES } = require('../src/review/issue');
+const { EXIT_ERROR, enablePlainOutput } = require('../src/utils/ci');
 
 const program = new Command();
 
@@ -30,16 +45,74 @@ function checkGitInstalled() {
         return true;
     } catch (error) {
         console.log(chalk.red(ASCII_ART));
-        process.exit(1);
+        process.exit(EXIT_ERROR);
     }
 }
 
+// Provider settings given on the command line
+function providerOverrides(options = {}) {
+    return {
+        provider: options.provider,
+        model: options.model,
+        baseUrl: options.baseUrl,
+        apiKey: options.apiKey
+    };
+}
+
+function addProviderOptions(command) {
+    return command
+        .option('--provider <name>', `Model provider (${Object.keys(PROVIDERS).join(', ')})`)
+        .option('--model <model>', 'Model identifier for the selected provider')
+        .option('--base-url <url>', 'Provider endpoint base URL (OpenAI-compatible or Ollama server)')
+        .option('--api-key <key>', 'API key for the selected provider');
+}
+
+// Load the project configuration file, exiting with a readable message when it is invalid
+function loadProjectConfig() {
+    try {
+        return loadConfig();
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exit(EXIT_ERROR);
+    }
+}
+
+// Check that the selected provider can be used, prompting for OpenRouter setup if needed
+async function checkProviderSetup(agent, options = {}, config = {}) {
+    let settings;
+    try {
+        settings = resolveProviderOptions(agent, providerOverrides(options), config);
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exit(EXIT_ERROR);
+    }
+
+    if (!settings.requiresApiKey || settings.apiKey) {
+        return true;
+    }
+
+    if (settings.provider === 'openrouter') {
+        return await checkOpenRouterSetup(options);
+    }
+
+    console.log(chalk.yellow(`\n🔑 ${settings.apiKeyEnv} non trovata per il provider ${settings.provider}!`));
+    console.log(chalk.gray('Usa --api-key, GIT_COPILOT_API_KEY oppure --base-url per un server locale.'));
+    console.log(chalk.yellow('⚠️  Continuando in modalità base (senza AI avanzata)\n'));
+    return false;
+}
+
 // Check and setup OpenRouter API key
-async function checkOpenRouterSetup() {
+async function checkOpenRouterSetup(options = {}) {
     if (process.env.OPENROUTER_API_KEY) {
         return true; // Already configured
     }
 
+    // Git hooks and CI have no terminal to answer the setup questions
+    if (!process.stdin.isTTY || options.ci) {
+        console.log(chalk.yellow('⚠️  OPENROUTER_API_KEY non trovata, continuando in modalità base (senza AI avanzata)\n'));
+        return false;
+    }
+
     console.log(chalk.yellow('\n🔑 OpenRouter API Key non trovata!'));
     console.log(chalk.blue('Git Copilot utilizza OpenRouter per l\'analisi AI avanzata.'));
     console.log(chalk.gray('Puoi ottenere una chiave gratuita su: https://openrouter.ai/\n'));
@@ -183,125 +256,195 @@ async function saveLocalEnv(apiKey) {
     console.log(chalk.green('✅ API key salvata in .env locale\n'));
 }
 
-// Load agents
-function loadAgent(agentType) {
-    try {
-        const agentPath = path.join(__dirname, '..', 'agents', `${agentType}.js`);
-        if (fs.existsSync(agentPath)) {
-            return require(agentPath);
-        }
-        throw new Error(`Agent ${agentType} not found`);
-    } catch (error) {
-        console.error(chalk.red(`Error loading agent ${agentType}:`, error.message));
-        process.exit(1);
+// Decide whether agents may call the model or must use the offline heuristics
+async function resolveAiMode(agent, options, config) {
+    if (options.ai === false) {
+        // stderr, so reports printed to stdout stay parseable
+        console.error(chalk.yellow('⚡ Modalità base attivata (senza AI)\n'));
+        return false;
     }
+    return await checkProviderSetup(agent, options, config);
 }
 
-// Read documentation files
-function readDocumentationRules() {
-    const rules = {
-        readme: '',
-        kb: ''
-    };
-    
-    if (fs.existsSync('README.md')) {
-        rules.readme = fs.readFileSync('README.md', 'utf8');
-    }
-    
-    if (fs.existsSync('KB.md')) {
-        rules.kb = fs.readFileSync('KB.md', 'utf8');
+// Make sure we are inside a Git repository before running a command
+async function checkGitRepository() {
+    if (!await new GitChecker().isGitRepository()) {
+        console.error(chalk.red('❌ Not a Git repository. Run git-copilot from inside a Git project.'));
+        process.exit(EXIT_ERROR);
     }
-    
-    return rules;
 }
 
+// Shared setup for every agent-backed command: git checks, config and provider selection
+async function runCommand(CommandClass, agent, options) {
+    checkGitInstalled();
+    await checkGitRepository();
+    const { config } = loadProjectConfig();
+    const ai = await resolveAiMode(agent, options, config);
+    await new CommandClass().execute({ ...options, ai, config });
+}
+
+// Invalid options exit with EXIT_ERROR rather than commander's 1, which CI reads as findings.
+// Set before the commands are added so that they inherit it.
 program
     .name('git-copilot')
     .description('AI-powered Git analysis and documentation tool')
-    .version('1.0.4');
+    .version('1.0.4')
+    .exitOverride();
 
-program
-    .command('analyze-branch')
+addProviderOptions(program
+    .command('analyze-branch', { isDefault: true })
     .description('Analyze current branch changes using AI')
-    .action(async () => {
-        checkGitInstalled();
-        await checkOpenRouterSetup();
-        console.log(chalk.blue('🔍 Analyzing branch changes...'));
-        
-        try {
-            const gitAgent = loadAgent('pr-git-expert');
-            const result = await gitAgent.analyzeBranch();
-            console.log(chalk.green('✅ Analysis complete!'));
-            console.log(result);
-        } catch (error) {
-            console.error(chalk.red('❌ Error during analysis:', error.message));
+    .option('-b, --branch <branch>', 'Branch to analyze (defaults to the current branch)')
+    .option('--base <branch>', 'Base branch to compare against (auto-detected by default)')
+    .option('-v, --verbose', 'Show commit details and diagnostics')
+    .addOption(new Option('-f, --format <format>', 'Print the report in this format instead of the summary')
+        .choices(Object.keys(BRANCH_FORMATS)))
+    .option('-o, --output <file>', 'Write the report to a file (markdown unless --format is given)')
+    .option('--no-ai', 'Skip provider setup and run in basic mode'))
+    .action(options => runCommand(AnalyzeBranchCommand, 'pr-git-expert', options));
+
+addProviderOptions(program
+    .command('document')
+    .alias('doc')
+    .description('Create or update documentation')
+    .addOption(new Option('-t, --type <type>', 'Documentation to generate')
+        .choices(['readme', 'api', 'changelog', 'all'])
+        .default('all'))
+    .option('-f, --force', 'Overwrite existing files without asking')
+    .option('--no-ai', 'Skip provider setup and run in basic mode'))
+    .action(options => runCommand(DocumentationCommand, 'documentation-expert', options));
+
+addProviderOptions(program
+    .command('review')
+    .description('Review code and generate fix.md or a CI report')
+    .argument('[range]', 'Review the changes in <base>..<head> or <base>...<head>')
+    .option('-s, --staged', 'Review staged changes only')
+    .option('-w, --working-tree', 'Review uncommitted changes, staged or not, and untracked files')
+    .option('--since <ref>', 'Review changes made since a commit, branch or tag')
+    .option('-p, --path <path>', 'Review a specific file or directory')
+    .option('-y, --yes', 'Skip the confirmation prompt')
+    .option('--history', 'Also scan the git history for secrets committed and deleted since')
+    .option('--ci', 'Non-interactive mode for CI: no prompts, spinners, colors or emoji; fails on high findings by default')
+    .addOption(new Option('--fail-on <severity>', 'Exit with code 1 when findings at or above this severity are reported')
+        .choices([...SEVERITIES, 'none']))
+    .option('--changed-only', 'Only count findings on lines changed since the base branch toward --fail-on')
+    .addOption(new Option('-f, --format <format>', 'Report format')
+        .choices(Object.keys(REVIEW_FORMATS))
+        .default('markdown'))
+    .option('-o, --output <file>', 'Report file (defaults to fix.md for markdown, see the README for the others)')
+    .option('--list-rules', 'List the available review rules and exit')
+    .option('--update-baseline', 'Record the current findings as accepted so later reviews only report new ones')
+    .option('--no-baseline', 'Report findings recorded in the baseline too')
+    .option('--fix', 'Apply the automatic fixes of the findings (debug statements, sync fs calls, magic numbers)')
+    .option('--ai-fixes', 'With --fix, also ask the model for patches of the other findings and apply the ones you accept')
+    .option('--force', 'Let --fix and --interactive fixes change files with unstaged changes')
+    .option('--no-cache', 'Analyze every file again instead of reusing the findings of unchanged files')
+    .option('--concurrency <workers>', 'Worker threads analyzing files, or "auto" (overrides review.concurrency)')
+    .option('-i, --interactive', 'Triage the findings in the terminal: open, fix, suppress or add them to the baseline')
+    .option('--no-ai', 'Skip provider setup and run in basic mode'))
+    .action(async (range, options) => {
+        if (options.listRules) {
+            checkGitInstalled();
+            await checkGitRepository();
+            const { config } = loadProjectConfig();
+            new ReviewCommand().listRules({ ...options, config });
+            return;
+        }
+        if (options.ci) {
+            enablePlainOutput();
         }
+        await runCommand(ReviewCommand, 'code-review-expert', { ...options, range });
     });
 
+addProviderOptions(program
+    .command('pr')
+    .description('Generate a pull request title and description for the branch')
+    .option('-b, --branch <branch>', 'Branch to describe (defaults to the current branch)')
+    .option('--base <branch>', 'Base branch of the pull request (auto-detected by default)')
+    .option('-o, --output <file>', 'Write the description to a file instead of stdout')
+    .option('--no-ai', 'Skip provider setup and run in basic mode'))
+    .action(options => runCommand(PRCommand, 'pr-git-expert', options));
+
+addProviderOptions(program
+    .command('commit')
+    .description('Generate a commit message for the staged changes and commit them')
+    .option('-c, --conventional', 'Use the Conventional Commits format')
+    .option('--dry-run', 'Print the proposed message without committing')
+    .option('-w, --write <file>', 'Write the proposed message to a commit message file instead of committing')
+    .option('--no-ai', 'Skip provider setup and run in basic mode'))
+    .action(options => runCommand(CommitCommand, 'pr-git-expert', options));
+
 program
-    .command('document')
-    .description('Create or update documentation')
-    .action(async () => {
+    .command('install-hooks')
+    .description('Install pre-commit, prepare-commit-msg and pre-push hooks running git-copilot')
+    .option('--hooks <names>', 'Comma separated hooks to install (defaults to all)')
+    .addOption(new Option('--fail-on <severity>', 'Findings stopping a commit in the pre-commit hook (default: high, "none" only reports them)')
+        .choices([...SEVERITIES, 'none']))
+    .action(async options => {
         checkGitInstalled();
-        await checkOpenRouterSetup();
-        console.log(chalk.blue('📝 Generating documentation...'));
-        
-        try {
-            const docAgent = loadAgent('documentation-expert');
-            const rules = readDocumentationRules();
-            const result = await docAgent.generateDocumentation(rules);
-            console.log(chalk.green('✅ Documentation updated!'));
-            console.log(result);
-        } catch (error) {
-            console.error(chalk.red('❌ Error generating documentation:', error.message));
-        }
+        await checkGitRepository();
+        await new InstallHooksCommand().execute(options);
     });
 
 program
-    .command('review')
-    .description('Review code and generate fix.md')
-    .option('--no-ai', 'Skip OpenRouter setup and run in basic mode')
-    .action(async (options) => {
+    .command('uninstall-hooks')
+    .description('Remove the hooks installed by install-hooks, keeping any other hook content')
+    .option('--hooks <names>', 'Comma separated hooks to remove (defaults to all)')
+    .action(async options => {
         checkGitInstalled();
-        
-        if (!options.noAi) {
-            await checkOpenRouterSetup();
-        } else {
-            console.log(chalk.yellow('⚡ Modalità base attivata (senza AI)\n'));
-        }
-        
-        console.log(chalk.blue('🔍 Reviewing code...'));
-        
-        try {
-            const reviewAgent = loadAgent('code-review-expert');
-            const rules = readDocumentationRules();
-            const result = await reviewAgent.reviewCode(rules);
-            
-            // Create fix.md
-            fs.writeFileSync('fix.md', result.fixes);
-            console.log(chalk.green('✅ Code review complete! Check fix.md for issues.'));
-        } catch (error) {
-            console.error(chalk.red('❌ Error during code review:', error.message));
-        }
+        await checkGitRepository();
+        await new UninstallHooksCommand().execute(options);
     });
 
-// Parse commands first
-program.parse();
+program
+    .command('update-advisories')
+    .description('Download the security advisories of the locked dependencies for offline reviews')
+    .option('--registry <url>', 'npm registry serving the bulk advisory endpoint', 'https://registry.npmjs.org')
+    .action(async options => {
+        checkGitInstalled();
+        await checkGitRepository();
+        const { config } = loadProjectConfig();
+        await new UpdateAdvisoriesCommand().execute({ ...options, config });
+    });
 
-// Handle default command if no command was provided
-if (process.argv.length === 2) {
-    (async () => {
+const cache = program
+    .command('cache')
+    .description('Manage the cache of review findings in .git/git-copilot/cache');
+
+cache
+    .command('stats')
+    .description('Show the size of the review cache and how the last review used it')
+    .action(async () => {
         checkGitInstalled();
-        await checkOpenRouterSetup();
-        console.log(chalk.blue('🔍 Running analyze-branch by default...'));
-        
-        const gitAgent = loadAgent('pr-git-expert');
-        try {
-            const result = await gitAgent.analyzeBranch();
-            console.log(chalk.green('✅ Analysis complete!'));
-            console.log(result);
-        } catch (error) {
-            console.error(chalk.red('❌ Error during analysis:', error.message));
-        }
-    })();
-}
\ No newline at end of file
+        await checkGitRepository();
+        await new CacheStatsCommand().execute();
+    });
+
+cache
+    .command('clear')
+    .description('Remove the cached review findings')
+    .option('--older-than <days>', 'Only remove entries no review has used for this many days')
+    .action(async options => {
+        checkGitInstalled();
+        await checkGitRepository();
+        await new ClearCacheCommand().execute(options);
+    });
+
+program
+    .command('config')
+    .description('Show the resolved project configuration')
+    .action(() => {
+        const { config, filePath } = loadProjectConfig();
+        console.log(chalk.blue(`📁 Config file: ${filePath || 'none (using defaults)'}`));
+        console.log(JSON.stringify(config, null, 2));
+    });
+
+// Errors no command handled must not exit with 1 either
+program.parseAsync().catch(error => {
+    if (error instanceof CommanderError) {
+        // Commander has printed the message; help and version exit with 0
+        process.exit(error.exitCode === 0 ? 0 : EXIT_ERROR);
+    }
+    console.error(chalk.red('❌ Command failed:'), error.stack || error.message);
+    process.exit(EXIT_ERROR);
+});
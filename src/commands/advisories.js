@@ -0,0 +1,39 @@
+const chalk = require('chalk');
+const path = require('path');
+const { getRepositoryRoot } = require('../utils/git');
+const { readLockfile } = require('../review/lockfile');
+const { DEFAULT_REGISTRY, updateAdvisoryDatabase } = require('../review/advisories');
+
+class UpdateAdvisoriesCommand {
+  /**
+   * Execute the update-advisories command
+   * @param {Object} options - Command options
+   */
+  async execute(options) {
+    try {
+      const root = getRepositoryRoot();
+      const lockfile = readLockfile(root);
+      if (!lockfile) {
+        throw new Error('No package-lock.json, npm-shrinkwrap.json, yarn.lock or pnpm-lock.yaml in the repository root');
+      }
+
+      const registry = options.registry || DEFAULT_REGISTRY;
+      const filePath = path.resolve(root, options.config.review.dependencies.advisories);
+
+      console.log(chalk.cyan.bold('🛡️  Updating the advisory database'));
+      console.log(chalk.gray(`📦 ${lockfile.packages.length} packages from ${path.basename(lockfile.file)}, checked against ${registry}`));
+
+      const result = await updateAdvisoryDatabase(filePath, lockfile.packages, { registry });
+
+      console.log(chalk.green(`✅ ${result.advisories} advisories for ${result.packages} packages saved to ` +
+        `${path.relative(process.cwd(), filePath)}`));
+      console.log(chalk.gray('💡 Commit the file so reviews stay offline, and refresh it when dependencies change'));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Command failed:'), error.message);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = { UpdateAdvisoriesCommand };
@@ -1,7 +1,8 @@
 const chalk = require('chalk');
 const ora = require('ora');
+const fs = require('fs-extra');
 const { PRGitExpert } = require('../../agents/pr-git-expert');
-const { OpenRouterAgent } = require('openrouter-agents');
+const { renderBranchReport } = require('../reporters');
 
 class AnalyzeBranchCommand {
   constructor() {
@@ -16,15 +17,8 @@ class AnalyzeBranchCommand {
     try {
       this.spinner = ora('Initializing branch analysis...').start();
       
-      // Initialize OpenRouter client
-      const openrouterClient = new OpenRouterAgent({
-        apiKey: process.env.OPENROUTER_API_KEY,
-        appName: 'git-copilot',
-        siteName: 'https://github.com/bramato/git-copilot'
-      });
-
-      // Initialize PR/Git expert agent
-      const prExpert = new PRGitExpert(openrouterClient);
+      // Initialize PR/Git expert agent with the selected provider and project config
+      const prExpert = new PRGitExpert(options);
       
       this.spinner.text = 'Analyzing branch changes...';
       
@@ -38,9 +32,25 @@ class AnalyzeBranchCommand {
         process.exit(1);
       }
 
+      if (options.format || options.output) {
+        const report = renderBranchReport(options.format || 'markdown', analysisResult);
+
+        // A format without --output goes to stdout, so it can be piped
+        if (!options.output) {
+          process.stdout.write(report);
+          return;
+        }
+
+        await fs.outputFile(options.output, report, 'utf8');
+      }
+
       // Display results
       this.displayAnalysisResults(analysisResult, options);
 
+      if (options.output) {
+        console.log(chalk.gray(`📄 Report written to ${options.output}`));
+      }
+
     } catch (error) {
       if (this.spinner) {
         this.spinner.stop();
@@ -75,7 +85,7 @@ class AnalyzeBranchCommand {
     console.log(chalk.white.bold('\nBranch Information:'));
     console.log(chalk.gray(`  Current Branch: ${metadata.currentBranch}`));
     console.log(chalk.gray(`  Base Branch: ${metadata.baseBranch}`));
-    console.log(chalk.gray(`  Commits: ${metadata.commitCount}`));
+    console.log(chalk.gray(`  Commits: ${metadata.commitCount} ahead, ${metadata.behind} behind`));
     console.log(chalk.gray(`  Files Changed: ${metadata.filesChanged}`));
     console.log(chalk.gray(`  Insertions: ${chalk.green(`+${metadata.insertions}`)}`));
     console.log(chalk.gray(`  Deletions: ${chalk.red(`-${metadata.deletions}`)}`));
@@ -164,10 +174,14 @@ class AnalyzeBranchCommand {
 
   /**
    * Format text for better display
-   * @param {string} text - Text to format
+   * @param {string|string[]} text - Text or list of items to format
    * @returns {string}
    */
   formatText(text) {
+    if (Array.isArray(text)) {
+      return text.map(item => `  • ${item}`).join('\n');
+    }
+
     if (typeof text !== 'string') {
       return JSON.stringify(text, null, 2);
     }
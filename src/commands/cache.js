@@ -0,0 +1,89 @@
+const chalk = require('chalk');
+const path = require('path');
+const { getCacheDir, getCacheStats, clearCache } = require('../review/cache');
+const { formatFileSize } = require('../utils/file-discovery');
+
+const KIND_LABELS = {
+  findings: 'Static findings',
+  ai: 'AI findings'
+};
+
+/**
+ * Cache directory, failing outside a git repository
+ * @returns {string}
+ */
+function requireCacheDir() {
+  const dir = getCacheDir();
+  if (!dir) {
+    throw new Error('The review cache lives in the git directory, run the command inside a repository');
+  }
+  return dir;
+}
+
+class CacheStatsCommand {
+  /**
+   * Execute the cache stats command
+   */
+  async execute() {
+    try {
+      const dir = requireCacheDir();
+      const { kinds, oldest, lastRun } = getCacheStats(dir);
+
+      console.log(chalk.cyan.bold('♻️  Review cache'));
+      console.log(chalk.gray(`📁 ${path.relative(process.cwd(), dir) || dir}`));
+
+      Object.entries(kinds).forEach(([kind, { entries, size }]) => {
+        console.log(`   ${KIND_LABELS[kind]}: ${chalk.cyan(entries)} files (${formatFileSize(size)})`);
+      });
+      if (oldest) {
+        console.log(chalk.gray(`   Least recently used entry: ${oldest.toISOString().split('T')[0]}`));
+      }
+
+      if (lastRun) {
+        console.log(chalk.white.bold(`\n📊 Last review (${lastRun.at.replace('T', ' ').slice(0, 16)}):`));
+        Object.keys(KIND_LABELS).forEach(kind => {
+          const hits = lastRun.hits[kind] || 0;
+          const total = hits + (lastRun.misses[kind] || 0);
+          if (total > 0) {
+            console.log(`   ${KIND_LABELS[kind]}: ${chalk.green(hits)} of ${total} files from the cache ` +
+              `(${Math.round((hits / total) * 100)}%)`);
+          }
+        });
+      } else {
+        console.log(chalk.gray('\n💡 No review has used the cache yet'));
+      }
+
+    } catch (error) {
+      console.error(chalk.red('❌ Command failed:'), error.message);
+      process.exit(1);
+    }
+  }
+}
+
+class ClearCacheCommand {
+  /**
+   * Execute the cache clear command
+   * @param {Object} options - Command options
+   */
+  async execute(options) {
+    try {
+      const dir = requireCacheDir();
+      let olderThan;
+      if (options.olderThan !== undefined) {
+        olderThan = Number(options.olderThan);
+        if (!Number.isFinite(olderThan) || olderThan < 0) {
+          throw new Error(`--older-than expects a number of days, got "${options.olderThan}"`);
+        }
+      }
+
+      const removed = clearCache(dir, { olderThan });
+      console.log(chalk.green(`✅ ${removed} cache entries removed${olderThan !== undefined ? ` not used in the last ${olderThan} days` : ''}`));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Command failed:'), error.message);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = { CacheStatsCommand, ClearCacheCommand };
@@ -0,0 +1,172 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const inquirer = require('inquirer');
+const fs = require('fs-extra');
+const { execFileSync } = require('child_process');
+const { PRGitExpert } = require('../../agents/pr-git-expert');
+const { getStagedFiles } = require('../utils/git');
+
+class CommitCommand {
+  constructor() {
+    this.spinner = null;
+  }
+
+  /**
+   * Execute the commit command
+   * @param {Object} options - Command options
+   */
+  async execute(options) {
+    try {
+      if (options.write) {
+        await this.writeMessageFile(options);
+        return;
+      }
+
+      console.log(chalk.cyan.bold('📝 Git Copilot Commit'));
+      console.log(chalk.gray('─'.repeat(50)));
+
+      const stagedFiles = getStagedFiles();
+      if (stagedFiles.length === 0) {
+        console.error(chalk.red('❌ No staged changes. Stage files with git add first.'));
+        process.exit(1);
+      }
+
+      console.log(chalk.blue(`📁 Staged files (${stagedFiles.length}):`));
+      stagedFiles.slice(0, 10).forEach(file => console.log(`  • ${file}`));
+      if (stagedFiles.length > 10) {
+        console.log(chalk.gray(`  ... and ${stagedFiles.length - 10} more`));
+      }
+      console.log();
+
+      // Initialize PR/Git expert agent with the selected provider and project config
+      const gitExpert = new PRGitExpert(options);
+
+      let result = await this.generate(gitExpert, options);
+      let message = result.message;
+
+      while (true) {
+        this.displayMessage(message, gitExpert.assessCommitMessage(message, { conventional: result.conventional }));
+
+        if (options.dryRun) {
+          return;
+        }
+
+        const { action } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'action',
+            message: 'What do you want to do with this message?',
+            choices: [
+              { name: '✅ Commit', value: 'commit' },
+              { name: '✏️  Edit', value: 'edit' },
+              { name: '🔄 Regenerate', value: 'regenerate' },
+              { name: '❌ Cancel', value: 'cancel' }
+            ]
+          }
+        ]);
+
+        if (action === 'commit') {
+          this.commit(message);
+          return;
+        }
+
+        if (action === 'cancel') {
+          console.log(chalk.yellow('Commit cancelled.'));
+          return;
+        }
+
+        if (action === 'edit') {
+          const answer = await inquirer.prompt([
+            {
+              type: 'editor',
+              name: 'message',
+              message: 'Edit the commit message',
+              default: message
+            }
+          ]);
+          message = answer.message.trim() || message;
+        } else {
+          result = await this.generate(gitExpert, { ...options, previous: message });
+          message = result.message;
+        }
+      }
+
+    } catch (error) {
+      if (this.spinner) {
+        this.spinner.stop();
+      }
+
+      console.error(chalk.red('❌ Command failed:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Prepend the proposed message to a commit message file, keeping git's
+   * comment lines. Used by the prepare-commit-msg hook.
+   * @param {Object} options - Command options
+   */
+  async writeMessageFile(options) {
+    const gitExpert = new PRGitExpert(options);
+    const result = await gitExpert.generateCommitMessage(options);
+
+    if (!result.success) {
+      console.error(chalk.yellow(`⚠️  ${result.error}`));
+      return;
+    }
+
+    const existing = fs.existsSync(options.write) ? fs.readFileSync(options.write, 'utf8') : '';
+    fs.writeFileSync(options.write, `${result.message}\n${existing ? `\n${existing}` : ''}`, 'utf8');
+    console.error(chalk.gray('💬 Commit message proposed by git-copilot'));
+  }
+
+  /**
+   * Generate a commit message, exiting on failure
+   * @param {PRGitExpert} gitExpert - Agent instance
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>}
+   */
+  async generate(gitExpert, options) {
+    this.spinner = ora('Generating commit message from staged changes...').start();
+    const result = await gitExpert.generateCommitMessage(options);
+    this.spinner.stop();
+
+    if (!result.success) {
+      console.error(chalk.red('❌ Commit message generation failed:'), result.error);
+      process.exit(1);
+    }
+
+    return result;
+  }
+
+  /**
+   * Display a proposed commit message and its warnings
+   * @param {string} message - Commit message
+   * @param {string[]} warnings - Message quality warnings
+   */
+  displayMessage(message, warnings) {
+    console.log(chalk.green.bold('💬 Proposed commit message:'));
+    console.log(chalk.gray('─'.repeat(50)));
+    console.log(message);
+    console.log(chalk.gray('─'.repeat(50)));
+
+    warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+    if (warnings.length > 0) {
+      console.log();
+    }
+  }
+
+  /**
+   * Create the commit, letting git hooks print their own output
+   * @param {string} message - Commit message
+   */
+  commit(message) {
+    execFileSync('git', ['commit', '-F', '-'], {
+      input: message,
+      stdio: ['pipe', 'inherit', 'inherit']
+    });
+    console.log(chalk.green('✅ Changes committed'));
+  }
+}
+
+module.exports = { CommitCommand };
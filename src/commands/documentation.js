@@ -2,7 +2,6 @@ const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
 const { DocumentationExpert } = require('../../agents/documentation-expert');
-const { OpenRouterAgent } = require('openrouter-agents');
 
 class DocumentationCommand {
   constructor() {
@@ -37,15 +36,8 @@ class DocumentationCommand {
 
       this.spinner = ora('Initializing documentation generator...').start();
       
-      // Initialize OpenRouter client
-      const openrouterClient = new OpenRouterAgent({
-        apiKey: process.env.OPENROUTER_API_KEY,
-        appName: 'git-copilot',
-        siteName: 'https://github.com/bramato/git-copilot'
-      });
-
-      // Initialize Documentation expert agent
-      const docExpert = new DocumentationExpert(openrouterClient);
+      // Initialize Documentation expert agent with the selected provider and project config
+      const docExpert = new DocumentationExpert(options);
       
       this.spinner.text = `Analyzing project and generating ${options.type} documentation...`;
       
@@ -0,0 +1,85 @@
+const chalk = require('chalk');
+const path = require('path');
+const {
+  HOOKS,
+  DEFAULT_HOOK_FAIL_ON,
+  getHooksDirectory,
+  installHook,
+  uninstallHook,
+  parseHookNames
+} = require('../utils/hooks');
+
+const INSTALL_MESSAGES = {
+  installed: 'installed',
+  updated: 'updated',
+  chained: 'added before the existing hook'
+};
+
+const UNINSTALL_MESSAGES = {
+  removed: 'removed (existing hook kept)',
+  deleted: 'removed',
+  missing: 'not installed, skipped'
+};
+
+class InstallHooksCommand {
+  /**
+   * Execute the install-hooks command
+   * @param {Object} options - Command options
+   */
+  async execute(options) {
+    try {
+      const names = parseHookNames(options.hooks);
+      const { dir, manager } = getHooksDirectory();
+
+      console.log(chalk.cyan.bold('🪝 Installing Git Copilot hooks'));
+      console.log(chalk.gray(`📁 ${path.relative(process.cwd(), dir) || dir}${manager ? ` (${manager})` : ''}`));
+
+      const failOn = options.failOn || DEFAULT_HOOK_FAIL_ON;
+      names.forEach(name => {
+        const status = installHook(name, dir, { failOn });
+        console.log(chalk.green(`   ✅ ${name}: ${INSTALL_MESSAGES[status]}`) +
+          chalk.gray(` - ${HOOKS[name].description}`));
+      });
+
+      if (names.includes('pre-commit')) {
+        console.log(chalk.gray(failOn === 'none'
+          ? '\n📝 pre-commit reports findings in .git/git-copilot/fix.md without stopping commits'
+          : `\n🛑 pre-commit stops commits with findings at or above ${failOn}, reported in .git/git-copilot/fix.md` +
+            '\n   Change the threshold with install-hooks --fail-on <severity>'));
+      }
+
+      console.log(chalk.gray('\n💡 Skip once with git commit --no-verify or GIT_COPILOT_SKIP_HOOKS=1'));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Command failed:'), error.message);
+      process.exit(1);
+    }
+  }
+}
+
+class UninstallHooksCommand {
+  /**
+   * Execute the uninstall-hooks command
+   * @param {Object} options - Command options
+   */
+  async execute(options) {
+    try {
+      const names = parseHookNames(options.hooks);
+      const { dir } = getHooksDirectory();
+
+      console.log(chalk.cyan.bold('🪝 Removing Git Copilot hooks'));
+
+      names.forEach(name => {
+        const status = uninstallHook(name, dir);
+        const color = status === 'missing' ? chalk.gray : chalk.green;
+        console.log(color(`   ${status === 'missing' ? '•' : '✅'} ${name}: ${UNINSTALL_MESSAGES[status]}`));
+      });
+
+    } catch (error) {
+      console.error(chalk.red('❌ Command failed:'), error.message);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = { InstallHooksCommand, UninstallHooksCommand };
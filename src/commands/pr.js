@@ -0,0 +1,72 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const fs = require('fs-extra');
+const { PRGitExpert } = require('../../agents/pr-git-expert');
+
+class PRCommand {
+  constructor() {
+    this.spinner = null;
+  }
+
+  /**
+   * Execute the pr command
+   * @param {Object} options - Command options
+   */
+  async execute(options) {
+    try {
+      this.spinner = ora('Preparing pull request description...').start();
+
+      // Initialize PR/Git expert agent with the selected provider and project config
+      const prExpert = new PRGitExpert(options);
+
+      this.spinner.text = 'Analyzing branch against its base...';
+
+      const result = await prExpert.generatePullRequest(options);
+
+      this.spinner.stop();
+
+      if (!result.success) {
+        console.error(chalk.red('❌ Pull request generation failed:'), result.error);
+        process.exit(1);
+      }
+
+      this.writeResult(result, options);
+
+    } catch (error) {
+      if (this.spinner) {
+        this.spinner.stop();
+      }
+
+      console.error(chalk.red('❌ Command failed:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Print the pull request to stdout or save it to a file.
+   * Status messages go to stderr so stdout can be piped.
+   * @param {Object} result - Generation result
+   * @param {Object} options - Command options
+   */
+  writeResult(result, options) {
+    const content = `${result.pullRequest.title}\n\n${result.markdown}`;
+    const { metadata } = result;
+
+    console.error(chalk.gray(`🌿 ${metadata.currentBranch} → ${metadata.baseBranch}: ` +
+      `${metadata.commitCount} commits, ${metadata.filesChanged} files (+${metadata.insertions}/-${metadata.deletions})`));
+
+    if (result.templatePath) {
+      console.error(chalk.gray(`📋 Using template: ${result.templatePath}`));
+    }
+
+    if (options.output) {
+      fs.writeFileSync(options.output, content, 'utf8');
+      console.error(chalk.green(`✅ Pull request description written to ${options.output}`));
+      return;
+    }
+
+    process.stdout.write(content);
+  }
+}
+
+module.exports = { PRCommand };
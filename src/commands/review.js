@@ -1,8 +1,16 @@
+const fs = require('fs-extra');
 const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
 const { CodeReviewExpert } = require('../../agents/code-review-expert');
-const { OpenRouterAgent } = require('openrouter-agents');
+const { resolveDiffScope, getChangedLines, getUntrackedFiles } = require('../utils/diff');
+const { getRepositoryRoot, detectBaseBranch, getMergeBase } = require('../utils/git');
+const { loadRules } = require('../review/registry');
+const { SEVERITY_ICONS, isAtLeast } = require('../review/issue');
+const { applyEdits, createUnifiedDiff, createLineMap, getUnstagedFiles } = require('../review/fixer');
+const { ReviewTriage } = require('./triage');
+const { renderProgressBar } = require('../utils/progress');
+const { EXIT_FINDINGS, EXIT_ERROR } = require('../utils/ci');
 
 class ReviewCommand {
   constructor() {
@@ -15,6 +23,10 @@ class ReviewCommand {
    */
   async execute(options) {
     try {
+      if (options.interactive && (options.ci || !process.stdin.isTTY || !process.stdout.isTTY)) {
+        throw new Error('--interactive needs a terminal, use the report formats in scripts and CI');
+      }
+
       console.log(chalk.cyan.bold('🔍 Git Copilot Code Review'));
       console.log(chalk.gray('─'.repeat(50)));
 
@@ -22,31 +34,32 @@ class ReviewCommand {
       await this.showReviewScope(options);
 
       // Confirm action
-      const answer = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'proceed',
-          message: 'Proceed with code review?',
-          default: true
-        }
-      ]);
+      if (!options.yes && !options.ci) {
+        const answer = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'proceed',
+            message: 'Proceed with code review?',
+            default: true
+          }
+        ]);
 
-      if (!answer.proceed) {
-        console.log(chalk.yellow('Review cancelled.'));
-        return;
+        if (!answer.proceed) {
+          console.log(chalk.yellow('Review cancelled.'));
+          return;
+        }
       }
 
-      this.spinner = ora('Initializing code review...').start();
+      this.spinner = ora({ text: 'Initializing code review...', isSilent: Boolean(options.ci) }).start();
       
-      // Initialize OpenRouter client
-      const openrouterClient = new OpenRouterAgent({
-        apiKey: process.env.OPENROUTER_API_KEY,
-        appName: 'git-copilot',
-        siteName: 'https://github.com/bramato/git-copilot'
+      // Initialize Code Review expert agent with the selected provider and project config;
+      // file analysis progress goes to the spinner
+      const reviewExpert = new CodeReviewExpert({
+        ...options,
+        onProgress: (done, total, file) => {
+          this.spinner.text = `Analyzing ${renderProgressBar(done, total)} ${file}`;
+        }
       });
-
-      // Initialize Code Review expert agent
-      const reviewExpert = new CodeReviewExpert(openrouterClient);
       
       this.spinner.text = 'Analyzing code and generating review...';
       
@@ -57,11 +70,35 @@ class ReviewCommand {
 
       if (!reviewResult.success) {
         console.error(chalk.red('❌ Code review failed:'), reviewResult.error);
-        process.exit(1);
+        process.exit(EXIT_ERROR);
+      }
+
+      // Display results; the triage UI shows the findings itself
+      if (!options.interactive) {
+        this.displayReviewResults(reviewResult, options);
+      }
+      if (options.ci) {
+        this.printFindings(reviewResult.issues);
+      }
+
+      // Fixed findings no longer count toward --fail-on
+      const fixed = options.fix || options.aiFixes ? await this.applyFixes(reviewResult, reviewExpert, options) : new Set();
+      let remaining = reviewResult.issues.filter(issue => !fixed.has(issue));
+
+      if (options.interactive) {
+        const triage = new ReviewTriage({ ...reviewResult, issues: remaining }, reviewExpert, options);
+        const handled = await triage.run();
+        remaining = remaining.filter((issue, index) => !handled.has(triage.issues[index]));
       }
 
-      // Display results
-      this.displayReviewResults(reviewResult, options);
+      const failOn = options.failOn || (options.ci ? 'high' : 'none');
+      if (failOn !== 'none') {
+        const failing = await this.getFailingIssues(remaining, failOn, reviewExpert, options);
+        if (failing.length > 0) {
+          console.error(chalk.red(`\n❌ ${failing.length} findings at or above ${failOn}${options.changedOnly ? ' on changed lines' : ''}`));
+          process.exitCode = EXIT_FINDINGS;
+        }
+      }
 
     } catch (error) {
       if (this.spinner) {
@@ -77,7 +114,237 @@ class ReviewCommand {
         console.log(chalk.gray('   Get your key at: https://openrouter.ai/'));
       }
       
-      process.exit(1);
+      process.exit(EXIT_ERROR);
+    }
+  }
+
+  /**
+   * Apply the autofixes of the findings (review --fix) and, with --ai-fixes, let the user
+   * accept or reject the patches the model proposes for the rest, shown as diffs.
+   * Files with unstaged changes are left alone unless --force, and files that changed
+   * since they were read (or were reviewed from the index or a commit) are never touched.
+   * @param {Object} result - Result of CodeReviewExpert.performReview()
+   * @param {CodeReviewExpert} reviewExpert - Agent that ran the review, asked for the patches
+   * @param {Object} options - Command options
+   * @returns {Promise<Set<ReviewIssue>>} Findings fixed
+   */
+  async applyFixes(result, reviewExpert, options) {
+    const fixed = new Set();
+    const unstaged = options.force ? new Set() : getUnstagedFiles();
+    const skipped = new Set();
+    // Content written by the fixes, by file
+    const written = new Map();
+
+    // Only the files as they were reviewed can be patched: the edits point into that content
+    const writable = async file => {
+      if (!result.sources.has(file)) {
+        return false;
+      }
+      if (unstaged.has(file)) {
+        skipped.add(`${file} (unstaged changes, use --force)`);
+        return false;
+      }
+      const current = await fs.readFile(file, 'utf8').catch(() => null);
+      if (current !== (written.get(file) || result.sources.get(file))) {
+        skipped.add(`${file} (differs from the reviewed version)`);
+        return false;
+      }
+      return true;
+    };
+
+    console.log(chalk.white.bold('\n🔧 Autofix:'));
+
+    const byFile = new Map();
+    result.issues.filter(issue => issue.edits).forEach(issue => {
+      byFile.set(issue.file, [...(byFile.get(issue.file) || []), issue]);
+    });
+
+    for (const [file, issues] of byFile) {
+      if (!(await writable(file))) {
+        continue;
+      }
+      const { content, applied } = applyEdits(result.sources.get(file), issues.map(issue => issue.edits));
+      // Overlapping edits are left for the next run; with no overlap every finding is fixed
+      if (applied === issues.length) {
+        issues.forEach(issue => fixed.add(issue));
+      }
+      await fs.writeFile(file, content, 'utf8');
+      written.set(file, content);
+      console.log(chalk.green(`   ✔ ${file}: ${applied} of ${issues.length} findings fixed`));
+    }
+    if (byFile.size === 0) {
+      console.log(chalk.gray('   No finding has an automatic fix'));
+    }
+
+    if (options.aiFixes) {
+      await this.applyAIPatches(result, reviewExpert, options, { fixed, written, writable });
+    }
+
+    skipped.forEach(entry => console.log(chalk.yellow(`   ⚠️  Skipped ${entry}`)));
+    if (fixed.size > 0) {
+      console.log(chalk.gray('   Review the changes with git diff, then run the review again'));
+    }
+    return fixed;
+  }
+
+  /**
+   * Ask the model for a patch of each file with findings left and apply the ones the user accepts
+   * @param {Object} result - Result of CodeReviewExpert.performReview()
+   * @param {CodeReviewExpert} reviewExpert - Agent asked for the patches
+   * @param {Object} options - Command options
+   * @param {Object} state - Findings fixed, content written by file and the writable(file) check
+   */
+  async applyAIPatches(result, reviewExpert, options, { fixed, written, writable }) {
+    if (options.ci || options.ai === false || !reviewExpert.llmClient) {
+      console.log(chalk.yellow('   --ai-fixes needs a model and an interactive terminal, skipped'));
+      return;
+    }
+
+    // Configuration files are never sent to the model
+    const byFile = new Map();
+    result.issues
+      .filter(issue => !fixed.has(issue) && issue.severity !== 'info' && !reviewExpert.secretsOnly.has(issue.file))
+      .forEach(issue => {
+        byFile.set(issue.file, [...(byFile.get(issue.file) || []), issue]);
+      });
+
+    for (const [file, issues] of byFile) {
+      if (!(await writable(file))) {
+        continue;
+      }
+
+      // Autofixes already written moved the lines of the other findings
+      const reviewed = result.sources.get(file);
+      const content = written.get(file) || reviewed;
+      const mapLine = createLineMap(reviewed, content);
+      const moved = issues.map(issue => ({ ...issue, line: mapLine(issue.line), endLine: mapLine(issue.endLine) }));
+
+      this.spinner = ora(`Asking the model to fix ${issues.length} findings in ${file}...`).start();
+      let patched;
+      try {
+        patched = await reviewExpert.proposePatch(file, content, moved);
+        this.spinner.stop();
+      } catch (error) {
+        this.spinner.stop();
+        console.log(chalk.yellow(`   ⚠️  No patch for ${file}: ${error.message}`));
+        continue;
+      }
+      if (!patched) {
+        console.log(chalk.gray(`   No patch proposed for ${file}`));
+        continue;
+      }
+
+      console.log(`\n${this.colorDiff(createUnifiedDiff(file, content, patched))}`);
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: `Apply this patch to ${file}?`,
+          choices: [
+            { name: 'Apply', value: 'apply' },
+            { name: 'Skip', value: 'skip' },
+            { name: 'Skip this and the remaining patches', value: 'quit' }
+          ]
+        }
+      ]);
+      if (action === 'quit') {
+        return;
+      }
+      if (action === 'apply') {
+        await fs.writeFile(file, patched, 'utf8');
+        written.set(file, patched);
+        issues.forEach(issue => fixed.add(issue));
+        console.log(chalk.green(`   ✔ ${file}: patch applied`));
+      }
+    }
+  }
+
+  /**
+   * Color a unified diff for the terminal
+   * @param {string} diff - Unified diff
+   * @returns {string}
+   */
+  colorDiff(diff) {
+    return diff.trimEnd().split('\n').map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        return chalk.bold(line);
+      }
+      if (line.startsWith('@@')) {
+        return chalk.cyan(line);
+      }
+      if (line.startsWith('+')) {
+        return chalk.green(line);
+      }
+      return line.startsWith('-') ? chalk.red(line) : line;
+    }).join('\n');
+  }
+
+  /**
+   * Findings that make the command fail: at or above the threshold and, with
+   * --changed-only, on lines changed since the merge-base with the base branch
+   * @param {ReviewIssue[]} issues - Reported issues
+   * @param {string} failOn - Minimum severity
+   * @param {CodeReviewExpert} reviewExpert - Agent that ran the review
+   * @param {Object} options - Command options
+   * @returns {Promise<ReviewIssue[]>}
+   */
+  async getFailingIssues(issues, failOn, reviewExpert, options) {
+    const failing = issues.filter(issue => isAtLeast(issue.severity, failOn));
+
+    // A diff-scoped review only reports changed lines already
+    if (!options.changedOnly || resolveDiffScope(options) || failing.length === 0) {
+      return failing;
+    }
+
+    const baseBranch = detectBaseBranch(options.config && options.config.baseBranch);
+    const since = (baseBranch && getMergeBase(baseBranch, 'HEAD')) || 'HEAD';
+    const changes = await reviewExpert.getChanges(resolveDiffScope({ since }), options);
+
+    return failing.filter(issue => reviewExpert.filterChangedLines([issue], issue.file, changes).length > 0);
+  }
+
+  /**
+   * Print findings one per line, the way CI logs and problem matchers expect them
+   * @param {ReviewIssue[]} issues - Reported issues
+   */
+  printFindings(issues) {
+    if (issues.length === 0) {
+      return;
+    }
+
+    console.log('\nFindings:');
+    issues.forEach(issue => {
+      console.log(`${issue.file}:${issue.line}:${issue.column}: ${issue.severity}: ${issue.message} [${issue.ruleId}]`);
+    });
+  }
+
+  /**
+   * Print every review rule with its source, severity and whether it is enabled
+   * @param {Object} options - Command options, with the loaded config
+   */
+  listRules(options) {
+    try {
+      const rules = loadRules(options.config.review, getRepositoryRoot());
+
+      console.log(chalk.cyan.bold('📏 Review Rules'));
+      console.log(chalk.gray('─'.repeat(50)));
+
+      rules.forEach(rule => {
+        const status = rule.enabled ? chalk.green('on ') : chalk.gray('off');
+        const severity = rule.severity === rule.defaultSeverity
+          ? rule.severity
+          : `${rule.severity} (default ${rule.defaultSeverity})`;
+        console.log(`${status} ${chalk.white.bold(rule.id)} ${chalk.gray(`[${rule.category}, ${severity}, ${rule.source}]`)}`);
+        if (rule.description) {
+          console.log(chalk.gray(`    ${rule.description}`));
+        }
+      });
+
+      const enabled = rules.filter(rule => rule.enabled).length;
+      console.log(chalk.gray(`\n${enabled} of ${rules.length} rules enabled. Change them with review.rules in the configuration file.`));
+    } catch (error) {
+      console.error(chalk.red('❌ Command failed:'), error.message);
+      process.exit(EXIT_ERROR);
     }
   }
 
@@ -87,35 +354,38 @@ class ReviewCommand {
    */
   async showReviewScope(options) {
     console.log(chalk.white.bold('📋 Review Scope:'));
-    
-    if (options.path) {
-      console.log(chalk.cyan(`   Target: ${options.path}`));
-    } else if (options.staged) {
-      console.log(chalk.cyan('   Target: Staged changes only'));
-      
-      // Show staged files
+
+    const scope = resolveDiffScope(options);
+
+    if (scope) {
+      console.log(chalk.cyan(`   Target: ${scope.label}${options.path ? ` in ${options.path}` : ''}`));
+      console.log(chalk.gray('   Only findings on added or modified lines are reported'));
+
+      // Show changed files
       try {
-        const { execSync } = require('child_process');
-        const stagedFiles = execSync('git diff --cached --name-only', { 
-          encoding: 'utf8' 
-        }).trim().split('\n').filter(f => f);
-        
-        if (stagedFiles.length > 0) {
-          console.log(chalk.gray('   Staged files:'));
-          stagedFiles.slice(0, 10).forEach(file => {
+        const changedFiles = Object.keys(getChangedLines(scope.diffArgs, options.path ? [options.path] : []));
+        if (scope.includeUntracked) {
+          changedFiles.push(...getUntrackedFiles(options.path ? [options.path] : []));
+        }
+
+        if (changedFiles.length > 0) {
+          console.log(chalk.gray('   Changed files:'));
+          changedFiles.slice(0, 10).forEach(file => {
             console.log(chalk.gray(`     • ${file}`));
           });
-          if (stagedFiles.length > 10) {
-            console.log(chalk.gray(`     ... and ${stagedFiles.length - 10} more`));
+          if (changedFiles.length > 10) {
+            console.log(chalk.gray(`     ... and ${changedFiles.length - 10} more`));
           }
         } else {
-          console.log(chalk.yellow('   No staged files found'));
+          console.log(chalk.yellow('   No changed files found'));
         }
       } catch (error) {
-        console.log(chalk.red('   Error reading staged files'));
+        console.log(chalk.red('   Error reading changed files'));
       }
+    } else if (options.path) {
+      console.log(chalk.cyan(`   Target: ${options.path}`));
     } else {
-      console.log(chalk.cyan('   Target: Recent changes in current branch'));
+      console.log(chalk.cyan('   Target: Entire repository'));
     }
     
     console.log('');
@@ -127,14 +397,6 @@ class ReviewCommand {
    * @param {Object} options - Command options
    */
   displayReviewResults(result, options) {
-    const severityEmojis = {
-      CRITICAL: '🔴',
-      HIGH: '🟠',
-      MEDIUM: '🟡',
-      LOW: '🔵',
-      INFO: '⚪'
-    };
-
     // Header
     console.log(chalk.green.bold('✅ Code Review Complete!'));
     console.log(chalk.gray('─'.repeat(50)));
@@ -143,27 +405,46 @@ class ReviewCommand {
     console.log(chalk.white.bold('📊 Review Summary:'));
     console.log(chalk.gray(`   Files Reviewed: ${result.filesReviewed}`));
     console.log(chalk.gray(`   Issues Found: ${result.issuesFound}`));
+    if (result.skippedFiles && result.skippedFiles.length > 0) {
+      console.log(chalk.yellow(`   Files Skipped: ${result.skippedFiles.length} (too large, binary or unreadable)`));
+    }
     
     if (result.summary) {
       const { summary } = result;
       if (summary.criticalIssues > 0) {
-        console.log(chalk.red(`   ${severityEmojis.CRITICAL} Critical: ${summary.criticalIssues}`));
+        console.log(chalk.red(`   ${SEVERITY_ICONS.critical} Critical: ${summary.criticalIssues}`));
       }
       if (summary.highIssues > 0) {
-        console.log(chalk.red(`   ${severityEmojis.HIGH} High: ${summary.highIssues}`));
+        console.log(chalk.red(`   ${SEVERITY_ICONS.high} High: ${summary.highIssues}`));
       }
       if (summary.mediumIssues > 0) {
-        console.log(chalk.yellow(`   ${severityEmojis.MEDIUM} Medium: ${summary.mediumIssues}`));
+        console.log(chalk.yellow(`   ${SEVERITY_ICONS.medium} Medium: ${summary.mediumIssues}`));
       }
       if (summary.lowIssues > 0) {
-        console.log(chalk.blue(`   ${severityEmojis.LOW} Low: ${summary.lowIssues}`));
+        console.log(chalk.blue(`   ${SEVERITY_ICONS.low} Low: ${summary.lowIssues}`));
       }
+      if (summary.infoIssues > 0) {
+        console.log(chalk.gray(`   ${SEVERITY_ICONS.info} Info: ${summary.infoIssues}`));
+      }
+    }
+
+    if (result.suppressedIssues > 0) {
+      console.log(chalk.gray(`   🔕 Suppressed by comments: ${result.suppressedIssues}`));
+    }
+    if (result.baselineIssues > 0) {
+      console.log(chalk.gray(`   📌 Known from baseline: ${result.baselineIssues} (use --no-baseline to show them)`));
+    }
+    if (result.baselinePath) {
+      console.log(chalk.green(`\n📌 Baseline updated: ${result.issuesFound} findings recorded in ${result.baselinePath}`));
+      console.log(chalk.gray('   Commit it so later reviews only report new issues'));
     }
 
-    // Fix.md file info
+    // Report file info
     console.log(chalk.white.bold('\n📄 Review Report:'));
-    console.log(chalk.cyan(`   Generated: ${result.fixMdPath}`));
-    console.log(chalk.gray('   Open this file to see detailed findings and recommendations'));
+    console.log(chalk.cyan(`   Generated: ${result.reportPath}`));
+    console.log(chalk.gray(options.format === 'sarif'
+      ? '   Upload it to your code scanning dashboard or open it in a SARIF viewer'
+      : '   Open this file to see detailed findings and recommendations'));
 
     // Priority actions
     if (result.summary && (result.summary.criticalIssues > 0 || result.summary.highIssues > 0)) {
@@ -174,12 +455,12 @@ class ReviewCommand {
       if (result.summary.highIssues > 0) {
         console.log(chalk.red('   • Review HIGH priority issues'));
       }
-      console.log(chalk.cyan('   • Check fix.md for detailed recommendations'));
+      console.log(chalk.cyan(`   • Check ${result.reportPath} for detailed findings`));
     }
 
     // Next steps
     console.log(chalk.white.bold('\n📝 Next Steps:'));
-    console.log(chalk.cyan(`   1. Review the detailed report: ${result.fixMdPath}`));
+    console.log(chalk.cyan(`   1. Review the detailed report: ${result.reportPath}`));
     console.log(chalk.cyan('   2. Address critical and high-priority issues first'));
     console.log(chalk.cyan('   3. Implement suggested improvements'));
     console.log(chalk.cyan('   4. Run tests to ensure fixes don\'t break functionality'));
@@ -187,7 +468,7 @@ class ReviewCommand {
 
     // Footer
     console.log('\n' + chalk.gray('─'.repeat(50)));
-    console.log(chalk.cyan('✨ Code review complete! Check fix.md for detailed analysis.'));
+    console.log(chalk.cyan(`✨ Code review complete! Check ${result.reportPath} for detailed analysis.`));
   }
 }
 
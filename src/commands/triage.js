@@ -0,0 +1,545 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const chalk = require('chalk');
+const ora = require('ora');
+const inquirer = require('inquirer');
+const { SEVERITIES, SEVERITY_ICONS, SEVERITY_LABELS } = require('../review/issue');
+const { HISTORY_RULE } = require('../review/history');
+const { getLanguage } = require('../review/languages');
+const { isJavaScriptFile } = require('../review/ast');
+const { applyEdits, rebaseEdits, createUnifiedDiff, createLineMap, getUnstagedFiles } = require('../review/fixer');
+
+// Lines shown around a finding
+const CONTEXT_LINES = 3;
+const PAGE_SIZE = 20;
+
+const STATUS_MARKS = {
+  fixed: '✔',
+  suppressed: '🔕',
+  baseline: '📌'
+};
+
+// Files commented with "#", beyond the languages of src/review/languages
+const HASH_COMMENT_EXTENSIONS = ['.yml', '.yaml', '.toml', '.properties', '.ini', '.cfg', '.conf', '.sh', '.bash', '.zsh', '.tf', '.tfvars', '.rb', '.pl', '.r'];
+const HASH_COMMENT_FILES = /^(\.env.*|\.npmrc|\.pypirc|Dockerfile.*|Makefile)$/;
+
+// Editors that open a file at a line with "+<line> <file>"
+const PLUS_LINE_EDITORS = /^(vi|vim|nvim|gvim|nano|emacs|emacsclient|micro|kak|hx|helix|joe|mcedit)$/;
+
+/**
+ * Line comment marker of a file, for suppression comments
+ * @param {string} file - File path
+ * @returns {string|null} Null for files without line comments (JSON)
+ */
+function getCommentPrefix(file) {
+  if (isJavaScriptFile(file)) {
+    return '//';
+  }
+  const language = getLanguage(file);
+  if (language) {
+    return language.lineComment;
+  }
+  const name = path.basename(file);
+  if (HASH_COMMENT_EXTENSIONS.includes(path.extname(file).toLowerCase()) || HASH_COMMENT_FILES.test(name)) {
+    return '#';
+  }
+  return ['.sql', '.lua'].includes(path.extname(file).toLowerCase()) ? '--' : null;
+}
+
+/**
+ * Quote a path for the shell running the editor command
+ * @param {string} file - File path
+ * @returns {string}
+ */
+function shellQuote(file) {
+  return process.platform === 'win32' ? `"${file}"` : `'${file.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+class ReviewTriage {
+  /**
+   * Interactive triage of review findings (review --interactive): a list grouped by
+   * severity or file, and per finding the code around it and the actions to take
+   * @param {Object} result - Result of CodeReviewExpert.performReview()
+   * @param {CodeReviewExpert} reviewExpert - Agent that ran the review
+   * @param {Object} options - Command options
+   */
+  constructor(result, reviewExpert, options = {}) {
+    this.result = result;
+    this.reviewExpert = reviewExpert;
+    this.options = options;
+    // Copies: lines and edits move as the files are changed
+    this.issues = result.issues.map(issue => ({ ...issue }));
+    this.status = new Map();
+    // Current content of the reviewed files that are in sync with the working tree
+    this.contents = new Map();
+    this.touched = new Set();
+    this.unstaged = options.force ? new Set() : getUnstagedFiles();
+    this.groupBy = 'severity';
+    this.aiEnabled = options.ai !== false && Boolean(reviewExpert.llmClient);
+  }
+
+  /**
+   * Run the triage until the user quits
+   * @returns {Promise<Map<Object, string>>} What happened to each handled finding
+   */
+  async run() {
+    for (const [file, content] of this.result.sources) {
+      const current = await fs.readFile(file, 'utf8').catch(() => null);
+      // Reviewed from the index or a commit and edited since: nothing can be written there
+      if (current === content) {
+        this.contents.set(file, content);
+      }
+    }
+
+    if (this.issues.length === 0) {
+      console.log(chalk.green('\n✅ No findings to triage'));
+      return this.status;
+    }
+
+    let selected = this.issues[0];
+    while (selected) {
+      const choice = await this.showList(selected);
+      if (choice === 'quit') {
+        break;
+      }
+      if (choice === 'group') {
+        this.groupBy = this.groupBy === 'severity' ? 'file' : 'severity';
+        continue;
+      }
+      selected = await this.showIssue(choice);
+    }
+
+    this.printSummary();
+    return this.status;
+  }
+
+  /**
+   * Findings in display order for the current grouping
+   * @returns {Object[]}
+   */
+  orderedIssues() {
+    const rank = issue => SEVERITIES.indexOf(issue.severity);
+    return [...this.issues].sort((a, b) => (this.groupBy === 'severity'
+      ? rank(a) - rank(b) || a.file.localeCompare(b.file)
+      : a.file.localeCompare(b.file) || rank(a) - rank(b)) || a.line - b.line);
+  }
+
+  /**
+   * The finding list
+   * @param {Object} selected - Finding the cursor starts on
+   * @returns {Promise<Object|string>} The chosen finding, "group" or "quit"
+   */
+  async showList(selected) {
+    const width = Math.max(40, (process.stdout.columns || 100) - 8);
+    const clip = text => (text.length > width ? `${text.slice(0, width - 1)}…` : text);
+    const choices = [];
+    let group = null;
+    let subgroup = null;
+
+    this.orderedIssues().forEach(issue => {
+      const key = this.groupBy === 'severity' ? issue.severity : issue.file;
+      if (key !== group) {
+        group = key;
+        subgroup = null;
+        const count = this.issues.filter(other => (this.groupBy === 'severity' ? other.severity : other.file) === key).length;
+        choices.push(new inquirer.Separator(chalk.bold(this.groupBy === 'severity'
+          ? `${SEVERITY_ICONS[key]} ${SEVERITY_LABELS[key]} (${count})`
+          : `📄 ${key} (${count})`)));
+      }
+      if (this.groupBy === 'severity' && issue.file !== subgroup) {
+        subgroup = issue.file;
+        choices.push(new inquirer.Separator(chalk.cyan(`  ${issue.file}`)));
+      }
+
+      const status = this.status.get(issue);
+      const prefix = this.groupBy === 'severity' ? '' : `${SEVERITY_ICONS[issue.severity]} `;
+      const label = clip(`${prefix}${issue.line}:${issue.column} ${issue.ruleId} ${issue.message}`);
+      choices.push({
+        name: status ? chalk.gray(`${STATUS_MARKS[status]} ${label}`) : `  ${label}`,
+        short: `${issue.file}:${issue.line}`,
+        value: issue
+      });
+    });
+
+    const handled = this.status.size;
+    choices.push(new inquirer.Separator());
+    choices.push({ name: `⇄ Group by ${this.groupBy === 'severity' ? 'file' : 'severity'}`, value: 'group' });
+    choices.push({ name: '✖ Quit', value: 'quit' });
+
+    const { choice } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'choice',
+        message: `Findings (${handled} of ${this.issues.length} handled)`,
+        choices,
+        default: choices.findIndex(entry => entry.value === selected),
+        pageSize: PAGE_SIZE,
+        loop: false
+      }
+    ]);
+    return choice;
+  }
+
+  /**
+   * Show a finding and run the actions picked for it
+   * @param {Object} issue - Finding
+   * @returns {Promise<Object|null>} Finding to select in the list next, null to quit
+   */
+  async showIssue(issue) {
+    for (;;) {
+      this.printIssue(issue);
+
+      const actions = this.getActions(issue);
+      const { action } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: 'Action',
+          choices: actions,
+          pageSize: PAGE_SIZE,
+          loop: false
+        }
+      ]);
+
+      switch (action) {
+        case 'back':
+          return issue;
+        case 'quit':
+          return null;
+        case 'next':
+          return this.showIssue(this.nextIssue(issue) || issue);
+        case 'editor':
+          await this.openInEditor(issue);
+          break;
+        case 'explain':
+          await this.explain(issue);
+          break;
+        case 'fix':
+        case 'patch':
+        case 'suppress':
+        case 'baseline': {
+          const done = await this[action](issue);
+          if (done) {
+            const next = this.nextIssue(issue);
+            if (!next) {
+              return issue;
+            }
+            issue = next;
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Next finding in list order not handled yet
+   * @param {Object} issue - Current finding
+   * @returns {Object|null}
+   */
+  nextIssue(issue) {
+    const ordered = this.orderedIssues();
+    const index = ordered.indexOf(issue);
+    return [...ordered.slice(index + 1), ...ordered.slice(0, index)].find(other => !this.status.has(other)) || null;
+  }
+
+  /**
+   * Actions available for a finding
+   * @param {Object} issue - Finding
+   * @returns {Object[]} inquirer choices
+   */
+  getActions(issue) {
+    const inSync = this.contents.has(issue.file);
+    const handled = this.status.has(issue);
+    // Configuration files are never sent to the model
+    const aiAllowed = this.aiEnabled && !this.reviewExpert.secretsOnly.has(issue.file);
+    const actions = [{ name: 'Next finding', value: 'next' }];
+
+    if (fs.existsSync(issue.file)) {
+      actions.push({ name: `Open in ${this.getEditor()}`, value: 'editor' });
+    }
+    if (aiAllowed) {
+      actions.push({ name: 'Explain with AI', value: 'explain' });
+    }
+    if (!handled && inSync && issue.edits) {
+      actions.push({ name: 'Apply the automatic fix', value: 'fix' });
+    }
+    if (!handled && inSync && aiAllowed) {
+      actions.push({ name: 'Ask the model for a fix', value: 'patch' });
+    }
+    if (!handled && inSync && issue.ruleId !== HISTORY_RULE.id && getCommentPrefix(issue.file)) {
+      actions.push({ name: 'Suppress with a comment', value: 'suppress' });
+    }
+    if (!handled) {
+      actions.push({ name: 'Add to the baseline', value: 'baseline' });
+    }
+    actions.push({ name: 'Back to the list', value: 'back' });
+    actions.push({ name: 'Quit', value: 'quit' });
+    return actions;
+  }
+
+  /**
+   * Print a finding with the code around it
+   * @param {Object} issue - Finding
+   */
+  printIssue(issue) {
+    const status = this.status.get(issue);
+    console.log('');
+    console.log(chalk.bold(`${SEVERITY_ICONS[issue.severity]} ${SEVERITY_LABELS[issue.severity]} · ${issue.ruleId} · ${issue.category}` +
+      `${status ? chalk.gray(` (${status})`) : ''}`));
+    console.log(chalk.cyan(`${issue.file}:${issue.line}:${issue.column}`));
+    console.log(issue.message);
+    if (issue.fix) {
+      console.log(chalk.green(`Fix: ${issue.fix}`));
+    }
+    if (issue.confidence < 1) {
+      console.log(chalk.gray(`Confidence: ${Math.round(issue.confidence * 100)}%`));
+    }
+    console.log('');
+
+    // Secrets are masked in the snippet and history findings have no current file: show the snippet
+    const content = this.contents.get(issue.file);
+    const masked = issue.snippet && content !== undefined && !content.includes(issue.snippet.split('\n')[0]);
+    if (content === undefined || masked) {
+      issue.snippet.split('\n').forEach(line => console.log(chalk.yellow(`  > ${line}`)));
+      return;
+    }
+
+    const lines = content.split('\n');
+    const from = Math.max(1, issue.line - CONTEXT_LINES);
+    const to = Math.min(lines.length, issue.endLine + CONTEXT_LINES);
+    const width = String(to).length;
+    for (let line = from; line <= to; line++) {
+      const flagged = line >= issue.line && line <= issue.endLine;
+      const text = `${String(line).padStart(width)} │ ${lines[line - 1]}`;
+      console.log(flagged ? chalk.yellow(`> ${text}`) : chalk.gray(`  ${text}`));
+    }
+  }
+
+  /**
+   * Editor command, from $VISUAL or $EDITOR
+   * @returns {string}
+   */
+  getEditor() {
+    return process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+  }
+
+  /**
+   * Open the file of a finding in the editor, at its line when the editor supports it
+   * @param {Object} issue - Finding
+   */
+  async openInEditor(issue) {
+    const editor = this.getEditor();
+    const program = path.basename(editor.trim().split(/\s+/)[0]).replace(/\.exe$/i, '');
+    const file = shellQuote(issue.file);
+    let args = file;
+    if (PLUS_LINE_EDITORS.test(program)) {
+      args = `+${issue.line} ${file}`;
+    } else if (/^(code|code-insiders|codium|cursor)$/.test(program)) {
+      args = `--goto ${shellQuote(`${issue.file}:${issue.line}:${issue.column}`)}`;
+    } else if (/^(subl|zed)$/.test(program)) {
+      args = shellQuote(`${issue.file}:${issue.line}`);
+    }
+
+    const before = this.contents.get(issue.file);
+    const run = spawnSync(`${editor} ${args}`, { shell: true, stdio: 'inherit' });
+    if (run.error || run.status !== 0) {
+      console.log(chalk.red(`❌ ${editor} failed${run.error ? `: ${run.error.message}` : ` with exit code ${run.status}`}`));
+      return;
+    }
+
+    // Follow the edits: lines move, and automatic fixes no longer match the file
+    if (before !== undefined) {
+      const after = await fs.readFile(issue.file, 'utf8').catch(() => before);
+      if (after !== before) {
+        this.updateFile(issue.file, after, null);
+      }
+    }
+  }
+
+  /**
+   * Print the model's explanation of a finding
+   * @param {Object} issue - Finding
+   */
+  async explain(issue) {
+    const content = this.contents.get(issue.file) || await fs.readFile(issue.file, 'utf8').catch(() => issue.snippet);
+    const spinner = ora('Asking the model...').start();
+    try {
+      const explanation = await this.reviewExpert.explainIssue(issue, content);
+      spinner.stop();
+      console.log(`\n${explanation}`);
+    } catch (error) {
+      spinner.stop();
+      console.log(chalk.red(`❌ No explanation: ${error.message}`));
+    }
+  }
+
+  /**
+   * Whether changes may be written to a file: files with unstaged changes of the user are
+   * only touched with --force, unless this session already wrote to them
+   * @param {string} file - File path
+   * @returns {boolean}
+   */
+  isWritable(file) {
+    if (this.unstaged.has(file) && !this.touched.has(file)) {
+      console.log(chalk.yellow(`⚠️  ${file} has unstaged changes, changing it needs --force`));
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Apply the automatic fix of a finding after showing it
+   * @param {Object} issue - Finding
+   * @returns {Promise<boolean>} Whether the file was changed
+   */
+  async fix(issue) {
+    if (!this.isWritable(issue.file)) {
+      return false;
+    }
+    const content = this.contents.get(issue.file);
+    const { content: fixed } = applyEdits(content, [issue.edits]);
+    return this.confirmChange(issue, fixed, 'fixed', issue.edits);
+  }
+
+  /**
+   * Ask the model for a patch fixing a finding and apply it if accepted
+   * @param {Object} issue - Finding
+   * @returns {Promise<boolean>} Whether the file was changed
+   */
+  async patch(issue) {
+    if (!this.isWritable(issue.file)) {
+      return false;
+    }
+    const spinner = ora('Asking the model for a fix...').start();
+    let patched;
+    try {
+      patched = await this.reviewExpert.proposePatch(issue.file, this.contents.get(issue.file), [issue]);
+      spinner.stop();
+    } catch (error) {
+      spinner.stop();
+      console.log(chalk.red(`❌ No patch: ${error.message}`));
+      return false;
+    }
+    if (!patched) {
+      console.log(chalk.yellow('The model proposed no change'));
+      return false;
+    }
+    return this.confirmChange(issue, patched, 'fixed', null);
+  }
+
+  /**
+   * Show the diff of a change and write it if the user accepts it
+   * @param {Object} issue - Finding the change handles
+   * @param {string} content - New content of its file
+   * @param {string} status - Status of the finding once written
+   * @param {Object[]|null} edits - Edits making the change, to move the other fixes of the file
+   * @returns {Promise<boolean>}
+   */
+  async confirmChange(issue, content, status, edits) {
+    const diff = createUnifiedDiff(issue.file, this.contents.get(issue.file), content);
+    console.log(`\n${diff.trimEnd().split('\n').map(line => {
+      if (line.startsWith('+') && !line.startsWith('+++')) {
+        return chalk.green(line);
+      }
+      if (line.startsWith('-') && !line.startsWith('---')) {
+        return chalk.red(line);
+      }
+      return line.startsWith('@@') ? chalk.cyan(line) : line;
+    }).join('\n')}\n`);
+
+    const { apply } = await inquirer.prompt([
+      { type: 'confirm', name: 'apply', message: `Write this change to ${issue.file}?`, default: true }
+    ]);
+    if (!apply) {
+      return false;
+    }
+
+    await fs.writeFile(issue.file, content, 'utf8');
+    this.updateFile(issue.file, content, edits);
+    this.status.set(issue, status);
+    return true;
+  }
+
+  /**
+   * Add a git-copilot-disable-next-line comment above a finding once the user confirms it
+   * @param {Object} issue - Finding
+   * @returns {Promise<boolean>}
+   */
+  async suppress(issue) {
+    if (!this.isWritable(issue.file)) {
+      return false;
+    }
+    const { reason } = await inquirer.prompt([
+      { type: 'input', name: 'reason', message: 'Reason (optional):' }
+    ]);
+
+    const content = this.contents.get(issue.file);
+    const lines = content.split('\n');
+    const offset = lines.slice(0, issue.line - 1).reduce((total, line) => total + line.length + 1, 0);
+    const indent = lines[issue.line - 1].match(/^\s*/)[0];
+    const comment = `${indent}${getCommentPrefix(issue.file)} git-copilot-disable-next-line ${issue.ruleId}` +
+      `${reason.trim() ? ` -- ${reason.trim()}` : ''}\n`;
+    const edit = { range: [offset, offset], text: comment };
+
+    const updated = applyEdits(content, [[edit]]).content;
+    if (!await this.confirmChange(issue, updated, 'suppressed', [edit])) {
+      return false;
+    }
+    console.log(chalk.green(`✔ Suppressed in ${issue.file}:${issue.line}`));
+    return true;
+  }
+
+  /**
+   * Record a finding in the baseline so later reviews skip it
+   * @param {Object} issue - Finding
+   * @returns {Promise<boolean>}
+   */
+  async baseline(issue) {
+    // The fingerprint uses the line as reviewed, before any change made here
+    const original = this.result.issues[this.issues.indexOf(issue)];
+    const baselinePath = this.reviewExpert.acceptInBaseline([original], this.result.sources);
+    this.status.set(issue, 'baseline');
+    console.log(chalk.green(`✔ Added to ${path.relative(process.cwd(), baselinePath)}`));
+    return true;
+  }
+
+  /**
+   * Record new content of a file: the lines of its findings move with it, and their
+   * automatic fixes are rebased over the edits written (or dropped without them)
+   * @param {string} file - File path
+   * @param {string} content - New content
+   * @param {Object[]|null} edits - Edits written, null for arbitrary changes
+   */
+  updateFile(file, content, edits) {
+    const mapLine = createLineMap(this.contents.get(file), content);
+    this.issues.filter(issue => issue.file === file).forEach(issue => {
+      issue.line = mapLine(issue.line);
+      issue.endLine = Math.max(issue.line, mapLine(issue.endLine));
+      issue.edits = issue.edits && edits ? rebaseEdits(issue.edits, edits) : null;
+    });
+    this.contents.set(file, content);
+    this.touched.add(file);
+  }
+
+  /**
+   * Print what the triage changed
+   */
+  printSummary() {
+    const count = status => [...this.status.values()].filter(value => value === status).length;
+    console.log(chalk.white.bold('\n🗂️  Triage Summary:'));
+    console.log(chalk.gray(`   Fixed: ${count('fixed')}`));
+    console.log(chalk.gray(`   Suppressed with a comment: ${count('suppressed')}`));
+    console.log(chalk.gray(`   Added to the baseline: ${count('baseline')}`));
+    console.log(chalk.gray(`   Left: ${this.issues.length - this.status.size}`));
+    if (this.touched.size > 0) {
+      console.log(chalk.cyan(`   Changed files: ${[...this.touched].join(', ')}`));
+    }
+    if (count('baseline') > 0) {
+      console.log(chalk.gray('   Commit the baseline so later reviews skip the accepted findings'));
+    }
+  }
+}
+
+module.exports = { ReviewTriage, getCommentPrefix };
@@ -0,0 +1,177 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { CONFIG_SCHEMA, validate } = require('./schema');
+const { DEFAULT_SECRET_FILES } = require('../review/secrets');
+
+const CONFIG_FILES = [
+  '.gitcopilotrc',
+  '.gitcopilotrc.json',
+  '.gitcopilotrc.yaml',
+  '.gitcopilotrc.yml',
+  'git-copilot.config.js'
+];
+
+const DEFAULT_CONFIG = {
+  agents: {},
+  files: {
+    include: [],
+    exclude: []
+  },
+  review: {
+    extensions: ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.cpp', '.cc', '.c', '.h', '.hpp', '.go', '.rs'],
+    excludeDirs: ['node_modules', '.git', 'dist', 'build', '.next'],
+    rulesDir: '.git-copilot/rules',
+    plugins: [],
+    rules: {},
+    baseline: '.git-copilot/baseline.json',
+    cache: true,
+    concurrency: 'auto',
+    maxFileSize: 1024 * 1024,
+    secrets: {
+      files: DEFAULT_SECRET_FILES
+    },
+    dependencies: {
+      advisories: '.git-copilot/advisories.json',
+      licenses: {
+        allow: [],
+        deny: []
+      },
+      ignore: []
+    }
+  },
+  commit: {
+    conventional: false
+  },
+  context: {
+    maxTokens: 'auto',
+    summarize: true
+  },
+  documentation: {
+    files: ['README.md', 'KB.md', 'CHANGELOG.md', 'API.md'],
+    extensions: ['.js', '.ts', '.py', '.java', '.cpp', '.c', '.go', '.rs']
+  }
+};
+
+class ConfigError extends Error {
+  /**
+   * Raised when a configuration file can't be parsed or fails validation
+   * @param {string} filePath - Offending configuration file
+   * @param {string[]} problems - Human readable problems
+   */
+  constructor(filePath, problems) {
+    super(`Invalid configuration in ${filePath}:\n${problems.map(problem => `  • ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.filePath = filePath;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Find the nearest configuration file walking up from a directory
+ * @param {string} [startDir] - Directory to start from
+ * @returns {string|null}
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Parse a configuration file according to its extension
+ * @param {string} filePath - Configuration file
+ * @returns {Object}
+ */
+function readConfigFile(filePath) {
+  try {
+    if (filePath.endsWith('.js')) {
+      return require(filePath);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (filePath.endsWith('.json')) {
+      return JSON.parse(content);
+    }
+
+    // .gitcopilotrc may be JSON or YAML; YAML is a superset of JSON
+    return YAML.parse(content) || {};
+  } catch (error) {
+    throw new ConfigError(filePath, [`could not be parsed: ${error.message}`]);
+  }
+}
+
+/**
+ * Validate a raw configuration object
+ * @param {Object} config - Configuration as read from disk
+ * @param {string} filePath - Source file, used in error messages
+ * @returns {Object} The same configuration
+ */
+function validateConfig(config, filePath) {
+  const problems = validate(config, CONFIG_SCHEMA);
+  if (problems.length > 0) {
+    throw new ConfigError(filePath, problems);
+  }
+  return config;
+}
+
+/**
+ * Deep merge plain objects; arrays and scalars from the override replace the base
+ * @param {Object} base - Base values
+ * @param {Object} override - Values taking precedence
+ * @returns {Object}
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override || {})) {
+    const current = merged[key];
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        current && typeof current === 'object' && !Array.isArray(current)) {
+      merged[key] = mergeConfig(current, value);
+    } else if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Load, validate and merge the project configuration with the defaults
+ * @param {string} [cwd] - Directory to start the search from
+ * @returns {{config: Object, filePath: string|null}}
+ */
+function loadConfig(cwd = process.cwd()) {
+  const filePath = findConfigFile(cwd);
+  if (!filePath) {
+    return { config: mergeConfig(DEFAULT_CONFIG, {}), filePath: null };
+  }
+
+  const fileConfig = validateConfig(readConfigFile(filePath), filePath);
+  return { config: mergeConfig(DEFAULT_CONFIG, fileConfig), filePath };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_CONFIG,
+  ConfigError,
+  findConfigFile,
+  readConfigFile,
+  validateConfig,
+  mergeConfig,
+  loadConfig
+};
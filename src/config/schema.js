@@ -0,0 +1,195 @@
+const { PROVIDERS } = require('../providers');
+const { SEVERITIES } = require('../review/issue');
+
+const providerSettings = {
+  provider: { type: 'string', enum: Object.keys(PROVIDERS) },
+  model: { type: 'string' },
+  baseUrl: { type: 'string' },
+  apiKeyEnv: { type: 'string', description: 'Name of the environment variable holding the API key' }
+};
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Schema of the project configuration file. A small JSON-Schema-like subset:
+ * type, enum, minimum, anyOf, items, properties and additionalProperties.
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ...providerSettings,
+    baseBranch: { type: 'string' },
+    files: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        include: stringList,
+        exclude: stringList
+      }
+    },
+    agents: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        'pr-git-expert': { type: 'object', additionalProperties: false, properties: providerSettings },
+        'documentation-expert': { type: 'object', additionalProperties: false, properties: providerSettings },
+        'code-review-expert': { type: 'object', additionalProperties: false, properties: providerSettings }
+      }
+    },
+    review: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        extensions: stringList,
+        excludeDirs: stringList,
+        rulesDir: { type: 'string', description: 'Directory of custom rule modules, relative to the repository root' },
+        plugins: { ...stringList, description: 'npm packages exporting review rules' },
+        baseline: { type: 'string', description: 'Baseline file of accepted findings, relative to the repository root' },
+        cache: { type: 'boolean', description: 'Reuse the findings of unchanged files from earlier reviews' },
+        concurrency: {
+          description: 'Worker threads analyzing files: a number, or "auto" for one per core but one',
+          anyOf: [{ type: 'integer', minimum: 1 }, { enum: ['auto'] }]
+        },
+        maxFileSize: { type: 'integer', minimum: 1, description: 'Files larger than this many bytes are not reviewed' },
+        secrets: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            files: { ...stringList, description: 'Globs of configuration files scanned for secrets only' }
+          }
+        },
+        dependencies: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            advisories: { type: 'string', description: 'Offline advisory database, relative to the repository root' },
+            licenses: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                allow: { ...stringList, description: 'SPDX ids production packages may use; empty allows any not denied' },
+                deny: { ...stringList, description: 'SPDX ids production packages must not use' }
+              }
+            },
+            ignore: { ...stringList, description: 'Packages never reported as unused or missing' }
+          }
+        },
+        rules: {
+          type: 'object',
+          description: 'Per-rule overrides: "off", "on" or a severity',
+          additionalProperties: { type: 'string', enum: ['off', 'on', ...SEVERITIES] }
+        }
+      }
+    },
+    commit: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        conventional: { type: 'boolean' }
+      }
+    },
+    context: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxTokens: {
+          description: 'Tokens of code, diffs and rules sent in one prompt: a number, or "auto" to derive it from the model',
+          anyOf: [{ type: 'integer', minimum: 1 }, { enum: ['auto'] }]
+        },
+        window: { type: 'integer', minimum: 1, description: 'Context window of the model in tokens, for models the built-in table does not know' },
+        summarize: { type: 'boolean', description: 'Summarize diffs too large for the budget with extra model calls' }
+      }
+    },
+    documentation: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        files: stringList,
+        extensions: stringList
+      }
+    }
+  }
+};
+
+/**
+ * Name of the JSON type of a value, distinguishing arrays, null and integers
+ * @param {*} value - Value to inspect
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} [pointer] - Dotted path of the value, used in messages
+ * @returns {string[]} Human readable problems, empty when valid
+ */
+function validate(value, schema, pointer = '') {
+  const label = pointer || 'configuration';
+  const actual = typeOf(value);
+  // Integers are numbers too
+  const matchesType = type => actual === type || (type === 'number' && actual === 'integer');
+  const article = type => (['array', 'integer'].includes(type) ? 'an' : 'a');
+
+  if (schema.anyOf) {
+    if (schema.anyOf.every(alternative => validate(value, alternative, pointer).length > 0)) {
+      const expected = schema.anyOf.map(alternative => (alternative.enum
+        ? alternative.enum.map(option => JSON.stringify(option)).join(', ')
+        : `${article(alternative.type)} ${alternative.type}${alternative.minimum !== undefined ? ` of at least ${alternative.minimum}` : ''}`));
+      return [`${label} must be ${expected.join(' or ')} (got ${JSON.stringify(value)})`];
+    }
+    return [];
+  }
+
+  if (schema.type && !matchesType(schema.type)) {
+    return [`${label} must be ${article(schema.type)} ${schema.type} (got ${actual === 'integer' ? 'number' : actual})`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${label} must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`];
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return [`${label} must be at least ${schema.minimum} (got ${value})`];
+  }
+
+  const problems = [];
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validate(item, schema.items, `${label}[${index}]`));
+    });
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPointer = pointer ? `${pointer}.${key}` : key;
+      if (properties[key]) {
+        problems.push(...validate(child, properties[key], childPointer));
+      } else if (typeof schema.additionalProperties === 'object') {
+        // Free-form keys (rule ids) whose values share one schema
+        problems.push(...validate(child, schema.additionalProperties, childPointer));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${childPointer} is not a known option (allowed: ${Object.keys(schema.properties).join(', ')})`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+module.exports = { CONFIG_SCHEMA, validate };
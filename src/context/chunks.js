@@ -0,0 +1,166 @@
+const { isJavaScriptFile, parseSource } = require('../review/ast');
+const { getLanguage } = require('../review/languages');
+const { scanSource } = require('../review/languages/scanner');
+
+/**
+ * Line of a node, including the comments documenting it
+ * @param {Object} node - Babel node
+ * @returns {number}
+ */
+function getStartLine(node) {
+  return node.leadingComments && node.leadingComments.length > 0
+    ? node.leadingComments[0].loc.start.line
+    : node.loc.start.line;
+}
+
+/**
+ * Body of the class a top-level statement declares, if any
+ * @param {Object} statement - Babel statement
+ * @returns {Object|null} ClassBody node
+ */
+function getClassBody(statement) {
+  let node = statement;
+  if (node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') {
+    node = node.declaration;
+  } else if (node.type === 'VariableDeclaration' && node.declarations.length === 1) {
+    node = node.declarations[0].init;
+  } else if (node.type === 'ExpressionStatement' && node.expression.type === 'AssignmentExpression') {
+    node = node.expression.right;
+  }
+  return node && (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') ? node.body : null;
+}
+
+/**
+ * Where units of JavaScript or TypeScript start: top-level statements, and the members of
+ * top-level classes since a module is often one large class
+ * @param {string} content - Source
+ * @param {string} file - File path
+ * @returns {number[]} 1-based lines
+ */
+function getJavaScriptBoundaries(content, file) {
+  const starts = [];
+  parseSource(content, file).program.body.forEach(statement => {
+    starts.push(getStartLine(statement));
+    const classBody = getClassBody(statement);
+    if (classBody) {
+      classBody.body.forEach(member => starts.push(getStartLine(member)));
+    }
+  });
+  return starts;
+}
+
+/**
+ * Where functions of the other supported languages start and end. A function starts at the
+ * comments, decorators and attributes right above it.
+ * @param {string} content - Source
+ * @param {Object} language - Language definition
+ * @returns {number[]} 1-based lines
+ */
+function getScannedBoundaries(content, language) {
+  const lines = content.split('\n');
+  const { code, functions } = scanSource(content, language);
+  const isPreamble = index => {
+    const text = lines[index].trim();
+    return text !== '' && (code[index].trim() === '' || /^(@|#\[)/.test(text));
+  };
+
+  return functions.flatMap(fn => {
+    let start = fn.line - 1;
+    while (start > 0 && isPreamble(start - 1)) {
+      start--;
+    }
+    return [start + 1, fn.endLine + 1];
+  });
+}
+
+/**
+ * Lines after a blank line, the boundary of last resort
+ * @param {string[]} lines - Source lines
+ * @returns {number[]} 1-based lines
+ */
+function getBlankLineBoundaries(lines) {
+  return lines.flatMap((line, index) => (index > 0 && !lines[index - 1].trim() && line.trim() ? [index + 1] : []));
+}
+
+/**
+ * Where a chunk of a file may start, on function boundaries where the language is known
+ * @param {string} content - Source
+ * @param {string} file - File path
+ * @returns {number[]} Sorted 1-based lines, starting with 1
+ */
+function getBoundaries(content, file) {
+  let starts = [];
+  try {
+    const language = getLanguage(file);
+    if (isJavaScriptFile(file)) {
+      starts = getJavaScriptBoundaries(content, file);
+    } else if (language) {
+      starts = getScannedBoundaries(content, language);
+    }
+  } catch (error) {
+    // Unparsable source falls back to blank lines
+    starts = [];
+  }
+  if (starts.length === 0) {
+    starts = getBlankLineBoundaries(content.split('\n'));
+  }
+
+  const lineCount = content.split('\n').length;
+  return [...new Set([1, ...starts])].filter(line => line >= 1 && line <= lineCount).sort((a, b) => a - b);
+}
+
+/**
+ * Split a file into chunks of at most maxTokens tokens, cutting on function boundaries.
+ * Functions larger than a chunk are cut on blank lines, then between any lines.
+ * @param {string} content - Source
+ * @param {string} file - File path
+ * @param {number[]} lineTokens - Tokens of each line as it will be sent
+ * @param {number} maxTokens - Chunk size
+ * @returns {Array<{line: number, endLine: number, tokens: number}>} 1-based inclusive lines
+ */
+function chunkSource(content, file, lineTokens, maxTokens) {
+  const lines = content.split('\n');
+  const boundaries = getBoundaries(content, file);
+  const tokensOf = (from, to) => lineTokens.slice(from - 1, to).reduce((total, tokens) => total + tokens, 0);
+
+  // Units between boundaries, split further when too large for a chunk
+  const units = [];
+  const addUnit = (from, to) => {
+    const tokens = tokensOf(from, to);
+    if (tokens <= maxTokens || from === to) {
+      units.push({ line: from, endLine: to, tokens });
+      return;
+    }
+    const blank = getBlankLineBoundaries(lines.slice(from - 1, to)).map(line => line + from - 1);
+    if (blank.length > 0) {
+      [from, ...blank].forEach((start, index, starts) => addUnit(start, index + 1 < starts.length ? starts[index + 1] - 1 : to));
+      return;
+    }
+    let start = from;
+    let size = 0;
+    for (let line = from; line <= to; line++) {
+      if (size > 0 && size + lineTokens[line - 1] > maxTokens) {
+        units.push({ line: start, endLine: line - 1, tokens: size });
+        start = line;
+        size = 0;
+      }
+      size += lineTokens[line - 1];
+    }
+    units.push({ line: start, endLine: to, tokens: size });
+  };
+  boundaries.forEach((start, index) => addUnit(start, index + 1 < boundaries.length ? boundaries[index + 1] - 1 : lines.length));
+
+  // Small neighbouring units share a chunk
+  return units.reduce((chunks, unit) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.tokens + unit.tokens <= maxTokens) {
+      last.endLine = unit.endLine;
+      last.tokens += unit.tokens;
+    } else {
+      chunks.push({ ...unit });
+    }
+    return chunks;
+  }, []);
+}
+
+module.exports = { getBoundaries, chunkSource };
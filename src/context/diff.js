@@ -0,0 +1,184 @@
+const path = require('path');
+const { truncateTokens } = require('./tokens');
+
+// How much a change to a file tells the model, relative to source code
+const FILE_WEIGHTS = [
+  { pattern: /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|go\.sum|poetry\.lock|Pipfile\.lock|composer\.lock|Gemfile\.lock)$/, weight: 0.05 },
+  { pattern: /\.min\.(js|css)$|\.map$|\.snap$|(^|\/)(dist|build|vendor|generated)\//, weight: 0.1 },
+  { pattern: /\.(md|mdx|rst|txt)$|(^|\/)docs?\//i, weight: 0.5 },
+  { pattern: /(^|\/)(test|tests|__tests__|spec)\/|\.(test|spec)\.[a-z]+$|(^|\/)test_[^/]+\.py$|_test\.go$/, weight: 0.7 }
+];
+// Listing an omitted file costs about this many tokens
+const OMITTED_LINE_TOKENS = 24;
+// A hunk is cut to fit only if this much of it can be shown
+const MIN_PARTIAL_HUNK_TOKENS = 256;
+
+/**
+ * Parse a unified diff into files and their hunks, keeping the text of each part as is
+ * @param {string} diff - Output of git diff
+ * @returns {Array<{file: string, header: string, hunks: Array<{text: string, added: number, removed: number}>}>}
+ */
+function parseDiff(diff) {
+  const files = [];
+  let current = null;
+  let hunk = null;
+
+  for (const line of (diff || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      const names = line.match(/^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/);
+      current = { file: names ? names[2] : line.slice(11), header: [line], hunks: [] };
+      hunk = null;
+      files.push(current);
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith('@@')) {
+      hunk = { lines: [line], added: 0, removed: 0 };
+      current.hunks.push(hunk);
+    } else if (hunk) {
+      hunk.lines.push(line);
+      if (line.startsWith('+')) {
+        hunk.added++;
+      } else if (line.startsWith('-')) {
+        hunk.removed++;
+      }
+    } else {
+      current.header.push(line);
+    }
+  }
+
+  return files.map(entry => ({
+    file: entry.file,
+    header: entry.header.join('\n'),
+    hunks: entry.hunks.map(({ lines, added, removed }) => ({ text: lines.join('\n').replace(/\n+$/, ''), added, removed }))
+  }));
+}
+
+/**
+ * Weight of the changes to a file: lockfiles and generated code say little about a change
+ * @param {string} file - File path
+ * @returns {number}
+ */
+function getFileWeight(file) {
+  const entry = FILE_WEIGHTS.find(({ pattern }) => pattern.test(file.split(path.sep).join('/')));
+  return entry ? entry.weight : 1;
+}
+
+/**
+ * Hunks in the order they should get into a prompt: the best hunk of every file first, so
+ * that many files are seen, then the second best of each, and so on. Within a round larger
+ * changes to weightier files come first.
+ * @param {Array} files - Files from parseDiff()
+ * @returns {Array<{fileIndex: number, hunkIndex: number, score: number}>}
+ */
+function rankHunks(files) {
+  const ranked = files.flatMap((entry, fileIndex) => {
+    const weight = getFileWeight(entry.file);
+    return entry.hunks
+      .map((hunk, hunkIndex) => ({ fileIndex, hunkIndex, score: weight * Math.log2(2 + hunk.added + hunk.removed) }))
+      .sort((a, b) => b.score - a.score)
+      .map((item, round) => ({ ...item, round }));
+  });
+  return ranked.sort((a, b) => a.round - b.round || b.score - a.score);
+}
+
+/**
+ * Choose the hunks that fit a budget, by rank
+ * @param {Array} files - Files from parseDiff()
+ * @param {number} maxTokens - Budget
+ * @param {function(string): number} count - Token counter
+ * @returns {Map<string, string>} Text of the chosen hunks by "file:hunk" index
+ */
+function selectHunks(files, maxTokens, count) {
+  const selected = new Map();
+  const started = new Set();
+  const cut = [];
+  // In the first round a large hunk may take only its file's share, so that other files are seen
+  const changedFiles = files.filter(entry => entry.hunks.length > 0).length;
+  const fairShare = Math.max(MIN_PARTIAL_HUNK_TOKENS, Math.floor(maxTokens / Math.max(1, changedFiles)));
+  let room = maxTokens;
+
+  for (const { fileIndex, hunkIndex, round } of rankHunks(files)) {
+    const entry = files[fileIndex];
+    const key = `${fileIndex}:${hunkIndex}`;
+    const text = entry.hunks[hunkIndex].text;
+    const header = started.has(fileIndex) ? 0 : count(entry.header) + 1;
+    const cost = header + count(text) + 1;
+
+    if (cost <= room && (round > 0 || cost <= fairShare)) {
+      selected.set(key, text);
+      room -= cost;
+    } else if (round === 0 && Math.min(room, fairShare) - header >= MIN_PARTIAL_HUNK_TOKENS) {
+      // A file's most important hunk is shown in part rather than not at all
+      const partial = truncateTokens(text, Math.min(room, fairShare) - header - 1, count);
+      selected.set(key, partial);
+      cut.push({ key, text, extra: count(text) - count(partial) });
+      room -= header + count(partial) + 1;
+    } else {
+      continue;
+    }
+    started.add(fileIndex);
+  }
+
+  // Budget the other hunks left unused completes the hunks that were cut
+  cut.forEach(({ key, text, extra }) => {
+    if (extra <= room) {
+      selected.set(key, text);
+      room -= extra;
+    }
+  });
+
+  return selected;
+}
+
+/**
+ * Render the chosen hunks in diff order, and list what was left out
+ * @param {Array} files - Files from parseDiff()
+ * @param {Map<string, string>} selected - From selectHunks()
+ * @param {number} maxOmitted - Omitted files listed by name at most
+ * @returns {{text: string, omitted: number}} Omitted is the number of hunks left out
+ */
+function renderHunks(files, selected, maxOmitted) {
+  const parts = [];
+  const omittedFiles = [];
+  let omitted = 0;
+
+  files.forEach((entry, fileIndex) => {
+    const hunks = entry.hunks.map((hunk, hunkIndex) => selected.get(`${fileIndex}:${hunkIndex}`)).filter(text => text !== undefined);
+    const missing = entry.hunks.filter((hunk, hunkIndex) => !selected.has(`${fileIndex}:${hunkIndex}`));
+    omitted += missing.length;
+
+    if (hunks.length > 0 || entry.hunks.length === 0) {
+      parts.push([entry.header, ...hunks].join('\n'));
+    }
+    if (missing.length > 0) {
+      const added = missing.reduce((total, hunk) => total + hunk.added, 0);
+      const removed = missing.reduce((total, hunk) => total + hunk.removed, 0);
+      const what = hunks.length > 0 ? `${missing.length} of ${entry.hunks.length} hunks` : 'all hunks';
+      omittedFiles.push(`${entry.file}: ${what} (+${added} -${removed})`);
+    }
+  });
+
+  if (omittedFiles.length > 0) {
+    const listed = omittedFiles.slice(0, maxOmitted);
+    const more = omittedFiles.length > listed.length ? `\n... and ${omittedFiles.length - listed.length} more files` : '';
+    parts.push(`Left out of this diff to fit the prompt:\n${listed.join('\n')}${more}`);
+  }
+
+  return { text: parts.join('\n'), omitted };
+}
+
+/**
+ * Fit a diff into a budget with its most relevant hunks, listing the rest
+ * @param {Array} files - Files from parseDiff()
+ * @param {number} maxTokens - Budget
+ * @param {function(string): number} count - Token counter
+ * @returns {{text: string, omitted: number}}
+ */
+function packDiff(files, maxTokens, count) {
+  // Room for the list of omitted files, at most a tenth of the budget
+  const listRoom = Math.min(Math.floor(maxTokens / 10), files.length * OMITTED_LINE_TOKENS);
+  const selected = selectHunks(files, maxTokens - listRoom, count);
+  return renderHunks(files, selected, Math.max(1, Math.floor(listRoom / OMITTED_LINE_TOKENS)));
+}
+
+module.exports = { parseDiff, getFileWeight, rankHunks, selectHunks, renderHunks, packDiff };
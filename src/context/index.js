@@ -0,0 +1,314 @@
+const { countTokens, getContextWindow, getTokenBudget, truncateTokens } = require('./tokens');
+const { chunkSource } = require('./chunks');
+const { parseDiff, selectHunks, packDiff } = require('./diff');
+
+// Files get at least this many tokens of a prompt, or are left out
+const MIN_FILE_TOKENS = 200;
+// Largest chunk of a file that is sent or left out as a whole
+const CHUNK_TOKENS = 600;
+// A marker of omitted lines
+const GAP_TOKENS = 10;
+// A chunk around a focus line is cut to fit only if this much of it can be shown
+const MIN_PARTIAL_CHUNK_TOKENS = 100;
+
+// Share of a diff budget given to the summary when the diff is summarized
+const SUMMARY_SHARE = 0.4;
+// Model calls summarizing a diff at most; hunks beyond them are only listed
+const MAX_SUMMARY_PARTS = 8;
+const SUMMARY_PROMPT_TOKENS = 300;
+const MIN_PART_TOKENS = 1000;
+const MIN_PART_SUMMARY_TOKENS = 64;
+const MAX_PART_SUMMARY_TOKENS = 512;
+
+const SUMMARY_SYSTEM_PROMPT = `You summarize code changes for a reviewer who will not see the diff.
+You are precise and brief, and you never invent changes that are not in the diff.`;
+
+class ContextBuilder {
+  /**
+   * Packs code, diffs and rules into the token budget of the model of an agent, so prompts
+   * never overflow its context window
+   * @param {Object|null} llmClient - Model client of the agent, used to count tokens and to summarize
+   * @param {Object} [contextConfig] - The "context" configuration section
+   */
+  constructor(llmClient, contextConfig = {}) {
+    this.llmClient = llmClient;
+    this.model = llmClient ? llmClient.model : null;
+    this.window = getContextWindow(llmClient, contextConfig);
+    this.budget = getTokenBudget(llmClient, contextConfig);
+    this.summarize = contextConfig.summarize !== false;
+    this.count = text => countTokens(text, this.model);
+  }
+
+  /**
+   * Tokens of the budget left once some fixed texts are in the prompt
+   * @param {...string} texts - Prompt parts already written
+   * @returns {number}
+   */
+  remaining(...texts) {
+    return Math.max(0, this.budget - texts.reduce((total, text) => total + this.count(text), 0));
+  }
+
+  /**
+   * Cut a text to a number of tokens, marking the cut
+   * @param {string} text - Text
+   * @param {number} maxTokens - Budget
+   * @returns {string}
+   */
+  text(text, maxTokens) {
+    return truncateTokens(text, maxTokens, this.count);
+  }
+
+  /**
+   * Pack files into a budget. Files are taken in the given order and share the budget
+   * evenly, small files whole; larger ones are cut into chunks on function boundaries,
+   * sending the chunks around the focus lines first, or the start of the file without focus.
+   * @param {Array<{file: string, content: string, focus?: Iterable<number>, header?: string}>} entries - Files, most important first
+   * @param {number} maxTokens - Budget
+   * @param {Object} [options]
+   * @param {boolean} [options.numbered] - Prefix each line with its number
+   * @returns {{text: string, included: Object[], omitted: Object[], shown: Map<string, Array<number[]>>}}
+   *   Shown holds the line ranges sent of each file
+   */
+  files(entries, maxTokens, options = {}) {
+    const candidates = entries.slice(0, Math.max(1, Math.floor(maxTokens / MIN_FILE_TOKENS))).map(entry => {
+      const lines = entry.content.split('\n');
+      const rendered = options.numbered ? lines.map((line, index) => `${index + 1}: ${line}`) : lines;
+      const lineTokens = rendered.map(line => this.count(line) + 1);
+      const header = `--- ${entry.file} ---${entry.header ? `\n${entry.header}` : ''}`;
+      const headerTokens = this.count(header) + 1;
+      const cost = headerTokens + lineTokens.reduce((total, tokens) => total + tokens, 0);
+      return { entry, rendered, lineTokens, header, headerTokens, cost };
+    });
+
+    // Small files take what they need, the larger ones share the rest
+    const allowance = new Map();
+    let room = maxTokens;
+    [...candidates].sort((a, b) => a.cost - b.cost).forEach((candidate, index, sorted) => {
+      const granted = Math.min(candidate.cost, Math.floor(room / (sorted.length - index)));
+      allowance.set(candidate, granted);
+      room -= granted;
+    });
+
+    const parts = [];
+    const included = [];
+    const shown = new Map();
+    candidates.forEach(candidate => {
+      const granted = allowance.get(candidate);
+      const ranges = granted >= candidate.cost
+        ? [[1, candidate.rendered.length]]
+        : this.selectChunks(candidate, granted - candidate.headerTokens);
+      if (ranges.length === 0) {
+        return;
+      }
+      parts.push(this.renderRanges(candidate, ranges));
+      included.push(candidate.entry);
+      shown.set(candidate.entry.file, ranges);
+    });
+
+    return {
+      text: parts.join('\n\n'),
+      included,
+      omitted: entries.filter(entry => !included.includes(entry)),
+      shown
+    };
+  }
+
+  /**
+   * Line ranges of a file that fit its allowance
+   * @param {Object} candidate - File prepared by files()
+   * @param {number} room - Tokens for the lines
+   * @returns {Array<number[]>} Sorted 1-based inclusive ranges
+   */
+  selectChunks(candidate, room) {
+    const { entry, lineTokens } = candidate;
+    if (room < MIN_PARTIAL_CHUNK_TOKENS) {
+      return [];
+    }
+
+    const chunks = chunkSource(entry.content, entry.file, lineTokens, Math.min(CHUNK_TOKENS, room));
+    const focus = [...(entry.focus || [])];
+    const focusIndexes = chunks
+      .map((chunk, index) => (focus.some(line => line >= chunk.line && line <= chunk.endLine) ? index : -1))
+      .filter(index => index !== -1);
+    // Chunks nearest to a focus chunk first, the start of the file without focus
+    const distances = chunks.map((chunk, index) => (focusIndexes.length > 0
+      ? Math.min(...focusIndexes.map(other => Math.abs(other - index)))
+      : index));
+    const order = chunks.map((chunk, index) => index).sort((a, b) => distances[a] - distances[b] || a - b);
+
+    const ranges = [];
+    for (const index of order) {
+      const chunk = chunks[index];
+      const isFocus = focusIndexes.length > 0 && distances[index] === 0;
+      if (chunk.tokens + GAP_TOKENS <= room) {
+        ranges.push([chunk.line, chunk.endLine]);
+        room -= chunk.tokens + GAP_TOKENS;
+      } else if (isFocus && room >= MIN_PARTIAL_CHUNK_TOKENS) {
+        // A function too large for what is left: the lines around the focus line
+        const center = focus.filter(line => line >= chunk.line && line <= chunk.endLine).sort((a, b) => a - b)[0];
+        const range = this.growRange(lineTokens, center, chunk, room - GAP_TOKENS);
+        ranges.push(range);
+        room -= lineTokens.slice(range[0] - 1, range[1]).reduce((total, tokens) => total + tokens, 0) + GAP_TOKENS;
+      } else if (!isFocus) {
+        // Context must stay next to what it explains
+        break;
+      }
+    }
+    return ranges.sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Widest range of lines of a chunk around a line that fits a budget
+   * @param {number[]} lineTokens - Tokens of each line
+   * @param {number} center - 1-based line
+   * @param {{line: number, endLine: number}} chunk - Chunk holding the line
+   * @param {number} room - Budget
+   * @returns {number[]} 1-based inclusive range
+   */
+  growRange(lineTokens, center, chunk, room) {
+    let from = center;
+    let to = center;
+    room -= lineTokens[center - 1];
+    let grew = true;
+    while (grew) {
+      grew = false;
+      if (to < chunk.endLine && lineTokens[to] <= room) {
+        room -= lineTokens[to];
+        to++;
+        grew = true;
+      }
+      if (from > chunk.line && lineTokens[from - 2] <= room) {
+        room -= lineTokens[from - 2];
+        from--;
+        grew = true;
+      }
+    }
+    return [from, to];
+  }
+
+  /**
+   * Text of the chosen ranges of a file, marking the lines left out
+   * @param {Object} candidate - File prepared by files()
+   * @param {Array<number[]>} ranges - Sorted 1-based inclusive ranges
+   * @returns {string}
+   */
+  renderRanges(candidate, ranges) {
+    const { header, rendered } = candidate;
+    const omitted = (from, to) => `... (lines ${from}-${to} omitted)`;
+    const parts = [header];
+    let next = 1;
+    ranges.forEach(([from, to]) => {
+      if (from > next) {
+        parts.push(omitted(next, from - 1));
+      }
+      parts.push(...rendered.slice(from - 1, to));
+      next = to + 1;
+    });
+    if (next <= rendered.length) {
+      parts.push(omitted(next, rendered.length));
+    }
+    return parts.join('\n');
+  }
+
+  /**
+   * Fit a unified diff into a budget. A diff that doesn't fit is summarized part by part
+   * by the model (map) and the summaries merged (reduce), next to the most relevant hunks;
+   * without a model, or with summaries disabled, only the most relevant hunks are sent.
+   * @param {string} diff - Output of git diff
+   * @param {number} maxTokens - Budget
+   * @param {Object} [options]
+   * @param {function(number)} [options.onSummarize] - Called with the number of parts before summarizing
+   * @returns {Promise<{text: string, omitted: number, summarized: boolean, error?: string}>}
+   *   Omitted counts the hunks not sent verbatim; error explains why summarizing failed
+   */
+  async diff(diff, maxTokens, options = {}) {
+    if (!diff || this.count(diff) <= maxTokens) {
+      return { text: diff || '', omitted: 0, summarized: false };
+    }
+
+    const files = parseDiff(diff);
+    if (this.summarize && this.llmClient) {
+      try {
+        return await this.summarizeDiff(files, maxTokens, options);
+      } catch (error) {
+        return { ...packDiff(files, maxTokens, this.count), summarized: false, error: error.message };
+      }
+    }
+    return { ...packDiff(files, maxTokens, this.count), summarized: false };
+  }
+
+  /**
+   * Map-reduce summary of a diff, followed by its most relevant hunks
+   * @param {Array} files - Files from parseDiff()
+   * @param {number} maxTokens - Budget
+   * @param {Object} options - Options of diff()
+   * @returns {Promise<{text: string, omitted: number, summarized: boolean}>}
+   */
+  async summarizeDiff(files, maxTokens, options) {
+    const summaryRoom = Math.floor(maxTokens * SUMMARY_SHARE);
+    // Each part gets a prompt of its own, as large as the budget allows
+    const partTokens = Math.max(MIN_PART_TOKENS, this.budget - SUMMARY_PROMPT_TOKENS);
+    const selected = selectHunks(files, partTokens * MAX_SUMMARY_PARTS, this.count);
+
+    const parts = [];
+    let part = null;
+    files.forEach((entry, fileIndex) => {
+      entry.hunks.forEach((hunk, hunkIndex) => {
+        if (!selected.has(`${fileIndex}:${hunkIndex}`)) {
+          return;
+        }
+        const headerTokens = this.count(entry.header) + 1;
+        // A hunk larger than a part (a new file) is summarized from its start
+        const text = this.text(selected.get(`${fileIndex}:${hunkIndex}`), partTokens - headerTokens - 1);
+        const tokens = this.count(text) + 1;
+        if (!part || part.tokens + tokens + (part.file === fileIndex ? 0 : headerTokens) > partTokens) {
+          if (parts.length === MAX_SUMMARY_PARTS) {
+            return;
+          }
+          part = { texts: [], tokens: 0, file: null };
+          parts.push(part);
+        }
+        if (part.file !== fileIndex) {
+          part.texts.push(entry.header);
+          part.tokens += headerTokens;
+          part.file = fileIndex;
+        }
+        part.texts.push(text);
+        part.tokens += tokens;
+      });
+    });
+
+    if (options.onSummarize) {
+      options.onSummarize(parts.length);
+    }
+    const answerTokens = Math.min(MAX_PART_SUMMARY_TOKENS, Math.max(MIN_PART_SUMMARY_TOKENS, Math.floor(summaryRoom / parts.length)));
+    const summaries = [];
+    // One part at a time: providers rate-limit bursts of large requests
+    for (const current of parts) {
+      const prompt = `Summarize this part of a diff in at most ${Math.floor(answerTokens * 0.7)} words.
+For each file, say what changed and why it matters: new or removed behaviour, API changes, risky edits.
+Answer in plain text, one short paragraph or a few bullets per file.
+
+${current.texts.join('\n')}`;
+      summaries.push((await this.llmClient.ask(SUMMARY_SYSTEM_PROMPT, prompt, { maxTokens: answerTokens })).trim());
+    }
+
+    let summary = summaries.join('\n\n');
+    if (parts.length > 1 && this.count(summary) > summaryRoom) {
+      const prompt = `Merge these summaries of consecutive parts of one diff into a single summary
+of at most ${Math.floor(summaryRoom * 0.7)} words, grouped by area of the code. Keep every risky change.
+
+${summary}`;
+      summary = (await this.llmClient.ask(SUMMARY_SYSTEM_PROMPT, prompt, { maxTokens: summaryRoom })).trim();
+    }
+    summary = this.text(summary, summaryRoom);
+
+    const added = files.reduce((total, entry) => total + entry.hunks.reduce((sum, hunk) => sum + hunk.added, 0), 0);
+    const removed = files.reduce((total, entry) => total + entry.hunks.reduce((sum, hunk) => sum + hunk.removed, 0), 0);
+    const intro = `Summary of the whole diff (${files.length} files, +${added} -${removed}):\n${summary}\n\nMost relevant hunks:`;
+    const packed = packDiff(files, Math.max(0, maxTokens - this.count(intro)), this.count);
+    return { text: `${intro}\n${packed.text}`, omitted: packed.omitted, summarized: true };
+  }
+}
+
+module.exports = { ContextBuilder };
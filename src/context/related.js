@@ -0,0 +1,122 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { isJavaScriptFile, parseSource, traverse } = require('../review/ast');
+
+const RESOLVED_EXTENSIONS = ['', '.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs', '/index.js', '/index.ts'];
+
+/**
+ * Relative module specifiers a JavaScript or TypeScript file imports
+ * @param {string} content - Source
+ * @param {string} file - File path
+ * @returns {string[]}
+ */
+function getRelativeImports(content, file) {
+  const specifiers = [];
+  const add = node => {
+    if (node && node.type === 'StringLiteral' && /^\.{1,2}\//.test(node.value)) {
+      specifiers.push(node.value);
+    }
+  };
+
+  traverse(parseSource(content, file), {
+    ImportDeclaration(node) {
+      add(node.source);
+    },
+    ExportNamedDeclaration(node) {
+      add(node.source);
+    },
+    ExportAllDeclaration(node) {
+      add(node.source);
+    },
+    CallExpression(node) {
+      if ((node.callee.type === 'Identifier' && node.callee.name === 'require') || node.callee.type === 'Import') {
+        add(node.arguments[0]);
+      }
+    },
+    ImportExpression(node) {
+      add(node.source);
+    }
+  });
+  return specifiers;
+}
+
+/**
+ * Module a relative specifier points to, the way Node and bundlers resolve it. Imported
+ * JSON and other data files are not modules: they may hold secrets.
+ * @param {string} file - Importing file
+ * @param {string} specifier - Relative specifier
+ * @returns {string|null}
+ */
+function resolveImport(file, specifier) {
+  const base = path.join(path.dirname(file), specifier);
+  for (const extension of RESOLVED_EXTENSIONS) {
+    const candidate = `${base}${extension}`;
+    try {
+      if (isJavaScriptFile(candidate) && fs.statSync(candidate).isFile()) {
+        return candidate;
+      }
+    } catch (error) {
+      // Try the next extension
+    }
+  }
+  return null;
+}
+
+/**
+ * Usual locations of the tests of a source file
+ * @param {string} file - Source file
+ * @returns {string[]}
+ */
+function getTestCandidates(file) {
+  const dir = path.dirname(file);
+  const extension = path.extname(file);
+  const name = path.basename(file, extension);
+
+  if (extension === '.py') {
+    return [path.join(dir, `test_${name}.py`), path.join(dir, 'tests', `test_${name}.py`), path.join('tests', `test_${name}.py`)];
+  }
+  if (extension === '.go') {
+    return [path.join(dir, `${name}_test.go`)];
+  }
+  return ['test', 'spec'].flatMap(kind => [
+    path.join(dir, `${name}.${kind}${extension}`),
+    path.join(dir, '__tests__', `${name}.${kind}${extension}`),
+    path.join(dir, '__tests__', `${name}${extension}`),
+    path.join(kind, dir.replace(/^(src|lib)(\/|$)/, ''), `${name}.${kind}${extension}`)
+  ]);
+}
+
+/**
+ * Files that help the model understand changed files without being part of the change:
+ * the local modules they import, then their tests
+ * @param {Array<{file: string, content: string}>} files - Changed files
+ * @param {Set<string>} [exclude] - Files never returned, e.g. those already in the prompt
+ * @returns {string[]} Existing files, most useful first
+ */
+function findRelatedFiles(files, exclude = new Set()) {
+  const related = new Set();
+  const add = file => {
+    const normalized = path.normalize(file);
+    if (!exclude.has(normalized) && !files.some(entry => path.normalize(entry.file) === normalized)) {
+      related.add(normalized);
+    }
+  };
+
+  files.forEach(({ file, content }) => {
+    if (!isJavaScriptFile(file)) {
+      return;
+    }
+    try {
+      getRelativeImports(content, file).map(specifier => resolveImport(file, specifier)).filter(Boolean).forEach(add);
+    } catch (error) {
+      // Unparsable files have no known imports
+    }
+  });
+  files.forEach(({ file }) => {
+    getTestCandidates(file).filter(candidate => fs.existsSync(candidate)).forEach(add);
+  });
+
+  return [...related];
+}
+
+module.exports = { getRelativeImports, resolveImport, findRelatedFiles };
@@ -0,0 +1,152 @@
+/**
+ * Token estimates per model family. Shipping the real tokenizers would mean megabytes of
+ * vocabulary per model, so the counts are estimates tuned to err on the high side: a prompt
+ * over the context window is cut by the provider, one slightly under it only wastes room.
+ * Each profile is the average number of characters per token of a run of letters, of
+ * digits and of punctuation.
+ */
+const TOKENIZERS = {
+  // GPT-4o, GPT-4.1 and the o-series (o200k_base)
+  o200k: { letters: 4.2, digits: 3, symbols: 2 },
+  // GPT-4 and GPT-3.5 (cl100k_base); Llama 3, Qwen and DeepSeek vocabularies are alike
+  cl100k: { letters: 3.8, digits: 3, symbols: 1.8 },
+  claude: { letters: 3.4, digits: 1, symbols: 1.5 },
+  // SentencePiece vocabularies (Mistral, Gemma, older Llama) split code finer
+  sentencepiece: { letters: 3, digits: 1, symbols: 1.2 }
+};
+
+// First match wins: more specific names come first
+const MODEL_FAMILIES = [
+  { pattern: /claude/i, tokenizer: 'claude', window: 200000 },
+  { pattern: /gpt-4\.1/i, tokenizer: 'o200k', window: 1047576 },
+  { pattern: /(^|\/)o[134](-|$)/i, tokenizer: 'o200k', window: 200000 },
+  { pattern: /gpt-4o|gpt-5/i, tokenizer: 'o200k', window: 128000 },
+  { pattern: /gpt-4-(turbo|1106|0125)/i, tokenizer: 'cl100k', window: 128000 },
+  { pattern: /gpt-4/i, tokenizer: 'cl100k', window: 8192 },
+  { pattern: /gpt-3\.5/i, tokenizer: 'cl100k', window: 16385 },
+  { pattern: /llama-?3\.[1-9]/i, tokenizer: 'cl100k', window: 131072 },
+  { pattern: /llama-?3/i, tokenizer: 'cl100k', window: 8192 },
+  { pattern: /gemini/i, tokenizer: 'sentencepiece', window: 1048576 },
+  { pattern: /qwen|deepseek/i, tokenizer: 'cl100k', window: 32768 },
+  { pattern: /mistral|mixtral|codestral|gemma|llama/i, tokenizer: 'sentencepiece', window: 32768 }
+];
+const DEFAULT_FAMILY = { tokenizer: 'sentencepiece', window: 8192 };
+
+// Ollama runs every model with this context unless its Modelfile sets num_ctx, and silently
+// drops the start of longer prompts
+const OLLAMA_WINDOW = 4096;
+// Room left in the window for the answer
+const RESPONSE_TOKENS = 4096;
+// "auto" budgets stop here even with huge windows: longer prompts cost more and the model
+// pays less attention to each part
+const MAX_AUTO_TOKENS = 32000;
+
+const PIECES = /([A-Za-z]+)|(\d+)|(\s+)|([!-/:-@[-`{-~]+)|([^\s!-~])/g;
+
+/**
+ * Model family of a model name
+ * @param {string} [model] - Model identifier, e.g. "anthropic/claude-3.5-sonnet"
+ * @returns {{tokenizer: string, window: number}}
+ */
+function getModelFamily(model) {
+  return MODEL_FAMILIES.find(family => family.pattern.test(model || '')) || DEFAULT_FAMILY;
+}
+
+/**
+ * Estimate the tokens of a text for a model
+ * @param {string} text - Text
+ * @param {string} [model] - Model identifier
+ * @returns {number}
+ */
+function countTokens(text, model) {
+  if (!text) {
+    return 0;
+  }
+  const profile = TOKENIZERS[getModelFamily(model).tokenizer];
+  let tokens = 0;
+
+  for (const [, letters, digits, space, symbols, other] of text.matchAll(PIECES)) {
+    if (letters) {
+      tokens += Math.ceil(letters.length / profile.letters);
+    } else if (digits) {
+      tokens += Math.ceil(digits.length / profile.digits);
+    } else if (space) {
+      // A single space merges into the next word; a line break and its indentation is one token
+      tokens += space === ' ' ? 0 : Math.ceil(space.length / 16);
+    } else if (symbols) {
+      tokens += Math.ceil(symbols.length / profile.symbols);
+    } else if (other) {
+      tokens++;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Context window of a model in tokens
+ * @param {Object} client - Model client, or {name, model}
+ * @param {Object} [contextConfig] - The "context" configuration section
+ * @returns {number}
+ */
+function getContextWindow(client, contextConfig = {}) {
+  if (contextConfig.window) {
+    return contextConfig.window;
+  }
+  if (client && client.name === 'ollama') {
+    return OLLAMA_WINDOW;
+  }
+  return getModelFamily(client && client.model).window;
+}
+
+/**
+ * Tokens of code, diffs and rules one prompt may hold
+ * @param {Object} client - Model client, or {name, model}
+ * @param {Object} [contextConfig] - The "context" configuration section
+ * @returns {number}
+ */
+function getTokenBudget(client, contextConfig = {}) {
+  if (Number.isInteger(contextConfig.maxTokens)) {
+    return contextConfig.maxTokens;
+  }
+  const window = getContextWindow(client, contextConfig);
+  return Math.min(window - Math.min(RESPONSE_TOKENS, Math.floor(window / 4)), MAX_AUTO_TOKENS);
+}
+
+/**
+ * Cut a text to a token budget on a line boundary, marking the cut
+ * @param {string} text - Text
+ * @param {number} maxTokens - Budget
+ * @param {function(string): number} count - Token counter
+ * @returns {string}
+ */
+function truncateTokens(text, maxTokens, count) {
+  if (!text || count(text) <= maxTokens) {
+    return text || '';
+  }
+
+  const lines = text.split('\n');
+  // The marker itself takes a few tokens
+  let room = maxTokens - 12;
+  let kept = 0;
+  while (kept < lines.length) {
+    const cost = count(lines[kept]) + 1;
+    if (cost > room) {
+      break;
+    }
+    room -= cost;
+    kept++;
+  }
+
+  // A single huge line (minified code) is cut inside the line
+  const head = kept > 0 ? lines.slice(0, kept).join('\n') : lines[0].slice(0, Math.max(0, room) * 2);
+  const cut = kept > 0 ? `${lines.length - kept} lines` : `${text.length - head.length} characters`;
+  return `${head}\n... (truncated ${cut})`;
+}
+
+module.exports = {
+  getModelFamily,
+  countTokens,
+  getContextWindow,
+  getTokenBudget,
+  truncateTokens
+};
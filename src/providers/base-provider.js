@@ -0,0 +1,140 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const DEFAULT_TIMEOUT = 120000;
+
+class BaseProvider {
+  /**
+   * Common plumbing shared by every model provider
+   * @param {Object} options - Provider options
+   * @param {string} [options.apiKey] - API key sent as bearer token
+   * @param {string} options.baseUrl - Endpoint base URL
+   * @param {string} options.model - Model identifier
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    this.name = 'base';
+    this.apiKey = options.apiKey;
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.model = options.model;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * Send a chat request and return the assistant message
+   * @param {Array<{role: string, content: string}>} _messages - Conversation messages
+   * @param {Object} [_options] - Request options
+   * @returns {Promise<string>}
+   */
+  async chat(_messages, _options = {}) {
+    throw new Error(`Provider ${this.name} does not implement chat()`);
+  }
+
+  /**
+   * Ask the model a single question with a system prompt
+   * @param {string} systemPrompt - Agent system prompt
+   * @param {string} prompt - User prompt
+   * @param {Object} [options] - Request options
+   * @returns {Promise<string>}
+   */
+  async ask(systemPrompt, prompt, options = {}) {
+    return this.chat([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: prompt }
+    ], options);
+  }
+
+  /**
+   * Ask the model for a JSON answer and parse it
+   * @param {string} systemPrompt - Agent system prompt
+   * @param {string} prompt - User prompt
+   * @param {Object} [options] - Request options
+   * @returns {Promise<Object>}
+   */
+  async askJson(systemPrompt, prompt, options = {}) {
+    const content = await this.ask(systemPrompt, prompt, { ...options, json: true });
+    return parseJsonResponse(content);
+  }
+
+  /**
+   * Extra HTTP headers sent with every request
+   * @returns {Object}
+   */
+  getHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * POST a JSON body to the endpoint
+   * @param {string} pathname - Path relative to the base URL
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>}
+   */
+  postJson(pathname, body) {
+    const url = new URL(`${this.baseUrl}${pathname}`);
+    const transport = url.protocol === 'http:' ? http : https;
+    const payload = JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...this.getHeaders()
+        }
+      }, (response) => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          data += chunk;
+        });
+        response.on('end', () => {
+          let parsed = null;
+          try {
+            parsed = data ? JSON.parse(data) : {};
+          } catch (error) {
+            reject(new Error(`Invalid JSON from ${this.name} (HTTP ${response.statusCode})`));
+            return;
+          }
+
+          if (response.statusCode >= 400) {
+            const message = parsed.error && (parsed.error.message || parsed.error);
+            reject(new Error(`${this.name} returned HTTP ${response.statusCode}${message ? `: ${message}` : ''}`));
+            return;
+          }
+
+          resolve(parsed);
+        });
+      });
+
+      request.setTimeout(this.timeout, () => {
+        request.destroy(new Error(`${this.name} request timed out after ${this.timeout}ms`));
+      });
+      request.on('error', reject);
+      request.write(payload);
+      request.end();
+    });
+  }
+}
+
+/**
+ * Extract a JSON object from a model answer, tolerating code fences and prose
+ * @param {string} text - Raw model output
+ * @returns {Object}
+ */
+function parseJsonResponse(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('Model response did not contain a JSON object');
+  }
+
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+module.exports = { BaseProvider, parseJsonResponse };
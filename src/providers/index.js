@@ -0,0 +1,130 @@
+const { OpenRouterProvider } = require('./openrouter');
+const { OpenAICompatibleProvider } = require('./openai-compatible');
+const { OllamaProvider } = require('./ollama');
+
+const PROVIDERS = {
+  openrouter: {
+    Provider: OpenRouterProvider,
+    baseUrl: 'https://openrouter.ai/api/v1',
+    model: 'anthropic/claude-3.5-sonnet',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    baseUrlEnv: 'OPENROUTER_BASE_URL',
+    requiresApiKey: true
+  },
+  openai: {
+    Provider: OpenAICompatibleProvider,
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseUrlEnv: 'OPENAI_BASE_URL',
+    requiresApiKey: true
+  },
+  ollama: {
+    Provider: OllamaProvider,
+    baseUrl: 'http://localhost:11434',
+    model: 'llama3.1',
+    apiKeyEnv: null,
+    baseUrlEnv: 'OLLAMA_HOST',
+    requiresApiKey: false
+  }
+};
+
+const DEFAULT_PROVIDER = 'openrouter';
+
+/**
+ * Environment variable prefix for agent-specific settings,
+ * e.g. "code-review-expert" -> "GIT_COPILOT_CODE_REVIEW_EXPERT_"
+ * @param {string} agent - Agent name
+ * @returns {string}
+ */
+function agentEnvPrefix(agent) {
+  return `GIT_COPILOT_${agent.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_`;
+}
+
+/**
+ * Read a setting from the agent-specific env var, then the global one
+ * @param {string|undefined} agent - Agent name
+ * @param {string} key - Setting name (PROVIDER, MODEL, BASE_URL, API_KEY)
+ * @returns {string|undefined}
+ */
+function readEnvSetting(agent, key) {
+  if (agent && process.env[`${agentEnvPrefix(agent)}${key}`]) {
+    return process.env[`${agentEnvPrefix(agent)}${key}`];
+  }
+  return process.env[`GIT_COPILOT_${key}`] || undefined;
+}
+
+/**
+ * Resolve provider settings for an agent. Precedence, highest first:
+ * explicit options (CLI flags), agent env vars, global env vars,
+ * provider env vars, agent section of the config file, top-level config, provider defaults.
+ * @param {string} [agent] - Agent name
+ * @param {Object} [options] - Explicit provider, model, baseUrl and apiKey
+ * @param {Object} [config] - Project configuration
+ * @returns {{provider: string, model: string, baseUrl: string, apiKey: string|undefined, requiresApiKey: boolean, apiKeyEnv: string|null}}
+ */
+function resolveProviderOptions(agent, options = {}, config = {}) {
+  const agentConfig = (agent && config.agents && config.agents[agent]) || {};
+  const fromConfig = key => agentConfig[key] || config[key];
+
+  const provider = options.provider ||
+    readEnvSetting(agent, 'PROVIDER') ||
+    fromConfig('provider') ||
+    DEFAULT_PROVIDER;
+  const definition = PROVIDERS[provider];
+
+  if (!definition) {
+    throw new Error(`Unknown provider "${provider}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const baseUrl = options.baseUrl ||
+    readEnvSetting(agent, 'BASE_URL') ||
+    process.env[definition.baseUrlEnv] ||
+    fromConfig('baseUrl') ||
+    definition.baseUrl;
+
+  const apiKeyEnv = fromConfig('apiKeyEnv') || definition.apiKeyEnv;
+  const apiKey = options.apiKey ||
+    readEnvSetting(agent, 'API_KEY') ||
+    (apiKeyEnv ? process.env[apiKeyEnv] : undefined);
+
+  return {
+    provider,
+    model: options.model || readEnvSetting(agent, 'MODEL') || fromConfig('model') || definition.model,
+    baseUrl,
+    apiKey,
+    // Custom OpenAI-compatible servers (llama.cpp, vLLM) usually run without a key
+    requiresApiKey: definition.requiresApiKey && baseUrl === definition.baseUrl,
+    apiKeyEnv
+  };
+}
+
+/**
+ * Create the provider configured for an agent
+ * @param {string} [agent] - Agent name
+ * @param {Object} [options] - Explicit provider, model, baseUrl and apiKey
+ * @param {Object} [config] - Project configuration
+ * @returns {import('./base-provider').BaseProvider|null} null when a required API key is missing
+ */
+function createProvider(agent, options = {}, config = {}) {
+  const resolved = resolveProviderOptions(agent, options, config);
+
+  if (resolved.requiresApiKey && !resolved.apiKey) {
+    return null;
+  }
+
+  const { Provider } = PROVIDERS[resolved.provider];
+  return new Provider({
+    apiKey: resolved.apiKey,
+    baseUrl: resolved.baseUrl,
+    model: resolved.model,
+    timeout: options.timeout
+  });
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  resolveProviderOptions,
+  createProvider
+};
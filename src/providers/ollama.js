@@ -0,0 +1,47 @@
+const { BaseProvider } = require('./base-provider');
+
+class OllamaProvider extends BaseProvider {
+  /**
+   * Provider for a self-hosted Ollama server using its native chat API
+   * @param {Object} options - Provider options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'ollama';
+  }
+
+  /**
+   * Send a non-streaming chat request and return the assistant message
+   * @param {Array<{role: string, content: string}>} messages - Conversation messages
+   * @param {Object} [options] - Request options
+   * @returns {Promise<string>}
+   */
+  async chat(messages, options = {}) {
+    const body = {
+      model: this.model,
+      messages,
+      stream: false,
+      options: {
+        temperature: options.temperature ?? 0.2
+      }
+    };
+
+    if (options.maxTokens) {
+      body.options.num_predict = options.maxTokens;
+    }
+
+    if (options.json) {
+      body.format = 'json';
+    }
+
+    const response = await this.postJson('/api/chat', body);
+
+    if (!response.message) {
+      throw new Error(`${this.name} response contained no message`);
+    }
+
+    return response.message.content || '';
+  }
+}
+
+module.exports = { OllamaProvider };
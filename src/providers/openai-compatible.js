@@ -0,0 +1,42 @@
+const { BaseProvider } = require('./base-provider');
+
+class OpenAICompatibleProvider extends BaseProvider {
+  /**
+   * Provider for any endpoint speaking the OpenAI chat completions API
+   * (OpenAI itself, llama.cpp server, vLLM, LM Studio, ...)
+   * @param {Object} options - Provider options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'openai';
+  }
+
+  /**
+   * Send a chat completion request and return the assistant message
+   * @param {Array<{role: string, content: string}>} messages - Conversation messages
+   * @param {Object} [options] - Request options
+   * @returns {Promise<string>}
+   */
+  async chat(messages, options = {}) {
+    const body = {
+      model: this.model,
+      messages,
+      temperature: options.temperature ?? 0.2
+    };
+
+    if (options.maxTokens) {
+      body.max_tokens = options.maxTokens;
+    }
+
+    const response = await this.postJson('/chat/completions', body);
+    const choice = response.choices && response.choices[0];
+
+    if (!choice || !choice.message) {
+      throw new Error(`${this.name} response contained no choices`);
+    }
+
+    return choice.message.content || '';
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
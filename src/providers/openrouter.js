@@ -0,0 +1,26 @@
+const { OpenAICompatibleProvider } = require('./openai-compatible');
+
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  /**
+   * OpenRouter speaks the OpenAI API and accepts attribution headers
+   * @param {Object} options - Provider options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'openrouter';
+  }
+
+  /**
+   * Extra HTTP headers sent with every request
+   * @returns {Object}
+   */
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'HTTP-Referer': 'https://github.com/bramato/git-copilot',
+      'X-Title': 'git-copilot'
+    };
+  }
+}
+
+module.exports = { OpenRouterProvider };
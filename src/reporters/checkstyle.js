@@ -0,0 +1,43 @@
+const { XML_DECLARATION, xmlAttributes } = require('./xml');
+
+const CHECKSTYLE_SEVERITIES = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'info',
+  info: 'info'
+};
+
+/**
+ * Checkstyle XML report of a code review, the format read by Jenkins warnings-ng,
+ * reviewdog and most code quality dashboards
+ * @param {Object} review - Review result from CodeReviewExpert.reviewCode()
+ * @returns {string}
+ */
+function reviewToCheckstyle(review) {
+  const files = [...new Set([...review.files, ...review.issues.map(issue => issue.file)])];
+
+  const elements = files.map(file => {
+    const errors = review.issues
+      .filter(issue => issue.file === file)
+      .map(issue => `    <error${xmlAttributes({
+        line: issue.line,
+        column: issue.column,
+        severity: CHECKSTYLE_SEVERITIES[issue.severity],
+        message: issue.fix ? `${issue.message} Fix: ${issue.fix}` : issue.message,
+        source: `git-copilot.${issue.ruleId}`
+      })}/>`);
+
+    return errors.length === 0
+      ? `  <file${xmlAttributes({ name: file })}/>`
+      : `  <file${xmlAttributes({ name: file })}>\n${errors.join('\n')}\n  </file>`;
+  });
+
+  return `${XML_DECLARATION}
+<checkstyle version="4.3">
+${elements.join('\n')}
+</checkstyle>
+`;
+}
+
+module.exports = { reviewToCheckstyle };
@@ -0,0 +1,61 @@
+const { toSarif } = require('./sarif');
+const { toReviewJson, toBranchJson } = require('./json');
+const { reviewToJunit, branchToJunit } = require('./junit');
+const { reviewToCheckstyle } = require('./checkstyle');
+const { branchToMarkdown } = require('./markdown');
+
+const toJson = report => `${JSON.stringify(report, null, 2)}\n`;
+
+/**
+ * Review report formats with the file each is written to when --output is not given
+ */
+const REVIEW_FORMATS = {
+  markdown: { file: 'fix.md', render: review => review.fixes },
+  json: { file: 'git-copilot-review.json', render: review => toJson(toReviewJson(review)) },
+  sarif: { file: 'git-copilot.sarif', render: review => toJson(toSarif(review.issues, review.rules, review.root)) },
+  junit: { file: 'git-copilot-junit.xml', render: reviewToJunit },
+  checkstyle: { file: 'git-copilot-checkstyle.xml', render: reviewToCheckstyle }
+};
+
+/**
+ * Branch analysis report formats. Checkstyle and SARIF need file locations,
+ * which branch findings (commits, the base branch) don't have.
+ */
+const BRANCH_FORMATS = {
+  markdown: branchToMarkdown,
+  json: result => toJson(toBranchJson(result)),
+  junit: branchToJunit
+};
+
+/**
+ * Render a review report
+ * @param {string} format - One of REVIEW_FORMATS
+ * @param {Object} review - Review result from CodeReviewExpert.reviewCode()
+ * @returns {string}
+ */
+function renderReviewReport(format, review) {
+  if (!REVIEW_FORMATS[format]) {
+    throw new Error(`Unknown report format "${format}" (available: ${Object.keys(REVIEW_FORMATS).join(', ')})`);
+  }
+  return REVIEW_FORMATS[format].render(review);
+}
+
+/**
+ * Render a branch analysis report
+ * @param {string} format - One of BRANCH_FORMATS
+ * @param {Object} result - Result of PRGitExpert.analyzeBranch()
+ * @returns {string}
+ */
+function renderBranchReport(format, result) {
+  if (!BRANCH_FORMATS[format]) {
+    throw new Error(`The ${format} format is not available for branch analysis (available: ${Object.keys(BRANCH_FORMATS).join(', ')})`);
+  }
+  return BRANCH_FORMATS[format](result);
+}
+
+module.exports = {
+  REVIEW_FORMATS,
+  BRANCH_FORMATS,
+  renderReviewReport,
+  renderBranchReport
+};
@@ -0,0 +1,86 @@
+const { version } = require('../../package.json');
+
+/**
+ * Version of the JSON report layout, described by schemas/report-v<version>.schema.json.
+ * Bump it on any change that removes or renames a field; adding fields keeps the version.
+ */
+const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Fields shared by every JSON report
+ * @param {string} kind - "review" or "branch-analysis"
+ * @returns {Object}
+ */
+function reportHeader(kind) {
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    kind,
+    tool: { name: 'git-copilot', version },
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * JSON report of a code review
+ * @param {Object} review - Review result from CodeReviewExpert.reviewCode()
+ * @returns {Object}
+ */
+function toReviewJson(review) {
+  const { total, ...bySeverity } = review.stats;
+
+  return {
+    ...reportHeader('review'),
+    scope: review.scope ? { mode: review.scope.mode, label: review.scope.label } : null,
+    summary: {
+      filesReviewed: review.filesReviewed,
+      total,
+      ...bySeverity,
+      suppressed: review.suppressedIssues,
+      baseline: review.baselineIssues
+    },
+    files: review.files,
+    skipped: review.skipped || [],
+    issues: review.issues
+  };
+}
+
+/**
+ * JSON report of a branch analysis
+ * @param {Object} result - Result of PRGitExpert.analyzeBranch()
+ * @returns {Object}
+ */
+function toBranchJson(result) {
+  const { analysis, metadata } = result;
+  const list = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+  return {
+    ...reportHeader('branch-analysis'),
+    branch: {
+      name: metadata.currentBranch,
+      base: metadata.baseBranch === 'none' ? null : metadata.baseBranch,
+      mergeBase: metadata.mergeBase,
+      ahead: metadata.ahead,
+      behind: metadata.behind
+    },
+    stats: {
+      commits: metadata.commitCount,
+      filesChanged: metadata.filesChanged,
+      insertions: metadata.insertions,
+      deletions: metadata.deletions
+    },
+    changes: result.changes,
+    commits: metadata.commitDetails,
+    findings: result.findings,
+    analysis: {
+      summary: analysis.summary || '',
+      codeQuality: analysis['Code Quality'] || null,
+      commitQuality: analysis['Commit Quality'] || null,
+      potentialIssues: list(analysis['Potential Issues']),
+      suggestions: list(analysis.Suggestions),
+      recommendations: list(analysis['PR Recommendations']),
+      ai: !analysis.fallback
+    }
+  };
+}
+
+module.exports = { REPORT_SCHEMA_VERSION, toReviewJson, toBranchJson };
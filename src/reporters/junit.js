@@ -0,0 +1,103 @@
+const { XML_DECLARATION, escapeXml, xmlAttributes } = require('./xml');
+
+/**
+ * Render a <testsuite> with its test cases
+ * @param {string} name - Suite name
+ * @param {Array<{name: string, classname: string, failure?: {message: string, type: string, body: string}}>} testCases
+ * @returns {string}
+ */
+function renderSuite(name, testCases) {
+  const failures = testCases.filter(testCase => testCase.failure).length;
+  const cases = testCases.map(testCase => {
+    const attributes = xmlAttributes({ name: testCase.name, classname: testCase.classname, time: 0 });
+    if (!testCase.failure) {
+      return `    <testcase${attributes}/>`;
+    }
+    const { message, type, body } = testCase.failure;
+    return `    <testcase${attributes}>
+      <failure${xmlAttributes({ message, type })}>${escapeXml(body)}</failure>
+    </testcase>`;
+  });
+
+  return `  <testsuite${xmlAttributes({ name, tests: testCases.length, failures, errors: 0, skipped: 0, time: 0 })}>
+${cases.join('\n')}
+  </testsuite>`;
+}
+
+/**
+ * Render a complete JUnit XML document
+ * @param {string} name - Name of the run
+ * @param {string[]} suites - Rendered <testsuite> elements
+ * @param {number} tests - Total test cases
+ * @param {number} failures - Total failures
+ * @returns {string}
+ */
+function renderDocument(name, suites, tests, failures) {
+  return `${XML_DECLARATION}
+<testsuites${xmlAttributes({ name, tests, failures, errors: 0, time: 0 })}>
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+/**
+ * JUnit report of a code review: one suite per reviewed file, one failing test case
+ * per finding and a passing one for files without findings
+ * @param {Object} review - Review result from CodeReviewExpert.reviewCode()
+ * @returns {string}
+ */
+function reviewToJunit(review) {
+  const files = [...new Set([...review.files, ...review.issues.map(issue => issue.file)])];
+  let tests = 0;
+
+  const suites = files.map(file => {
+    const issues = review.issues.filter(issue => issue.file === file);
+    const testCases = issues.length === 0
+      ? [{ name: file, classname: file }]
+      : issues.map(issue => ({
+        name: `${issue.ruleId} at ${issue.line}:${issue.column}`,
+        classname: file,
+        failure: {
+          message: issue.message,
+          type: issue.severity,
+          body: [
+            `${file}:${issue.line}:${issue.column} [${issue.severity}] ${issue.message} (${issue.ruleId})`,
+            issue.snippet,
+            issue.fix ? `Fix: ${issue.fix}` : ''
+          ].filter(Boolean).join('\n')
+        }
+      }));
+    tests += testCases.length;
+    return renderSuite(file, testCases);
+  });
+
+  return renderDocument('git-copilot review', suites, tests, review.issues.length);
+}
+
+/**
+ * JUnit report of a branch analysis: one suite per kind of check, one failing test
+ * case per finding and a passing one for checks without findings
+ * @param {Object} result - Result of PRGitExpert.analyzeBranch()
+ * @returns {string}
+ */
+function branchToJunit(result) {
+  const classname = `git-copilot.analyze-branch.${result.metadata.currentBranch}`;
+  let tests = 0;
+
+  const suites = result.checks.map(check => {
+    const findings = result.findings.filter(finding => finding.check === check);
+    const testCases = findings.length === 0
+      ? [{ name: check, classname }]
+      : findings.map(finding => ({
+        name: finding.commit ? `${check} ${finding.commit}` : check,
+        classname,
+        failure: { message: finding.message, type: finding.severity, body: finding.message }
+      }));
+    tests += testCases.length;
+    return renderSuite(check, testCases);
+  });
+
+  return renderDocument('git-copilot analyze-branch', suites, tests, result.findings.length);
+}
+
+module.exports = { reviewToJunit, branchToJunit };
@@ -0,0 +1,50 @@
+/**
+ * Markdown list of a section that may be a string or a list of strings
+ * @param {string|string[]} value - Section content
+ * @returns {string}
+ */
+function toList(value) {
+  return Array.isArray(value) ? value.map(item => `- ${item}`).join('\n') : String(value);
+}
+
+/**
+ * Markdown report of a branch analysis
+ * @param {Object} result - Result of PRGitExpert.analyzeBranch()
+ * @returns {string}
+ */
+function branchToMarkdown(result) {
+  const { analysis, metadata } = result;
+  const base = metadata.baseBranch === 'none'
+    ? 'none detected'
+    : `${metadata.baseBranch} (${metadata.ahead} ahead, ${metadata.behind} behind)`;
+
+  const sections = [
+    `# Branch Analysis: ${metadata.currentBranch}
+
+- **Base branch:** ${base}
+- **Commits:** ${metadata.commitCount}
+- **Files changed:** ${metadata.filesChanged} (+${metadata.insertions}/-${metadata.deletions})`
+  ];
+
+  [
+    ['Summary', analysis.summary],
+    ['Findings', result.findings.map(finding => `**${finding.severity}** ${finding.message}`)],
+    ['Code Quality', analysis['Code Quality']],
+    ['Commit Quality', analysis['Commit Quality']],
+    ['Potential Issues', analysis['Potential Issues']],
+    ['Suggestions', analysis.Suggestions],
+    ['PR Recommendations', analysis['PR Recommendations']]
+  ]
+    .filter(([, value]) => value && value.length > 0)
+    .forEach(([title, value]) => sections.push(`## ${title}\n\n${toList(value)}`));
+
+  if (metadata.commitDetails.length > 0) {
+    sections.push(`## Commits\n\n${metadata.commitDetails
+      .map(commit => `- \`${commit.hash}\` ${commit.subject} (${commit.author}, ${commit.date})`)
+      .join('\n')}`);
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+module.exports = { branchToMarkdown };
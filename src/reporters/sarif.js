@@ -0,0 +1,162 @@
+const path = require('path');
+const { version, homepage } = require('../../package.json');
+const { fingerprint } = require('../review/baseline');
+const { HISTORY_RULE } = require('../review/history');
+
+const SARIF_VERSION = '2.1.0';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+  info: 'note'
+};
+
+// GitHub code scanning ranks security alerts by this 0-10 score
+const SECURITY_SEVERITY = {
+  critical: '9.5',
+  high: '8.0',
+  medium: '5.5',
+  low: '2.0',
+  info: '0.0'
+};
+
+const AI_RULE = {
+  id: 'ai-review',
+  category: 'AI Review',
+  severity: 'medium',
+  description: 'Finding reported by the AI review'
+};
+
+/**
+ * File URI of a directory, with a trailing slash as SARIF requires for base URIs
+ * @param {string} dir - Absolute directory
+ * @returns {string}
+ */
+function toDirectoryUri(dir) {
+  const posix = dir.split(path.sep).join('/');
+  return `file://${posix.startsWith('/') ? '' : '/'}${encodeURI(posix)}${posix.endsWith('/') ? '' : '/'}`;
+}
+
+/**
+ * SARIF reportingDescriptor of a rule
+ * @param {Object} rule - Rule from loadRules()
+ * @returns {Object}
+ */
+function toRuleDescriptor(rule) {
+  const security = rule.category === 'Security';
+  const descriptor = {
+    id: rule.id,
+    shortDescription: { text: rule.description || rule.id },
+    defaultConfiguration: { level: LEVELS[rule.severity] },
+    properties: {
+      category: rule.category,
+      severity: rule.severity,
+      tags: security ? ['security'] : []
+    }
+  };
+
+  if (rule.fix) {
+    descriptor.help = { text: rule.fix };
+  }
+  if (security) {
+    descriptor.properties['security-severity'] = SECURITY_SEVERITY[rule.severity];
+  }
+  return descriptor;
+}
+
+/**
+ * SARIF result of a review issue
+ * @param {ReviewIssue} issue - Issue
+ * @param {number} ruleIndex - Index of its rule in the driver's rules
+ * @param {string} root - Repository root
+ * @returns {Object}
+ */
+function toResult(issue, ruleIndex, root) {
+  const uri = path.relative(root, path.resolve(issue.file)).split(path.sep).join('/');
+  const region = {
+    startLine: issue.line,
+    startColumn: issue.column,
+    endLine: issue.endLine
+  };
+  // endColumn 1 means "unknown" in the issue model, SARIF would read it as an empty range
+  if (issue.endColumn > 1) {
+    region.endColumn = issue.endColumn;
+  }
+  if (issue.snippet) {
+    region.snippet = { text: issue.snippet };
+  }
+
+  return {
+    ruleId: issue.ruleId,
+    ruleIndex,
+    level: LEVELS[issue.severity],
+    message: { text: issue.fix ? `${issue.message}\nFix: ${issue.fix}` : issue.message },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: encodeURI(uri), uriBaseId: 'SRCROOT' },
+        region
+      }
+    }],
+    // Same identity as the baseline, so dashboards track a finding across line moves
+    partialFingerprints: {
+      'gitCopilot/v1': fingerprint(issue, uri, issue.snippet.split('\n')[0])
+    },
+    properties: {
+      severity: issue.severity,
+      category: issue.category,
+      confidence: issue.confidence,
+      source: issue.source
+    }
+  };
+}
+
+/**
+ * Build a SARIF 2.1.0 log from review findings
+ * @param {ReviewIssue[]} issues - Reported issues
+ * @param {Object[]} rules - Rules from loadRules()
+ * @param {string} root - Repository root, locations are relative to it
+ * @returns {Object} SARIF log, ready for JSON.stringify
+ */
+function toSarif(issues, rules, root) {
+  const descriptors = [];
+  const indexById = new Map();
+
+  const ruleIndex = ruleId => {
+    if (!indexById.has(ruleId)) {
+      const rule = rules.find(candidate => candidate.id === ruleId) ||
+        [AI_RULE, HISTORY_RULE].find(candidate => candidate.id === ruleId) ||
+        { id: ruleId, category: 'Other', severity: 'medium' };
+      indexById.set(ruleId, descriptors.length);
+      descriptors.push(toRuleDescriptor(rule));
+    }
+    return indexById.get(ruleId);
+  };
+
+  // Every enabled rule is listed, so viewers can show what was checked even without findings
+  rules.filter(rule => rule.enabled).forEach(rule => ruleIndex(rule.id));
+  const results = issues.map(issue => toResult(issue, ruleIndex(issue.ruleId), root));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: {
+          name: 'git-copilot',
+          version,
+          informationUri: homepage,
+          rules: descriptors
+        }
+      },
+      originalUriBaseIds: {
+        SRCROOT: { uri: toDirectoryUri(root) }
+      },
+      results
+    }]
+  };
+}
+
+module.exports = { SARIF_VERSION, toSarif };
@@ -0,0 +1,38 @@
+// Control characters other than tab, newline and carriage return are not allowed in XML 1.0
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&apos;'
+};
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {*} value - Value to escape, converted to a string
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/[&<>"']/g, char => ENTITIES[char]);
+}
+
+/**
+ * Render attributes, skipping undefined and null values
+ * @param {Object} attributes - Attribute values by name
+ * @returns {string} Attributes with a leading space, or an empty string
+ */
+function xmlAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+module.exports = { XML_DECLARATION, escapeXml, xmlAttributes };
@@ -0,0 +1,180 @@
+const fs = require('fs-extra');
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const semver = require('semver');
+const { SEVERITIES } = require('./issue');
+
+const ADVISORY_DB_VERSION = 1;
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+const BULK_ENDPOINT = '/-/npm/v1/security/advisories/bulk';
+// Packages per request to the bulk endpoint
+const BATCH_SIZE = 500;
+const REQUEST_TIMEOUT = 60000;
+
+// npm calls medium "moderate"
+const NPM_SEVERITIES = { moderate: 'medium' };
+
+/**
+ * Security advisory of the database
+ * @typedef {Object} Advisory
+ * @property {string|number} id - Advisory id
+ * @property {string} title - Short description
+ * @property {string} severity - Review severity
+ * @property {string} vulnerableVersions - Semver range of the affected versions
+ * @property {string|null} url - Where to read more
+ */
+
+/**
+ * Read the offline advisory database
+ * @param {string} filePath - Database file
+ * @returns {{updatedAt: string|null, advisories: Object<string, Advisory[]>}|null} Null when the file doesn't exist
+ */
+function readAdvisoryDatabase(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  let database;
+  try {
+    database = fs.readJsonSync(filePath);
+  } catch (error) {
+    throw new Error(`Advisory database ${filePath} could not be parsed: ${error.message}`);
+  }
+
+  if (database.version !== ADVISORY_DB_VERSION || !database.advisories || typeof database.advisories !== 'object') {
+    throw new Error(`Advisory database ${filePath} has an unsupported format, refresh it with git-copilot update-advisories`);
+  }
+  return { updatedAt: database.updatedAt || null, advisories: database.advisories };
+}
+
+/**
+ * Advisories affecting a package version
+ * @param {Object} database - Database from readAdvisoryDatabase()
+ * @param {string} name - Package name
+ * @param {string} version - Installed version
+ * @returns {Advisory[]}
+ */
+function findAdvisories(database, name, version) {
+  // Git, file and tarball dependencies have no semver version to compare
+  if (!semver.valid(version)) {
+    return [];
+  }
+  return (database.advisories[name] || []).filter(advisory =>
+    semver.satisfies(version, advisory.vulnerableVersions, { includePrerelease: true }));
+}
+
+/**
+ * Advisory in the database format, from an entry of the npm bulk advisory endpoint
+ * @param {Object} entry - {id, title, severity, vulnerable_versions, url}
+ * @returns {Advisory}
+ */
+function toAdvisory(entry) {
+  const severity = NPM_SEVERITIES[entry.severity] || entry.severity;
+  return {
+    id: entry.id,
+    title: entry.title,
+    severity: SEVERITIES.includes(severity) ? severity : 'medium',
+    vulnerableVersions: entry.vulnerable_versions,
+    url: entry.url || null
+  };
+}
+
+/**
+ * POST a JSON body and parse the JSON answer
+ * @param {string} endpoint - Full URL
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>}
+ */
+function postJson(endpoint, body) {
+  const url = new URL(endpoint);
+  const transport = url.protocol === 'http:' ? http : https;
+  const payload = JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      }
+    }, response => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        data += chunk;
+      });
+      response.on('end', () => {
+        if (response.statusCode >= 400) {
+          reject(new Error(`${url.host} returned HTTP ${response.statusCode}`));
+          return;
+        }
+        try {
+          resolve(data ? JSON.parse(data) : {});
+        } catch (error) {
+          reject(new Error(`Invalid JSON from ${url.host}`));
+        }
+      });
+    });
+
+    request.setTimeout(REQUEST_TIMEOUT, () => {
+      request.destroy(new Error(`${url.host} request timed out after ${REQUEST_TIMEOUT}ms`));
+    });
+    request.on('error', reject);
+    request.write(payload);
+    request.end();
+  });
+}
+
+/**
+ * Download the advisories of the given packages from an npm registry and write the database.
+ * Only this step needs the network; reviews read the file.
+ * @param {string} filePath - Database file
+ * @param {LockedPackage[]} packages - Installed packages
+ * @param {Object} [options]
+ * @param {string} [options.registry] - Registry implementing the bulk advisory endpoint
+ * @returns {Promise<{packages: number, advisories: number}>}
+ */
+async function updateAdvisoryDatabase(filePath, packages, options = {}) {
+  const registry = (options.registry || DEFAULT_REGISTRY).replace(/\/$/, '');
+  const versions = {};
+  packages.forEach(pkg => {
+    versions[pkg.name] = [...(versions[pkg.name] || []), pkg.version];
+  });
+
+  const names = Object.keys(versions).sort();
+  const advisories = {};
+  for (let i = 0; i < names.length; i += BATCH_SIZE) {
+    const batch = {};
+    names.slice(i, i + BATCH_SIZE).forEach(name => {
+      batch[name] = versions[name];
+    });
+
+    const response = await postJson(`${registry}${BULK_ENDPOINT}`, batch);
+    Object.entries(response).forEach(([name, entries]) => {
+      if (Array.isArray(entries) && entries.length > 0) {
+        advisories[name] = entries.map(toAdvisory);
+      }
+    });
+  }
+
+  await fs.outputJson(filePath, {
+    version: ADVISORY_DB_VERSION,
+    source: registry,
+    updatedAt: new Date().toISOString(),
+    advisories
+  }, { spaces: 2 });
+
+  return {
+    packages: names.length,
+    advisories: Object.values(advisories).reduce((total, entries) => total + entries.length, 0)
+  };
+}
+
+module.exports = {
+  ADVISORY_DB_VERSION,
+  DEFAULT_REGISTRY,
+  readAdvisoryDatabase,
+  findAdvisories,
+  updateAdvisoryDatabase
+};
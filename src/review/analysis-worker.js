@@ -0,0 +1,23 @@
+const { parentPort, workerData } = require('worker_threads');
+const { CodeReviewExpert } = require('../../agents/code-review-expert');
+
+/**
+ * Worker thread of CodeReviewExpert.analyzeFiles(): runs the static checks of the files it
+ * is sent with its own agent and rules. The main thread reads the files, consults the cache
+ * and collects the findings.
+ * Messages in: {file, content}. Messages out: {result: {issues, imports}} or {error}.
+ */
+const agent = new CodeReviewExpert({ config: workerData.config });
+agent.secretsOnly = new Set(workerData.secretsOnly);
+const rules = agent.loadRules();
+
+parentPort.on('message', ({ file, content }) => {
+  try {
+    const issues = agent.checkFile(content, file, rules);
+    parentPort.postMessage({ result: { issues, imports: agent.imports.get(file) || null } });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  } finally {
+    agent.imports.delete(file);
+  }
+});
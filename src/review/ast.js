@@ -0,0 +1,319 @@
+const path = require('path');
+const { parse } = require('@babel/parser');
+
+const JAVASCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+// Keys holding positions or comments rather than child nodes
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod', 'TSDeclareFunction', 'TSDeclareMethod'
+]);
+
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+const LITERAL_TYPES = new Set(['StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'NullLiteral', 'BigIntLiteral', 'RegExpLiteral']);
+
+/**
+ * Whether a file can be parsed as JavaScript or TypeScript
+ * @param {string} file - File path
+ * @returns {boolean}
+ */
+function isJavaScriptFile(file) {
+  return JAVASCRIPT_EXTENSIONS.includes(path.extname(file));
+}
+
+/**
+ * Parse JavaScript or TypeScript source, recovering from errors where possible
+ * @param {string} content - Source code
+ * @param {string} file - File path, used to pick the syntax plugins
+ * @returns {Object} Babel File node
+ */
+function parseSource(content, file) {
+  const ext = path.extname(file);
+  const typescript = ['.ts', '.tsx', '.mts', '.cts'].includes(ext);
+  const plugins = typescript ? ['typescript', 'decorators-legacy'] : ['flow', 'decorators-legacy'];
+
+  if (!typescript || ext === '.tsx') {
+    plugins.push('jsx');
+  }
+
+  return parse(content, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    plugins
+  });
+}
+
+function isNode(value) {
+  return value !== null && typeof value === 'object' && typeof value.type === 'string';
+}
+
+/**
+ * Depth-first walk over every node. Visitors are keyed by node type and receive
+ * the node and a path giving its parent and all ancestors, innermost last.
+ * @param {Object} root - Node to start from
+ * @param {Object<string, Function>} visitors - Callbacks by node type, "*" for every node
+ */
+function traverse(root, visitors) {
+  const ancestors = [];
+
+  function visit(node) {
+    const nodePath = { node, parent: ancestors[ancestors.length - 1] || null, ancestors: ancestors.slice() };
+
+    if (visitors['*']) {
+      visitors['*'](node, nodePath);
+    }
+    if (visitors[node.type]) {
+      visitors[node.type](node, nodePath);
+    }
+
+    ancestors.push(node);
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) {
+        continue;
+      }
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.filter(isNode).forEach(visit);
+      } else if (isNode(value)) {
+        visit(value);
+      }
+    }
+    ancestors.pop();
+  }
+
+  visit(root.type === 'File' ? root.program : root);
+}
+
+/**
+ * Names bound by a declaration pattern: identifiers, destructuring, defaults and rest
+ * @param {Object} pattern - Pattern node
+ * @returns {string[]}
+ */
+function getBindingNames(pattern) {
+  if (!pattern) {
+    return [];
+  }
+
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property =>
+        getBindingNames(property.type === 'RestElement' ? property.argument : property.value));
+    case 'ArrayPattern':
+      return pattern.elements.flatMap(getBindingNames);
+    case 'AssignmentPattern':
+      return getBindingNames(pattern.left);
+    case 'RestElement':
+      return getBindingNames(pattern.argument);
+    case 'TSParameterProperty':
+      return getBindingNames(pattern.parameter);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Names declared directly by a statement (var, let, const, function, class, import)
+ * @param {Object} statement - Statement node
+ * @returns {string[]}
+ */
+function getDeclaredNames(statement) {
+  const declaration = ['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(statement.type)
+    ? statement.declaration
+    : statement;
+
+  if (!declaration) {
+    return [];
+  }
+
+  switch (declaration.type) {
+    case 'VariableDeclaration':
+      return declaration.declarations.flatMap(declarator => getBindingNames(declarator.id));
+    case 'FunctionDeclaration':
+    case 'ClassDeclaration':
+      return declaration.id ? [declaration.id.name] : [];
+    case 'ImportDeclaration':
+      return declaration.specifiers.map(specifier => specifier.local.name);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Whether a name refers to a local binding rather than the global of the same name.
+ * Checks function parameters and the declarations of every enclosing block.
+ * var hoisting out of nested blocks is not followed.
+ * @param {string} name - Identifier name, e.g. "console" or "eval"
+ * @param {Object[]} ancestors - Ancestors of the reference, innermost last
+ * @returns {boolean}
+ */
+function isShadowed(name, ancestors) {
+  return ancestors.some(node => {
+    if (FUNCTION_TYPES.has(node.type)) {
+      if (node.params.flatMap(getBindingNames).includes(name)) {
+        return true;
+      }
+      // A named function expression binds its own name
+      return node.type === 'FunctionExpression' && node.id && node.id.name === name;
+    }
+    if (node.type === 'CatchClause') {
+      return getBindingNames(node.param).includes(name);
+    }
+    if (['ForStatement', 'ForInStatement', 'ForOfStatement'].includes(node.type)) {
+      const init = node.init || node.left;
+      return init && init.type === 'VariableDeclaration' && getDeclaredNames(init).includes(name);
+    }
+    if (['Program', 'BlockStatement', 'StaticBlock'].includes(node.type)) {
+      return node.body.some(statement => getDeclaredNames(statement).includes(name));
+    }
+    return false;
+  });
+}
+
+/**
+ * Module a require() call loads: "fs" for require('fs')
+ * @param {Object} node - Any node
+ * @returns {string|null} null when the node is not a require() of a string
+ */
+function getRequireSource(node) {
+  return node && node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+    node.arguments.length === 1 && node.arguments[0].type === 'StringLiteral'
+    ? node.arguments[0].value
+    : null;
+}
+
+/**
+ * Module a name is bound to by its innermost declaration: "fs" for const fs = require('fs'),
+ * import fs from 'fs' and import * as fs from 'fs'. Parameters, destructuring and any
+ * other binding give null, as does a global.
+ * @param {string} name - Identifier name
+ * @param {Object[]} ancestors - Ancestors of the reference, innermost last
+ * @returns {string|null}
+ */
+function getImportedModule(name, ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const scope = ancestors[i];
+    if (!isShadowed(name, [scope])) {
+      continue;
+    }
+    if (!['Program', 'BlockStatement', 'StaticBlock'].includes(scope.type)) {
+      return null;
+    }
+    for (const statement of scope.body) {
+      if (statement.type === 'ImportDeclaration') {
+        const specifier = statement.specifiers.find(item => item.local.name === name);
+        if (specifier) {
+          return specifier.type === 'ImportSpecifier' ? null : statement.source.value;
+        }
+      } else if (statement.type === 'VariableDeclaration') {
+        const declarator = statement.declarations.find(item => getBindingNames(item.id).includes(name));
+        if (declarator) {
+          return declarator.id.type === 'Identifier' ? getRequireSource(declarator.init) : null;
+        }
+      }
+    }
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Whether evaluating an expression can't change anything: identifiers, literals, template
+ * literals of those and plain member reads
+ * @param {Object} node - Expression node
+ * @returns {boolean}
+ */
+function isSideEffectFree(node) {
+  if (!node) {
+    return false;
+  }
+  if (node.type === 'Identifier' || node.type === 'ThisExpression' || LITERAL_TYPES.has(node.type)) {
+    return true;
+  }
+  if (node.type === 'TemplateLiteral') {
+    return node.expressions.every(isSideEffectFree);
+  }
+  if (['MemberExpression', 'OptionalMemberExpression'].includes(node.type)) {
+    return isSideEffectFree(node.object) && (!node.computed || isSideEffectFree(node.property));
+  }
+  return false;
+}
+
+/**
+ * Innermost function enclosing a node
+ * @param {Object[]} ancestors - Ancestors, innermost last
+ * @returns {Object|null}
+ */
+function getEnclosingFunction(ancestors) {
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    if (FUNCTION_TYPES.has(ancestors[i].type)) {
+      return ancestors[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Readable name of a function: its id, method key or the variable it is assigned to
+ * @param {Object} node - Function node
+ * @param {Object|null} parent - Parent node
+ * @returns {string}
+ */
+function getFunctionName(node, parent) {
+  if (node.id && node.id.name) {
+    return node.id.name;
+  }
+  if (node.key) {
+    return node.key.name || node.key.value || 'method';
+  }
+  if (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+    return parent.id.name;
+  }
+  if (parent && ['ObjectProperty', 'ClassProperty'].includes(parent.type) && parent.key) {
+    return parent.key.name || parent.key.value || 'anonymous';
+  }
+  if (parent && parent.type === 'AssignmentExpression') {
+    const target = parent.left;
+    return target.type === 'MemberExpression' && target.property.name ? target.property.name : 'anonymous';
+  }
+  return 'anonymous';
+}
+
+/**
+ * Name of a called function: "eval" for eval(x), "readFileSync" for fs.readFileSync(x)
+ * @param {Object} call - CallExpression or NewExpression node
+ * @returns {string|null}
+ */
+function getCalleeName(call) {
+  const callee = call.callee;
+  if (callee.type === 'Identifier') {
+    return callee.name;
+  }
+  if (['MemberExpression', 'OptionalMemberExpression'].includes(callee.type) && !callee.computed) {
+    return callee.property.name || null;
+  }
+  return null;
+}
+
+module.exports = {
+  FUNCTION_TYPES,
+  LOOP_TYPES,
+  isJavaScriptFile,
+  parseSource,
+  traverse,
+  getBindingNames,
+  getDeclaredNames,
+  isShadowed,
+  getRequireSource,
+  getImportedModule,
+  isSideEffectFree,
+  getEnclosingFunction,
+  getFunctionName,
+  getCalleeName
+};
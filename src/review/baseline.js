@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Stable identity of a finding: file, rule and the normalized content of the
+ * flagged line. Line numbers are left out so findings survive code moving around.
+ * @param {Object} issue - Review issue
+ * @param {string} relativePath - File path from the repository root
+ * @param {string} lineContent - Text of the flagged line
+ * @returns {string}
+ */
+function fingerprint(issue, relativePath, lineContent = '') {
+  const normalized = lineContent.trim().replace(/\s+/g, ' ');
+  return crypto.createHash('sha1')
+    .update(`${relativePath}\0${issue.ruleId}\0${normalized}`)
+    .digest('hex');
+}
+
+/**
+ * Read a baseline file
+ * @param {string} filePath - Baseline path
+ * @returns {Map<string, number>|null} Allowed occurrences by fingerprint, null without a baseline
+ */
+function readBaseline(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  let baseline;
+  try {
+    baseline = fs.readJsonSync(filePath);
+  } catch (error) {
+    throw new Error(`Baseline ${filePath} could not be parsed: ${error.message}`);
+  }
+
+  if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.findings)) {
+    throw new Error(`Baseline ${filePath} has an unsupported format, regenerate it with review --update-baseline`);
+  }
+
+  return new Map(baseline.findings.map(finding => [finding.fingerprint, finding.count || 1]));
+}
+
+/**
+ * Write baseline findings, sorted so the file diffs cleanly when committed
+ * @param {string} filePath - Baseline path
+ * @param {Map<string, Object>} findings - {fingerprint, file, rule, count} by fingerprint
+ */
+function saveFindings(filePath, findings) {
+  const sorted = [...findings.values()].sort((a, b) =>
+    a.file.localeCompare(b.file) || a.rule.localeCompare(b.rule) || a.fingerprint.localeCompare(b.fingerprint));
+
+  fs.outputJsonSync(filePath, { version: BASELINE_VERSION, findings: sorted }, { spaces: 2 });
+}
+
+/**
+ * Count fingerprinted findings into baseline findings
+ * @param {Map<string, Object>} findings - Baseline findings by fingerprint, updated in place
+ * @param {Array<{issue: Object, file: string, fingerprint: string}>} entries - Fingerprinted findings
+ */
+function countFindings(findings, entries) {
+  entries.forEach(({ issue, file, fingerprint: id }) => {
+    const existing = findings.get(id);
+    if (existing) {
+      existing.count++;
+    } else {
+      findings.set(id, { fingerprint: id, file, rule: issue.ruleId, count: 1 });
+    }
+  });
+}
+
+/**
+ * Write the current findings as the new baseline
+ * @param {string} filePath - Baseline path
+ * @param {Array<{issue: Object, file: string, fingerprint: string}>} entries - Fingerprinted findings
+ */
+function writeBaseline(filePath, entries) {
+  const findings = new Map();
+  countFindings(findings, entries);
+  saveFindings(filePath, findings);
+}
+
+/**
+ * Add findings to the baseline, keeping the ones already recorded
+ * @param {string} filePath - Baseline path, created when missing
+ * @param {Array<{issue: Object, file: string, fingerprint: string}>} entries - Fingerprinted findings
+ */
+function appendBaseline(filePath, entries) {
+  // readBaseline() validates the file; the raw findings keep their file and rule
+  const findings = new Map(readBaseline(filePath) === null
+    ? []
+    : fs.readJsonSync(filePath).findings.map(finding => [finding.fingerprint, { ...finding, count: finding.count || 1 }]));
+  countFindings(findings, entries);
+  saveFindings(filePath, findings);
+}
+
+/**
+ * Drop findings recorded in the baseline. A fingerprint recorded n times hides
+ * at most n findings, so a second copy of a known problem is still reported.
+ * @param {Array<{issue: Object, fingerprint: string}>} entries - Fingerprinted findings
+ * @param {Map<string, number>} baseline - From readBaseline()
+ * @returns {{issues: Object[], known: Object[]}}
+ */
+function filterBaseline(entries, baseline) {
+  const remaining = new Map(baseline);
+  const issues = [];
+  const known = [];
+
+  entries.forEach(({ issue, fingerprint: id }) => {
+    const allowed = remaining.get(id) || 0;
+    if (allowed > 0) {
+      remaining.set(id, allowed - 1);
+      known.push(issue);
+    } else {
+      issues.push(issue);
+    }
+  });
+
+  return { issues, known };
+}
+
+module.exports = { BASELINE_VERSION, fingerprint, readBaseline, writeBaseline, appendBaseline, filterBaseline };
@@ -0,0 +1,237 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { tryGit } = require('../utils/git');
+const { version: PACKAGE_VERSION } = require('../../package.json');
+
+// Bump when the shape of cached entries changes
+const CACHE_VERSION = 1;
+// Kinds of entries: static findings of a file, and the model's findings for it
+const CACHE_KINDS = ['findings', 'ai'];
+const STATS_FILE = 'last-run.json';
+// Review settings that change how files are analyzed, not the findings
+const RUNTIME_SETTINGS = ['cache', 'concurrency'];
+
+/**
+ * Hash of some values, used for cache keys
+ * @param {...*} parts - Strings or JSON-serializable values
+ * @returns {string} Hex SHA-1
+ */
+function hash(...parts) {
+  const digest = crypto.createHash('sha1');
+  parts.forEach(part => digest.update(`${typeof part === 'string' ? part : JSON.stringify(part)}\0`));
+  return digest.digest('hex');
+}
+
+/**
+ * Object id git gives a file content (git hash-object), without running git
+ * @param {string} content - File content
+ * @returns {string}
+ */
+function blobHash(content) {
+  const buffer = Buffer.from(content, 'utf8');
+  return crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+}
+
+/**
+ * Version of the rule set: any change to the rules, their settings or the review
+ * configuration invalidates the cached findings
+ * @param {Object[]} rules - Rules from loadRules()
+ * @param {Object} reviewConfig - The "review" configuration section
+ * @returns {string}
+ */
+function getRulesetVersion(rules, reviewConfig) {
+  return hash(
+    PACKAGE_VERSION,
+    CACHE_VERSION,
+    Object.entries(reviewConfig).filter(([key]) => !RUNTIME_SETTINGS.includes(key)),
+    // The source of check() catches edits to local rules between releases
+    rules.map(rule => [rule.id, rule.source, rule.enabled, rule.severity, rule.languages || null, String(rule.check)])
+  );
+}
+
+/**
+ * Cache directory of the repository, inside the git directory so it is never committed
+ * and worktrees share it
+ * @returns {string|null} Null outside a git repository
+ */
+function getCacheDir() {
+  const dir = tryGit(['rev-parse', '--git-common-dir']);
+  return dir ? path.resolve(process.cwd(), dir.trim(), 'git-copilot', 'cache') : null;
+}
+
+class ReviewCache {
+  /**
+   * Findings of earlier reviews, one JSON file per entry under
+   * <git dir>/git-copilot/cache/<kind>/<2 hex>/<38 hex>.json like git objects
+   * @param {string} dir - Cache directory
+   * @param {string} ruleset - Rule set version from getRulesetVersion()
+   */
+  constructor(dir, ruleset) {
+    this.dir = dir;
+    this.ruleset = ruleset;
+    this.hits = Object.fromEntries(CACHE_KINDS.map(kind => [kind, 0]));
+    this.misses = Object.fromEntries(CACHE_KINDS.map(kind => [kind, 0]));
+  }
+
+  /**
+   * Path of the entry for a key
+   * @param {string} kind - Entry kind
+   * @param {Array} parts - What the entry depends on, besides the rule set
+   * @returns {string}
+   */
+  entryPath(kind, parts) {
+    const key = hash(CACHE_VERSION, this.ruleset, ...parts);
+    return path.join(this.dir, kind, key.slice(0, 2), `${key.slice(2)}.json`);
+  }
+
+  /**
+   * Read an entry
+   * @param {string} kind - Entry kind
+   * @param {Array} parts - Key parts
+   * @returns {*} The cached value, undefined on a miss
+   */
+  get(kind, parts) {
+    const file = this.entryPath(kind, parts);
+    try {
+      const entry = fs.readJsonSync(file);
+      // The modification time records the last use, for "cache clear --older-than"
+      const now = new Date();
+      fs.utimesSync(file, now, now);
+      this.hits[kind]++;
+      return entry.value;
+    } catch (error) {
+      // Missing or unreadable (an interrupted write): analyze again
+      this.misses[kind]++;
+      return undefined;
+    }
+  }
+
+  /**
+   * Write an entry; failures only cost a later cache miss
+   * @param {string} kind - Entry kind
+   * @param {Array} parts - Key parts
+   * @param {*} value - JSON-serializable value
+   */
+  set(kind, parts, value) {
+    const file = this.entryPath(kind, parts);
+    const temporary = `${file}.${process.pid}.tmp`;
+    try {
+      fs.outputJsonSync(temporary, { version: CACHE_VERSION, createdAt: new Date().toISOString(), value });
+      fs.renameSync(temporary, file);
+    } catch (error) {
+      fs.removeSync(temporary);
+    }
+  }
+
+  /**
+   * Record the hits and misses of this review for "cache stats"
+   */
+  saveStats() {
+    try {
+      fs.outputJsonSync(path.join(this.dir, STATS_FILE), {
+        at: new Date().toISOString(),
+        hits: this.hits,
+        misses: this.misses
+      }, { spaces: 2 });
+    } catch (error) {
+      // Statistics are informative only
+    }
+  }
+}
+
+/**
+ * Open the review cache of the repository
+ * @param {Object[]} rules - Rules from loadRules()
+ * @param {Object} reviewConfig - The "review" configuration section
+ * @returns {ReviewCache|null} Null outside a git repository
+ */
+function openCache(rules, reviewConfig) {
+  const dir = getCacheDir();
+  return dir ? new ReviewCache(dir, getRulesetVersion(rules, reviewConfig)) : null;
+}
+
+/**
+ * Entry files of a kind
+ * @param {string} dir - Cache directory
+ * @param {string} kind - Entry kind
+ * @returns {Array<{file: string, size: number, mtime: Date}>}
+ */
+function listEntries(dir, kind) {
+  const kindDir = path.join(dir, kind);
+  if (!fs.existsSync(kindDir)) {
+    return [];
+  }
+  return fs.readdirSync(kindDir).flatMap(prefix => {
+    const prefixDir = path.join(kindDir, prefix);
+    return fs.readdirSync(prefixDir).map(name => {
+      const file = path.join(prefixDir, name);
+      const { size, mtime } = fs.statSync(file);
+      return { file, size, mtime };
+    });
+  });
+}
+
+/**
+ * Size of the cache and how the last review used it
+ * @param {string} dir - Cache directory
+ * @returns {{kinds: Object<string, {entries: number, size: number}>, oldest: Date|null, lastRun: Object|null}}
+ */
+function getCacheStats(dir) {
+  const kinds = {};
+  let oldest = null;
+  CACHE_KINDS.forEach(kind => {
+    const entries = listEntries(dir, kind);
+    kinds[kind] = { entries: entries.length, size: entries.reduce((total, entry) => total + entry.size, 0) };
+    entries.forEach(entry => {
+      if (!oldest || entry.mtime < oldest) {
+        oldest = entry.mtime;
+      }
+    });
+  });
+
+  let lastRun = null;
+  try {
+    lastRun = fs.readJsonSync(path.join(dir, STATS_FILE));
+  } catch (error) {
+    // No review since the cache was cleared
+  }
+  return { kinds, oldest, lastRun };
+}
+
+/**
+ * Remove cache entries
+ * @param {string} dir - Cache directory
+ * @param {Object} [options]
+ * @param {number} [options.olderThan] - Only remove entries unused for this many days
+ * @returns {number} Entries removed
+ */
+function clearCache(dir, options = {}) {
+  const cutoff = options.olderThan !== undefined ? Date.now() - options.olderThan * 24 * 60 * 60 * 1000 : null;
+  let removed = 0;
+  CACHE_KINDS.forEach(kind => {
+    listEntries(dir, kind)
+      .filter(entry => cutoff === null || entry.mtime.getTime() < cutoff)
+      .forEach(entry => {
+        fs.removeSync(entry.file);
+        removed++;
+      });
+  });
+  if (cutoff === null) {
+    fs.removeSync(dir);
+  }
+  return removed;
+}
+
+module.exports = {
+  CACHE_VERSION,
+  CACHE_KINDS,
+  ReviewCache,
+  hash,
+  blobHash,
+  getRulesetVersion,
+  getCacheDir,
+  openCache,
+  getCacheStats,
+  clearCache
+};
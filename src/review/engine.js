@@ -0,0 +1,206 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseSource, traverse } = require('./ast');
+const { createIssue } = require('./issue');
+const { scanSource } = require('./languages/scanner');
+
+/**
+ * Context handed to rule.check(): the parsed file plus traverse() and report().
+ * Text rules get no parse tree: ast is null and traverse() throws.
+ * Other languages get no parse tree either, but the scanned source: code (the lines with
+ * comments and string contents blanked out), comments and functions, see languages/scanner.js.
+ * @param {Object} rule - Rule being run
+ * @param {Object} source - {file, relativePath, content, lines, ast, language, scan}
+ * @param {Object[]} issues - Collected issues, report() appends to it
+ * @returns {Object}
+ */
+function createRuleContext(rule, source, issues) {
+  return {
+    file: source.file,
+    relativePath: source.relativePath,
+    content: source.content,
+    lines: source.lines,
+    ast: source.ast,
+    language: source.language,
+    code: source.scan ? source.scan.code : null,
+    functions: source.scan ? source.scan.functions : [],
+    comments: source.ast ? source.ast.comments || [] : (source.scan ? source.scan.comments : []),
+    traverse: visitors => {
+      if (!source.ast) {
+        throw new Error('only JavaScript and TypeScript rules have a parse tree to traverse');
+      }
+      traverse(source.ast, visitors);
+    },
+
+    /**
+     * Report a finding on a node, a comment or a line number
+     * @param {Object|number} target - Node with a location, a 1-based line, or
+     *   {line, column, endColumn} with 0-based columns
+     * @param {string} message - What is wrong
+     * @param {Object} [details] - Optional fix, confidence and severity overriding the rule's defaults,
+     *   a snippet replacing the flagged source (e.g. with a secret masked), and the edits
+     *   ({range: [start, end], text}, with character offsets in content) fixing the finding
+     */
+    report(target, message, details = {}) {
+      let loc = target.loc;
+      if (typeof target === 'number') {
+        loc = { start: { line: target, column: 0 }, end: { line: target, column: 0 } };
+      } else if (!loc) {
+        loc = { start: { line: target.line, column: target.column }, end: { line: target.line, column: target.endColumn } };
+      }
+
+      issues.push(createIssue({
+        ruleId: rule.id,
+        severity: effectiveSeverity(rule, details),
+        category: rule.category,
+        message,
+        file: source.file,
+        // Babel columns are 0-based
+        line: loc.start.line,
+        column: loc.start.column + 1,
+        endLine: loc.end.line,
+        endColumn: loc.end.column + 1,
+        snippet: details.snippet,
+        fix: details.fix || rule.fix,
+        edits: details.edits,
+        confidence: details.confidence !== undefined ? details.confidence : rule.confidence,
+        source: 'rule'
+      }, source.lines));
+    }
+  };
+}
+
+/**
+ * Severity of a finding: rules may pick one per finding (e.g. from an advisory),
+ * unless the configuration overrides the rule's severity
+ * @param {Object} rule - Rule from loadRules()
+ * @param {Object} details - Details passed to report()
+ * @returns {string}
+ */
+function effectiveSeverity(rule, details) {
+  const overridden = rule.defaultSeverity !== undefined && rule.severity !== rule.defaultSeverity;
+  return details.severity && !overridden ? details.severity : rule.severity;
+}
+
+function createSource(file, content, root, ast, language = null, scan = null) {
+  const relativePath = path.relative(root, path.resolve(file)).split(path.sep).join('/');
+  return { file, relativePath, content, lines: content.split('\n'), ast, language, scan };
+}
+
+function checkSource(rules, source) {
+  const { file } = source;
+  const issues = [];
+
+  for (const rule of rules) {
+    try {
+      rule.check(createRuleContext(rule, source, issues));
+    } catch (error) {
+      // One broken rule must not hide the findings of the others
+      issues.push(createIssue({
+        ruleId: rule.id,
+        severity: 'info',
+        category: 'Review Engine',
+        message: `Rule ${rule.id} failed on this file: ${error.message}`,
+        file,
+        line: 1,
+        snippet: ''
+      }));
+    }
+  }
+
+  return issues.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Run rules over a JavaScript or TypeScript source file
+ * @param {Object[]} rules - Rules to run
+ * @param {string} file - File path
+ * @param {string} content - Source code
+ * @param {string} [root] - Repository root; rules see the path relative to it as context.relativePath
+ * @returns {{issues: ReviewIssue[], parseErrors: Object[], ast: Object}} Issues sorted by line, and the
+ *   parse tree for further analysis
+ */
+function runRules(rules, file, content, root = process.cwd()) {
+  const ast = parseSource(content, file);
+  const issues = checkSource(rules, createSource(file, content, root, ast, 'javascript'));
+
+  return {
+    issues,
+    parseErrors: ast.errors || [],
+    ast
+  };
+}
+
+/**
+ * Run rules over a source file of a language without a parser (Python, Go, Java, Rust, C/C++)
+ * @param {Object[]} rules - Rules supporting the language
+ * @param {string} file - File path
+ * @param {string} content - Source code
+ * @param {string} root - Repository root
+ * @param {Object} language - Definition from getLanguage()
+ * @returns {ReviewIssue[]} Issues sorted by line
+ */
+function runLanguageRules(rules, file, content, root, language) {
+  const scan = scanSource(content, language);
+  return checkSource(rules, createSource(file, content, root, null, language.id, scan));
+}
+
+/**
+ * Run text rules (text: true) over any file, code or not. They see the lines only.
+ * @param {Object[]} rules - Text rules to run
+ * @param {string} file - File path
+ * @param {string} content - File content
+ * @param {string} [root] - Repository root
+ * @returns {ReviewIssue[]} Issues sorted by line
+ */
+function runTextRules(rules, file, content, root = process.cwd()) {
+  return checkSource(rules, createSource(file, content, root, null));
+}
+
+/**
+ * Run project rules (project: true) once for the whole review. Their context holds the
+ * project data instead of a file, and report() takes {file, line, column, endColumn}
+ * with 0-based columns.
+ * @param {Object[]} rules - Project rules to run
+ * @param {Object} project - Data the rules inspect, see loadProject()
+ * @param {string} [root] - Repository root
+ * @returns {ReviewIssue[]}
+ */
+function runProjectRules(rules, project, root = process.cwd()) {
+  const sources = new Map();
+  const sourceOf = file => {
+    if (!sources.has(file)) {
+      const content = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+      sources.set(file, createSource(file, content, root, null));
+    }
+    return sources.get(file);
+  };
+
+  const issues = [];
+  for (const rule of rules) {
+    const context = {
+      ...project,
+      report(location, message, details = {}) {
+        createRuleContext(rule, sourceOf(location.file), issues).report(location, message, details);
+      }
+    };
+
+    try {
+      rule.check(context);
+    } catch (error) {
+      issues.push(createIssue({
+        ruleId: rule.id,
+        severity: 'info',
+        category: 'Review Engine',
+        message: `Rule ${rule.id} failed on the project: ${error.message}`,
+        file: project.manifestFile,
+        line: 1,
+        snippet: ''
+      }));
+    }
+  }
+
+  return issues;
+}
+
+module.exports = { createRuleContext, runRules, runLanguageRules, runTextRules, runProjectRules };
@@ -0,0 +1,222 @@
+const { git, lines } = require('../utils/git');
+const { getUntrackedFiles } = require('../utils/diff');
+
+// Unchanged lines shown around each change of a diff
+const DIFF_CONTEXT = 3;
+
+/**
+ * Text edit of an autofix, as rules attach them to findings
+ * @typedef {Object} Edit
+ * @property {number[]} range - [start, end) character offsets in the reviewed content
+ * @property {string} text - Replacement text
+ */
+
+/**
+ * Apply the edits of several findings to a file. Edits are applied from the end of the
+ * file backwards; an edit overlapping one already applied is skipped, and identical edits
+ * (the same constant declared by two findings) are applied once.
+ * @param {string} content - File content the edits were computed on
+ * @param {Array<Edit[]>} fixes - Edits of each finding; a finding is fixed only if all its edits apply
+ * @returns {{content: string, applied: number, skipped: number}} New content and the number of findings fixed or not
+ */
+function applyEdits(content, fixes) {
+  const accepted = [];
+  const seen = new Set();
+  let skipped = 0;
+
+  // Insertions at the same offset don't overlap, they are written in the order of the findings
+  const overlaps = (edit, other) => edit.range[0] < other.range[1] && other.range[0] < edit.range[1];
+
+  fixes.forEach(edits => {
+    const fresh = edits.filter(edit => !seen.has(`${edit.range}:${edit.text}`));
+    if (fresh.some(edit => accepted.some(other => overlaps(edit, other)))) {
+      skipped++;
+      return;
+    }
+    fresh.forEach(edit => {
+      seen.add(`${edit.range}:${edit.text}`);
+      accepted.push(edit);
+    });
+  });
+
+  const output = accepted
+    .map((edit, order) => ({ ...edit, order }))
+    .sort((a, b) => b.range[0] - a.range[0] || b.order - a.order)
+    .reduce((text, edit) => text.slice(0, edit.range[0]) + edit.text + text.slice(edit.range[1]), content);
+
+  return { content: output, applied: fixes.length - skipped, skipped };
+}
+
+/**
+ * Move the edits of a finding over edits already written to the file
+ * @param {Edit[]} edits - Edits computed on the content before the applied ones
+ * @param {Edit[]} applied - Edits written since, which don't overlap each other
+ * @returns {Edit[]|null} Null when an edit touches text the applied ones changed; edits identical
+ *   to applied ones are dropped
+ */
+function rebaseEdits(edits, applied) {
+  const rebased = [];
+  // An identical edit is already written, e.g. the constant another magic number was extracted to
+  const written = edit => applied.some(other =>
+    other.range[0] === edit.range[0] && other.range[1] === edit.range[1] && other.text === edit.text);
+
+  for (const edit of edits.filter(candidate => !written(candidate))) {
+    let shift = 0;
+    for (const other of applied) {
+      const [start, end] = other.range;
+      if (edit.range[0] < end && start < edit.range[1]) {
+        return null;
+      }
+      // Insertions at the edit's offset go before it, like the fixes written first
+      if (end <= edit.range[0]) {
+        shift += other.text.length - (end - start);
+      }
+    }
+    rebased.push({ range: [edit.range[0] + shift, edit.range[1] + shift], text: edit.text });
+  }
+  return rebased;
+}
+
+/**
+ * Edit removing a statement; when nothing else is on its lines, the lines go too
+ * @param {string} content - File content
+ * @param {Object} node - Statement node, with start and end offsets
+ * @returns {Edit}
+ */
+function removeStatement(content, node) {
+  const lineStart = content.lastIndexOf('\n', node.start - 1) + 1;
+  const lineEnd = content.indexOf('\n', node.end);
+  const end = lineEnd === -1 ? content.length : lineEnd;
+
+  if (!content.slice(lineStart, node.start).trim() && !content.slice(node.end, end).trim()) {
+    return { range: [lineStart, lineEnd === -1 ? end : end + 1], text: '' };
+  }
+  // Other code shares the line: drop the statement and the blanks after it
+  const blanks = content.slice(node.end, end).match(/^[ \t]*/)[0].length;
+  return { range: [node.start, node.end + blanks], text: '' };
+}
+
+/**
+ * Line-level differences of the changed middle part of two texts, by longest common subsequence.
+ * Autofixes and patches touch a few lines, so the common head and tail are trimmed first.
+ * @param {string[]} before - Original lines
+ * @param {string[]} after - New lines
+ * @returns {Array<{type: string, line: string}>} " ", "-" or "+" operations covering both texts
+ */
+function diffLines(before, after) {
+  let head = 0;
+  while (head < before.length && head < after.length && before[head] === after[head]) {
+    head++;
+  }
+  let tail = 0;
+  while (tail < before.length - head && tail < after.length - head &&
+         before[before.length - 1 - tail] === after[after.length - 1 - tail]) {
+    tail++;
+  }
+
+  const a = before.slice(head, before.length - tail);
+  const b = after.slice(head, after.length - tail);
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = before.slice(0, head).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      operations.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      operations.push({ type: '-', line: a[i++] });
+    } else {
+      operations.push({ type: '+', line: b[j++] });
+    }
+  }
+  operations.push(...before.slice(before.length - tail).map(line => ({ type: ' ', line })));
+  return operations;
+}
+
+/**
+ * Unified diff between two versions of a file, as git diff prints it
+ * @param {string} file - Path shown in the headers
+ * @param {string} before - Original content
+ * @param {string} after - New content
+ * @returns {string} Empty when nothing changed
+ */
+function createUnifiedDiff(file, before, after) {
+  if (before === after) {
+    return '';
+  }
+
+  // The line break ending the file doesn't start another line
+  const split = text => (text.endsWith('\n') ? text.slice(0, -1) : text).split('\n');
+  const operations = diffLines(split(before), split(after));
+  const changed = operations.map((operation, index) => (operation.type !== ' ' ? index : -1)).filter(index => index >= 0);
+
+  // Group changes closer than twice the context into the same hunk
+  const hunks = [];
+  changed.forEach(index => {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= DIFF_CONTEXT * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  const output = [`--- a/${file}`, `+++ b/${file}`];
+  hunks.forEach(hunk => {
+    const from = Math.max(0, hunk.start - DIFF_CONTEXT);
+    const to = Math.min(operations.length - 1, hunk.end + DIFF_CONTEXT);
+    // Line numbers where the hunk starts in each version
+    const preceding = operations.slice(0, from);
+    const oldStart = preceding.filter(operation => operation.type !== '+').length + 1;
+    const newStart = preceding.filter(operation => operation.type !== '-').length + 1;
+    const hunkLines = operations.slice(from, to + 1);
+    const oldCount = hunkLines.filter(operation => operation.type !== '+').length;
+    const newCount = hunkLines.filter(operation => operation.type !== '-').length;
+
+    output.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+    hunkLines.forEach(operation => output.push(`${operation.type}${operation.line}`));
+  });
+
+  return `${output.join('\n')}\n`;
+}
+
+/**
+ * Where the lines of a file moved after it was edited
+ * @param {string} before - Original content
+ * @param {string} after - Edited content
+ * @returns {function(number): number} New 1-based line of an original line; a removed line
+ *   maps to the line that took its place
+ */
+function createLineMap(before, after) {
+  const moved = [];
+  let newLine = 1;
+  diffLines(before.split('\n'), after.split('\n')).forEach(operation => {
+    if (operation.type === ' ') {
+      moved.push(newLine++);
+    } else if (operation.type === '-') {
+      moved.push(newLine);
+    } else {
+      newLine++;
+    }
+  });
+  return line => moved[line - 1] || line;
+}
+
+/**
+ * Files that fixes must not touch without --force: modified in the working tree but not
+ * staged, or untracked, since writing to them would mix fixes with changes git can't restore
+ * @returns {Set<string>} Paths relative to the current directory
+ */
+function getUnstagedFiles() {
+  const modified = lines(git(['-c', 'core.quotePath=false', 'diff', '--name-only', '--relative', '--no-ext-diff']));
+  return new Set([...modified, ...getUntrackedFiles()]);
+}
+
+module.exports = { applyEdits, rebaseEdits, removeStatement, createUnifiedDiff, createLineMap, getUnstagedFiles };
@@ -0,0 +1,145 @@
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { isJavaScriptFile } = require('./ast');
+const { createIssue } = require('./issue');
+const { scanLine, redactLine, LOCKFILES } = require('./secrets');
+
+/**
+ * Descriptor of the findings of the history scan, for reports listing rules
+ */
+const HISTORY_RULE = {
+  id: 'secret-history',
+  category: 'Security',
+  severity: 'critical',
+  fix: 'Revoke and rotate the credential: deleting it does not remove it from the repository history',
+  description: 'Secrets committed in the past, on any branch, and not in the working tree, still readable in the git history'
+};
+
+// Commit headers start with a NUL byte, which can't appear in a text diff line
+const COMMIT_FORMAT = '--format=%x00%H%x00%an%x00%as%x00%s';
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+
+/**
+ * Stream the added lines of every commit touching the given paths, on every branch and
+ * tag, newest first
+ * @param {string[]} paths - Pathspecs, empty for the whole repository
+ * @param {Function} onLine - Called with (commit, file, lineNumber, text) for each added line
+ * @returns {Promise<void>}
+ */
+function readAddedLines(paths, onLine) {
+  return new Promise((resolve, reject) => {
+    // Unquoted paths: git would write non-ASCII names as "a/caf\303\251.env"
+    const child = spawn('git', [
+      '-c', 'core.quotePath=false',
+      'log', '--all', '-p', '-U0', '--no-color', '--no-ext-diff', '--relative', COMMIT_FORMAT, '--', ...paths
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let commit = null;
+    let file = null;
+    let lineNumber = 0;
+    let inHunk = false;
+    let stderr = '';
+
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+
+    const input = readline.createInterface({ input: child.stdout, crlfDelay: Infinity });
+    input.on('line', line => {
+      if (line.startsWith('\0')) {
+        const [hash, author, date, subject] = line.slice(1).split('\0');
+        commit = { hash, author, date, subject };
+        file = null;
+      } else if (line.startsWith('diff --git ')) {
+        file = null;
+        inHunk = false;
+      } else if (!inHunk && line.startsWith('+++ ')) {
+        // "+++ b/path", or /dev/null for deleted files
+        file = line.startsWith('+++ b/') ? line.slice(6) : null;
+      } else if (line.startsWith('@@')) {
+        const match = line.match(HUNK_HEADER);
+        inHunk = Boolean(match);
+        lineNumber = match ? Number(match[1]) : 0;
+      } else if (inHunk && line.startsWith('+')) {
+        if (file && commit) {
+          onLine(commit, file, lineNumber, line.slice(1));
+        }
+        lineNumber++;
+      }
+    });
+
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code !== 0) {
+        reject(new Error(`git log failed: ${stderr.trim() || `exit code ${code}`}`));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Find secrets that were committed on any branch and are not in the working tree: deleted
+ * since, or only on other branches. Secrets still present are left to the regular scan.
+ * Each secret is reported once per file, at the commit that introduced it.
+ * @param {Object} [options]
+ * @param {string[]} [options.paths] - Limit the scan to these files or directories
+ * @param {Function} [options.filter] - Keeps the scanned files: receives paths relative to the
+ *   current directory, returns the ones to report on
+ * @returns {Promise<ReviewIssue[]>}
+ */
+async function scanHistory(options = {}) {
+  const paths = options.paths || [];
+  const filter = options.filter || (files => files);
+  const found = new Map();
+
+  await readAddedLines(paths, (commit, file, lineNumber, text) => {
+    if (LOCKFILES.has(path.basename(file))) {
+      return;
+    }
+    const secrets = scanLine(text, { keyValues: !isJavaScriptFile(file) });
+    secrets.forEach(secret => {
+      // Log order is newest first: older commits overwrite, the first one wins
+      found.set(`${file}\0${secret.value}`, { commit, file, lineNumber, text, secret, secrets });
+    });
+  });
+
+  const files = new Set(filter([...new Set([...found.values()].map(entry => entry.file))]));
+  const current = new Map();
+  const readCurrent = file => {
+    if (!current.has(file)) {
+      current.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '');
+    }
+    return current.get(file);
+  };
+
+  const issues = [];
+  for (const { commit, file, lineNumber, text, secret, secrets } of found.values()) {
+    if (!files.has(file) || readCurrent(file).includes(secret.value)) {
+      continue;
+    }
+    const known = secret.kind === 'format';
+    issues.push(createIssue({
+      ruleId: HISTORY_RULE.id,
+      severity: known ? 'critical' : 'high',
+      category: HISTORY_RULE.category,
+      message: `${known ? secret.name : `Possible secret (${secret.name})`} added in commit ${commit.hash.slice(0, 7)} ` +
+        `by ${commit.author} on ${commit.date} ("${commit.subject}") is not in the checked-out file but still in the history`,
+      file,
+      line: lineNumber,
+      column: secret.column + 1,
+      endColumn: secret.column + secret.value.length + 1,
+      snippet: redactLine(text, secrets).trimEnd(),
+      fix: HISTORY_RULE.fix,
+      confidence: known ? 0.9 : 0.6,
+      source: 'rule'
+    }));
+  }
+
+  return issues;
+}
+
+module.exports = { HISTORY_RULE, scanHistory };
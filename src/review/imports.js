@@ -0,0 +1,95 @@
+const { builtinModules } = require('module');
+const { traverse } = require('./ast');
+
+const BUILTINS = new Set(builtinModules);
+// Valid npm package names, scoped or not
+const PACKAGE_NAME = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+
+/**
+ * Package a module specifier loads from node_modules ("@scope/pkg/sub" → "@scope/pkg").
+ * Relative paths, node built-ins, package.json "imports" (#internal) and path aliases
+ * ("@/components", "~/utils") give null.
+ * @param {string} specifier - What was imported or required
+ * @returns {string|null}
+ */
+function getPackageName(specifier) {
+  if (specifier.startsWith('.') || specifier.startsWith('/') || specifier.startsWith('#') ||
+      specifier.startsWith('node:') || specifier.includes(':')) {
+    return null;
+  }
+
+  const segments = specifier.split('/');
+  const name = specifier.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+  if (BUILTINS.has(name) || BUILTINS.has(specifier) || !PACKAGE_NAME.test(name)) {
+    return null;
+  }
+  return name;
+}
+
+/**
+ * String value of a require()/import() argument, when it is a plain string
+ * @param {Object} node - Argument node
+ * @returns {string|null}
+ */
+function staticString(node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'StringLiteral') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Packages a parsed file imports: import and export ... from declarations, require(),
+ * require.resolve(), dynamic import() and TypeScript import = require()
+ * @param {Object} ast - Babel File node
+ * @returns {Array<{name: string, line: number, column: number, endColumn: number}>} Locations of the
+ *   specifiers; columns are 0-based
+ */
+function collectImports(ast) {
+  const imports = [];
+  const add = source => {
+    const specifier = staticString(source);
+    const name = specifier !== null ? getPackageName(specifier) : null;
+    if (name) {
+      imports.push({ name, line: source.loc.start.line, column: source.loc.start.column, endColumn: source.loc.end.column });
+    }
+  };
+
+  traverse(ast, {
+    ImportDeclaration(node) {
+      add(node.source);
+    },
+    ExportNamedDeclaration(node) {
+      add(node.source);
+    },
+    ExportAllDeclaration(node) {
+      add(node.source);
+    },
+    TSExternalModuleReference(node) {
+      add(node.expression);
+    },
+    CallExpression(node) {
+      const { callee } = node;
+      const isRequire = callee.type === 'Identifier' && callee.name === 'require';
+      const isResolve = callee.type === 'MemberExpression' && !callee.computed &&
+        callee.object.type === 'Identifier' && callee.object.name === 'require' &&
+        callee.property.name === 'resolve';
+      if (isRequire || isResolve || callee.type === 'Import') {
+        add(node.arguments[0]);
+      }
+    },
+    ImportExpression(node) {
+      add(node.source);
+    }
+  });
+
+  return imports;
+}
+
+module.exports = { getPackageName, collectImports };
@@ -0,0 +1,140 @@
+/**
+ * The review issue model shared by the rule engine, the review agent, the
+ * reports and the CLI.
+ *
+ * @typedef {Object} ReviewIssue
+ * @property {string} ruleId - Stable rule id, e.g. "no-eval" or "acme/no-moment"; "ai-review" for model findings
+ * @property {string} severity - One of SEVERITIES
+ * @property {string} category - Human readable group, e.g. "Security"
+ * @property {string} message - What is wrong
+ * @property {string} file - Path relative to the current directory
+ * @property {number} line - First line, 1-based
+ * @property {number} column - First column, 1-based
+ * @property {number} endLine - Last line, 1-based
+ * @property {number} endColumn - Column after the last character, 1-based
+ * @property {string} snippet - Source of the flagged lines
+ * @property {string|null} fix - Suggested fix
+ * @property {Array<{range: number[], text: string}>|null} edits - Autofix applied by review --fix: text
+ *   replacing each [start, end) character range of the reviewed file
+ * @property {number} confidence - From 0 (guess) to 1 (certain)
+ * @property {string} source - "rule" for static analysis, "ai" for model findings
+ */
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+const SEVERITY_ICONS = {
+  critical: '🔴',
+  high: '🟠',
+  medium: '🟡',
+  low: '🔵',
+  info: '⚪'
+};
+
+const SEVERITY_LABELS = {
+  critical: 'Critical',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low',
+  info: 'Info'
+};
+
+// Snippets longer than this many lines are cut, a 200-line function is not a snippet
+const MAX_SNIPPET_LINES = 3;
+
+/**
+ * Rank of a severity, 0 being the most severe
+ * @param {string} severity - Severity name
+ * @returns {number}
+ */
+function severityRank(severity) {
+  const rank = SEVERITIES.indexOf(severity);
+  return rank === -1 ? SEVERITIES.length : rank;
+}
+
+/**
+ * Whether a severity is at or above a threshold
+ * @param {string} severity - Severity of a finding
+ * @param {string} threshold - Minimum severity
+ * @returns {boolean}
+ */
+function isAtLeast(severity, threshold) {
+  return severityRank(severity) <= severityRank(threshold);
+}
+
+/**
+ * Source text of the given lines, trimmed to a few lines
+ * @param {string[]} lines - File lines
+ * @param {number} line - First line, 1-based
+ * @param {number} [endLine] - Last line, 1-based
+ * @returns {string}
+ */
+function getSnippet(lines, line, endLine = line) {
+  const last = Math.min(endLine, line + MAX_SNIPPET_LINES - 1);
+  return lines.slice(line - 1, last).join('\n').trimEnd();
+}
+
+/**
+ * Build an issue, filling in defaults for the optional fields
+ * @param {Object} fields - ReviewIssue fields; ruleId, severity, category, message, file and line are required
+ * @param {string[]} [lines] - File lines, used for the snippet when none is given
+ * @returns {ReviewIssue}
+ */
+function createIssue(fields, lines = null) {
+  const line = Math.max(1, parseInt(fields.line, 10) || 1);
+  const endLine = Math.max(line, parseInt(fields.endLine, 10) || line);
+  const confidence = Number(fields.confidence);
+
+  return {
+    ruleId: fields.ruleId,
+    severity: SEVERITIES.includes(fields.severity) ? fields.severity : 'medium',
+    category: fields.category,
+    message: String(fields.message),
+    file: fields.file,
+    line,
+    column: Math.max(1, parseInt(fields.column, 10) || 1),
+    endLine,
+    endColumn: Math.max(1, parseInt(fields.endColumn, 10) || 1),
+    snippet: fields.snippet !== undefined ? fields.snippet : (lines ? getSnippet(lines, line, endLine) : ''),
+    fix: fields.fix || null,
+    edits: Array.isArray(fields.edits) && fields.edits.length > 0 ? fields.edits : null,
+    confidence: confidence >= 0 && confidence <= 1 ? confidence : 1,
+    source: fields.source || 'rule'
+  };
+}
+
+/**
+ * Count issues by severity
+ * @param {ReviewIssue[]} issues - Issues
+ * @returns {{total: number, critical: number, high: number, medium: number, low: number, info: number}}
+ */
+function countBySeverity(issues) {
+  const counts = { total: issues.length };
+  SEVERITIES.forEach(severity => {
+    counts[severity] = issues.filter(issue => issue.severity === severity).length;
+  });
+  return counts;
+}
+
+/**
+ * Sort issues from the most to the least severe, then by file and line
+ * @param {ReviewIssue[]} issues - Issues, sorted in place
+ * @returns {ReviewIssue[]}
+ */
+function sortIssues(issues) {
+  return issues.sort((a, b) =>
+    severityRank(a.severity) - severityRank(b.severity) ||
+    a.file.localeCompare(b.file) ||
+    a.line - b.line);
+}
+
+module.exports = {
+  SEVERITIES,
+  SEVERITY_ICONS,
+  SEVERITY_LABELS,
+  severityRank,
+  isAtLeast,
+  getSnippet,
+  createIssue,
+  countBySeverity,
+  sortIssues
+};
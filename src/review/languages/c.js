@@ -0,0 +1,27 @@
+const C_DANGEROUS_CALLS = [
+  { pattern: /(?<![.\w>])gets\s*\(/, message: 'gets() can\'t limit its input and always risks a buffer overflow; use fgets()' },
+  { pattern: /(?<![.\w>])(?:strcpy|strcat|wcscpy|wcscat)\s*\(/, message: 'Unbounded string copy can overflow the destination buffer; use a bounded alternative (strlcpy, snprintf)' },
+  { pattern: /(?<![.\w>])v?sprintf\s*\(/, message: 'sprintf() doesn\'t check the buffer size; use snprintf()' },
+  { pattern: /(?<![.\w>])(?:system|popen)\s*\(/, message: 'system() and popen() pass the command to a shell' }
+];
+
+module.exports = {
+  id: 'c',
+  name: 'C',
+  extensions: ['.c'],
+  lineComment: '//',
+  blockComment: ['/*', '*/'],
+  strings: ['"'],
+  multilineStrings: [],
+  charLiterals: true,
+  blocks: 'braces',
+  // Return type and qualifiers, then the name; calls and control statements are told apart by the body check
+  functionPattern: /^\s*(?:[A-Za-z_][\w:<>,]*[\s*&]+)*(?<name>~?[A-Za-z_][\w:~]*)\s*\(/,
+  // Between the parameters and the body: qualifiers only (const, noexcept, override, a trailing return type)
+  signatureTail: /^[\s\w:<>,*&\->]*$/,
+  ignoredParams: ['void'],
+  debugCalls: [
+    { pattern: /(?<![.\w>])printf\s*\(/, name: 'printf()', confidence: 0.4 }
+  ],
+  dangerousCalls: C_DANGEROUS_CALLS
+};
@@ -0,0 +1,16 @@
+const c = require('./c');
+
+module.exports = {
+  ...c,
+  id: 'cpp',
+  name: 'C++',
+  // Headers are scanned as C++, which covers C headers too
+  extensions: ['.cpp', '.cc', '.cxx', '.c++', '.h', '.hpp', '.hh', '.hxx'],
+  // R"delim(...)delim": no escapes
+  rawStringPattern: /R"([^(\s"\\]{0,16})\(/y,
+  rawStringEnd: delimiter => `)${delimiter}"`,
+  debugCalls: [
+    ...c.debugCalls,
+    { pattern: /\b(?:std::)?(?:cout|cerr)\s*<</, name: 'std::cout', confidence: 0.4 }
+  ]
+};
@@ -0,0 +1,26 @@
+module.exports = {
+  id: 'go',
+  name: 'Go',
+  extensions: ['.go'],
+  lineComment: '//',
+  blockComment: ['/*', '*/'],
+  strings: ['"', '`'],
+  // Raw strings (backquotes) span lines and have no escapes
+  multilineStrings: ['`'],
+  rawStrings: ['`'],
+  charLiterals: true,
+  blocks: 'braces',
+  functionPattern: /^\s*func\s*(?:\([^)]*\)\s*)?(?<name>\w+)\s*(?:\[[^\]]*\]\s*)?\(/,
+  ignoredParams: [],
+  debugCalls: [
+    { pattern: /\bfmt\.Print(?:ln|f)?\s*\(/, name: 'fmt.Print' },
+    { pattern: /(?<![.\w])print(?:ln)?\s*\(/, name: 'Built-in print' },
+    { pattern: /\bspew\.(?:Dump|Printf?)\s*\(/, name: 'spew dump' }
+  ],
+  dangerousCalls: [
+    { pattern: /\bunsafe\.(?:Pointer|Slice|String|Add)\b/, message: 'unsafe bypasses Go\'s memory safety; keep it out of application code' },
+    { pattern: /\bInsecureSkipVerify\s*:\s*true\b/, message: 'InsecureSkipVerify disables TLS certificate checks' },
+    { pattern: /\bexec\.Command(?:Context)?\s*\(/, argument: /^(?:\s*\w+\s*,)?\s*"(?:ba|z|da)?sh"\s*,\s*"-c"/, message: 'Running a shell with -c lets metacharacters in the command run other commands' },
+    { pattern: /\btemplate\.(?:HTML|JS|URL)\s*\(/, message: 'template.HTML and friends turn off escaping; only wrap trusted content' }
+  ]
+};
@@ -0,0 +1,40 @@
+const path = require('path');
+
+/**
+ * Languages reviewed without a parser. Each definition describes the syntax the
+ * scanner needs (comments, strings, how function bodies are delimited) and the
+ * patterns of the debug-statement and dangerous-call rules.
+ * JavaScript and TypeScript are parsed with Babel instead, see src/review/ast.js.
+ */
+const LANGUAGES = [
+  require('./python'),
+  require('./go'),
+  require('./java'),
+  require('./rust'),
+  require('./c'),
+  require('./cpp')
+];
+
+const LANGUAGE_IDS = LANGUAGES.map(language => language.id);
+
+/**
+ * Language definition of a file, by extension
+ * @param {string} file - File path
+ * @returns {Object|null} Null for JavaScript, TypeScript and unknown files
+ */
+function getLanguage(file) {
+  const extension = path.extname(file).toLowerCase();
+  return LANGUAGES.find(language => language.extensions.includes(extension)) || null;
+}
+
+/**
+ * Whether a rule runs on files of a language. Rules without "languages" only know JavaScript.
+ * @param {Object} rule - Rule
+ * @param {string} id - Language id, "javascript" for JavaScript and TypeScript
+ * @returns {boolean}
+ */
+function supportsLanguage(rule, id) {
+  return (rule.languages || ['javascript']).includes(id);
+}
+
+module.exports = { LANGUAGES, LANGUAGE_IDS, getLanguage, supportsLanguage };
@@ -0,0 +1,26 @@
+module.exports = {
+  id: 'java',
+  name: 'Java',
+  extensions: ['.java'],
+  lineComment: '//',
+  blockComment: ['/*', '*/'],
+  // Text blocks first: '"""' also starts with '"'
+  strings: ['"""', '"'],
+  multilineStrings: ['"""'],
+  charLiterals: true,
+  blocks: 'braces',
+  functionPattern: /^\s*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|protected|private|static|final|abstract|synchronized|native|default|strictfp)\s+)*(?:<[^>]+>\s+)?(?:(?!new\s)[\w.$]+(?:<[^()]*>)?(?:\[\])*\s+)?(?<name>[A-Za-z_$][\w$]*)\s*\(/,
+  // Between the parameters and the body only a throws clause may appear
+  signatureTail: /^\s*(?:throws\s+[\w.$]+(?:\s*,\s*[\w.$]+)*)?\s*$/,
+  ignoredParams: [],
+  debugCalls: [
+    { pattern: /\bSystem\.(?:out|err)\.print(?:ln|f)?\s*\(/, name: 'System.out' },
+    { pattern: /\.printStackTrace\s*\(\s*\)/, name: 'printStackTrace()' }
+  ],
+  dangerousCalls: [
+    { pattern: /\bRuntime\.getRuntime\(\)\.exec\s*\(/, message: 'Runtime.exec() runs external commands; validate every argument or use ProcessBuilder with a fixed command' },
+    { pattern: /\bnew\s+ObjectInputStream\s*\(/, message: 'Java deserialization of untrusted data can run arbitrary code' },
+    { pattern: /\.execute(?:Query|Update)?\s*\(\s*"[^"]*"\s*\+/, message: 'SQL built by string concatenation is open to injection; use a PreparedStatement' },
+    { pattern: /\bMessageDigest\.getInstance\s*\(/, argument: /^\s*"(?:MD5|SHA-?1)"/i, message: 'MD5 and SHA-1 are broken for security uses; use SHA-256 or better' }
+  ]
+};
@@ -0,0 +1,27 @@
+module.exports = {
+  id: 'python',
+  name: 'Python',
+  extensions: ['.py', '.pyw'],
+  lineComment: '#',
+  blockComment: null,
+  // Triple quotes first: '"""' also starts with '"'
+  strings: ['"""', "'''", '"', "'"],
+  multilineStrings: ['"""', "'''"],
+  blocks: 'indent',
+  functionPattern: /^\s*(?:async\s+)?def\s+(?<name>\w+)\s*\(/,
+  // self and cls are implicit, * and / only mark keyword-only and positional-only parameters
+  ignoredParams: ['self', 'cls', '*', '/'],
+  debugCalls: [
+    { pattern: /(?<![.\w])print\s*\(/, name: 'print()' },
+    { pattern: /(?<![.\w])pprint\s*\(/, name: 'pprint()' },
+    { pattern: /(?<![.\w])breakpoint\s*\(|\bi?pdb\.set_trace\s*\(/, name: 'Debugger breakpoint' }
+  ],
+  dangerousCalls: [
+    { pattern: /\b(?:c?[Pp]ickle|dill)\.loads?\s*\(/, message: 'Unpickling runs arbitrary code from the data; never load untrusted input with pickle' },
+    { pattern: /\bmarshal\.loads?\s*\(/, message: 'marshal is not safe against untrusted data' },
+    { pattern: /\byaml\.load\s*\((?![^)]*Safe)/, message: 'yaml.load() without SafeLoader can build arbitrary objects; use yaml.safe_load()' },
+    { pattern: /(?<![.\w])(?:eval|exec)\s*\(/, message: 'eval() and exec() run arbitrary code' },
+    { pattern: /\bos\.(?:system|popen)\s*\(/, message: 'os.system() passes the command to a shell; use subprocess.run() with a list of arguments' },
+    { pattern: /\bshell\s*=\s*True\b/, message: 'shell=True lets shell metacharacters in arguments run commands' }
+  ]
+};
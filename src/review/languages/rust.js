@@ -0,0 +1,27 @@
+module.exports = {
+  id: 'rust',
+  name: 'Rust',
+  extensions: ['.rs'],
+  lineComment: '//',
+  blockComment: ['/*', '*/'],
+  nestedComments: true,
+  strings: ['"'],
+  multilineStrings: ['"'],
+  // r"...", r#"..."#: no escapes, closed by a quote and the same number of hashes
+  rawStringPattern: /r(#*)"/y,
+  rawStringEnd: hashes => `"${hashes}`,
+  // 'a' is a character, 'a alone a lifetime
+  charLiterals: true,
+  blocks: 'braces',
+  functionPattern: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:(?:const|async|unsafe|extern(?:\s+"[^"]*")?)\s+)*fn\s+(?<name>\w+)\s*(?:<[^(]*>)?\s*\(/,
+  ignoredParams: ['self', '&self', '&mut self', 'mut self'],
+  debugCalls: [
+    { pattern: /(?<![\w:])(?:e?println|e?print)!\s*\(/, name: 'println!' },
+    { pattern: /(?<![\w:])dbg!\s*\(/, name: 'dbg!' }
+  ],
+  dangerousCalls: [
+    { pattern: /\bunsafe\s*\{/, message: 'unsafe block: document the invariants that make it sound, or find a safe alternative' },
+    { pattern: /\b(?:mem::)?transmute\s*(?:::<[^>]*>)?\s*\(/, message: 'transmute reinterprets memory without any check' },
+    { pattern: /\bfrom_raw_parts(?:_mut)?\s*\(/, message: 'from_raw_parts trusts the pointer and length to be valid' }
+  ]
+};
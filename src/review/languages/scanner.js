@@ -0,0 +1,279 @@
+// Names the function patterns may pick up from control statements and calls
+const KEYWORDS = new Set([
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'catch', 'try', 'return', 'new', 'throw',
+  'sizeof', 'alignof', 'decltype', 'typeof', 'defined', 'synchronized', 'assert', 'super', 'this'
+]);
+
+const CHAR_LITERAL = /'(?:\\[^'\n]{1,10}|[^\\'\n])'/y;
+
+/**
+ * Blank out comments and the contents of string literals, keeping line and column
+ * positions, so that line patterns only match code
+ * @param {string} content - Source
+ * @param {Object} language - Language definition
+ * @returns {{code: string[], comments: Object[]}} Masked lines, and the comments as
+ *   {type, value, loc} objects shaped like Babel's
+ */
+function maskSource(content, language) {
+  const out = [];
+  const comments = [];
+  let index = 0;
+  let line = 1;
+  let column = 0;
+
+  const position = () => ({ line, column });
+  // Copy a character, or blank it out keeping line breaks
+  const take = keep => {
+    const char = content[index];
+    out.push(keep || char === '\n' ? char : ' ');
+    if (char === '\n') {
+      line++;
+      column = 0;
+    } else {
+      column++;
+    }
+    index++;
+  };
+  const takeText = (text, keep) => {
+    for (let i = 0; i < text.length; i++) {
+      take(keep);
+    }
+  };
+
+  const [blockStart, blockEnd] = language.blockComment || [];
+
+  while (index < content.length) {
+    if (language.lineComment && content.startsWith(language.lineComment, index)) {
+      const start = position();
+      const end = content.indexOf('\n', index);
+      const text = content.slice(index, end === -1 ? content.length : end);
+      takeText(text, false);
+      comments.push({ type: 'CommentLine', value: text.slice(language.lineComment.length), loc: { start, end: position() } });
+      continue;
+    }
+
+    if (blockStart && content.startsWith(blockStart, index)) {
+      const start = position();
+      const from = index;
+      let depth = 1;
+      takeText(blockStart, false);
+      while (index < content.length && depth > 0) {
+        // Only Rust nests block comments; elsewhere "/*" inside a comment is just text
+        if (language.nestedComments && content.startsWith(blockStart, index)) {
+          depth++;
+          takeText(blockStart, false);
+        } else if (content.startsWith(blockEnd, index)) {
+          depth--;
+          takeText(blockEnd, false);
+        } else {
+          take(false);
+        }
+      }
+      const text = content.slice(from, index);
+      comments.push({
+        type: 'CommentBlock',
+        value: text.slice(blockStart.length, text.endsWith(blockEnd) ? -blockEnd.length : undefined),
+        loc: { start, end: position() }
+      });
+      continue;
+    }
+
+    const previous = content[index - 1] || '';
+    if (language.rawStringPattern && !/\w/.test(previous)) {
+      language.rawStringPattern.lastIndex = index;
+      const raw = language.rawStringPattern.exec(content);
+      if (raw) {
+        const closing = language.rawStringEnd(raw[1]);
+        const end = content.indexOf(closing, index + raw[0].length);
+        takeText(raw[0], true);
+        takeText(content.slice(index, end === -1 ? content.length : end), false);
+        takeText(end === -1 ? '' : closing, true);
+        continue;
+      }
+    }
+
+    const delimiter = language.strings.find(candidate => content.startsWith(candidate, index));
+    if (delimiter) {
+      const multiline = (language.multilineStrings || []).includes(delimiter);
+      const escapes = !(language.rawStrings || []).includes(delimiter);
+      takeText(delimiter, true);
+      while (index < content.length && !content.startsWith(delimiter, index)) {
+        if (content[index] === '\n' && !multiline) {
+          break;
+        }
+        if (escapes && content[index] === '\\' && index + 1 < content.length) {
+          take(false);
+        }
+        take(false);
+      }
+      if (content.startsWith(delimiter, index)) {
+        takeText(delimiter, true);
+      }
+      continue;
+    }
+
+    if (language.charLiterals && content[index] === '\'') {
+      CHAR_LITERAL.lastIndex = index;
+      const char = CHAR_LITERAL.exec(content);
+      if (char) {
+        take(true);
+        takeText(char[0].slice(2), false);
+        out[out.length - 1] = '\'';
+        continue;
+      }
+    }
+
+    take(true);
+  }
+
+  return { code: out.join('').split('\n'), comments };
+}
+
+/**
+ * Walk from an opening bracket to the matching closing one
+ * @param {string[]} code - Masked lines
+ * @param {number} line - 0-based line of the opening bracket
+ * @param {number} column - Its column
+ * @param {string} open - Opening bracket
+ * @param {string} close - Closing bracket
+ * @returns {{line: number, column: number, text: string}|null} Position of the closing bracket and the text in between
+ */
+function findClosing(code, line, column, open, close) {
+  let depth = 0;
+  let text = '';
+  for (let i = line; i < code.length; i++) {
+    for (let j = i === line ? column : 0; j < code[i].length; j++) {
+      const char = code[i][j];
+      if (char === open) {
+        depth++;
+      } else if (char === close) {
+        depth--;
+        if (depth === 0) {
+          return { line: i, column: j, text: text.slice(1) };
+        }
+      }
+      text += char;
+    }
+    text += '\n';
+  }
+  return null;
+}
+
+/**
+ * Count parameters in a parameter list, ignoring nested brackets and the ones the language ignores
+ * @param {string} text - Text between the parentheses
+ * @param {string[]} ignored - Parameters that don't count (self, void...)
+ * @returns {number}
+ */
+function countParams(text, ignored) {
+  const params = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if ('([{<'.includes(char)) {
+      depth++;
+    } else if (')]}>'.includes(char)) {
+      depth--;
+    }
+    if (char === ',' && depth === 0) {
+      params.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  params.push(current);
+
+  return params
+    .map(param => param.trim().replace(/\s+/g, ' '))
+    .filter(param => param && !ignored.some(name => param === name || param.startsWith(`${name}:`)))
+    .length;
+}
+
+/**
+ * Last line of an indented block (Python): the last non-blank line indented deeper than its header
+ * @param {string[]} code - Masked lines
+ * @param {number} headerLine - 0-based line of the header
+ * @param {number} bodyStart - 0-based line where the body may start
+ * @returns {number}
+ */
+function findIndentedBlockEnd(code, headerLine, bodyStart) {
+  const indent = code[headerLine].match(/^\s*/)[0].length;
+  let end = bodyStart;
+  for (let i = bodyStart + 1; i < code.length; i++) {
+    if (!code[i].trim()) {
+      continue;
+    }
+    if (code[i].match(/^\s*/)[0].length <= indent) {
+      break;
+    }
+    end = i;
+  }
+  return end;
+}
+
+/**
+ * Functions defined in masked source: brace-delimited bodies (C-like languages) or indented ones (Python)
+ * @param {string[]} code - Masked lines from maskSource()
+ * @param {Object} language - Language definition
+ * @returns {Array<{name: string, line: number, endLine: number, params: number}>} 1-based lines
+ */
+function findFunctions(code, language) {
+  const functions = [];
+
+  for (let i = 0; i < code.length; i++) {
+    const match = code[i].match(language.functionPattern);
+    if (!match || KEYWORDS.has(match.groups.name)) {
+      continue;
+    }
+
+    const params = findClosing(code, i, match.index + match[0].length - 1, '(', ')');
+    if (!params) {
+      continue;
+    }
+
+    let endLine;
+    if (language.blocks === 'indent') {
+      endLine = findIndentedBlockEnd(code, i, params.line);
+    } else {
+      // The body must open before any ";": prototypes, calls and declarations don't have one
+      const rest = `${code[params.line].slice(params.column + 1)}\n${code.slice(params.line + 1, params.line + 4).join('\n')}`;
+      const brace = rest.indexOf('{');
+      const semicolon = rest.indexOf(';');
+      if (brace === -1 || (semicolon !== -1 && semicolon < brace) ||
+          (language.signatureTail && !language.signatureTail.test(rest.slice(0, brace)))) {
+        continue;
+      }
+      const before = rest.slice(0, brace).split('\n');
+      const braceLine = params.line + before.length - 1;
+      const braceColumn = before.length === 1 ? params.column + 1 + brace : before[before.length - 1].length;
+      const body = findClosing(code, braceLine, braceColumn, '{', '}');
+      if (!body) {
+        continue;
+      }
+      endLine = body.line;
+    }
+
+    functions.push({
+      name: match.groups.name,
+      line: i + 1,
+      endLine: endLine + 1,
+      params: countParams(params.text, language.ignoredParams || [])
+    });
+  }
+
+  return functions;
+}
+
+/**
+ * Scan a source file of a supported language
+ * @param {string} content - Source
+ * @param {Object} language - Language definition
+ * @returns {{code: string[], comments: Object[], functions: Object[]}}
+ */
+function scanSource(content, language) {
+  const { code, comments } = maskSource(content, language);
+  return { code, comments, functions: findFunctions(code, language) };
+}
+
+module.exports = { maskSource, findFunctions, scanSource };
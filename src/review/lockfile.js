@@ -0,0 +1,218 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+
+/**
+ * Lockfiles in order of preference when a project has several
+ */
+const LOCKFILE_TYPES = [
+  { file: 'package-lock.json', type: 'npm' },
+  { file: 'npm-shrinkwrap.json', type: 'npm' },
+  { file: 'yarn.lock', type: 'yarn' },
+  { file: 'pnpm-lock.yaml', type: 'pnpm' }
+];
+
+/**
+ * Installed package, as recorded in a lockfile
+ * @typedef {Object} LockedPackage
+ * @property {string} name - Package name
+ * @property {string} version - Resolved version
+ * @property {boolean} dev - Only needed for development
+ * @property {string|null} license - License expression, when the lockfile records it
+ */
+
+/**
+ * Name of the package installed in a node_modules path ("node_modules/a/node_modules/@s/b" → "@s/b")
+ * @param {string} location - Key of the "packages" map of package-lock.json
+ * @returns {string}
+ */
+function nameFromLocation(location) {
+  return location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length);
+}
+
+/**
+ * Packages of a package-lock.json or npm-shrinkwrap.json, lockfile versions 1 to 3
+ * @param {string} content - Lockfile content
+ * @returns {LockedPackage[]}
+ */
+function parseNpmLockfile(content) {
+  const lock = JSON.parse(content);
+
+  // Version 2 and 3 lockfiles list every installed copy by its path
+  if (lock.packages) {
+    return Object.entries(lock.packages)
+      .filter(([location, entry]) => location.includes('node_modules/') && entry.version && !entry.link)
+      .map(([location, entry]) => ({
+        name: entry.name || nameFromLocation(location),
+        version: entry.version,
+        dev: Boolean(entry.dev),
+        license: entry.license || null
+      }));
+  }
+
+  // Version 1 nests the dependencies of each package
+  const packages = [];
+  const collect = dependencies => {
+    Object.entries(dependencies || {}).forEach(([name, entry]) => {
+      if (entry.version && !entry.bundled) {
+        packages.push({ name, version: entry.version, dev: Boolean(entry.dev), license: null });
+      }
+      collect(entry.dependencies);
+    });
+  };
+  collect(lock.dependencies);
+  return packages;
+}
+
+/**
+ * Package name of a yarn descriptor ("@babel/core@^7.0.0", "lodash@npm:^4.17.0")
+ * @param {string} descriptor - Descriptor from an entry header
+ * @returns {string}
+ */
+function nameFromDescriptor(descriptor) {
+  return descriptor.slice(0, descriptor.indexOf('@', 1));
+}
+
+/**
+ * Packages of a yarn.lock, classic (v1) or Berry
+ * @param {string} content - Lockfile content
+ * @returns {LockedPackage[]}
+ */
+function parseYarnLockfile(content) {
+  const packages = [];
+  let descriptors = null;
+
+  content.split('\n').forEach(line => {
+    if (line && !line.startsWith(' ') && !line.startsWith('#') && line.endsWith(':')) {
+      // Entry header: comma separated descriptors resolving to the same version
+      descriptors = line.slice(0, -1).split(',').map(descriptor => descriptor.trim().replace(/^"|"$/g, ''));
+      return;
+    }
+    const version = line.match(/^ {2}version:? "?([^"\s]+)"?/);
+    if (version && descriptors) {
+      // Workspaces and the Berry metadata entry are not installed packages
+      if (descriptors[0] !== '__metadata' && !descriptors.some(descriptor => descriptor.includes('@workspace:'))) {
+        packages.push({ name: nameFromDescriptor(descriptors[0]), version: version[1], dev: false, license: null });
+      }
+      descriptors = null;
+    }
+  });
+
+  return packages;
+}
+
+/**
+ * Name and version from a pnpm package key: "/lodash/4.17.21" (v5), "/@s/b@1.0.0(peer@2.0.0)" (v6)
+ * or "@s/b@1.0.0" (v9)
+ * @param {string} key - Key of the "packages" map
+ * @returns {{name: string, version: string}|null}
+ */
+function parsePnpmKey(key) {
+  const id = key.replace(/^\//, '').replace(/\(.*$/, '');
+  // Version 5 separates the version with a slash and peers with an underscore
+  const v5 = id.match(/^((?:@[^/]+\/)?[^/@]+)\/([^/]+)$/);
+  if (v5) {
+    return { name: v5[1], version: v5[2].replace(/_.*$/, '') };
+  }
+  const at = id.lastIndexOf('@');
+  return at > 0 ? { name: id.slice(0, at), version: id.slice(at + 1) } : null;
+}
+
+/**
+ * Packages of a pnpm-lock.yaml
+ * @param {string} content - Lockfile content
+ * @returns {LockedPackage[]}
+ */
+function parsePnpmLockfile(content) {
+  const lock = YAML.parse(content) || {};
+
+  return Object.entries(lock.packages || {})
+    .map(([key, entry]) => {
+      const parsed = parsePnpmKey(key);
+      return parsed && {
+        ...parsed,
+        dev: Boolean(entry && entry.dev),
+        license: null
+      };
+    })
+    .filter(Boolean);
+}
+
+const PARSERS = {
+  npm: parseNpmLockfile,
+  yarn: parseYarnLockfile,
+  pnpm: parsePnpmLockfile
+};
+
+/**
+ * License of an installed package, read from node_modules
+ * @param {string} root - Project directory
+ * @param {string} name - Package name
+ * @returns {string|null}
+ */
+function readInstalledLicense(root, name) {
+  const manifest = path.join(root, 'node_modules', name, 'package.json');
+  if (!fs.existsSync(manifest)) {
+    return null;
+  }
+
+  try {
+    const { license, licenses } = fs.readJsonSync(manifest);
+    if (typeof license === 'string') {
+      return license;
+    }
+    if (license && license.type) {
+      return license.type;
+    }
+    // Deprecated form: [{type: "MIT"}, {type: "Apache-2.0"}]
+    if (Array.isArray(licenses) && licenses.length > 0) {
+      return licenses.map(entry => entry.type || entry).join(' OR ');
+    }
+  } catch (error) {
+    // A broken manifest only means the license is unknown
+  }
+  return null;
+}
+
+/**
+ * Read the lockfile of a project. Licenses missing from the lockfile are taken from node_modules.
+ * @param {string} root - Project directory
+ * @returns {{type: string, file: string, content: string, packages: LockedPackage[]}|null} Null without a lockfile
+ */
+function readLockfile(root) {
+  const found = LOCKFILE_TYPES.find(candidate => fs.existsSync(path.join(root, candidate.file)));
+  if (!found) {
+    return null;
+  }
+
+  const file = path.join(root, found.file);
+  const content = fs.readFileSync(file, 'utf8');
+  let packages;
+  try {
+    packages = PARSERS[found.type](content);
+  } catch (error) {
+    throw new Error(`${found.file} could not be parsed: ${error.message}`);
+  }
+
+  // The same version may be installed in several places, for development or not
+  const byId = new Map();
+  packages.forEach(pkg => {
+    const id = `${pkg.name}@${pkg.version}`;
+    const existing = byId.get(id);
+    byId.set(id, existing ? { ...existing, dev: existing.dev && pkg.dev } : pkg);
+  });
+  packages = [...byId.values()].map(pkg => ({
+    ...pkg,
+    license: pkg.license || readInstalledLicense(root, pkg.name)
+  }));
+
+  return { type: found.type, file, content, packages };
+}
+
+module.exports = {
+  LOCKFILE_TYPES,
+  parseNpmLockfile,
+  parseYarnLockfile,
+  parsePnpmLockfile,
+  readLockfile
+};
@@ -0,0 +1,122 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { readLockfile } = require('./lockfile');
+const { readAdvisoryDatabase } = require('./advisories');
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Line and columns of the first line matching a pattern
+ * @param {string[]} lines - File lines
+ * @param {RegExp} pattern - Pattern; group 1, when present, is the flagged part
+ * @returns {{line: number, column: number, endColumn: number}|null} 1-based line, 0-based columns
+ */
+function findLine(lines, pattern) {
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(pattern);
+    if (match) {
+      const text = match[1] || match[0];
+      const column = match.index + match[0].indexOf(text);
+      return { line: i + 1, column, endColumn: column + text.length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Where a package entry starts in a lockfile: the entry header naming it, followed
+ * within a few lines by its version. Headers end with "{" (npm) or ":" (yarn, pnpm).
+ * @param {string[]} lines - Lockfile lines
+ * @param {string} name - Package name
+ * @param {string} version - Installed version
+ * @returns {{line: number, column: number, endColumn: number}|null}
+ */
+function findLockfileEntry(lines, name, version) {
+  const header = new RegExp(`(?:^|[\\s"'/,])(${escapeRegExp(name)})(?:["'@:]|/${escapeRegExp(version)})`);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trimEnd();
+    if ((line.endsWith('{') || line.endsWith(':')) && header.test(line) &&
+        lines.slice(i, i + 6).some(candidate => candidate.includes(version))) {
+      return { ...findLine([line], header), line: i + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Everything project rules (project: true) look at: the root package.json, its lockfile,
+ * the advisory database and the packages each reviewed file imports
+ * @param {Object} options
+ * @param {string} options.root - Repository root, where package.json is read
+ * @param {Object} options.config - The "review.dependencies" configuration section
+ * @param {Map<string, Object[]>} options.imports - Imports of each reviewed file, from collectImports()
+ * @param {boolean} options.complete - Whether every file of the repository was reviewed; without it
+ *   a package can't be called unused
+ * @returns {Object|null} Null for projects without package.json
+ */
+function loadProject({ root, config, imports, complete }) {
+  // Reported paths are relative to the current directory, like the reviewed files
+  const manifestFile = path.relative(process.cwd(), path.join(root, 'package.json'));
+  if (!fs.existsSync(manifestFile)) {
+    return null;
+  }
+
+  let manifest;
+  try {
+    manifest = fs.readJsonSync(manifestFile);
+  } catch (error) {
+    throw new Error(`package.json could not be parsed: ${error.message}`);
+  }
+
+  const lockfile = readLockfile(root);
+  const lockfilePath = lockfile && path.relative(process.cwd(), lockfile.file);
+  const advisoriesFile = path.resolve(root, config.advisories);
+  const manifestLines = fs.readFileSync(manifestFile, 'utf8').split('\n');
+  const lockfileLines = lockfile ? lockfile.content.split('\n') : [];
+
+  // Declared dependencies by name, with the manifest field declaring them
+  const declared = new Map();
+  DEPENDENCY_FIELDS.forEach(field => {
+    Object.keys(manifest[field] || {}).forEach(name => {
+      if (!declared.has(name)) {
+        declared.set(name, field);
+      }
+    });
+  });
+
+  return {
+    root,
+    config,
+    manifest,
+    manifestFile,
+    declared,
+    lockfile,
+    advisories: readAdvisoryDatabase(advisoriesFile),
+    advisoriesFile,
+    imports,
+    complete,
+
+    /**
+     * Where a package is declared: its package.json entry for direct dependencies,
+     * its lockfile entry for the others
+     * @param {string} name - Package name
+     * @param {string} [version] - Installed version, to find the right lockfile entry
+     * @returns {{file: string, line: number, column: number, endColumn: number}}
+     */
+    locate(name, version) {
+      const inManifest = declared.has(name) && findLine(manifestLines, new RegExp(`("${escapeRegExp(name)}")\\s*:`));
+      if (inManifest) {
+        return { file: manifestFile, ...inManifest };
+      }
+      const inLockfile = lockfile && version && findLockfileEntry(lockfileLines, name, version);
+      if (inLockfile) {
+        return { file: lockfilePath, ...inLockfile };
+      }
+      return { file: lockfilePath || manifestFile, line: 1, column: 0, endColumn: 0 };
+    }
+  };
+}
+
+module.exports = { DEPENDENCY_FIELDS, findLockfileEntry, loadProject };
@@ -0,0 +1,154 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { SEVERITIES } = require('./issue');
+const { BUILTIN_RULES } = require('./rules');
+
+const PLUGIN_PREFIX = 'git-copilot-plugin-';
+
+class RuleLoadError extends Error {
+  /**
+   * Raised when a custom rule module can't be loaded or doesn't export a valid rule
+   * @param {string} source - Rule file or package name
+   * @param {string} message - What is wrong
+   */
+  constructor(source, message) {
+    super(`Invalid review rule in ${source}: ${message}`);
+    this.name = 'RuleLoadError';
+    this.source = source;
+  }
+}
+
+/**
+ * Check the shape of a rule module
+ * @param {Object} rule - Exported rule
+ * @param {string} source - Where it came from, used in errors
+ * @returns {Object} The rule
+ */
+function validateRule(rule, source) {
+  if (!rule || typeof rule !== 'object') {
+    throw new RuleLoadError(source, 'a rule must be an object');
+  }
+  if (typeof rule.id !== 'string' || !rule.id) {
+    throw new RuleLoadError(source, '"id" must be a non-empty string');
+  }
+  if (typeof rule.category !== 'string' || !rule.category) {
+    throw new RuleLoadError(source, `rule ${rule.id}: "category" must be a non-empty string`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new RuleLoadError(source, `rule ${rule.id}: "severity" must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (typeof rule.check !== 'function') {
+    throw new RuleLoadError(source, `rule ${rule.id}: "check" must be a function`);
+  }
+  return rule;
+}
+
+/**
+ * Rules exported by a module: a single rule, an array, or {rules: [...]}
+ * @param {*} exported - module.exports of the rule file or package
+ * @returns {Object[]}
+ */
+function toRuleList(exported) {
+  if (Array.isArray(exported)) {
+    return exported;
+  }
+  if (exported && Array.isArray(exported.rules)) {
+    return exported.rules;
+  }
+  return [exported];
+}
+
+/**
+ * Load the rule modules (*.js) of a local directory
+ * @param {string} dir - Absolute rules directory
+ * @returns {Object[]} Rules tagged with their source
+ */
+function loadLocalRules(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => /\.c?js$/.test(name))
+    .sort()
+    .flatMap(name => {
+      const file = path.join(dir, name);
+      let exported;
+      try {
+        exported = require(file);
+      } catch (error) {
+        throw new RuleLoadError(file, error.message);
+      }
+      return toRuleList(exported).map(rule => ({ ...validateRule(rule, file), source: 'local' }));
+    });
+}
+
+/**
+ * Load the rules of an npm package installed in the project.
+ * Rule ids are namespaced with the package name: "git-copilot-plugin-acme" exporting
+ * "no-moment" gives "acme/no-moment".
+ * @param {string} name - Package name
+ * @param {string} root - Repository root, where the package is resolved from
+ * @returns {Object[]}
+ */
+function loadPluginRules(name, root) {
+  let exported;
+  try {
+    exported = require(require.resolve(name, { paths: [root] }));
+  } catch (error) {
+    throw new RuleLoadError(name, `package could not be loaded (${error.message.split('\n')[0]})`);
+  }
+
+  const namespace = name.replace(/^(@[^/]+\/)?/, '').replace(PLUGIN_PREFIX, '');
+  return toRuleList(exported).map(rule => {
+    validateRule(rule, name);
+    return { ...rule, id: `${namespace}/${rule.id}`, source: name };
+  });
+}
+
+/**
+ * All known rules with the configured overrides applied.
+ * @param {Object} reviewConfig - The "review" configuration section
+ * @param {string} root - Repository root
+ * @returns {Object[]} Rules with source, enabled and the effective severity
+ */
+function loadRules(reviewConfig = {}, root = process.cwd()) {
+  const rules = [
+    ...BUILTIN_RULES.map(rule => ({ ...rule, source: 'built-in' })),
+    ...(reviewConfig.rulesDir ? loadLocalRules(path.resolve(root, reviewConfig.rulesDir)) : []),
+    ...(reviewConfig.plugins || []).flatMap(name => loadPluginRules(name, root))
+  ];
+
+  const seen = new Set();
+  for (const rule of rules) {
+    if (seen.has(rule.id)) {
+      throw new RuleLoadError(rule.source, `rule id "${rule.id}" is already defined`);
+    }
+    seen.add(rule.id);
+  }
+
+  const overrides = reviewConfig.rules || {};
+  const unknown = Object.keys(overrides).filter(id => !seen.has(id));
+  if (unknown.length > 0) {
+    throw new RuleLoadError('configuration', `review.rules refers to unknown rule "${unknown[0]}"`);
+  }
+
+  return rules.map(rule => {
+    const override = overrides[rule.id];
+    return {
+      ...rule,
+      defaultSeverity: rule.severity,
+      severity: SEVERITIES.includes(override) ? override : rule.severity,
+      // Rules may ship disabled (enabled: false) and be switched on with "on"
+      enabled: override === 'on' || (override !== 'off' && rule.enabled !== false)
+    };
+  });
+}
+
+module.exports = {
+  RuleLoadError,
+  validateRule,
+  loadLocalRules,
+  loadPluginRules,
+  loadRules
+};
@@ -0,0 +1,26 @@
+const { LANGUAGES, LANGUAGE_IDS } = require('../languages');
+
+module.exports = {
+  id: 'dangerous-call',
+  category: 'Security',
+  severity: 'high',
+  description: 'Unsafe calls such as pickle.loads, exec, unsafe blocks and strcpy in Python, Go, Java, Rust and C/C++',
+  languages: LANGUAGE_IDS,
+  check(context) {
+    const { dangerousCalls } = LANGUAGES.find(language => language.id === context.language);
+    context.code.forEach((line, index) => {
+      dangerousCalls.forEach(({ pattern, message, argument }) => {
+        const match = line.match(pattern);
+        if (!match) {
+          return;
+        }
+        const end = match.index + match[0].length;
+        // Arguments are checked on the original line: string contents are blanked in the code
+        if (argument && !argument.test(context.lines[index].slice(end))) {
+          return;
+        }
+        context.report({ line: index + 1, column: match.index, endColumn: end }, message);
+      });
+    });
+  }
+};
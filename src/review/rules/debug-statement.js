@@ -0,0 +1,26 @@
+const { LANGUAGES, LANGUAGE_IDS } = require('../languages');
+
+module.exports = {
+  id: 'debug-statement',
+  category: 'Debug Code',
+  severity: 'low',
+  fix: 'Remove the call or use the project logger',
+  description: 'print(), println!, fmt.Println and other debug output in Python, Go, Java, Rust and C/C++',
+  languages: LANGUAGE_IDS,
+  check(context) {
+    const { debugCalls } = LANGUAGES.find(language => language.id === context.language);
+    // Masked code: the same call in a comment or a string is not reported
+    context.code.forEach((line, index) => {
+      debugCalls.forEach(({ pattern, name, confidence }) => {
+        const match = line.match(pattern);
+        if (match) {
+          context.report(
+            { line: index + 1, column: match.index, endColumn: match.index + match[0].length },
+            `${name} statement found - consider removing for production`,
+            { confidence }
+          );
+        }
+      });
+    });
+  }
+};
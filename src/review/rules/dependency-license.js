@@ -0,0 +1,50 @@
+/**
+ * License identifiers of each alternative of an SPDX expression:
+ * "(MIT OR Apache-2.0)" gives [["MIT"], ["Apache-2.0"]], "MIT AND CC0-1.0" gives [["MIT", "CC0-1.0"]]
+ * @param {string} expression - SPDX license expression
+ * @returns {string[][]}
+ */
+function parseLicense(expression) {
+  return expression
+    .replace(/[()]/g, ' ')
+    .split(/\s+OR\s+/i)
+    .map(alternative => alternative
+      .split(/\s+AND\s+/i)
+      .map(id => id.replace(/\s+WITH\s+.*$/i, '').replace(/\+$/, '').trim().toLowerCase())
+      .filter(Boolean));
+}
+
+module.exports = {
+  id: 'dependency-license',
+  category: 'Dependencies',
+  severity: 'high',
+  project: true,
+  fix: 'Replace the package, or add its license to review.dependencies.licenses.allow after a legal review',
+  description: 'Production packages whose license is denied by, or missing from, review.dependencies.licenses',
+  check(context) {
+    const allow = context.config.licenses.allow.map(id => id.toLowerCase());
+    const deny = context.config.licenses.deny.map(id => id.toLowerCase());
+    if (!context.lockfile || (allow.length === 0 && deny.length === 0)) {
+      return;
+    }
+
+    // Development tools are not shipped, their licenses don't bind the project
+    context.lockfile.packages
+      .filter(pkg => !pkg.dev && pkg.license)
+      .forEach(pkg => {
+        const alternatives = parseLicense(pkg.license);
+        const acceptable = alternatives.some(ids => ids.every(id =>
+          !deny.includes(id) && (allow.length === 0 || allow.includes(id))));
+        if (acceptable) {
+          return;
+        }
+
+        const denied = alternatives.every(ids => ids.some(id => deny.includes(id)));
+        context.report(
+          context.locate(pkg.name, pkg.version),
+          `${pkg.name}@${pkg.version} is licensed under ${pkg.license}, ` +
+            `${denied ? 'which is denied' : 'which is not in the allowed licenses'}`
+        );
+      });
+  }
+};
@@ -0,0 +1,22 @@
+module.exports = {
+  id: 'dependency-missing',
+  category: 'Dependencies',
+  severity: 'high',
+  project: true,
+  fix: 'Add the package to dependencies in package.json',
+  description: 'Imported packages that package.json doesn\'t declare and only resolve by accident, if at all',
+  check(context) {
+    context.imports.forEach((imports, file) => {
+      imports
+        .filter(entry => !context.declared.has(entry.name) &&
+          entry.name !== context.manifest.name &&
+          !context.config.ignore.includes(entry.name))
+        .forEach(entry => {
+          context.report(
+            { file, line: entry.line, column: entry.column, endColumn: entry.endColumn },
+            `${entry.name} is imported but not declared in package.json`
+          );
+        });
+    });
+  }
+};
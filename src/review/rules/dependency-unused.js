@@ -0,0 +1,26 @@
+module.exports = {
+  id: 'dependency-unused',
+  category: 'Dependencies',
+  severity: 'low',
+  project: true,
+  fix: 'Remove the package from dependencies, or list it in review.dependencies.ignore if it is loaded another way',
+  description: 'Packages in dependencies that no reviewed file imports (full reviews only)',
+  check(context) {
+    // Diff-scoped and --path reviews don't see every import
+    if (!context.complete || context.imports.size === 0) {
+      return;
+    }
+
+    const imported = new Set([...context.imports.values()].flat().map(entry => entry.name));
+    const scripts = Object.values(context.manifest.scripts || {}).join('\n');
+
+    Object.keys(context.manifest.dependencies || {})
+      .filter(name => !imported.has(name) &&
+        !name.startsWith('@types/') &&
+        !scripts.includes(name) &&
+        !context.config.ignore.includes(name))
+      .forEach(name => {
+        context.report(context.locate(name), `${name} is declared in dependencies but never imported`);
+      });
+  }
+};
@@ -0,0 +1,26 @@
+const { findAdvisories } = require('../advisories');
+
+module.exports = {
+  id: 'dependency-vulnerability',
+  category: 'Security',
+  severity: 'high',
+  project: true,
+  fix: 'Upgrade to a version outside the vulnerable range, or override the transitive dependency',
+  description: 'Installed packages with a known advisory in the offline advisory database; the advisory sets the severity',
+  check(context) {
+    if (!context.lockfile || !context.advisories) {
+      return;
+    }
+
+    context.lockfile.packages.forEach(pkg => {
+      findAdvisories(context.advisories, pkg.name, pkg.version).forEach(advisory => {
+        context.report(
+          context.locate(pkg.name, pkg.version),
+          `${pkg.name}@${pkg.version} is vulnerable: ${advisory.title} (${advisory.vulnerableVersions}` +
+            `${advisory.url ? `, ${advisory.url}` : ''})`,
+          { severity: advisory.severity }
+        );
+      });
+    });
+  }
+};
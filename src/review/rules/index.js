@@ -0,0 +1,32 @@
+/**
+ * Built-in JavaScript/TypeScript review rules. Each rule exports an id, category,
+ * default severity, a description and check(context), which walks the parse tree
+ * through context.traverse() and reports findings with context.report().
+ * Text rules (text: true) read context.lines instead and run on every reviewed file.
+ * Project rules (project: true) run once per review on the package.json, lockfile
+ * and imports of the project, see src/review/project.js.
+ * Rules listing "languages" also run on the languages reviewed without a parser
+ * (Python, Go, Java, Rust, C/C++), through context.code, context.comments and
+ * context.functions, see src/review/languages.
+ */
+const BUILTIN_RULES = [
+  require('./no-console'),
+  require('./todo-comment'),
+  require('./max-function-lines'),
+  require('./max-params'),
+  require('./no-eval'),
+  require('./no-hardcoded-secrets'),
+  require('./no-sync-fs'),
+  require('./max-loop-depth'),
+  require('./no-magic-numbers'),
+  require('./debug-statement'),
+  require('./dangerous-call'),
+  require('./secret-format'),
+  require('./secret-entropy'),
+  require('./dependency-vulnerability'),
+  require('./dependency-license'),
+  require('./dependency-missing'),
+  require('./dependency-unused')
+];
+
+module.exports = { BUILTIN_RULES };
@@ -0,0 +1,37 @@
+const { FUNCTION_TYPES, getFunctionName } = require('../ast');
+const { LANGUAGE_IDS } = require('../languages');
+
+const MAX_FUNCTION_LINES = 50;
+
+module.exports = {
+  id: 'max-function-lines',
+  category: 'Code Complexity',
+  severity: 'medium',
+  fix: 'Extract the independent steps into smaller functions',
+  description: `Functions longer than ${MAX_FUNCTION_LINES} lines`,
+  languages: ['javascript', ...LANGUAGE_IDS],
+  check(context) {
+    if (!context.ast) {
+      context.functions.forEach(fn => {
+        const length = fn.endLine - fn.line + 1;
+        if (length > MAX_FUNCTION_LINES) {
+          context.report(fn.line, `Function ${fn.name} is too long (${length} lines). Consider breaking it down.`);
+        }
+      });
+      return;
+    }
+
+    context.traverse({
+      '*'(node, nodePath) {
+        if (!FUNCTION_TYPES.has(node.type) || !node.body || !node.loc) {
+          return;
+        }
+        const length = node.loc.end.line - node.loc.start.line + 1;
+        if (length > MAX_FUNCTION_LINES) {
+          const name = getFunctionName(node, nodePath.parent);
+          context.report(node, `Function ${name} is too long (${length} lines). Consider breaking it down.`);
+        }
+      }
+    });
+  }
+};
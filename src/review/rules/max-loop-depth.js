@@ -0,0 +1,52 @@
+const { FUNCTION_TYPES, LOOP_TYPES, getCalleeName } = require('../ast');
+
+const MAX_LOOP_DEPTH = 2;
+const ITERATION_METHODS = ['forEach', 'map', 'filter', 'reduce', 'some', 'every', 'find', 'flatMap'];
+
+/**
+ * Whether a node is an iteration callback such as the function given to forEach
+ * @param {Object} node - Function node
+ * @param {Object|null} parent - Parent node
+ * @returns {boolean}
+ */
+function isIterationCallback(node, parent) {
+  return Boolean(parent && parent.type === 'CallExpression' && parent.arguments.includes(node) &&
+    ITERATION_METHODS.includes(getCalleeName(parent)));
+}
+
+module.exports = {
+  id: 'max-loop-depth',
+  category: 'Performance',
+  severity: 'medium',
+  fix: 'Index the inner collection in a Map or Set, or extract the inner loop into a function',
+  description: `Loops nested more than ${MAX_LOOP_DEPTH} levels deep within a function`,
+  check(context) {
+    context.traverse({
+      '*'(node, nodePath) {
+        const isLoop = LOOP_TYPES.has(node.type) ||
+          (FUNCTION_TYPES.has(node.type) && isIterationCallback(node, nodePath.parent));
+        if (!isLoop) {
+          return;
+        }
+
+        // Count enclosing loops up to the nearest function that is not itself a loop body
+        let depth = 1;
+        for (let i = nodePath.ancestors.length - 1; i >= 0; i--) {
+          const ancestor = nodePath.ancestors[i];
+          if (LOOP_TYPES.has(ancestor.type)) {
+            depth++;
+          } else if (FUNCTION_TYPES.has(ancestor.type)) {
+            if (!isIterationCallback(ancestor, nodePath.ancestors[i - 1] || null)) {
+              break;
+            }
+            depth++;
+          }
+        }
+
+        if (depth > MAX_LOOP_DEPTH) {
+          context.report(node, `Loop nested ${depth} levels deep. Consider optimizing algorithm complexity.`);
+        }
+      }
+    });
+  }
+};
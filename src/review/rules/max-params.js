@@ -0,0 +1,37 @@
+const { FUNCTION_TYPES, getFunctionName } = require('../ast');
+const { LANGUAGE_IDS } = require('../languages');
+
+const MAX_PARAMS = 4;
+
+module.exports = {
+  id: 'max-params',
+  category: 'Maintainability',
+  severity: 'low',
+  fix: 'Group related parameters into an options object',
+  description: `Functions taking more than ${MAX_PARAMS} parameters`,
+  languages: ['javascript', ...LANGUAGE_IDS],
+  check(context) {
+    if (!context.ast) {
+      context.functions.forEach(fn => {
+        if (fn.params > MAX_PARAMS) {
+          context.report(fn.line, `Function ${fn.name} has ${fn.params} parameters. Consider using an options object.`);
+        }
+      });
+      return;
+    }
+
+    context.traverse({
+      '*'(node, nodePath) {
+        if (!FUNCTION_TYPES.has(node.type)) {
+          return;
+        }
+        // TypeScript's "this" parameter is a type annotation, not an argument
+        const params = node.params.filter(param => !(param.type === 'Identifier' && param.name === 'this'));
+        if (params.length > MAX_PARAMS) {
+          const name = getFunctionName(node, nodePath.parent);
+          context.report(node, `Function ${name} has ${params.length} parameters. Consider using an options object.`);
+        }
+      }
+    });
+  }
+};
@@ -0,0 +1,38 @@
+const { isShadowed, isSideEffectFree } = require('../ast');
+const { removeStatement } = require('../fixer');
+
+const DEBUG_METHODS = ['log', 'debug', 'trace', 'dir'];
+
+module.exports = {
+  id: 'no-console',
+  category: 'Debug Code',
+  severity: 'low',
+  fix: 'Remove the call or use the project logger',
+  description: 'console.log and other debug output left in the code',
+  check(context) {
+    context.traverse({
+      CallExpression(node, nodePath) {
+        const callee = node.callee;
+        if (callee.type !== 'MemberExpression' || callee.computed ||
+            callee.object.type !== 'Identifier' || callee.object.name !== 'console' ||
+            !DEBUG_METHODS.includes(callee.property.name)) {
+          return;
+        }
+        // A local "console" (a logger passed in, a mock) is not the global one
+        if (isShadowed('console', nodePath.ancestors)) {
+          return;
+        }
+        // Autofix: drop the statement, unless it is the body of an if or loop without braces or
+        // evaluating its arguments does something (console.log(n++), console.log(await save()))
+        const statement = nodePath.parent;
+        const container = nodePath.ancestors[nodePath.ancestors.length - 2];
+        const removable = statement.type === 'ExpressionStatement' && container &&
+          ['Program', 'BlockStatement', 'StaticBlock', 'SwitchCase'].includes(container.type) &&
+          node.arguments.every(isSideEffectFree);
+        context.report(node, `Console.${callee.property.name} statement found - consider removing for production`, {
+          edits: removable ? [removeStatement(context.content, statement)] : undefined
+        });
+      }
+    });
+  }
+};
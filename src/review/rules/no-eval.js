@@ -0,0 +1,25 @@
+const { isShadowed } = require('../ast');
+
+module.exports = {
+  id: 'no-eval',
+  category: 'Security',
+  severity: 'high',
+  fix: 'Use JSON.parse for data or a lookup table of functions instead of evaluating strings',
+  description: 'eval() and the Function constructor run arbitrary code',
+  check(context) {
+    context.traverse({
+      CallExpression(node, nodePath) {
+        if (node.callee.type === 'Identifier' && node.callee.name === 'eval' &&
+            !isShadowed('eval', nodePath.ancestors)) {
+          context.report(node, 'Use of eval() is dangerous and should be avoided');
+        }
+      },
+      NewExpression(node, nodePath) {
+        if (node.callee.type === 'Identifier' && node.callee.name === 'Function' &&
+            !isShadowed('Function', nodePath.ancestors)) {
+          context.report(node, 'new Function() evaluates a string as code like eval() and should be avoided');
+        }
+      }
+    });
+  }
+};
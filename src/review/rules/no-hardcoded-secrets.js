@@ -0,0 +1,89 @@
+const { scanLine, redactLine } = require('../secrets');
+
+const SECRET_NAME = /(password|passwd|api[_-]?key|secret|token|private[_-]?key)$/i;
+// Values that are obviously not credentials
+const PLACEHOLDER = /^(|x+|\*+|<.*>|\$\{.*\}|changeme|your[-_ ].*|example.*|test|dummy)$/i;
+
+/**
+ * The literal text of a string or expression-free template literal
+ * @param {Object} node - Value node
+ * @returns {string|null}
+ */
+function getStaticString(node) {
+  if (!node) {
+    return null;
+  }
+  if (node.type === 'StringLiteral') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis.map(quasi => quasi.value.cooked).join('');
+  }
+  return null;
+}
+
+/**
+ * Name a value is assigned to: variable, property or member expression
+ * @param {Object} target - Left-hand side or key node
+ * @returns {string|null}
+ */
+function getTargetName(target) {
+  if (!target) {
+    return null;
+  }
+  if (target.type === 'Identifier') {
+    return target.name;
+  }
+  if (target.type === 'StringLiteral') {
+    return target.value;
+  }
+  if (target.type === 'MemberExpression' && !target.computed) {
+    return target.property.name;
+  }
+  return null;
+}
+
+module.exports = {
+  id: 'no-hardcoded-secrets',
+  category: 'Security',
+  severity: 'critical',
+  confidence: 0.8,
+  fix: 'Read the value from an environment variable or a secret manager and rotate the exposed credential',
+  description: 'Passwords, API keys and tokens assigned as string literals',
+  check(context) {
+    const checkAssignment = (target, value, node) => {
+      const name = getTargetName(target);
+      const secret = getStaticString(value);
+      if (!name || !SECRET_NAME.test(name) || secret === null || PLACEHOLDER.test(secret.trim())) {
+        return;
+      }
+      // Known credential formats are reported by secret-format
+      if (scanLine(secret).some(found => found.kind === 'format')) {
+        return;
+      }
+      const line = context.lines[node.loc.start.line - 1];
+      context.report(node, `Possible hardcoded secret in "${name}". Use environment variables instead.`, {
+        snippet: secret ? redactLine(line, [{ value: secret }]).trimEnd() : undefined
+      });
+    };
+
+    context.traverse({
+      VariableDeclarator(node) {
+        checkAssignment(node.id, node.init, node);
+      },
+      AssignmentExpression(node) {
+        checkAssignment(node.left, node.right, node);
+      },
+      ObjectProperty(node) {
+        if (!node.computed) {
+          checkAssignment(node.key, node.value, node);
+        }
+      },
+      ClassProperty(node) {
+        if (!node.computed) {
+          checkAssignment(node.key, node.value, node);
+        }
+      }
+    });
+  }
+};
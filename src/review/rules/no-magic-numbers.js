@@ -0,0 +1,181 @@
+const { FUNCTION_TYPES } = require('../ast');
+
+// Round values that rarely need a name
+const ALLOWED_NUMBERS = [100, 1000];
+
+/**
+ * Whether a literal is part of the value of a const declaration, e.g. the 50 and 1024 of
+ * const MAX_BUFFER = 50 * 1024 * 1024. The search stops at functions: the body of
+ * const handler = () => {...} is code, not a constant.
+ * @param {Object[]} chain - Ancestors of the literal, then the literal
+ * @returns {boolean}
+ */
+function isInConstantDefinition(chain) {
+  for (let i = chain.length - 2; i > 0; i--) {
+    const node = chain[i];
+    if (FUNCTION_TYPES.has(node.type)) {
+      return false;
+    }
+    if (node.type === 'VariableDeclarator') {
+      return chain[i - 1].kind === 'const' && node.init === chain[i + 1];
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether a literal is the radix of parseInt(x, 10) or Number.parseInt(x, 16)
+ * @param {Object} literal - The literal
+ * @param {Object} parent - Its parent
+ * @returns {boolean}
+ */
+function isRadix(literal, parent) {
+  if (parent.type !== 'CallExpression' || parent.arguments[1] !== literal) {
+    return false;
+  }
+  const callee = parent.callee;
+  return (callee.type === 'Identifier' && callee.name === 'parseInt') ||
+    (callee.type === 'MemberExpression' && !callee.computed && callee.object.type === 'Identifier' &&
+      callee.object.name === 'Number' && callee.property.name === 'parseInt');
+}
+
+/**
+ * UPPER_SNAKE_CASE of an identifier: maxRetries → MAX_RETRIES
+ * @param {string} name - Identifier
+ * @returns {string}
+ */
+function toConstantName(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toUpperCase();
+}
+
+/**
+ * Name of the thing a node stands for: "retries" for retries, this.retries and options.retries
+ * @param {Object} node - Expression
+ * @returns {string|null}
+ */
+function nameOf(node) {
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+    return node.property.name;
+  }
+  return null;
+}
+
+/**
+ * Constant name for a literal, from what it is assigned to or compared with
+ * (timeout = 3000 → TIMEOUT, retries < 10 → MAX_RETRIES); null when nothing names it
+ * @param {Object} literal - The literal, or the unary minus around it
+ * @param {Object} parent - Its parent
+ * @returns {string|null}
+ */
+function suggestName(literal, parent) {
+  let name = null;
+  if (parent.type === 'AssignmentExpression' && parent.right === literal) {
+    name = nameOf(parent.left);
+  } else if (parent.type === 'BinaryExpression' && ['<', '<=', '>', '>=', '===', '!==', '==', '!='].includes(parent.operator)) {
+    const other = parent.left === literal ? parent.right : parent.left;
+    const subject = nameOf(other);
+    // Read the comparison with the literal on the right: 10 > retries is retries < 10
+    const operator = parent.left === literal ? { '<': '>', '<=': '>=', '>': '<', '>=': '<=' }[parent.operator] || parent.operator : parent.operator;
+    const prefix = { '<': 'MAX_', '<=': 'MAX_', '>': 'MIN_', '>=': 'MIN_' }[operator] || '';
+    name = subject && `${prefix}${toConstantName(subject)}`;
+  }
+  const constant = name && toConstantName(name);
+  return constant && /^[A-Z_]/.test(constant) ? constant : null;
+}
+
+/**
+ * Offset where module constants go: after the directives, imports and require() declarations
+ * at the top of the file
+ * @param {Object} ast - Babel File node
+ * @param {string} content - File content
+ * @returns {number}
+ */
+function constantsOffset(ast, content) {
+  const isRequire = init => init && init.type === 'CallExpression' && init.callee.type === 'Identifier' && init.callee.name === 'require';
+  let end = ast.program.interpreter ? ast.program.interpreter.end : 0;
+  for (const statement of ast.program.body) {
+    const leading = statement.type === 'ImportDeclaration' ||
+      (statement.type === 'VariableDeclaration' && statement.declarations.every(declarator =>
+        isRequire(declarator.init) || (declarator.init && declarator.init.type === 'MemberExpression' && isRequire(declarator.init.object))));
+    if (!leading) {
+      break;
+    }
+    end = statement.end;
+  }
+  end = Math.max(end, ...(ast.program.directives || []).map(directive => directive.end));
+  if (end === 0) {
+    return 0;
+  }
+  const lineEnd = content.indexOf('\n', end);
+  return lineEnd === -1 ? content.length : lineEnd + 1;
+}
+
+/**
+ * Edits declaring a module constant for the literal and using it instead. Nothing when no
+ * name can be derived, the name is taken or the literal comes before the declaration.
+ * @param {Object} context - Rule context
+ * @param {Object} literal - Literal, with its unary minus
+ * @param {Object} parent - Its parent
+ * @param {string} raw - Source of the literal
+ * @param {Map<string, string>} declared - Constants already extracted from the file
+ * @returns {Object[]|undefined}
+ */
+function extractConstant(context, literal, parent, raw, declared) {
+  const name = suggestName(literal, parent);
+  const offset = constantsOffset(context.ast, context.content);
+  if (!name || literal.start < offset ||
+      (declared.has(name) ? declared.get(name) !== raw : new RegExp(`\\b${name}\\b`).test(context.content))) {
+    return undefined;
+  }
+  declared.set(name, raw);
+
+  return [
+    { range: [offset, offset], text: `const ${name} = ${raw};\n` },
+    { range: [literal.start, literal.end], text: name }
+  ];
+}
+
+module.exports = {
+  id: 'no-magic-numbers',
+  category: 'Maintainability',
+  severity: 'low',
+  fix: 'Extract the value into a named constant',
+  description: 'Unnamed numeric literals of two or more digits',
+  check(context) {
+    // Constants the autofix declares in this file, by name
+    const declared = new Map();
+
+    context.traverse({
+      NumericLiteral(node, nodePath) {
+        const value = node.value;
+        if (Math.abs(value) < 10 || ALLOWED_NUMBERS.includes(value)) {
+          return;
+        }
+
+        // Skip literals that already get a name: const definitions, object and class
+        // properties, enum members, default parameters and literal types, and parseInt radixes
+        let parentIndex = nodePath.ancestors.length - 1;
+        if (nodePath.ancestors[parentIndex] && nodePath.ancestors[parentIndex].type === 'UnaryExpression') {
+          parentIndex--;
+        }
+        const parent = nodePath.ancestors[parentIndex];
+        if (!parent) {
+          return;
+        }
+        const literal = parentIndex < nodePath.ancestors.length - 1 ? nodePath.ancestors[parentIndex + 1] : node;
+        if (['ObjectProperty', 'ClassProperty', 'TSEnumMember', 'AssignmentPattern', 'TSLiteralType'].includes(parent.type) ||
+            isRadix(literal, parent) || isInConstantDefinition([...nodePath.ancestors, node])) {
+          return;
+        }
+
+        const raw = context.content.slice(literal.start, literal.end);
+        context.report(node, `Magic number ${node.extra ? node.extra.raw : value} found. Consider using a named constant.`, {
+          edits: extractConstant(context, literal, parent, raw, declared)
+        });
+      }
+    });
+  }
+};
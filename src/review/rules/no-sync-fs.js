@@ -0,0 +1,93 @@
+const { getCalleeName, getEnclosingFunction, getImportedModule, getRequireSource } = require('../ast');
+
+const SYNC_METHODS = /^(readFile|writeFile|appendFile|exists|readdir|stat|lstat|mkdir|rm|rmdir|unlink|copyFile|rename|access|readJson|writeJson|copy|move|remove|ensureDir|pathExists)Sync$/;
+// Methods of fs.promises taking the same arguments as their Sync version
+const PROMISE_METHODS = new Set(['readFile', 'writeFile', 'appendFile', 'readdir', 'stat', 'lstat', 'mkdir', 'rm', 'rmdir', 'unlink', 'copyFile', 'rename', 'access']);
+// fs-extra methods returning a promise when called without a callback
+const FS_EXTRA_METHODS = new Set(['readJson', 'writeJson', 'copy', 'move', 'remove', 'ensureDir', 'pathExists']);
+// Modules with a "promises" member mirroring fs
+const FS_MODULES = new Set(['fs', 'node:fs', 'fs-extra', 'graceful-fs']);
+
+/**
+ * File system module the object of a call is: fs for fs.readFileSync() after
+ * const fs = require('fs'), or require('fs').readFileSync()
+ * @param {Object} object - Callee object node
+ * @param {Object[]} ancestors - Ancestors of the call, innermost last
+ * @returns {string|null}
+ */
+function getFsModule(object, ancestors) {
+  const source = object.type === 'Identifier' ? getImportedModule(object.name, ancestors) : getRequireSource(object);
+  return FS_MODULES.has(source) ? source : null;
+}
+
+/**
+ * Edits turning fs.readFileSync(...) into await fs.promises.readFile(...) inside an async function
+ * @param {Object} node - Call node
+ * @param {Object[]} ancestors - Its ancestors, innermost last
+ * @param {string} content - File content
+ * @returns {Object[]|undefined} Nothing when the call can't be rewritten safely, e.g. on
+ * an object that only looks like fs
+ */
+function awaitEdits(node, ancestors, content) {
+  const callee = node.callee;
+  if (callee.type !== 'MemberExpression' || callee.computed) {
+    return undefined;
+  }
+  const fsModule = getFsModule(callee.object, ancestors);
+  if (!fsModule) {
+    return undefined;
+  }
+
+  const parent = ancestors[ancestors.length - 1];
+  const asyncName = callee.property.name.replace(/Sync$/, '');
+  const object = content.slice(callee.object.start, callee.object.end);
+  let replacement;
+  if (PROMISE_METHODS.has(asyncName)) {
+    replacement = `${object}.promises.${asyncName}`;
+  } else if (FS_EXTRA_METHODS.has(asyncName) && fsModule === 'fs-extra') {
+    replacement = `${object}.${asyncName}`;
+  } else {
+    return undefined;
+  }
+
+  // await binds looser than member access and calls: fs.readFileSync(f).toString()
+  const wrap = (['MemberExpression', 'OptionalMemberExpression'].includes(parent.type) && parent.object === node) ||
+    (['CallExpression', 'NewExpression', 'TaggedTemplateExpression'].includes(parent.type) && (parent.callee === node || parent.tag === node)) ||
+    (parent.type === 'BinaryExpression' && parent.operator === '**' && parent.left === node);
+
+  return [
+    { range: [node.start, node.start], text: wrap ? '(await ' : 'await ' },
+    { range: [callee.start, callee.end], text: replacement },
+    ...(wrap ? [{ range: [node.end, node.end], text: ')' }] : [])
+  ];
+}
+
+module.exports = {
+  id: 'no-sync-fs',
+  category: 'Performance',
+  severity: 'medium',
+  description: 'Synchronous file system calls inside functions',
+  check(context) {
+    context.traverse({
+      CallExpression(node, nodePath) {
+        const name = getCalleeName(node);
+        if (!name || !SYNC_METHODS.test(name)) {
+          return;
+        }
+        // Module initialization runs once at startup, blocking there is expected
+        const fn = getEnclosingFunction(nodePath.ancestors);
+        if (!fn) {
+          return;
+        }
+        const message = fn.async
+          ? `Synchronous ${name} call inside an async function blocks the event loop. Use the promise-based version.`
+          : `Synchronous ${name} call may block the event loop. Consider using async version.`;
+        const asyncName = name.replace(/Sync$/, '');
+        context.report(node, message, {
+          fix: `Use await fs.promises.${asyncName}() or the callback version of ${asyncName}`,
+          edits: fn.async ? awaitEdits(node, nodePath.ancestors, context.content) : undefined
+        });
+      }
+    });
+  }
+};
@@ -0,0 +1,29 @@
+const { isJavaScriptFile } = require('../ast');
+const { scanLine, redactLine } = require('../secrets');
+
+module.exports = {
+  id: 'secret-entropy',
+  category: 'Security',
+  severity: 'high',
+  confidence: 0.6,
+  text: true,
+  fix: 'If this is a credential, rotate it and load it from an environment variable or a secret manager',
+  description: 'Random-looking strings and literal values of password, token and key settings',
+  check(context) {
+    // no-hardcoded-secrets already reports sensitive names in JavaScript and TypeScript
+    const keyValues = !isJavaScriptFile(context.file);
+
+    context.lines.forEach((line, index) => {
+      const secrets = scanLine(line, { keyValues });
+      secrets
+        .filter(secret => secret.kind === 'entropy')
+        .forEach(secret => {
+          context.report(
+            { line: index + 1, column: secret.column, endColumn: secret.column + secret.value.length },
+            `Possible secret: ${secret.name}`,
+            { snippet: redactLine(line, secrets).trimEnd() }
+          );
+        });
+    });
+  }
+};
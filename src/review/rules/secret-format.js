@@ -0,0 +1,25 @@
+const { scanLine, redactLine } = require('../secrets');
+
+module.exports = {
+  id: 'secret-format',
+  category: 'Security',
+  severity: 'critical',
+  confidence: 0.9,
+  text: true,
+  fix: 'Revoke and rotate the credential, then load it from an environment variable or a secret manager',
+  description: 'Credentials in a known format: AWS, GitHub, Slack, Stripe, OpenRouter, OpenAI and Google keys, private keys, JWTs',
+  check(context) {
+    context.lines.forEach((line, index) => {
+      const secrets = scanLine(line);
+      secrets
+        .filter(secret => secret.kind === 'format')
+        .forEach(secret => {
+          context.report(
+            { line: index + 1, column: secret.column, endColumn: secret.column + secret.value.length },
+            `Possible ${secret.name} committed in the source`,
+            { snippet: redactLine(line, secrets).trimEnd() }
+          );
+        });
+    });
+  }
+};
@@ -0,0 +1,20 @@
+const { LANGUAGE_IDS } = require('../languages');
+
+const MARKERS = /\b(TODO|FIXME)\b/;
+
+module.exports = {
+  id: 'todo-comment',
+  category: 'TODO/FIXME',
+  severity: 'info',
+  description: 'TODO and FIXME comments',
+  languages: ['javascript', ...LANGUAGE_IDS],
+  check(context) {
+    // Only comments count: "TODO" inside a string or identifier is not a note
+    context.comments.forEach(comment => {
+      const match = comment.value.match(MARKERS);
+      if (match) {
+        context.report(comment, `${match[1]} comment found`);
+      }
+    });
+  }
+};
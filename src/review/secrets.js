@@ -0,0 +1,222 @@
+const path = require('path');
+const { matchesGlob } = require('../utils/file-discovery');
+
+/**
+ * Credential formats with a recognizable shape. Matching one is strong evidence on its own.
+ */
+const SECRET_PATTERNS = [
+  { name: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g },
+  { name: 'AWS secret access key', pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"=:\s]([A-Za-z0-9/+]{40})\b/gi, group: 1 },
+  { name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/g },
+  { name: 'GitHub fine-grained token', pattern: /\bgithub_pat_[A-Za-z0-9_]{60,255}\b/g },
+  { name: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { name: 'Slack webhook URL', pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]{20,}/g },
+  { name: 'Stripe key', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { name: 'OpenRouter API key', pattern: /\bsk-or-(?:v1-)?[A-Za-z0-9]{32,}\b/g },
+  { name: 'OpenAI API key', pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}T3BlbkFJ[A-Za-z0-9_-]{20,}\b/g },
+  { name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { name: 'private key', pattern: /-----BEGIN (?:RSA |DSA |EC |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/g },
+  { name: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g }
+];
+
+// Runs of characters random tokens are made of: base64 (with its padding), base64url and hex
+const TOKEN_CANDIDATE = /[A-Za-z0-9+/_-]{20,}={0,2}/g;
+const HEX = /^[0-9a-f]+$/i;
+const SRI_HASH = /^sha(1|256|384|512)-/;
+// Text before a token in the path of a URL; query string values are still scanned
+const URL_PATH_PREFIX = /:\/\/[^\s"'`?#=&]*$/;
+
+// Random strings score close to log2(length); identifiers and words far below
+const ENTROPY_RATIO = 0.85;
+// Random base64 changes character class about every other character
+const MIN_CLASS_CHANGE_RATIO = 0.3;
+
+const SENSITIVE_KEY = /(pass(word|wd)?|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|client[_-]?secret|auth|credential)s?$/i;
+// "key: value" or "key = value" in .env, YAML, INI, properties, TOML and JSON files
+const KEY_VALUE = /^\s*(?:export\s+)?["']?([\w.-]+)["']?\s*[:=]\s*["']?([^"'\s#,]+)["']?/;
+
+// Values that are obviously not credentials
+const PLACEHOLDER = /^(x+|\*+|<.*>|\$\{.*\}|\$\w+|%\w+%|\{\{.*\}\}|changeme|change_me|null|none|true|false|your[-_].*|example.*|.*example|test|dummy|secret|password|redacted|process\.env.*)$/i;
+
+/**
+ * Files holding configuration rather than code, scanned for secrets only.
+ * Lockfiles are left out: they are full of integrity hashes.
+ */
+const DEFAULT_SECRET_FILES = [
+  '.env', '.env.*', '*.env', '*.yml', '*.yaml', '*.json', '*.properties', '*.ini', '*.toml',
+  '*.cfg', '*.conf', '*.xml', '*.pem', '*.key', '*.tfvars', '*.sh', '.npmrc', '.pypirc', 'Dockerfile'
+];
+
+const LOCKFILES = new Set([
+  'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml',
+  'composer.lock', 'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'go.sum'
+]);
+
+/**
+ * Shannon entropy of a string, in bits per character
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+function characterClass(char) {
+  if (char >= 'a' && char <= 'z') {
+    return 'lower';
+  }
+  if (char >= 'A' && char <= 'Z') {
+    return 'upper';
+  }
+  return char >= '0' && char <= '9' ? 'digit' : 'other';
+}
+
+/**
+ * Share of adjacent characters of a different class (lower, upper, digit, other).
+ * An upper case letter followed by lower case ones starts a word and doesn't count.
+ * @param {string} value - Candidate token
+ * @returns {number}
+ */
+function classChangeRatio(value) {
+  let changes = 0;
+  for (let i = 1; i < value.length; i++) {
+    const previous = characterClass(value[i - 1]);
+    const current = characterClass(value[i]);
+    if (current !== previous && !(previous === 'upper' && current === 'lower')) {
+      changes++;
+    }
+  }
+  return changes / (value.length - 1);
+}
+
+/**
+ * Whether a string looks randomly generated: mixed letters and digits, frequent
+ * changes of character class and an entropy close to the maximum for its length
+ * @param {string} value - Candidate token
+ * @returns {boolean}
+ */
+function isHighEntropy(value) {
+  if (!/[0-9]/.test(value) || !/[A-Za-z]/.test(value)) {
+    return false;
+  }
+  // Hex strings are mostly hashes and ids (commits, checksums, UUIDs), not credentials,
+  // and so are subresource integrity hashes
+  if (HEX.test(value.replace(/-/g, '')) || SRI_HASH.test(value)) {
+    return false;
+  }
+  // URL and file paths ("org/draft/2020-12/schema")
+  if (value.includes('/') && !/[A-Z]/.test(value)) {
+    return false;
+  }
+  // Words, identifiers ("normalizeIPv6Address") and alphabets switch between
+  // upper case, lower case and digits far less often than random strings
+  if (classChangeRatio(value) < MIN_CLASS_CHANGE_RATIO) {
+    return false;
+  }
+  return shannonEntropy(value) >= ENTROPY_RATIO * Math.log2(Math.min(value.length, 64));
+}
+
+/**
+ * Mask a secret, keeping a few leading characters to recognize it by
+ * @param {string} value - Secret
+ * @returns {string}
+ */
+function redact(value) {
+  return `${value.slice(0, 4)}${'*'.repeat(8)}`;
+}
+
+/**
+ * Replace every secret found on a line with its redacted form
+ * @param {string} line - Source line
+ * @param {Array<{value: string}>} secrets - Secrets found on it
+ * @returns {string}
+ */
+function redactLine(line, secrets) {
+  return secrets.reduce((text, secret) => text.split(secret.value).join(redact(secret.value)), line);
+}
+
+/**
+ * Secrets on a single line
+ * @param {string} line - Source line
+ * @param {Object} [options]
+ * @param {boolean} [options.keyValues] - Also report literal values of sensitive keys ("password: hunter2"),
+ *   for files the JavaScript rules don't cover
+ * @returns {Array<{kind: string, name: string, value: string, column: number}>} kind is "format" or "entropy";
+ *   column is 0-based
+ */
+function scanLine(line, options = {}) {
+  const found = [];
+  const overlaps = (start, end) => found.some(secret =>
+    start < secret.column + secret.value.length && secret.column < end);
+
+  for (const { name, pattern, group } of SECRET_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      const value = group ? match[group] : match[0];
+      const column = match.index + match[0].lastIndexOf(value);
+      if (!/EXAMPLE/.test(value) && !overlaps(column, column + value.length)) {
+        found.push({ kind: 'format', name, value, column });
+      }
+    }
+  }
+
+  TOKEN_CANDIDATE.lastIndex = 0;
+  let candidate;
+  while ((candidate = TOKEN_CANDIDATE.exec(line)) !== null) {
+    const value = candidate[0].replace(/^[/=_-]+|[/_-]+$/g, '');
+    const column = candidate.index + candidate[0].indexOf(value);
+    // Inline data (data:image/png;base64,...) is random by nature, URL paths hold ids and slugs
+    const inlineData = line.slice(Math.max(0, column - 7), column) === 'base64,';
+    const urlPath = URL_PATH_PREFIX.test(line.slice(0, column));
+    if (!inlineData && !urlPath && !overlaps(column, column + value.length) && isHighEntropy(value)) {
+      found.push({ kind: 'entropy', name: 'high-entropy string', value, column });
+    }
+  }
+
+  if (options.keyValues) {
+    const match = line.match(KEY_VALUE);
+    if (match && SENSITIVE_KEY.test(match[1]) && match[2].length >= 6 && !PLACEHOLDER.test(match[2])) {
+      const value = match[2];
+      const column = line.indexOf(value, line.indexOf(match[1]) + match[1].length);
+      if (!overlaps(column, column + value.length)) {
+        found.push({ kind: 'entropy', name: `value of "${match[1]}"`, value, column });
+      }
+    }
+  }
+
+  return found.sort((a, b) => a.column - b.column);
+}
+
+/**
+ * Whether a configuration file is scanned for secrets. Lockfiles are always skipped.
+ * @param {string} file - File path
+ * @param {string[]} [patterns] - Globs of the files to scan
+ * @returns {boolean}
+ */
+function isSecretScanFile(file, patterns = DEFAULT_SECRET_FILES) {
+  const normalized = file.split(path.sep).join('/');
+  return !LOCKFILES.has(path.basename(normalized)) && patterns.some(pattern => matchesGlob(normalized, pattern));
+}
+
+module.exports = {
+  SECRET_PATTERNS,
+  DEFAULT_SECRET_FILES,
+  LOCKFILES,
+  shannonEntropy,
+  isHighEntropy,
+  redact,
+  redactLine,
+  scanLine,
+  isSecretScanFile
+};
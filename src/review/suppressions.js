@@ -0,0 +1,89 @@
+// Comment markers work in every language: //, /* */, # and -- comments
+const DIRECTIVE = /(?:\/\/|\/\*|#|--)\s*git-copilot-(disable-next-line|disable-line|disable|enable)\b([^*\n]*)/;
+
+/**
+ * Rule ids listed after a directive; an empty list means every rule
+ * @param {string} text - Text following the directive
+ * @returns {string[]}
+ */
+function parseRuleList(text) {
+  // "-- reason" after the rule list is a free-form justification
+  const [list] = text.split(/\s--\s/);
+  return list.split(/[\s,]+/).map(rule => rule.trim()).filter(Boolean);
+}
+
+/**
+ * Collect the suppression directives of a file:
+ *   // git-copilot-disable-next-line no-console
+ *   foo(); // git-copilot-disable-line no-magic-numbers, no-console
+ *   /* git-copilot-disable no-sync-fs *\/ ... /* git-copilot-enable no-sync-fs *\/
+ * @param {string[]} lines - File lines
+ * @returns {Array<{from: number, to: number, rules: string[]}>} Suppressed 1-based line ranges
+ */
+function parseSuppressions(lines) {
+  const ranges = [];
+  const open = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(DIRECTIVE);
+    if (!match) {
+      return;
+    }
+
+    const lineNumber = index + 1;
+    const rules = parseRuleList(match[2]);
+
+    switch (match[1]) {
+      case 'disable-next-line':
+        ranges.push({ from: lineNumber + 1, to: lineNumber + 1, rules });
+        break;
+      case 'disable-line':
+        ranges.push({ from: lineNumber, to: lineNumber, rules });
+        break;
+      case 'disable':
+        open.push({ from: lineNumber, rules });
+        break;
+      case 'enable': {
+        // "enable" without rules closes every open block
+        for (let i = open.length - 1; i >= 0; i--) {
+          if (rules.length === 0 || open[i].rules.some(rule => rules.includes(rule))) {
+            ranges.push({ ...open[i], to: lineNumber });
+            open.splice(i, 1);
+          }
+        }
+        break;
+      }
+    }
+  });
+
+  // Blocks never re-enabled run to the end of the file
+  open.forEach(block => ranges.push({ ...block, to: lines.length }));
+  return ranges;
+}
+
+/**
+ * Split issues into reported and suppressed ones
+ * @param {Object[]} issues - Issues of a single file
+ * @param {string[]} lines - Lines of that file
+ * @returns {{issues: Object[], suppressed: Object[]}}
+ */
+function applySuppressions(issues, lines) {
+  const ranges = parseSuppressions(lines);
+  if (ranges.length === 0) {
+    return { issues, suppressed: [] };
+  }
+
+  const reported = [];
+  const suppressed = [];
+
+  issues.forEach(issue => {
+    const hidden = ranges.some(range =>
+      issue.line >= range.from && issue.line <= range.to &&
+      (range.rules.length === 0 || range.rules.includes(issue.ruleId)));
+    (hidden ? suppressed : reported).push(issue);
+  });
+
+  return { issues: reported, suppressed };
+}
+
+module.exports = { parseSuppressions, applySuppressions };
@@ -0,0 +1,33 @@
+const chalk = require('chalk');
+
+// Exit codes CI can tell apart: findings at or above --fail-on, and a review that could not
+// run at all (invalid options or configuration, unknown ref, broken custom rule)
+const EXIT_FINDINGS = 1;
+const EXIT_ERROR = 2;
+
+// Emoji, with the variation selector and the spacing that follows them
+const EMOJI = /\p{Extended_Pictographic}\uFE0F?[ \t]*/gu;
+
+/**
+ * Remove emoji from a message
+ * @param {string} text - Message
+ * @returns {string}
+ */
+function stripEmoji(text) {
+  return text.replace(EMOJI, '');
+}
+
+/**
+ * Switch the process to plain output for CI logs: no colors, and emoji removed from
+ * everything written through console, agent progress messages included.
+ */
+function enablePlainOutput() {
+  chalk.level = 0;
+
+  ['log', 'info', 'warn', 'error'].forEach(method => {
+    const write = console[method].bind(console);
+    console[method] = (...args) => write(...args.map(arg => (typeof arg === 'string' ? stripEmoji(arg) : arg)));
+  });
+}
+
+module.exports = { EXIT_FINDINGS, EXIT_ERROR, stripEmoji, enablePlainOutput };
@@ -0,0 +1,174 @@
+const { git, tryGit, lines, refExists } = require('./git');
+
+/**
+ * Parse a unified diff into the lines each file gained or modified.
+ * Deleted lines have no place in the new file, so only "+" lines are kept.
+ * @param {string} diff - Output of git diff
+ * @returns {Object<string, Set<number>>} New-file line numbers by path
+ */
+function parseUnifiedDiff(diff) {
+  const changes = {};
+  let current = null;
+  let lineNumber = 0;
+  // "--- "/"+++ " are file headers only before the first hunk, added lines may look alike
+  let inHeader = false;
+
+  for (const line of (diff || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      current = null;
+      inHeader = true;
+      continue;
+    }
+
+    if (inHeader && line.startsWith('+++ ')) {
+      const target = line.slice(4).trim().replace(/^"(.*)"$/, '$1');
+      // "+++ /dev/null" is a deleted file: nothing left to review
+      current = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (current && !changes[current]) {
+        changes[current] = new Set();
+      }
+      continue;
+    }
+
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      lineNumber = parseInt(hunk[1], 10);
+      inHeader = false;
+      continue;
+    }
+
+    if (!current || inHeader) {
+      continue;
+    }
+
+    if (line.startsWith('+')) {
+      changes[current].add(lineNumber);
+      lineNumber++;
+    } else if (line.startsWith(' ')) {
+      lineNumber++;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Lines added or modified by a diff, by file path relative to the current directory
+ * @param {string[]} diffArgs - Arguments after "git diff", e.g. ["--cached"]
+ * @param {string[]} [paths] - Limit the diff to these paths
+ * @returns {Object<string, Set<number>>}
+ */
+function getChangedLines(diffArgs, paths = []) {
+  const args = [
+    '-c', 'core.quotePath=false',
+    'diff', '--unified=0', '--no-color', '--no-ext-diff', '--relative',
+    '--src-prefix=a/', '--dst-prefix=b/', '--diff-filter=ACMR', ...diffArgs
+  ];
+  if (paths.length > 0) {
+    args.push('--', ...paths);
+  }
+  return parseUnifiedDiff(git(args));
+}
+
+/**
+ * Untracked files, which a working tree diff leaves out, relative to the current directory
+ * @param {string[]} [paths] - Limit the listing to these paths
+ * @returns {string[]}
+ */
+function getUntrackedFiles(paths = []) {
+  return lines(tryGit(['ls-files', '--others', '--exclude-standard', '--', ...paths]));
+}
+
+/**
+ * Which changes to look at, from the mutually exclusive scope options.
+ * contentRef tells where changed files are read from: "" is the index,
+ * a ref is a commit, null is the working tree.
+ * @param {Object} options - staged, workingTree, since or range
+ * @returns {{mode: string, label: string, diffArgs: string[], contentRef: string|null, includeUntracked: boolean}|null}
+ *   null when the whole tree should be reviewed
+ */
+function resolveDiffScope(options = {}) {
+  const modes = [
+    options.staged && '--staged',
+    options.workingTree && '--working-tree',
+    options.since && '--since',
+    options.range && options.range
+  ].filter(Boolean);
+
+  if (modes.length > 1) {
+    throw new Error(`Choose a single review scope, got ${modes.join(' and ')}`);
+  }
+
+  if (options.staged) {
+    return { mode: 'staged', label: 'Staged changes', diffArgs: ['--cached'], contentRef: '', includeUntracked: false };
+  }
+
+  if (options.workingTree) {
+    return { mode: 'working-tree', label: 'Uncommitted changes', diffArgs: ['HEAD'], contentRef: null, includeUntracked: true };
+  }
+
+  if (options.since) {
+    assertRef(options.since);
+    return {
+      mode: 'since',
+      label: `Changes since ${options.since}`,
+      diffArgs: [options.since],
+      contentRef: null,
+      includeUntracked: true
+    };
+  }
+
+  if (options.range) {
+    const match = options.range.match(/^(.*?)(\.\.\.?)(.*)$/);
+    if (!match) {
+      throw new Error(`Invalid range "${options.range}", expected <base>..<head> or <base>...<head>`);
+    }
+    const base = match[1] || 'HEAD';
+    const head = match[3] || 'HEAD';
+    assertRef(base);
+    assertRef(head);
+    const range = `${base}${match[2]}${head}`;
+    return { mode: 'range', label: `Changes in ${range}`, diffArgs: [range], contentRef: head, includeUntracked: false };
+  }
+
+  return null;
+}
+
+/**
+ * Throw a readable error for a ref that does not resolve to a commit
+ * @param {string} ref - Branch, tag or commit
+ */
+function assertRef(ref) {
+  if (!refExists(ref)) {
+    throw new Error(`Unknown revision "${ref}"`);
+  }
+}
+
+/**
+ * Format a set of line numbers as compact ranges, e.g. "3-7, 12"
+ * @param {Set<number>|number[]} lineNumbers - Line numbers
+ * @returns {string}
+ */
+function formatLineRanges(lineNumbers) {
+  const sorted = [...lineNumbers].sort((a, b) => a - b);
+  const ranges = [];
+
+  for (const line of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) {
+      last[1] = line;
+    } else {
+      ranges.push([line, line]);
+    }
+  }
+
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+module.exports = {
+  parseUnifiedDiff,
+  getChangedLines,
+  getUntrackedFiles,
+  resolveDiffScope,
+  formatLineRanges
+};
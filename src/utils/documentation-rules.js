@@ -0,0 +1,24 @@
+const fs = require('fs-extra');
+
+/**
+ * Read the README.md and KB.md files the agents follow as project rules
+ * @returns {{readme: string, kb: string}}
+ */
+function readDocumentationRules() {
+  const rules = {
+    readme: '',
+    kb: ''
+  };
+
+  if (fs.existsSync('README.md')) {
+    rules.readme = fs.readFileSync('README.md', 'utf8');
+  }
+
+  if (fs.existsSync('KB.md')) {
+    rules.kb = fs.readFileSync('KB.md', 'utf8');
+  }
+
+  return rules;
+}
+
+module.exports = { readDocumentationRules };
@@ -0,0 +1,149 @@
+const fs = require('fs-extra');
+const path = require('path');
+const minimatch = require('minimatch');
+const { tryGit, getRepositoryRoot } = require('./git');
+
+// Only used outside a git repository, where there is no .gitignore to rely on
+const FALLBACK_EXCLUDED_DIRS = ['node_modules', 'dist', 'build', 'coverage'];
+// Bytes git looks at to tell binary files from text
+const BINARY_CHECK_LENGTH = 8000;
+
+/**
+ * Files tracked by git or untracked but not ignored, relative to the current directory.
+ * Tracked files deleted from the working tree are skipped.
+ * @param {string[]} [paths] - Limit the listing to these files or directories
+ * @returns {string[]|null} null outside a git repository
+ */
+function listGitFiles(paths = []) {
+  const output = tryGit(['ls-files', '--cached', '--others', '--exclude-standard', '-z', '--', ...paths]);
+  if (output === null) {
+    return null;
+  }
+
+  const files = output.split('\0').filter(Boolean);
+  // Unmerged files are listed once per conflict stage
+  return [...new Set(files)].filter(file => fs.existsSync(file));
+}
+
+/**
+ * Recursively list files, skipping hidden and dependency directories
+ * @param {string} dir - Directory to walk
+ * @returns {Promise<string[]>}
+ */
+async function walkDirectory(dir) {
+  const files = [];
+
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = dir === '.' ? entry.name : path.join(dir, entry.name);
+
+      if (entry.isDirectory() && !entry.name.startsWith('.') && !FALLBACK_EXCLUDED_DIRS.includes(entry.name)) {
+        files.push(...await walkDirectory(fullPath));
+      } else if (entry.isFile()) {
+        files.push(fullPath);
+      }
+    }
+  } catch (error) {
+    // Skip directories that can't be read
+  }
+
+  return files;
+}
+
+/**
+ * Whether a path matches a glob. Patterns without a slash match the file name
+ * anywhere ("*.min.js"), a trailing slash matches a whole directory ("vendor/").
+ * @param {string} file - Repository-relative path using forward slashes
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+function matchesGlob(file, pattern) {
+  const glob = pattern.endsWith('/') ? `${pattern}**` : pattern;
+  return minimatch(file, glob, { dot: true, matchBase: !glob.includes('/') });
+}
+
+/**
+ * Filter discovered files by extension, include/exclude globs and excluded directory names
+ * @param {string[]} files - Paths relative to the current directory
+ * @param {Object} [filters]
+ * @param {string[]} [filters.extensions] - Keep only these extensions
+ * @param {string[]} [filters.include] - When not empty, keep only files matching one of these globs
+ * @param {string[]} [filters.exclude] - Drop files matching any of these globs
+ * @param {string[]} [filters.excludeDirs] - Drop files inside directories with these names
+ * @returns {string[]}
+ */
+function filterFiles(files, filters = {}) {
+  const { extensions = [], include = [], exclude = [], excludeDirs = [] } = filters;
+  const root = getRepositoryRoot();
+
+  return files.filter(file => {
+    // Globs are written relative to the repository root, whatever the current directory
+    const relative = path.relative(root, path.resolve(file)).split(path.sep).join('/');
+    const segments = relative.split('/');
+
+    if (extensions.length > 0 && !extensions.some(ext => relative.endsWith(ext))) {
+      return false;
+    }
+    if (segments.slice(0, -1).some(segment => excludeDirs.includes(segment))) {
+      return false;
+    }
+    if (include.length > 0 && !include.some(pattern => matchesGlob(relative, pattern))) {
+      return false;
+    }
+    return !exclude.some(pattern => matchesGlob(relative, pattern));
+  });
+}
+
+/**
+ * Discover project files the way git sees them: .gitignore, .git/info/exclude and
+ * the global excludes file are honoured, then the configured filters are applied.
+ * @param {Object} [options] - Filters accepted by filterFiles, plus
+ * @param {string[]} [options.paths] - Limit discovery to these files or directories
+ * @returns {Promise<string[]>} Paths relative to the current directory
+ */
+async function discoverFiles(options = {}) {
+  const paths = options.paths || [];
+  let files = listGitFiles(paths);
+
+  if (files === null) {
+    files = [];
+    for (const target of paths.length > 0 ? paths : ['.']) {
+      const stats = await fs.stat(target);
+      files.push(...(stats.isDirectory() ? await walkDirectory(target) : [target]));
+    }
+  }
+
+  return filterFiles(files.sort(), options);
+}
+
+/**
+ * Whether file content is binary, the way git decides it: a NUL byte in the first 8000 bytes
+ * @param {string} content - File content
+ * @returns {boolean}
+ */
+function isBinaryContent(content) {
+  return content.slice(0, BINARY_CHECK_LENGTH).includes('\0');
+}
+
+/**
+ * Human-readable file size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 B", "1.5 MB"
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(1)} ${units[unit]}`;
+}
+
+module.exports = { listGitFiles, matchesGlob, filterFiles, discoverFiles, isBinaryContent, formatFileSize };
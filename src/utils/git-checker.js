@@ -1,6 +1,5 @@
 const { execSync } = require('child_process');
 const chalk = require('chalk');
-const figlet = require('figlet');
 
 class GitChecker {
   /**
@@ -0,0 +1,208 @@
+const { execFileSync } = require('child_process');
+
+const MAX_BUFFER = 50 * 1024 * 1024;
+const BASE_BRANCH_CANDIDATES = ['main', 'master', 'develop', 'origin/main', 'origin/master', 'origin/develop'];
+
+/**
+ * Run a git command and return its stdout
+ * @param {string[]} args - Git arguments
+ * @param {Object} [options] - Extra execFileSync options
+ * @returns {string}
+ */
+function git(args, options = {}) {
+  return execFileSync('git', args, {
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: MAX_BUFFER,
+    ...options
+  });
+}
+
+/**
+ * Run a git command, returning null instead of throwing on failure
+ * @param {string[]} args - Git arguments
+ * @returns {string|null}
+ */
+function tryGit(args) {
+  try {
+    return git(args);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Split command output into non-empty lines
+ * @param {string|null} output - Command output
+ * @returns {string[]}
+ */
+function lines(output) {
+  return output ? output.split('\n').filter(line => line.trim()) : [];
+}
+
+/**
+ * Check whether a ref resolves to a commit
+ * @param {string} ref - Branch, tag or commit
+ * @returns {boolean}
+ */
+function refExists(ref) {
+  return tryGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]) !== null;
+}
+
+/**
+ * Get the current branch name
+ * @returns {string|null}
+ */
+function getCurrentBranch() {
+  const branch = tryGit(['rev-parse', '--abbrev-ref', 'HEAD']);
+  return branch ? branch.trim() : null;
+}
+
+/**
+ * Detect the branch the given head was forked from.
+ * Tries the explicit base, origin/HEAD, then main, master and develop (local, then remote).
+ * @param {string} [explicitBase] - Base given by the user
+ * @param {string} [head] - Branch being analyzed, never returned as its own base
+ * @returns {string|null}
+ */
+function detectBaseBranch(explicitBase, head = 'HEAD') {
+  if (explicitBase) {
+    if (!refExists(explicitBase)) {
+      throw new Error(`Base branch "${explicitBase}" does not exist`);
+    }
+    return explicitBase;
+  }
+
+  const candidates = [];
+  const originHead = tryGit(['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD']);
+  if (originHead) {
+    candidates.push(originHead.trim());
+  }
+  candidates.push(...BASE_BRANCH_CANDIDATES);
+
+  const headCommit = tryGit(['rev-parse', head]);
+
+  return candidates.find(candidate => {
+    if (candidate === head || !refExists(candidate)) {
+      return false;
+    }
+    // A base pointing at the very same commit as head tells us nothing
+    const candidateCommit = tryGit(['rev-parse', candidate]);
+    return candidateCommit !== headCommit;
+  }) || null;
+}
+
+/**
+ * Find the merge-base of two refs
+ * @param {string} base - Base ref
+ * @param {string} head - Head ref
+ * @returns {string|null}
+ */
+function getMergeBase(base, head) {
+  const mergeBase = tryGit(['merge-base', base, head]);
+  return mergeBase ? mergeBase.trim() : null;
+}
+
+/**
+ * Count commits head is ahead of and behind base
+ * @param {string} base - Base ref
+ * @param {string} head - Head ref
+ * @returns {{ahead: number, behind: number}}
+ */
+function getAheadBehind(base, head) {
+  const counts = tryGit(['rev-list', '--left-right', '--count', `${base}...${head}`]);
+  if (!counts) {
+    return { ahead: 0, behind: 0 };
+  }
+  const [behind, ahead] = counts.trim().split(/\s+/).map(count => parseInt(count, 10) || 0);
+  return { ahead, behind };
+}
+
+/**
+ * List commits in a range with their metadata
+ * @param {string} range - Revision range, e.g. "abc123..feature"
+ * @param {number} [limit] - Maximum number of commits
+ * @returns {Array<{hash: string, subject: string, author: string, date: string}>}
+ */
+function getCommits(range, limit) {
+  const args = ['log', '--format=%h%x1f%s%x1f%an%x1f%ar'];
+  if (limit) {
+    args.push(`-${limit}`);
+  }
+  args.push(range);
+
+  return lines(tryGit(args)).map(line => {
+    const [hash, subject, author, date] = line.split('\x1f');
+    return { hash, subject, author, date };
+  });
+}
+
+/**
+ * Per-file insertions and deletions for a diff
+ * @param {string[]} diffArgs - Arguments after "git diff", e.g. [mergeBase, head]
+ * @returns {Array<{file: string, insertions: number, deletions: number}>}
+ */
+function getNumstat(diffArgs) {
+  return lines(tryGit(['diff', '--numstat', ...diffArgs])).map(line => {
+    const [insertions, deletions, file] = line.split('\t');
+    // Binary files report "-" for both counts
+    return {
+      file,
+      insertions: parseInt(insertions, 10) || 0,
+      deletions: parseInt(deletions, 10) || 0
+    };
+  });
+}
+
+/**
+ * Change status of each file in a diff
+ * @param {string[]} diffArgs - Arguments after "git diff"
+ * @returns {Object<string, string>} Status letter (A, M, D, R, ...) by file path
+ */
+function getNameStatus(diffArgs) {
+  const statuses = {};
+  lines(tryGit(['diff', '--name-status', ...diffArgs])).forEach(line => {
+    const parts = line.split('\t');
+    // Renames and copies list the old and the new path
+    statuses[parts[parts.length - 1]] = parts[0].charAt(0);
+  });
+  return statuses;
+}
+
+/**
+ * Absolute path of the repository working tree
+ * @returns {string}
+ */
+function getRepositoryRoot() {
+  const root = tryGit(['rev-parse', '--show-toplevel']);
+  return root ? root.trim() : process.cwd();
+}
+
+/**
+ * Names of staged files
+ * @param {string} [diffFilter] - Optional --diff-filter, e.g. "ACMR" to skip deletions
+ * @returns {string[]}
+ */
+function getStagedFiles(diffFilter) {
+  const args = ['diff', '--cached', '--name-only'];
+  if (diffFilter) {
+    args.push(`--diff-filter=${diffFilter}`);
+  }
+  return lines(git(args));
+}
+
+module.exports = {
+  git,
+  tryGit,
+  lines,
+  refExists,
+  getCurrentBranch,
+  detectBaseBranch,
+  getMergeBase,
+  getAheadBehind,
+  getCommits,
+  getNumstat,
+  getNameStatus,
+  getRepositoryRoot,
+  getStagedFiles
+};
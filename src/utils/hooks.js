@@ -0,0 +1,196 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { tryGit, getRepositoryRoot } = require('./git');
+
+const BLOCK_START = '# >>> git-copilot >>>';
+const BLOCK_END = '# <<< git-copilot <<<';
+const SHEBANG = '#!/bin/sh';
+
+// Prefer a git-copilot on PATH, fall back to the project's local install
+const RESOLVE_BINARY = [
+  'if command -v git-copilot >/dev/null 2>&1; then',
+  '  GIT_COPILOT="git-copilot"',
+  'else',
+  '  GIT_COPILOT="npx --no-install git-copilot"',
+  'fi'
+];
+
+// Findings at or above this severity stop a commit unless install-hooks is given --fail-on
+const DEFAULT_HOOK_FAIL_ON = 'high';
+
+// Hook scripts run without a terminal on stdin, so commands must never prompt.
+// run() gives the lines of the script from the install-hooks options.
+const HOOKS = {
+  'pre-commit': {
+    description: 'Review staged changes before committing',
+    // The report goes to the git directory: in the working tree the next "git add -A" would commit it
+    run: ({ failOn = DEFAULT_HOOK_FAIL_ON }) => [
+      `$GIT_COPILOT review --staged --yes --fail-on ${failOn} --output "$(git rev-parse --git-path git-copilot/fix.md)" < /dev/null || exit $?`
+    ]
+  },
+  'prepare-commit-msg': {
+    description: 'Propose a commit message when none was given',
+    // $2 is empty for a plain "git commit"; -m, merges, squashes and amends keep their message
+    run: () => [
+      'case "$2" in',
+      '  ""|template) $GIT_COPILOT commit --write "$1" < /dev/null || true ;;',
+      'esac'
+    ]
+  },
+  'pre-push': {
+    description: 'Analyze the branch before pushing',
+    run: () => ['$GIT_COPILOT analyze-branch < /dev/null || exit $?']
+  }
+};
+
+/**
+ * Directory git runs hooks from: core.hooksPath when set (husky), .git/hooks otherwise.
+ * Husky 9 points core.hooksPath at generated wrappers in .husky/_ which call the
+ * user scripts in .husky, so those are the ones we edit.
+ * @returns {{dir: string, manager: string|null}}
+ */
+function getHooksDirectory() {
+  const root = getRepositoryRoot();
+  const hooksPath = tryGit(['config', '--get', 'core.hooksPath']);
+
+  if (hooksPath && hooksPath.trim()) {
+    const dir = path.resolve(root, hooksPath.trim());
+    if (fs.existsSync(dir) && !fs.statSync(dir).isDirectory()) {
+      throw new Error(`core.hooksPath is set to ${dir}, which is not a directory, so git runs no hooks`);
+    }
+    const isHusky = dir.split(path.sep).includes('.husky');
+    if (isHusky && path.basename(dir) === '_') {
+      return { dir: path.dirname(dir), manager: 'husky' };
+    }
+    return { dir, manager: isHusky ? 'husky' : 'core.hooksPath' };
+  }
+
+  const gitHooks = tryGit(['rev-parse', '--git-path', 'hooks']);
+  return { dir: path.resolve(root, gitHooks ? gitHooks.trim() : '.git/hooks'), manager: null };
+}
+
+/**
+ * The marked block git-copilot adds to a hook script
+ * @param {string} name - Hook name
+ * @param {Object} [options] - install-hooks options, e.g. failOn
+ * @returns {string}
+ */
+function buildHookBlock(name, options = {}) {
+  return [
+    BLOCK_START,
+    `# ${HOOKS[name].description}. Installed by "git-copilot install-hooks",`,
+    '# removed by "git-copilot uninstall-hooks". Set GIT_COPILOT_SKIP_HOOKS=1 to skip.',
+    'if [ -z "$GIT_COPILOT_SKIP_HOOKS" ]; then',
+    ...RESOLVE_BINARY.map(line => `  ${line}`),
+    ...HOOKS[name].run(options).map(line => `  ${line}`),
+    'fi',
+    BLOCK_END
+  ].join('\n');
+}
+
+/**
+ * Remove the git-copilot block from a hook script
+ * @param {string} content - Hook script
+ * @returns {string}
+ */
+function stripHookBlock(content) {
+  const start = content.indexOf(BLOCK_START);
+  const end = content.indexOf(BLOCK_END);
+  if (start === -1 || end === -1) {
+    return content;
+  }
+  return content.slice(0, start) + content.slice(end + BLOCK_END.length).replace(/^\n/, '');
+}
+
+/**
+ * Add (or refresh) the git-copilot block in a hook script. Existing hooks are kept:
+ * the block goes right after the shebang and only exits when git-copilot fails.
+ * @param {string} name - Hook name
+ * @param {string} dir - Hooks directory
+ * @param {Object} [options] - install-hooks options, e.g. failOn
+ * @returns {'installed'|'updated'|'chained'}
+ */
+function installHook(name, dir, options = {}) {
+  const hookPath = path.join(dir, name);
+  const block = buildHookBlock(name, options);
+  let status = 'installed';
+  let content;
+
+  if (fs.existsSync(hookPath)) {
+    const existing = fs.readFileSync(hookPath, 'utf8');
+    status = existing.includes(BLOCK_START) ? 'updated' : 'chained';
+    const rest = stripHookBlock(existing);
+
+    if (rest.startsWith('#!')) {
+      const newline = rest.indexOf('\n');
+      const shebang = newline === -1 ? rest : rest.slice(0, newline);
+      const body = newline === -1 ? '' : rest.slice(newline + 1);
+      content = `${shebang}\n${block}\n${body}`;
+    } else {
+      content = `${SHEBANG}\n${block}\n${rest}`;
+    }
+  } else {
+    content = `${SHEBANG}\n${block}\n`;
+  }
+
+  fs.ensureDirSync(dir);
+  fs.writeFileSync(hookPath, content, { mode: 0o755 });
+  fs.chmodSync(hookPath, 0o755);
+  return status;
+}
+
+/**
+ * Remove the git-copilot block from a hook, deleting the script when nothing else is left
+ * @param {string} name - Hook name
+ * @param {string} dir - Hooks directory
+ * @returns {'removed'|'deleted'|'missing'}
+ */
+function uninstallHook(name, dir) {
+  const hookPath = path.join(dir, name);
+  if (!fs.existsSync(hookPath)) {
+    return 'missing';
+  }
+
+  const content = fs.readFileSync(hookPath, 'utf8');
+  if (!content.includes(BLOCK_START)) {
+    return 'missing';
+  }
+
+  const rest = stripHookBlock(content);
+  const remaining = rest.split('\n').filter(line => line.trim() && !line.startsWith('#!'));
+  if (remaining.length === 0) {
+    fs.removeSync(hookPath);
+    return 'deleted';
+  }
+
+  fs.writeFileSync(hookPath, rest);
+  return 'removed';
+}
+
+/**
+ * Validate a list of hook names given on the command line
+ * @param {string} [list] - Comma separated hook names, all hooks when empty
+ * @returns {string[]}
+ */
+function parseHookNames(list) {
+  if (!list) {
+    return Object.keys(HOOKS);
+  }
+
+  const names = list.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !HOOKS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown hook "${unknown[0]}". Available hooks: ${Object.keys(HOOKS).join(', ')}`);
+  }
+  return names;
+}
+
+module.exports = {
+  HOOKS,
+  DEFAULT_HOOK_FAIL_ON,
+  getHooksDirectory,
+  buildHookBlock,
+  installHook,
+  uninstallHook,
+  parseHookNames
+};
@@ -0,0 +1,15 @@
+const { createProvider } = require('../providers');
+const { parseJsonResponse } = require('../providers/base-provider');
+
+/**
+ * Create the model client for an agent from explicit options, environment variables and project configuration
+ * @param {string} agent - Agent name, used for agent-specific settings
+ * @param {Object} [options] - Overrides for provider, apiKey, baseUrl and model
+ * @param {Object} [config] - Project configuration
+ * @returns {import('../providers/base-provider').BaseProvider|null} null when no usable provider is configured
+ */
+function createLLMClient(agent, options = {}, config = {}) {
+  return createProvider(agent, options, config);
+}
+
+module.exports = { createLLMClient, parseJsonResponse };
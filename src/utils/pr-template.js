@@ -0,0 +1,89 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const TEMPLATE_LOCATIONS = [
+  '.github/pull_request_template.md',
+  '.github/PULL_REQUEST_TEMPLATE.md',
+  'pull_request_template.md',
+  'PULL_REQUEST_TEMPLATE.md',
+  'docs/pull_request_template.md',
+  'docs/PULL_REQUEST_TEMPLATE.md'
+];
+
+// Template headings are matched to generated sections by keyword
+const SECTION_KEYWORDS = {
+  summary: ['summary', 'description', 'what', 'why', 'overview', 'context', 'motivation'],
+  changes: ['change', 'implementation', 'details'],
+  testing: ['test', 'verification', 'how to', 'qa'],
+  risks: ['risk', 'impact', 'breaking', 'rollback', 'deploy']
+};
+
+/**
+ * Find the repository pull request template, if any
+ * @param {string} [root] - Repository root
+ * @returns {string|null} Template path
+ */
+function findPullRequestTemplate(root = '.') {
+  for (const location of TEMPLATE_LOCATIONS) {
+    const candidate = path.join(root, location);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Which generated section a template heading stands for
+ * @param {string} heading - Heading text without the leading hashes
+ * @returns {string|null}
+ */
+function matchSection(heading) {
+  const normalized = heading.toLowerCase();
+  const match = Object.entries(SECTION_KEYWORDS)
+    .find(([, keywords]) => keywords.some(keyword => normalized.includes(keyword)));
+  return match ? match[0] : null;
+}
+
+/**
+ * Fill a pull request template: the body of every heading matching a generated
+ * section is replaced, other headings (checklists, links) are kept untouched.
+ * Sections the template has no heading for are appended at the end.
+ * @param {string} template - Template markdown
+ * @param {Object<string, {title: string, body: string}>} sections - Generated sections by key
+ * @returns {string}
+ */
+function fillPullRequestTemplate(template, sections) {
+  const output = [];
+  const used = new Set();
+  let replacing = false;
+
+  for (const line of template.split('\n')) {
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+
+    if (heading) {
+      const key = matchSection(heading[2]);
+      replacing = Boolean(key && sections[key] && !used.has(key));
+      output.push(line);
+      if (replacing) {
+        used.add(key);
+        output.push('', sections[key].body, '');
+      }
+      continue;
+    }
+
+    if (!replacing) {
+      output.push(line);
+    }
+  }
+
+  for (const [key, section] of Object.entries(sections)) {
+    if (!used.has(key)) {
+      output.push('', `## ${section.title}`, '', section.body);
+    }
+  }
+
+  return `${output.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+module.exports = { TEMPLATE_LOCATIONS, findPullRequestTemplate, fillPullRequestTemplate };
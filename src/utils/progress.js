@@ -0,0 +1,64 @@
+// Milliseconds between redraws: thousands of small files would otherwise flood the terminal
+const RENDER_INTERVAL = 80;
+const BAR_WIDTH = 24;
+
+/**
+ * Text progress bar
+ * @param {number} done - Completed items
+ * @param {number} total - All items
+ * @param {number} [width] - Bar width in characters
+ * @returns {string} e.g. "█████░░░░░ 120/240"
+ */
+function renderProgressBar(done, total, width = BAR_WIDTH) {
+  const filled = total > 0 ? Math.round((done / total) * width) : width;
+  return `${'█'.repeat(filled)}${'░'.repeat(width - filled)} ${done}/${total}`;
+}
+
+class ProgressBar {
+  /**
+   * Single-line progress bar redrawn in place on a terminal; does nothing elsewhere
+   * (pipes, CI logs), where a line per update would be noise
+   * @param {Object} options
+   * @param {number} options.total - All items
+   * @param {string} [options.label] - Text before the bar
+   * @param {boolean} [options.enabled] - Defaults to whether the stream is a terminal
+   * @param {NodeJS.WriteStream} [options.stream] - Defaults to stderr, keeping stdout for reports
+   */
+  constructor({ total, label = '', enabled, stream = process.stderr }) {
+    this.total = total;
+    this.label = label;
+    this.stream = stream;
+    this.enabled = enabled !== undefined ? enabled && Boolean(stream.isTTY) : Boolean(stream.isTTY);
+    this.lastRender = 0;
+  }
+
+  /**
+   * Report progress
+   * @param {number} done - Completed items
+   * @param {string} [detail] - Current item, shown after the bar
+   */
+  update(done, detail = '') {
+    const now = Date.now();
+    if (!this.enabled || (done < this.total && now - this.lastRender < RENDER_INTERVAL)) {
+      return;
+    }
+    this.lastRender = now;
+
+    const line = `${this.label ? `${this.label} ` : ''}${renderProgressBar(done, this.total)}`;
+    // Long paths are cut so the line never wraps, which would break the redraw
+    const room = (this.stream.columns || 80) - line.length - 2;
+    const suffix = detail && room > 3 ? ` ${detail.length > room ? `…${detail.slice(-(room - 1))}` : detail}` : '';
+    this.stream.write(`\r${line}${suffix}\x1b[K`);
+  }
+
+  /**
+   * Erase the bar, leaving the line to the messages that follow
+   */
+  stop() {
+    if (this.enabled && this.lastRender > 0) {
+      this.stream.write('\r\x1b[K');
+    }
+  }
+}
+
+module.exports = { ProgressBar, renderProgressBar };
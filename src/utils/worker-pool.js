@@ -0,0 +1,118 @@
+const { Worker } = require('worker_threads');
+
+class WorkerPool {
+  /**
+   * Fixed-size pool of worker threads running the same script. The script answers each
+   * message with one {result} or {error} message; tasks queue until a worker is free.
+   * @param {string} script - Absolute path of the worker script
+   * @param {number} size - Number of workers
+   * @param {*} [workerData] - Data every worker receives, structured-cloned (throws DataCloneError
+   *   synchronously when it holds functions)
+   */
+  constructor(script, size, workerData) {
+    this.script = script;
+    this.workerData = workerData;
+    this.queue = [];
+    this.idle = [];
+    this.workers = new Set();
+    this.closed = false;
+
+    for (let i = 0; i < size; i++) {
+      this.spawn();
+    }
+  }
+
+  /**
+   * Start a worker and route its answers to the task it is running
+   */
+  spawn() {
+    const worker = new Worker(this.script, { workerData: this.workerData });
+    worker.task = null;
+    worker.completed = 0;
+
+    worker.on('message', message => {
+      const { task } = worker;
+      worker.task = null;
+      worker.completed++;
+      if (message.error) {
+        task.reject(new Error(message.error));
+      } else {
+        task.resolve(message.result);
+      }
+      this.release(worker);
+    });
+
+    // A crash (or process.exit() in a rule) fails the running task only; a worker that
+    // dies before finishing any task has a broken script and is not replaced
+    const fail = error => {
+      if (!this.workers.delete(worker)) {
+        return;
+      }
+      this.idle = this.idle.filter(other => other !== worker);
+      if (worker.task) {
+        worker.task.reject(error);
+        worker.task = null;
+      }
+      if (this.closed) {
+        return;
+      }
+      if (worker.completed > 0) {
+        this.spawn();
+      } else if (this.workers.size === 0) {
+        this.queue.splice(0).forEach(task => task.reject(error));
+      }
+    };
+    worker.on('error', fail);
+    worker.on('exit', code => fail(new Error(`worker stopped with exit code ${code}`)));
+
+    this.workers.add(worker);
+    this.release(worker);
+  }
+
+  /**
+   * Run a task on the next free worker
+   * @param {*} data - Message posted to the worker
+   * @returns {Promise<*>} The worker's result
+   */
+  run(data) {
+    if (this.workers.size === 0) {
+      return Promise.reject(new Error('no worker is running'));
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ data, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Mark a worker free and hand it the next task
+   * @param {Worker} worker - Worker
+   */
+  release(worker) {
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  /**
+   * Start queued tasks on free workers
+   */
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop();
+      worker.task = this.queue.shift();
+      worker.postMessage(worker.task.data);
+    }
+  }
+
+  /**
+   * Stop every worker
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    await Promise.all([...this.workers].map(worker => worker.terminate()));
+    this.workers.clear();
+  }
+}
+
+module.exports = { WorkerPool };
@@ -0,0 +1,190 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { DEFAULT_CONFIG } = require('../src/config');
+const { CodeReviewExpert } = require('../agents/code-review-expert');
+const { PRGitExpert } = require('../agents/pr-git-expert');
+const { DocumentationExpert } = require('../agents/documentation-expert');
+
+const SOURCE = [
+  'function load(path) {',
+  '  return JSON.parse(require("fs").readFileSync(path));',
+  '}',
+  'module.exports = { load };'
+].join('\n');
+
+const DIFF = [
+  'diff --git a/src/load.js b/src/load.js',
+  '--- a/src/load.js',
+  '+++ b/src/load.js',
+  '@@ -1,3 +1,3 @@',
+  ' function load(path) {',
+  '-  return require(path);',
+  '+  return JSON.parse(require("fs").readFileSync(path));',
+  ' }'
+].join('\n');
+
+/**
+ * Local server speaking the OpenAI/OpenRouter chat completions API. It records the requests
+ * it receives and answers each with the next queued reply: a message content, or
+ * {status, error} for a failed request.
+ */
+function createMockServer() {
+  const mock = { requests: [], replies: [] };
+
+  mock.server = http.createServer((request, response) => {
+    let data = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+      data += chunk;
+    });
+    request.on('end', () => {
+      mock.requests.push({ method: request.method, url: request.url, headers: request.headers, body: JSON.parse(data) });
+      const reply = mock.replies.shift();
+      const failed = reply && typeof reply === 'object';
+
+      response.writeHead(failed ? reply.status : 200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(failed
+        ? { error: { message: reply.error } }
+        : { id: 'mock', object: 'chat.completion', choices: [{ index: 0, message: { role: 'assistant', content: reply || '' }, finish_reason: 'stop' }] }));
+    });
+  });
+
+  return mock;
+}
+
+describe('agents against a mock OpenRouter-compatible server', () => {
+  const mock = createMockServer();
+  let options;
+
+  before(async () => {
+    await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+    options = {
+      config: DEFAULT_CONFIG,
+      provider: 'openrouter',
+      model: 'mock/model',
+      baseUrl: `http://127.0.0.1:${mock.server.address().port}/api/v1`,
+      apiKey: 'test-key'
+    };
+  });
+
+  after(() => new Promise(resolve => mock.server.close(resolve)));
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+    mock.replies.length = 0;
+  });
+
+  it('sends the review prompt and turns the reply into findings', async () => {
+    mock.replies.push(JSON.stringify({
+      issues: [
+        { file: 'src/load.js', line: 2, severity: 'high', category: 'Security', message: 'Path is not validated', confidence: 0.8 },
+        { file: 'src/other.js', line: 1, severity: 'low', message: 'Not a reviewed file' }
+      ]
+    }));
+    const expert = new CodeReviewExpert(options);
+    const analysis = [{ file: 'src/load.js', content: SOURCE, lines: SOURCE.split('\n') }];
+
+    const issues = await expert.requestReview(analysis, { readme: 'Validate every path.' }, []);
+
+    assert.strictEqual(mock.requests.length, 1);
+    const [request] = mock.requests;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/api/v1/chat/completions');
+    assert.strictEqual(request.headers.authorization, 'Bearer test-key');
+    assert.strictEqual(request.body.model, 'mock/model');
+    assert.deepStrictEqual(request.body.messages.map(message => message.role), ['system', 'user']);
+    assert.match(request.body.messages[1].content, /Validate every path\./);
+    assert.match(request.body.messages[1].content, /src\/load\.js/);
+
+    assert.strictEqual(issues.length, 1);
+    assert.strictEqual(issues[0].ruleId, 'ai-review');
+    assert.strictEqual(issues[0].source, 'ai');
+    assert.strictEqual(issues[0].severity, 'high');
+    assert.strictEqual(issues[0].line, 2);
+    assert.strictEqual(issues[0].confidence, 0.8);
+    assert.strictEqual(issues[0].snippet.trim(), 'return JSON.parse(require("fs").readFileSync(path));');
+  });
+
+  it('returns no model findings when the server fails', async () => {
+    mock.replies.push({ status: 500, error: 'upstream unavailable' });
+    const expert = new CodeReviewExpert(options);
+    const analysis = [{ file: 'src/load.js', content: SOURCE, lines: SOURCE.split('\n') }];
+
+    assert.deepStrictEqual(await expert.requestReview(analysis, {}, []), []);
+    assert.strictEqual(mock.requests.length, 1);
+  });
+
+  it('sends the branch state and diff and parses the analysis', async () => {
+    const reply = {
+      summary: 'Loads JSON files safely',
+      'Code Quality': 'Good',
+      'Commit Quality': 'Good',
+      'Potential Issues': [],
+      Suggestions: ['Add a test'],
+      'PR Recommendations': []
+    };
+    // Models often wrap JSON in a code fence
+    mock.replies.push(`\`\`\`json\n${JSON.stringify(reply)}\n\`\`\``);
+    const expert = new PRGitExpert(options);
+    expert.getDiff = () => DIFF;
+    const analysis = {
+      branch: 'feature/load',
+      base: null,
+      stats: ' src/load.js | 2 +-',
+      changes: { staged: [], unstaged: ['src/load.js'], untracked: [] },
+      commits: ['abc1234 Parse JSON files']
+    };
+
+    const result = await expert.requestAnalysis(analysis);
+
+    assert.deepStrictEqual(result, reply);
+    assert.strictEqual(mock.requests.length, 1);
+    const prompt = mock.requests[0].body.messages[1].content;
+    assert.match(prompt, /branch "feature\/load"/);
+    assert.match(prompt, /abc1234 Parse JSON files/);
+    assert.match(prompt, /\+ {2}return JSON\.parse/);
+  });
+
+  it('sends the project and its sources and uses the documentation written', async () => {
+    const source = path.join(__dirname, '../src/utils/ci.js');
+    mock.replies.push(JSON.stringify({
+      files: {
+        'README.md': '# example\n\nWritten by the model.\n',
+        'NOTES.md': 'Not requested'
+      }
+    }));
+    const expert = new DocumentationExpert(options);
+    const projectInfo = {
+      packageJson: { name: 'example', version: '1.0.0', description: 'Example project', main: source },
+      fileStructure: [{ name: 'src', type: 'directory', files: ['ci.js'] }, { name: 'package.json', type: 'file' }],
+      codeFiles: [source],
+      existingDocs: {}
+    };
+
+    const documentation = await expert.buildDocumentation(projectInfo, { kb: 'Write in English.' });
+
+    assert.strictEqual(mock.requests.length, 1);
+    const prompt = mock.requests[0].body.messages[1].content;
+    assert.match(prompt, /README\.md, API\.md, CHANGELOG\.md/);
+    assert.match(prompt, /Write in English\./);
+    assert.match(prompt, /EXIT_FINDINGS/);
+    assert.strictEqual(documentation['README.md'], '# example\n\nWritten by the model.\n');
+    // Files the model did not write keep the generated version, and others are ignored
+    assert.match(documentation['CHANGELOG.md'], /Changelog/i);
+    assert.strictEqual(documentation['NOTES.md'], undefined);
+  });
+
+  it('keeps the generated documentation when the server fails', async () => {
+    mock.replies.push({ status: 429, error: 'rate limited' });
+    const expert = new DocumentationExpert(options);
+    const projectInfo = { packageJson: { name: 'example' }, fileStructure: [], codeFiles: [], existingDocs: {} };
+
+    const documentation = await expert.buildDocumentation(projectInfo, {});
+
+    assert.strictEqual(mock.requests.length, 1);
+    assert.deepStrictEqual(Object.keys(documentation), ['README.md', 'CHANGELOG.md']);
+    assert.match(documentation['README.md'], /example/);
+  });
+});
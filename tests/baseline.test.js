@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BUILTIN_RULES } = require('../src/review/rules');
+const { runRules } = require('../src/review/engine');
+const {
+  BASELINE_VERSION,
+  fingerprint,
+  readBaseline,
+  writeBaseline,
+  appendBaseline,
+  filterBaseline
+} = require('../src/review/baseline');
+const { applySuppressions } = require('../src/review/suppressions');
+
+/**
+ * Fingerprinted findings of the no-eval rule, as the review builds them for the baseline
+ * @param {string} content - Source
+ * @param {string} [file] - Path from the repository root
+ * @returns {Array<{issue: Object, file: string, fingerprint: string}>}
+ */
+function entriesOf(content, file = 'src/app.js') {
+  const lines = content.split('\n');
+  const rule = BUILTIN_RULES.find(item => item.id === 'no-eval');
+  return runRules([rule], file, content, process.cwd()).issues
+    .map(issue => ({ issue, file, fingerprint: fingerprint(issue, file, lines[issue.line - 1]) }));
+}
+
+const SOURCE = 'function run(code) {\n  return eval(code);\n}\n';
+
+describe('baseline fingerprints', () => {
+  it('survive lines moving and reindentation', () => {
+    const [before] = entriesOf(SOURCE);
+    const [after] = entriesOf(`// Runs code\n\nconst ready = true;\n\nfunction run(code) {\n  if (ready) {\n      return  eval(code);\n  }\n}\n`);
+
+    assert.strictEqual(before.issue.line, 2);
+    assert.strictEqual(after.issue.line, 7);
+    assert.strictEqual(after.fingerprint, before.fingerprint);
+  });
+
+  it('change with the file, the rule or the flagged code', () => {
+    const [base] = entriesOf(SOURCE);
+
+    assert.notStrictEqual(entriesOf(SOURCE, 'src/other.js')[0].fingerprint, base.fingerprint);
+    assert.notStrictEqual(fingerprint({ ruleId: 'dangerous-call' }, base.file, '  return eval(code);'), base.fingerprint);
+    assert.notStrictEqual(entriesOf(SOURCE.replace('eval(code)', 'eval(input)'))[0].fingerprint, base.fingerprint);
+  });
+});
+
+describe('baseline file', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-copilot-baseline-'));
+    file = path.join(dir, '.git-copilot', 'baseline.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('is missing until written, then counts the copies of each finding', () => {
+    const twice = entriesOf(`${SOURCE}${SOURCE.replace('run', 'again')}`);
+    assert.strictEqual(readBaseline(file), null);
+
+    writeBaseline(file, [...twice, ...entriesOf(SOURCE, 'lib/b.js')]);
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(saved.version, BASELINE_VERSION);
+    assert.deepStrictEqual(saved.findings.map(finding => [finding.file, finding.rule, finding.count]),
+      [['lib/b.js', 'no-eval', 1], ['src/app.js', 'no-eval', 2]]);
+    assert.deepStrictEqual([...readBaseline(file).values()], [1, 2]);
+  });
+
+  it('hides as many findings as it recorded and reports the others', () => {
+    writeBaseline(file, entriesOf(SOURCE));
+    // The known call moved down, a second copy was added
+    const entries = entriesOf(`\n${SOURCE}${SOURCE.replace('run', 'again')}`);
+
+    const { issues, known } = filterBaseline(entries, readBaseline(file));
+
+    assert.deepStrictEqual(known.map(issue => issue.line), [3]);
+    assert.deepStrictEqual(issues.map(issue => issue.line), [6]);
+  });
+
+  it('keeps the recorded findings when findings are appended', () => {
+    writeBaseline(file, entriesOf(SOURCE));
+    appendBaseline(file, [...entriesOf(SOURCE), ...entriesOf(SOURCE, 'lib/b.js')]);
+
+    assert.deepStrictEqual([...readBaseline(file).values()], [1, 2]);
+  });
+
+  it('rejects unreadable and unsupported files', () => {
+    fs.mkdirSync(path.dirname(file));
+    fs.writeFileSync(file, '{ broken');
+    assert.throws(() => readBaseline(file), /could not be parsed/);
+
+    fs.writeFileSync(file, JSON.stringify({ version: BASELINE_VERSION + 1, findings: [] }));
+    assert.throws(() => readBaseline(file), /unsupported format, regenerate it with review --update-baseline/);
+  });
+});
+
+describe('suppression comments', () => {
+  /**
+   * Findings left after the suppressions, as "rule:line"
+   * @param {string[]} lines - File lines
+   * @param {Object[]} issues - Findings with ruleId and line
+   * @returns {string[]}
+   */
+  const reported = (lines, issues) => applySuppressions(issues, lines).issues.map(issue => `${issue.ruleId}:${issue.line}`);
+
+  it('cover the next line, the same line or a block, for the listed rules', () => {
+    const lines = [
+      '// git-copilot-disable-next-line no-eval -- trusted input',
+      'eval(a);',
+      'eval(b); // git-copilot-disable-line no-console, no-eval',
+      '/* git-copilot-disable no-eval */',
+      'eval(c);',
+      '/* git-copilot-enable no-eval */',
+      'eval(d);'
+    ];
+    const issues = [2, 3, 5, 7].map(line => ({ ruleId: 'no-eval', line }))
+      .concat({ ruleId: 'no-magic-numbers', line: 2 });
+
+    assert.deepStrictEqual(reported(lines, issues), ['no-eval:7', 'no-magic-numbers:2']);
+  });
+
+  it('without rules cover every rule, to the end of the file when not re-enabled', () => {
+    const lines = ['eval(a);', '# git-copilot-disable', 'eval(b);', 'eval(c);'];
+    const issues = [1, 3, 4].map(line => ({ ruleId: 'no-eval', line }));
+
+    assert.deepStrictEqual(reported(lines, issues), ['no-eval:1']);
+  });
+});
@@ -0,0 +1,206 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseUnifiedDiff,
+  getChangedLines,
+  getUntrackedFiles,
+  resolveDiffScope,
+  formatLineRanges
+} = require('../src/utils/diff');
+
+/**
+ * Changed lines as sorted arrays, for deepStrictEqual
+ * @param {Object<string, Set<number>>} changes - Output of parseUnifiedDiff
+ * @returns {Object<string, number[]>}
+ */
+const toArrays = changes => Object.fromEntries(
+  Object.entries(changes).map(([file, lineNumbers]) => [file, [...lineNumbers].sort((a, b) => a - b)])
+);
+
+describe('parseUnifiedDiff', () => {
+  it('keeps the new-file numbers of added and modified lines', () => {
+    const diff = [
+      'diff --git a/src/app.js b/src/app.js',
+      'index 1111111..2222222 100644',
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -2,2 +2,3 @@ function run() {',
+      ' const a = 1;',
+      '-const b = 2;',
+      '+const b = 3;',
+      '+const c = 4;',
+      '@@ -10 +11,0 @@',
+      '-removed();',
+      '@@ -20,0 +21 @@',
+      '+added();'
+    ].join('\n');
+
+    assert.deepStrictEqual(toArrays(parseUnifiedDiff(diff)), { 'src/app.js': [3, 4, 21] });
+  });
+
+  it('handles several files, new files and deleted files', () => {
+    const diff = [
+      'diff --git a/new.js b/new.js',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/new.js',
+      '@@ -0,0 +1,2 @@',
+      '+one();',
+      '+two();',
+      'diff --git a/gone.js b/gone.js',
+      'deleted file mode 100644',
+      '--- a/gone.js',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-gone();',
+      'diff --git a/other.js b/other.js',
+      '--- a/other.js',
+      '+++ b/other.js',
+      '@@ -5,0 +6 @@',
+      '+other();'
+    ].join('\n');
+
+    assert.deepStrictEqual(toArrays(parseUnifiedDiff(diff)), { 'new.js': [1, 2], 'other.js': [6] });
+  });
+
+  it('does not take added lines looking like file headers for headers', () => {
+    const diff = [
+      'diff --git a/notes.md b/notes.md',
+      '--- a/notes.md',
+      '+++ b/notes.md',
+      '@@ -1,0 +1,2 @@',
+      '+++ b/not-a-file',
+      '+--- a/neither'
+    ].join('\n');
+
+    assert.deepStrictEqual(toArrays(parseUnifiedDiff(diff)), { 'notes.md': [1, 2] });
+  });
+
+  it('unquotes paths and keeps files with no added lines', () => {
+    const diff = [
+      'diff --git "a/café menu.js" "b/café menu.js"',
+      '--- "a/café menu.js"',
+      '+++ "b/café menu.js"',
+      '@@ -3 +2,0 @@',
+      '-old();'
+    ].join('\n');
+
+    assert.deepStrictEqual(toArrays(parseUnifiedDiff(diff)), { 'café menu.js': [] });
+  });
+
+  it('returns nothing for an empty diff', () => {
+    assert.deepStrictEqual(parseUnifiedDiff(''), {});
+    assert.deepStrictEqual(parseUnifiedDiff(null), {});
+  });
+});
+
+describe('formatLineRanges', () => {
+  it('joins consecutive lines into ranges', () => {
+    assert.strictEqual(formatLineRanges(new Set([12, 3, 4, 5, 7])), '3-5, 7, 12');
+    assert.strictEqual(formatLineRanges([]), '');
+  });
+});
+
+describe('diff scopes', () => {
+  const cwd = process.cwd();
+  let root;
+
+  /**
+   * Run git in the test repository, without the caller's configuration
+   * @param {...string} args - git arguments
+   */
+  const run = (...args) => execFileSync('git', args, {
+    cwd: root,
+    stdio: 'ignore',
+    env: { ...process.env, GIT_CONFIG_GLOBAL: os.devNull, GIT_CONFIG_NOSYSTEM: '1', GIT_CONFIG_COUNT: '0' }
+  });
+
+  /**
+   * Write a file of the repository
+   * @param {string} file - Path relative to the repository
+   * @param {string[]} content - File lines
+   */
+  const write = (file, content) => fs.writeFileSync(path.join(root, file), `${content.join('\n')}\n`);
+
+  /**
+   * Commit the whole working tree
+   * @param {string} message - Commit message
+   */
+  const commit = message => {
+    run('add', '-A');
+    run('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', message);
+  };
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-copilot-diff-'));
+    run('init', '-q', '-b', 'main');
+    write('app.js', ['a();', 'b();', 'c();']);
+    commit('Initial commit');
+    run('tag', 'v1');
+    write('app.js', ['a();', 'B();', 'c();', 'd();']);
+    commit('Change app');
+    // Staged: line 1 of app.js; unstaged on top: line 3; untracked: new.js
+    write('app.js', ['A();', 'B();', 'c();', 'd();']);
+    run('add', 'app.js');
+    write('app.js', ['A();', 'B();', 'C();', 'd();']);
+    write('new.js', ['n();']);
+    process.chdir(root);
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  /**
+   * Changed lines of a scope, as arrays
+   * @param {Object} options - Scope options
+   * @returns {Object<string, number[]>}
+   */
+  const linesOf = options => toArrays(getChangedLines(resolveDiffScope(options).diffArgs));
+
+  it('reviews the whole tree without a scope option', () => {
+    assert.strictEqual(resolveDiffScope({}), null);
+  });
+
+  it('--staged covers the index only', () => {
+    const scope = resolveDiffScope({ staged: true });
+
+    assert.strictEqual(scope.contentRef, '');
+    assert.strictEqual(scope.includeUntracked, false);
+    assert.deepStrictEqual(linesOf({ staged: true }), { 'app.js': [1] });
+  });
+
+  it('--working-tree covers staged and unstaged changes and untracked files', () => {
+    const scope = resolveDiffScope({ workingTree: true });
+
+    assert.strictEqual(scope.contentRef, null);
+    assert.strictEqual(scope.includeUntracked, true);
+    assert.deepStrictEqual(linesOf({ workingTree: true }), { 'app.js': [1, 3] });
+    assert.deepStrictEqual(getUntrackedFiles(), ['new.js']);
+  });
+
+  it('--since covers the commits after the ref and the working tree', () => {
+    assert.deepStrictEqual(linesOf({ since: 'v1' }), { 'app.js': [1, 2, 3, 4] });
+  });
+
+  it('a range covers the commits only and reads files at its head', () => {
+    const scope = resolveDiffScope({ range: 'v1..main' });
+
+    assert.strictEqual(scope.label, 'Changes in v1..main');
+    assert.strictEqual(scope.contentRef, 'main');
+    assert.deepStrictEqual(linesOf({ range: 'v1..main' }), { 'app.js': [2, 4] });
+    assert.strictEqual(resolveDiffScope({ range: 'v1...' }).contentRef, 'HEAD');
+  });
+
+  it('rejects unknown refs, malformed ranges and several scopes', () => {
+    assert.throws(() => resolveDiffScope({ since: 'nope' }), /Unknown revision "nope"/);
+    assert.throws(() => resolveDiffScope({ range: 'v1..nope' }), /Unknown revision "nope"/);
+    assert.throws(() => resolveDiffScope({ range: 'v1' }), /Invalid range "v1"/);
+    assert.throws(() => resolveDiffScope({ staged: true, since: 'v1' }), /single review scope, got --staged and --since/);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scanHistory } = require('../src/review/history');
+
+// Built by concatenation so the secret scan of this repository doesn't report its own tests
+const TOKEN = 'ghp_' + 'a1B2c3D4e5F6g7H8i9' + 'J0k1L2m3N4o5P6q7R8';
+const STRIPE_KEY = 'sk_live_' + 'Zx9Yw8Vu7Ts6Rq5P';
+
+describe('secret history scan', () => {
+  const cwd = process.cwd();
+  let root;
+
+  /**
+   * Run git in the test repository, without the caller's configuration
+   * @param {...string} args - git arguments
+   */
+  const git = (...args) => execFileSync('git', args, {
+    cwd: root,
+    stdio: 'ignore',
+    env: { ...process.env, GIT_CONFIG_GLOBAL: os.devNull, GIT_CONFIG_NOSYSTEM: '1', GIT_CONFIG_COUNT: '0' }
+  });
+
+  /**
+   * Write a file and commit it
+   * @param {string} file - Path relative to the repository
+   * @param {string} content - File content
+   * @param {string} message - Commit message
+   */
+  const commit = (file, content, message) => {
+    fs.writeFileSync(path.join(root, file), content);
+    git('add', '--', file);
+    git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', message);
+  };
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-copilot-history-'));
+    git('init', '-q', '-b', 'main');
+    commit('café.env', `GITHUB_TOKEN=${TOKEN}\n`, 'Add token');
+    commit('café.env', 'GITHUB_TOKEN=${GITHUB_TOKEN}\n', 'Read the token from the environment');
+    git('checkout', '-q', '-b', 'feature');
+    commit('billing.js', `const key = '${STRIPE_KEY}';\n`, 'Add billing');
+    git('checkout', '-q', 'main');
+    process.chdir(root);
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('reports secrets deleted from files with non-ASCII names', async () => {
+    const issue = (await scanHistory()).find(item => item.file === 'café.env');
+
+    assert.ok(issue);
+    assert.strictEqual(issue.ruleId, 'secret-history');
+    assert.strictEqual(issue.line, 1);
+    assert.match(issue.message, /GitHub token added in commit \w{7} by Test .*\("Add token"\)/);
+    assert.ok(!issue.snippet.includes(TOKEN));
+  });
+
+  it('reports secrets committed only on other branches', async () => {
+    const issue = (await scanHistory()).find(item => item.file === 'billing.js');
+
+    assert.ok(issue);
+    assert.match(issue.message, /^Stripe key added in commit .*"Add billing"/);
+  });
+
+  it('skips secrets still in the working tree', async () => {
+    fs.writeFileSync(path.join(root, 'billing.js'), `const key = '${STRIPE_KEY}';\n`);
+
+    const issues = await scanHistory();
+    fs.rmSync(path.join(root, 'billing.js'));
+
+    assert.deepStrictEqual(issues.map(item => item.file), ['café.env']);
+  });
+});
@@ -0,0 +1,254 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+const { createIssue, countBySeverity } = require('../src/review/issue');
+const { fingerprint } = require('../src/review/baseline');
+const { REPORT_SCHEMA_VERSION } = require('../src/reporters/json');
+const { renderReviewReport, renderBranchReport } = require('../src/reporters');
+
+const SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schemas', 'report-v1.schema.json'), 'utf8'));
+
+const RULES = [
+  { id: 'no-eval', category: 'Security', severity: 'critical', description: 'No eval', fix: 'Parse the input instead', enabled: true },
+  { id: 'no-console', category: 'Best Practices', severity: 'low', description: 'No console', enabled: true },
+  { id: 'todo-comment', category: 'Maintainability', severity: 'info', description: 'TODO comments', enabled: false }
+];
+
+const ISSUES = [
+  createIssue({
+    ruleId: 'no-eval',
+    severity: 'critical',
+    category: 'Security',
+    message: 'eval() runs "arbitrary" code & <markup>',
+    file: 'src/app b.js',
+    line: 4,
+    column: 10,
+    endColumn: 20,
+    snippet: '  return eval(code);',
+    fix: 'Parse the input instead'
+  }),
+  createIssue({
+    ruleId: 'ai-review',
+    severity: 'medium',
+    category: 'AI Review',
+    message: 'Unclear name',
+    file: 'src/app b.js',
+    line: 9,
+    snippet: 'const x = 1;',
+    confidence: 0.7,
+    source: 'ai'
+  })
+];
+
+/**
+ * Review result with the fields the reports read, as returned by CodeReviewExpert.reviewCode()
+ * @param {ReviewIssue[]} [issues] - Reported issues
+ * @returns {Object}
+ */
+function createReview(issues = ISSUES) {
+  return {
+    fixes: '# Fixes\n',
+    stats: countBySeverity(issues),
+    filesReviewed: 2,
+    files: ['src/app b.js', 'src/clean.js'],
+    skipped: [{ file: 'dist/bundle.js', reason: 'size', size: 2000000 }],
+    scope: { mode: 'staged', label: 'Staged changes', diffArgs: ['--cached'], contentRef: '', includeUntracked: false },
+    root: process.cwd(),
+    issues,
+    rules: RULES,
+    suppressedIssues: 1,
+    baselineIssues: 3
+  };
+}
+
+const BRANCH_RESULT = {
+  success: true,
+  analysis: { summary: 'Small change', 'Potential Issues': 'None', Suggestions: ['Add tests'], fallback: true },
+  metadata: {
+    currentBranch: 'feature/login',
+    baseBranch: 'main',
+    mergeBase: 'abc1234',
+    commitCount: 2,
+    ahead: 2,
+    behind: 3,
+    filesChanged: 1,
+    insertions: 10,
+    deletions: 2,
+    commitDetails: [{ hash: 'def5678', subject: 'wip', author: 'Test', date: '2026-10-19' }]
+  },
+  changes: { staged: [], unstaged: ['M\tsrc/login.js'], untracked: [] },
+  checks: ['behind-base', 'commit-message'],
+  findings: [
+    { check: 'behind-base', severity: 'low', message: 'feature/login is 3 commits behind main' },
+    { check: 'commit-message', severity: 'low', commit: 'def5678', message: 'def5678 "wip": too short' }
+  ]
+};
+
+/**
+ * Assert that a value has the fields the JSON schema requires, following $ref and allOf
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} where - Path of the value, for the assertion message
+ */
+function assertRequired(value, schema, where) {
+  if (schema.$ref) {
+    assertRequired(value, SCHEMA.definitions[schema.$ref.split('/').pop()], where);
+    return;
+  }
+  (schema.allOf || []).forEach(part => assertRequired(value, part, where));
+  (schema.required || []).forEach(field => {
+    assert.ok(field in value, `${where}.${field} is missing`);
+    const property = schema.properties[field];
+    if (property.items && Array.isArray(value[field])) {
+      value[field].forEach((item, index) => assertRequired(item, property.items, `${where}.${field}[${index}]`));
+    } else if (value[field] && typeof value[field] === 'object' && !Array.isArray(value[field])) {
+      assertRequired(value[field], property, `${where}.${field}`);
+    }
+  });
+}
+
+/**
+ * Attributes of the XML elements with the given name, unescaped
+ * @param {string} xml - XML document
+ * @param {string} name - Element name
+ * @returns {Object[]}
+ */
+function elements(xml, name) {
+  const unescape = text => text.replace(/&quot;/g, '"').replace(/&apos;/g, '\'')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  return [...xml.matchAll(new RegExp(`<${name}((?:\\s+[\\w-]+="[^"]*")*)\\s*/?>`, 'g'))]
+    .map(match => Object.fromEntries([...match[1].matchAll(/([\w-]+)="([^"]*)"/g)].map(([, key, text]) => [key, unescape(text)])));
+}
+
+describe('JSON report', () => {
+  it('has the fields of the v1 schema for reviews', () => {
+    const report = JSON.parse(renderReviewReport('json', createReview()));
+
+    assertRequired(report, SCHEMA, 'report');
+    assertRequired(report, SCHEMA.definitions.review, 'report');
+    assert.strictEqual(report.schemaVersion, REPORT_SCHEMA_VERSION);
+    assert.deepStrictEqual(report.tool, { name: 'git-copilot', version });
+    assert.deepStrictEqual(report.scope, { mode: 'staged', label: 'Staged changes' });
+    assert.deepStrictEqual(report.summary,
+      { filesReviewed: 2, total: 2, critical: 1, high: 0, medium: 1, low: 0, info: 0, suppressed: 1, baseline: 3 });
+    assert.deepStrictEqual(report.issues, JSON.parse(JSON.stringify(ISSUES)));
+  });
+
+  it('has the fields of the v1 schema for branch analyses', () => {
+    const report = JSON.parse(renderBranchReport('json', BRANCH_RESULT));
+
+    assertRequired(report, SCHEMA, 'report');
+    assertRequired(report, SCHEMA.definitions.branchAnalysis, 'report');
+    assert.strictEqual(report.kind, 'branch-analysis');
+    assert.deepStrictEqual(report.branch, { name: 'feature/login', base: 'main', mergeBase: 'abc1234', ahead: 2, behind: 3 });
+    assert.deepStrictEqual(report.analysis.potentialIssues, ['None']);
+    assert.strictEqual(report.analysis.ai, false);
+  });
+});
+
+describe('SARIF report', () => {
+  const sarif = JSON.parse(renderReviewReport('sarif', createReview()));
+  const [run] = sarif.runs;
+
+  it('lists the enabled rules and the rules of the findings', () => {
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ['no-eval', 'no-console', 'ai-review']);
+
+    const [noEval] = run.tool.driver.rules;
+    assert.deepStrictEqual(noEval.defaultConfiguration, { level: 'error' });
+    assert.deepStrictEqual(noEval.help, { text: 'Parse the input instead' });
+    assert.deepStrictEqual(noEval.properties.tags, ['security']);
+    assert.strictEqual(noEval.properties['security-severity'], '9.5');
+  });
+
+  it('locates results relative to the source root', () => {
+    const [result, ai] = run.results;
+
+    assert.match(run.originalUriBaseIds.SRCROOT.uri, /^file:\/\/\/.*\/$/);
+    assert.strictEqual(result.ruleIndex, 0);
+    assert.strictEqual(result.level, 'error');
+    assert.strictEqual(result.message.text, 'eval() runs "arbitrary" code & <markup>\nFix: Parse the input instead');
+    assert.deepStrictEqual(result.locations[0].physicalLocation, {
+      artifactLocation: { uri: 'src/app%20b.js', uriBaseId: 'SRCROOT' },
+      region: { startLine: 4, startColumn: 10, endLine: 4, endColumn: 20, snippet: { text: '  return eval(code);' } }
+    });
+    // An unknown end column is left out rather than written as an empty range
+    assert.strictEqual(ai.ruleIndex, 2);
+    assert.ok(!('endColumn' in ai.locations[0].physicalLocation.region));
+  });
+
+  it('fingerprints results like the baseline does', () => {
+    assert.strictEqual(run.results[0].partialFingerprints['gitCopilot/v1'],
+      fingerprint(ISSUES[0], 'src/app b.js', '  return eval(code);'));
+  });
+});
+
+describe('JUnit report', () => {
+  it('has a suite per file, a failure per finding and a passing case for clean files', () => {
+    const xml = renderReviewReport('junit', createReview());
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites /);
+    assert.deepStrictEqual(elements(xml, 'testsuites')[0], { name: 'git-copilot review', tests: '3', failures: '2', errors: '0', time: '0' });
+    assert.deepStrictEqual(elements(xml, 'testsuite').map(suite => [suite.name, suite.tests, suite.failures]),
+      [['src/app b.js', '2', '2'], ['src/clean.js', '1', '0']]);
+    assert.deepStrictEqual(elements(xml, 'testcase').map(testCase => testCase.name),
+      ['no-eval at 4:10', 'ai-review at 9:1', 'src/clean.js']);
+    assert.deepStrictEqual(elements(xml, 'failure')[0], { message: 'eval() runs "arbitrary" code & <markup>', type: 'critical' });
+    assert.ok(xml.includes('Fix: Parse the input instead</failure>'));
+    assert.ok(!xml.includes('<markup>'));
+  });
+
+  it('has a suite per check for branch analyses', () => {
+    const xml = renderBranchReport('junit', BRANCH_RESULT);
+
+    assert.deepStrictEqual(elements(xml, 'testsuite').map(suite => [suite.name, suite.failures]),
+      [['behind-base', '1'], ['commit-message', '1']]);
+    assert.deepStrictEqual(elements(xml, 'testcase').map(testCase => [testCase.name, testCase.classname]), [
+      ['behind-base', 'git-copilot.analyze-branch.feature/login'],
+      ['commit-message def5678', 'git-copilot.analyze-branch.feature/login']
+    ]);
+  });
+
+  it('passes with a passing case per file when there are no findings', () => {
+    const xml = renderReviewReport('junit', createReview([]));
+
+    assert.strictEqual(elements(xml, 'testsuites')[0].failures, '0');
+    assert.strictEqual(elements(xml, 'testcase').length, 2);
+    assert.ok(!xml.includes('<failure'));
+  });
+});
+
+describe('Checkstyle report', () => {
+  it('has a file element per reviewed file and an error per finding', () => {
+    const xml = renderReviewReport('checkstyle', createReview());
+
+    assert.deepStrictEqual(elements(xml, 'file').map(file => file.name), ['src/app b.js', 'src/clean.js']);
+    assert.deepStrictEqual(elements(xml, 'error'), [
+      {
+        line: '4',
+        column: '10',
+        severity: 'error',
+        message: 'eval() runs "arbitrary" code & <markup> Fix: Parse the input instead',
+        source: 'git-copilot.no-eval'
+      },
+      { line: '9', column: '1', severity: 'warning', message: 'Unclear name', source: 'git-copilot.ai-review' }
+    ]);
+    assert.match(xml, /<file name="src\/clean.js"\/>/);
+  });
+
+  it('drops characters XML does not allow', () => {
+    const issue = createIssue({ ...ISSUES[0], message: 'bad\u0001 byte' });
+
+    assert.deepStrictEqual(elements(renderReviewReport('checkstyle', createReview([issue])), 'error')[0].message,
+      'bad byte Fix: Parse the input instead');
+  });
+});
+
+describe('report formats', () => {
+  it('reject formats a command does not support', () => {
+    assert.throws(() => renderReviewReport('html', createReview()), /Unknown report format "html" \(available: markdown, json, sarif, junit, checkstyle\)/);
+    assert.throws(() => renderBranchReport('sarif', BRANCH_RESULT), /sarif format is not available for branch analysis/);
+  });
+});
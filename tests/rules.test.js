@@ -0,0 +1,414 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BUILTIN_RULES } = require('../src/review/rules');
+const { runRules, runLanguageRules, runTextRules, runProjectRules } = require('../src/review/engine');
+const { getLanguage } = require('../src/review/languages');
+const { loadProject } = require('../src/review/project');
+const { applyEdits } = require('../src/review/fixer');
+const { DEFAULT_CONFIG } = require('../src/config');
+
+/**
+ * Findings of one built-in rule on a source, run the way the review runs it for the file
+ * @param {string} id - Rule id
+ * @param {string} content - Source
+ * @param {string} [file] - File name, which picks the parser or language
+ * @returns {Object[]}
+ */
+function check(id, content, file = 'example.js') {
+  const rule = BUILTIN_RULES.find(item => item.id === id);
+  if (rule.text) {
+    return runTextRules([rule], file, content, process.cwd());
+  }
+  const language = getLanguage(file);
+  if (language) {
+    return runLanguageRules([rule], file, content, process.cwd(), language);
+  }
+  return runRules([rule], file, content, process.cwd()).issues;
+}
+
+/**
+ * Source after the autofixes of one rule
+ * @param {string} id - Rule id
+ * @param {string} content - Source
+ * @returns {string}
+ */
+function fix(id, content) {
+  const fixes = check(id, content).filter(issue => issue.edits).map(issue => issue.edits);
+  return applyEdits(content, fixes).content;
+}
+
+/**
+ * Source of a function with the given number of body lines
+ * @param {string} name - Function name
+ * @param {number} lines - Body lines
+ * @returns {string}
+ */
+function functionOf(name, lines) {
+  return [`function ${name}() {`, ...Array.from({ length: lines }, (_, index) => `  step(${index});`), '}'].join('\n');
+}
+
+describe('no-console', () => {
+  it('reports debug output and removes it', () => {
+    const source = 'function run(items) {\n  console.log(\'items\', items.length);\n  return items;\n}\n';
+
+    assert.deepStrictEqual(check('no-console', source).map(issue => issue.line), [2]);
+    assert.strictEqual(fix('no-console', source), 'function run(items) {\n  return items;\n}\n');
+  });
+
+  it('ignores console.error and a local console', () => {
+    const source = 'console.error(\'failed\');\nfunction run(console) {\n  console.log(\'x\');\n}\n';
+
+    assert.deepStrictEqual(check('no-console', source), []);
+  });
+
+  it('keeps calls whose arguments have side effects', () => {
+    const source = 'async function run(store, items, n) {\n  console.log(n++);\n  console.log(await store.save(items));\n}\n';
+    const issues = check('no-console', source);
+
+    assert.strictEqual(issues.length, 2);
+    assert.ok(issues.every(issue => !issue.edits));
+    assert.strictEqual(fix('no-console', source), source);
+  });
+});
+
+describe('no-sync-fs', () => {
+  it('reports sync calls inside functions only', () => {
+    const source = 'const fs = require(\'fs\');\nconst config = fs.readFileSync(\'a\');\nfunction load() {\n  return fs.readFileSync(\'b\');\n}\n';
+
+    assert.deepStrictEqual(check('no-sync-fs', source).map(issue => issue.line), [4]);
+  });
+
+  it('awaits the promise version of fs, fs-extra and graceful-fs calls', () => {
+    const source = [
+      'const fs = require(\'fs\');',
+      'import fse from \'fs-extra\';',
+      'async function load() {',
+      '  const text = fs.readFileSync(\'a\').toString();',
+      '  const data = fse.readJsonSync(\'b\');',
+      '  return require(\'graceful-fs\').statSync(\'c\');',
+      '}'
+    ].join('\n');
+
+    assert.strictEqual(fix('no-sync-fs', source), [
+      'const fs = require(\'fs\');',
+      'import fse from \'fs-extra\';',
+      'async function load() {',
+      '  const text = (await fs.promises.readFile(\'a\')).toString();',
+      '  const data = await fse.readJson(\'b\');',
+      '  return await require(\'graceful-fs\').promises.stat(\'c\');',
+      '}'
+    ].join('\n'));
+  });
+
+  it('reports objects that are not fs without a fix', () => {
+    const source = [
+      'const fs = require(\'fs\');',
+      'const store = createStore();',
+      'async function load(fs) {',
+      '  store.readFileSync(\'k\');',
+      '  fs.readFileSync(\'a\');',
+      '}',
+      'async function copy() {',
+      '  require(\'fs\').readJsonSync(\'b\');',
+      '}'
+    ].join('\n');
+    const issues = check('no-sync-fs', source);
+
+    assert.strictEqual(issues.length, 3);
+    assert.ok(issues.every(issue => !issue.edits));
+  });
+});
+
+describe('no-eval', () => {
+  it('reports eval() and new Function()', () => {
+    const source = 'eval(code);\nconst run = new Function(\'a\', body);\n';
+    const issues = check('no-eval', source);
+
+    assert.deepStrictEqual(issues.map(issue => issue.line), [1, 2]);
+    assert.ok(issues.every(issue => !issue.edits));
+  });
+
+  it('ignores eval in strings, comments and local bindings', () => {
+    const source = 'const text = \'eval(x)\';\n// eval(x)\nfunction run(eval) {\n  return eval(1);\n}\n';
+
+    assert.deepStrictEqual(check('no-eval', source), []);
+  });
+});
+
+describe('max-function-lines', () => {
+  it('reports every long function, also one right after another', () => {
+    const source = [functionOf('first', 55), functionOf('second', 55), functionOf('third', 55)].join('\n');
+    const issues = check('max-function-lines', source);
+
+    assert.deepStrictEqual(issues.map(issue => issue.message.match(/Function (\w+)/)[1]), ['first', 'second', 'third']);
+    assert.deepStrictEqual(issues.map(issue => issue.line), [1, 58, 115]);
+    assert.ok(issues.every(issue => !issue.edits));
+  });
+
+  it('ignores functions of 50 lines or less', () => {
+    assert.deepStrictEqual(check('max-function-lines', [functionOf('short', 48), functionOf('other', 10)].join('\n')), []);
+  });
+
+  it('uses the function boundaries of other languages', () => {
+    const source = ['def load():', ...Array.from({ length: 55 }, () => '    step()'), '', 'def short():', '    pass'].join('\n');
+
+    assert.deepStrictEqual(check('max-function-lines', source, 'example.py').map(issue => issue.line), [1]);
+  });
+});
+
+describe('max-loop-depth', () => {
+  it('reports loops nested three deep, forEach callbacks included', () => {
+    const source = [
+      'function match(rows, columns, cells) {',
+      '  for (const row of rows) {',
+      '    columns.forEach(column => {',
+      '      while (cells.length) {',
+      '        cells.pop();',
+      '      }',
+      '    });',
+      '  }',
+      '}'
+    ].join('\n');
+    const issues = check('max-loop-depth', source);
+
+    assert.deepStrictEqual(issues.map(issue => issue.line), [4]);
+    assert.match(issues[0].message, /nested 3 levels/);
+    assert.ok(!issues[0].edits);
+  });
+
+  it('does not count closing braces of other blocks or sibling loops', () => {
+    const source = [
+      'function scan(rows, options) {',
+      '  for (const row of rows) {',
+      '    if (row.skip) {',
+      '      continue;',
+      '    }',
+      '    const entry = { id: row.id };',
+      '    for (const cell of row.cells) {',
+      '      use(entry, cell);',
+      '    }',
+      '    for (const cell of row.more) {',
+      '      use(entry, cell);',
+      '    }',
+      '  }',
+      '  for (const option of options) {',
+      '    use(option);',
+      '  }',
+      '}'
+    ].join('\n');
+
+    assert.deepStrictEqual(check('max-loop-depth', source), []);
+  });
+
+  it('restarts the count in functions that are not loop bodies', () => {
+    const source = [
+      'for (const a of list) {',
+      '  for (const b of a) {',
+      '    const handler = () => {',
+      '      for (const c of b) {',
+      '        for (const d of c) {',
+      '          use(d);',
+      '        }',
+      '      }',
+      '    };',
+      '  }',
+      '}'
+    ].join('\n');
+
+    assert.deepStrictEqual(check('max-loop-depth', source), []);
+  });
+});
+
+describe('max-params', () => {
+  it('reports functions with more than four parameters', () => {
+    const source = 'function create(a, b, c, d, e) {}\nconst make = (a, b, c, d, { e }) => a;\n';
+    const issues = check('max-params', source);
+
+    assert.deepStrictEqual(issues.map(issue => issue.line), [1, 2]);
+    assert.ok(issues.every(issue => !issue.edits));
+  });
+
+  it('ignores four parameters and the TypeScript this parameter', () => {
+    const source = 'function create(a, b, c, d) {}\nfunction bound(this: Window, a: number, b: number, c: number, d: number) {}\n';
+
+    assert.deepStrictEqual(check('max-params', source, 'example.ts'), []);
+  });
+
+  it('does not count self in Python methods', () => {
+    const source = 'class Store:\n    def save(self, a, b, c, d):\n        pass\n    def load(self, a, b, c, d, e):\n        pass\n';
+
+    assert.deepStrictEqual(check('max-params', source, 'example.py').map(issue => issue.line), [4]);
+  });
+});
+
+describe('no-magic-numbers', () => {
+  it('reports unnamed numbers and names them when it can', () => {
+    const source = 'const fs = require(\'fs\');\n\nfunction retry(request) {\n  request.timeout = 3000;\n  return wait(250);\n}\n';
+    const issues = check('no-magic-numbers', source);
+
+    assert.deepStrictEqual(issues.map(issue => issue.line), [4, 5]);
+    assert.strictEqual(fix('no-magic-numbers', source),
+      'const fs = require(\'fs\');\nconst TIMEOUT = 3000;\n\nfunction retry(request) {\n  request.timeout = TIMEOUT;\n  return wait(250);\n}\n');
+  });
+
+  it('names limits after what they are compared with', () => {
+    const source = 'function run(retries) {\n  return retries < 10;\n}\n';
+
+    assert.strictEqual(fix('no-magic-numbers', source), 'const MAX_RETRIES = 10;\nfunction run(retries) {\n  return retries < MAX_RETRIES;\n}\n');
+  });
+
+  it('ignores small and round numbers, constants, properties and parseInt radixes', () => {
+    const source = [
+      'const MAX_BUFFER = 50 * 1024 * 1024;',
+      'const LIMITS = [-20, 30];',
+      'const options = { retries: 12 };',
+      'function parse(value, step = 25) {',
+      '  return parseInt(value, 10) + Number.parseInt(value, 16) + 100 + 5;',
+      '}'
+    ].join('\n');
+
+    assert.deepStrictEqual(check('no-magic-numbers', source), []);
+  });
+
+  it('still reports numbers in functions defined as constants', () => {
+    const source = 'const handler = () => {\n  return wait(250);\n};\n';
+
+    assert.deepStrictEqual(check('no-magic-numbers', source).map(issue => issue.line), [2]);
+  });
+});
+
+describe('todo-comment', () => {
+  it('reports TODO and FIXME comments', () => {
+    const source = '// TODO: handle errors\nrun(); /* FIXME later */\n';
+    const issues = check('todo-comment', source);
+
+    assert.deepStrictEqual(issues.map(issue => issue.message), ['TODO comment found', 'FIXME comment found']);
+    assert.ok(issues.every(issue => !issue.edits));
+  });
+
+  it('ignores the markers outside comments', () => {
+    const source = 'const label = \'TODO\';\nconst TODO_LIST = [];\n';
+
+    assert.deepStrictEqual(check('todo-comment', source), []);
+    assert.deepStrictEqual(check('todo-comment', 'print("TODO")\n# TODO: split\n', 'example.py').map(issue => issue.line), [2]);
+  });
+});
+
+describe('debug-statement', () => {
+  it('reports debug output in other languages', () => {
+    const issues = check('debug-statement', 'def run():\n    print(value)\n    breakpoint()\n', 'example.py');
+
+    assert.deepStrictEqual(issues.map(issue => issue.line), [2, 3]);
+    assert.ok(issues.every(issue => !issue.edits));
+  });
+
+  it('ignores calls in comments and strings and methods of the same name', () => {
+    assert.deepStrictEqual(check('debug-statement', '# print(value)\nlabel = "print(x)"\nlogger.print(x)\n', 'example.py'), []);
+  });
+});
+
+describe('dangerous-call', () => {
+  it('reports unsafe calls in other languages', () => {
+    const issues = check('dangerous-call', 'import pickle\ndata = pickle.loads(payload)\nsubprocess.run(cmd, shell=True)\n', 'example.py');
+
+    assert.deepStrictEqual(issues.map(issue => issue.line), [2, 3]);
+    assert.ok(issues.every(issue => !issue.edits));
+  });
+
+  it('ignores safe variants and mentions in comments', () => {
+    const source = 'data = yaml.load(text, Loader=yaml.SafeLoader)\n# never call pickle.loads(payload)\nsubprocess.run(cmd)\n';
+
+    assert.deepStrictEqual(check('dangerous-call', source, 'example.py'), []);
+  });
+});
+
+describe('dependency rules', () => {
+  let root;
+  let cwd;
+
+  before(() => {
+    cwd = process.cwd();
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-copilot-rules-'));
+    fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({
+      name: 'example',
+      dependencies: { chalk: '^4.1.2', lodash: '^4.17.0', 'left-pad': '^1.3.0' }
+    }, null, 2));
+    fs.writeFileSync(path.join(root, 'package-lock.json'), JSON.stringify({
+      name: 'example',
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'example' },
+        'node_modules/chalk': { version: '4.1.2', license: 'MIT' },
+        'node_modules/lodash': { version: '4.17.20', license: 'MIT' },
+        'node_modules/left-pad': { version: '1.3.0', license: 'WTFPL' },
+        'node_modules/eslint': { version: '8.0.0', license: 'GPL-3.0', dev: true }
+      }
+    }, null, 2));
+    fs.mkdirSync(path.join(root, '.git-copilot'));
+    fs.writeFileSync(path.join(root, '.git-copilot/advisories.json'), JSON.stringify({
+      version: 1,
+      advisories: {
+        lodash: [{ id: 1, title: 'Prototype pollution', severity: 'critical', vulnerableVersions: '<4.17.21' }],
+        chalk: [{ id: 2, title: 'Old issue', severity: 'low', vulnerableVersions: '<2.0.0' }]
+      }
+    }));
+    process.chdir(root);
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const checkProject = (id, { config = {}, imports = {}, complete = true } = {}) => {
+    const rule = BUILTIN_RULES.find(item => item.id === id);
+    const project = loadProject({
+      root,
+      config: { ...DEFAULT_CONFIG.review.dependencies, ...config },
+      imports: new Map(Object.entries(imports)),
+      complete
+    });
+    return runProjectRules([rule], project, root);
+  };
+
+  it('dependency-vulnerability reports installed versions in an advisory range', () => {
+    const issues = checkProject('dependency-vulnerability');
+
+    assert.deepStrictEqual(issues.map(issue => issue.message.split(' ')[0]), ['lodash@4.17.20']);
+    assert.strictEqual(issues[0].severity, 'critical');
+    assert.strictEqual(issues[0].file, 'package.json');
+    assert.ok(!issues[0].edits);
+  });
+
+  it('dependency-license reports denied and unlisted licenses of production packages', () => {
+    assert.deepStrictEqual(checkProject('dependency-license').map(issue => issue.message), []);
+
+    const denied = checkProject('dependency-license', { config: { licenses: { allow: [], deny: ['WTFPL', 'GPL-3.0'] } } });
+    assert.deepStrictEqual(denied.map(issue => issue.message), ['left-pad@1.3.0 is licensed under WTFPL, which is denied']);
+
+    const allowed = checkProject('dependency-license', { config: { licenses: { allow: ['MIT'], deny: [] } } });
+    assert.deepStrictEqual(allowed.map(issue => issue.message), ['left-pad@1.3.0 is licensed under WTFPL, which is not in the allowed licenses']);
+  });
+
+  it('dependency-missing reports imports package.json does not declare', () => {
+    const imports = { 'index.js': [
+      { name: 'chalk', line: 1, column: 14, endColumn: 21 },
+      { name: 'axios', line: 2, column: 14, endColumn: 21 },
+      { name: 'example', line: 3, column: 14, endColumn: 23 }
+    ] };
+
+    assert.deepStrictEqual(checkProject('dependency-missing', { imports }).map(issue => [issue.file, issue.line, issue.message]),
+      [['index.js', 2, 'axios is imported but not declared in package.json']]);
+    assert.deepStrictEqual(checkProject('dependency-missing', { imports, config: { ignore: ['axios'] } }), []);
+  });
+
+  it('dependency-unused reports declared packages nothing imports, in full reviews only', () => {
+    const imports = { 'index.js': [{ name: 'chalk', line: 1, column: 14, endColumn: 21 }] };
+
+    assert.deepStrictEqual(checkProject('dependency-unused', { imports }).map(issue => issue.message.split(' ')[0]), ['lodash', 'left-pad']);
+    assert.deepStrictEqual(checkProject('dependency-unused', { imports, complete: false }), []);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const inquirer = require('inquirer');
+const { ReviewTriage } = require('../src/commands/triage');
+
+const SOURCE = 'function run() {\n  console.log(\'x\');\n}\n';
+
+describe('triage suppress', () => {
+  const prompt = inquirer.prompt;
+  let dir;
+  let file;
+  let answers;
+  let log;
+
+  /**
+   * Triage of one no-console finding in the test file
+   * @param {Object} options - Command options
+   * @param {string[]} unstaged - Files with unstaged changes
+   * @returns {ReviewTriage}
+   */
+  const createTriage = (options, unstaged) => {
+    const issue = { ruleId: 'no-console', severity: 'low', file, line: 2, endLine: 2, message: 'Console.log', edits: null };
+    // force keeps the constructor from asking git, the unstaged files are set below
+    const triage = new ReviewTriage({ issues: [issue] }, { llmClient: null }, { ...options, force: true });
+    triage.unstaged = new Set(options.force ? [] : unstaged);
+    triage.contents.set(file, SOURCE);
+    return triage;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-copilot-triage-'));
+    file = path.join(dir, 'run.js');
+    fs.writeFileSync(file, SOURCE);
+    answers = [];
+    inquirer.prompt = async () => answers.shift();
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    inquirer.prompt = prompt;
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes the comment once confirmed', async () => {
+    answers.push({ reason: 'CLI output' }, { apply: true });
+    const triage = createTriage({}, []);
+
+    assert.strictEqual(await triage.suppress(triage.issues[0]), true);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'),
+      'function run() {\n  // git-copilot-disable-next-line no-console -- CLI output\n  console.log(\'x\');\n}\n');
+    assert.strictEqual(triage.status.get(triage.issues[0]), 'suppressed');
+  });
+
+  it('leaves the file alone when the change is declined', async () => {
+    answers.push({ reason: '' }, { apply: false });
+    const triage = createTriage({}, []);
+
+    assert.strictEqual(await triage.suppress(triage.issues[0]), false);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), SOURCE);
+  });
+
+  it('needs --force for files with unstaged changes', async () => {
+    const triage = createTriage({}, [file]);
+
+    assert.strictEqual(await triage.suppress(triage.issues[0]), false);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), SOURCE);
+
+    answers.push({ reason: '' }, { apply: true });
+    const forced = createTriage({ force: true }, [file]);
+    assert.strictEqual(await forced.suppress(forced.issues[0]), true);
+    assert.notStrictEqual(fs.readFileSync(file, 'utf8'), SOURCE);
+  });
+});